@@ -0,0 +1,191 @@
+/**
+ * @description The activity feed: mentions, replies in the threads of the user's
+ * messages and reactions to them, collected by the server even while offline.
+ */
+import { state } from './state.mjs';
+import {
+  activityModal,
+  activityList,
+  activityBadge,
+  activityFilterAllButton,
+  activityFilterUnreadButton,
+  activityLoadMoreButton
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, closeAllModals } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { openForwardedOriginal } from './forward.mjs';
+import { getConversationLabel } from './conversations.mjs';
+
+const PAGE_SIZE = 25;
+
+const feed = {
+  unreadOnly: false,
+  offset: 0
+};
+
+function getLocationLabel(channelId) {
+  if (channelId.startsWith('dm:')) return getConversationLabel(channelId);
+
+  return `#${state.channelCache.get(channelId)?.name || 'channel'}`;
+}
+
+function getActorName(activity, message) {
+  if (activity.type !== 'reaction') return message.author?.userName || 'Someone';
+  return state.userCache.get(activity.actorId)?.userName || 'Someone';
+}
+
+function getActivityTitle(activity, message) {
+  const actorName = getActorName(activity, message);
+  const location = getLocationLabel(activity.channelId);
+
+  if (activity.type === 'reaction')
+    return `${actorName} reacted ${activity.reaction} to your message in ${location}`;
+  if (activity.type === 'thread_reply')
+    return `${actorName} replied to your message in ${location}`;
+  return `${actorName} mentioned you in ${location}${activity.threadId ? ' (thread)' : ''}`;
+}
+
+function updateActivityBadge() {
+  if (!activityBadge) return;
+
+  activityBadge.textContent = state.activityUnreadCount > 99 ? '99+' : state.activityUnreadCount;
+  activityBadge.hidden = state.activityUnreadCount === 0;
+}
+
+/**
+ * @description Load how much activity is unread, for the badge on the activity button.
+ */
+export async function loadActivityCount() {
+  try {
+    const response = await apiRequest('/activity?limit=1');
+    state.activityUnreadCount = response.unreadCount || 0;
+    updateActivityBadge();
+  } catch (error) {
+    console.warn('Failed to load activity:', error);
+  }
+}
+
+/**
+ * @description Open the activity feed.
+ */
+export async function openActivityModal() {
+  if (!activityModal || !activityList) return;
+
+  activityModal.classList.add('active');
+  await loadActivity({ unreadOnly: feed.unreadOnly });
+}
+
+/**
+ * @description Load the first page of the feed, optionally only unread activity,
+ * or the next page when `append` is set.
+ */
+export async function loadActivity({ unreadOnly = feed.unreadOnly, append = false } = {}) {
+  feed.unreadOnly = unreadOnly;
+  feed.offset = append ? feed.offset + PAGE_SIZE : 0;
+
+  activityFilterAllButton?.classList.toggle('active', !unreadOnly);
+  activityFilterUnreadButton?.classList.toggle('active', unreadOnly);
+  if (!append) activityList.innerHTML = '<div class="empty-list">Loading...</div>';
+
+  try {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset: feed.offset });
+    if (unreadOnly) params.set('unread', 'true');
+
+    const response = await apiRequest(`/activity?${params}`);
+    state.activityUnreadCount = response.unreadCount || 0;
+    updateActivityBadge();
+
+    if (!append) activityList.innerHTML = '';
+    for (const item of response.items || []) activityList.appendChild(createActivityItem(item));
+
+    if (activityList.children.length === 0) {
+      const emptyText = unreadOnly ? 'No unread activity' : 'No activity yet';
+      activityList.innerHTML = `<div class="empty-list">${emptyText}</div>`;
+    }
+    if (activityLoadMoreButton) activityLoadMoreButton.hidden = !response.hasMore;
+  } catch (error) {
+    showToast(error.message || 'Failed to load activity', 'error');
+  }
+}
+
+function createActivityItem({ message, ...activity }) {
+  const item = document.createElement('div');
+  item.className = `activity-item${activity.readAt ? '' : ' unread'}`;
+  item.dataset.activityId = activity.id;
+  item.innerHTML = `
+    <button type="button" class="activity-item-open">
+      <span class="activity-item-meta"><span class="activity-item-title"></span> · ${formatMessageTime(activity.createdAt)}</span>
+      <span class="activity-item-text"></span>
+    </button>
+    <button type="button" class="btn btn-secondary activity-item-toggle">${activity.readAt ? 'Mark unread' : 'Mark read'}</button>
+  `;
+  item.querySelector('.activity-item-title').textContent = getActivityTitle(activity, message);
+  item.querySelector('.activity-item-text').textContent =
+    message.content || message.attachments?.[0]?.originalName || 'Attachment';
+
+  item.querySelector('.activity-item-open').addEventListener('click', async () => {
+    if (!activity.readAt) await markActivity([activity.id], true);
+    closeAllModals();
+    await openForwardedOriginal(message.id, message.channelId, message.threadId);
+  });
+  item.querySelector('.activity-item-toggle').addEventListener('click', async () => {
+    const isRead = !item.classList.contains('unread');
+    if (await markActivity([activity.id], !isRead)) {
+      activity.readAt = isRead ? undefined : Date.now();
+      item.classList.toggle('unread', isRead);
+      item.querySelector('.activity-item-toggle').textContent = isRead
+        ? 'Mark read'
+        : 'Mark unread';
+    }
+  });
+
+  return item;
+}
+
+async function markActivity(activityIds, isRead) {
+  try {
+    const response = await apiRequest('/activity', 'PUT', { activityIds, unread: !isRead });
+    state.activityUnreadCount = response.unreadCount;
+    updateActivityBadge();
+    return true;
+  } catch (error) {
+    showToast(error.message || 'Failed to update activity', 'error');
+    return false;
+  }
+}
+
+/**
+ * @description Mark all of the user's activity as read.
+ */
+export async function markAllActivityRead() {
+  try {
+    const response = await apiRequest('/activity', 'PUT', {});
+    state.activityUnreadCount = response.unreadCount;
+    updateActivityBadge();
+    await loadActivity();
+  } catch (error) {
+    showToast(error.message || 'Failed to update activity', 'error');
+  }
+}
+
+/**
+ * @description Count new activity, and show it right away if the feed is open.
+ */
+export function handleNewActivity({ activity, message }) {
+  state.activityUnreadCount++;
+  updateActivityBadge();
+
+  if (!activityModal?.classList.contains('active')) return;
+
+  activityList.querySelector('.empty-list')?.remove();
+  activityList.prepend(createActivityItem({ ...activity, message }));
+}
+
+/**
+ * @description Update the badge when activity is read in another tab or device.
+ */
+export function handleActivityUpdate({ unreadCount }) {
+  state.activityUnreadCount = unreadCount;
+  updateActivityBadge();
+}
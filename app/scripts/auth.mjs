@@ -126,6 +126,8 @@ export async function getUserInfo() {
     userName: user.userName,
     email: user.sub,
     isAdmin: user.isAdmin,
+    roleId: user.roleId,
+    permissions: user.permissions || [],
     lastLogin: tokenData.lastLogin,
     metadata: tokenData.metadata
   };
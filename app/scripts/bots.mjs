@@ -0,0 +1,183 @@
+/**
+ * @description Bot users, which use the API with a token that only allows the scopes
+ * an administrator has chosen. Bots are removed from the users list like anyone else.
+ */
+import { state } from './state.mjs';
+import { botNameInput, botScopesList, botsList } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { loadUsers } from './users.mjs';
+
+const DEFAULT_SCOPES = ['channels.read', 'messages.write'];
+
+const SCOPE_LABELS = {
+  'channels.read': 'Read channels and messages',
+  'messages.write': 'Post messages',
+  'reactions.write': 'Add reactions',
+  'threads.write': 'Reply in threads',
+  'direct-messages': 'Read and send direct messages'
+};
+
+/**
+ * @description Load and display the bots in the settings panel.
+ */
+export async function loadBots() {
+  if (!botsList) return;
+
+  try {
+    const response = await apiRequest('/bots');
+    renderScopeOptions(botScopesList, response.scopes || [], getSelectedScopes(botScopesList));
+    renderBots(response.bots || [], response.scopes || []);
+  } catch (_error) {
+    // Users without the permission get an error - silently ignore
+  }
+}
+
+function renderScopeOptions(container, scopes, selected) {
+  container.innerHTML = '';
+
+  for (const scope of scopes) {
+    const option = document.createElement('label');
+    option.className = 'role-permission-option';
+    option.innerHTML = '<input type="checkbox"><span></span>';
+
+    const checkbox = option.querySelector('input');
+    checkbox.value = scope;
+    checkbox.checked = (selected.length > 0 ? selected : DEFAULT_SCOPES).includes(scope);
+    option.querySelector('span').textContent = SCOPE_LABELS[scope] || scope;
+
+    container.appendChild(option);
+  }
+}
+
+function getSelectedScopes(container) {
+  return [...container.querySelectorAll('input[type="checkbox"]:checked')].map(
+    (checkbox) => checkbox.value
+  );
+}
+
+function renderBots(bots, scopes) {
+  botsList.innerHTML = '';
+
+  if (bots.length === 0) {
+    botsList.innerHTML = '<div class="empty-list">No bots added yet</div>';
+    return;
+  }
+
+  for (const bot of bots) {
+    const item = document.createElement('div');
+    item.className = 'webhook-item';
+    item.dataset.id = bot.id;
+    item.innerHTML = `
+      <div class="webhook-info">
+        <div class="webhook-name"></div>
+        <div class="bot-scopes"></div>
+        <div class="webhook-url-row">
+          <button class="btn webhook-copy-url save-bot-scopes">Save Scopes</button>
+          <button class="btn webhook-copy-url reset-bot-token">Reset Token</button>
+        </div>
+      </div>
+    `;
+
+    const userName = state.userCache.get(bot.id)?.userName || bot.id;
+    item.querySelector('.webhook-name').textContent = `@${userName}`;
+
+    const scopesList = item.querySelector('.bot-scopes');
+    renderScopeOptions(scopesList, scopes, bot.scopes);
+
+    item.querySelector('.save-bot-scopes').addEventListener('click', async () => {
+      await updateBotScopes(bot, userName, getSelectedScopes(scopesList));
+    });
+    item
+      .querySelector('.reset-bot-token')
+      .addEventListener('click', async () => await resetBotToken(bot, userName));
+
+    botsList.appendChild(item);
+  }
+}
+
+function showToken(token) {
+  document.querySelector('.bot-token-display')?.remove();
+
+  const tokenDisplay = document.createElement('div');
+  tokenDisplay.className = 'webhook-token-display bot-token-display';
+  tokenDisplay.innerHTML = `
+    <div class="webhook-token-label">API token (copy now, shown only once):</div>
+    <code class="webhook-token-value"></code>
+    <button class="btn webhook-token-copy">Copy Token</button>
+  `;
+  tokenDisplay.querySelector('.webhook-token-value').textContent = token;
+  tokenDisplay.querySelector('.webhook-token-copy').addEventListener('click', () => {
+    navigator.clipboard.writeText(token);
+    showToast('Token copied to clipboard');
+  });
+
+  // Insert before the list so loading the bots again won't remove it
+  botsList.before(tokenDisplay);
+}
+
+/**
+ * @description Create a bot from the settings form.
+ */
+export async function createBot() {
+  const name = botNameInput.value.trim().replace(/^@/, '');
+  const scopes = getSelectedScopes(botScopesList);
+  if (!name) {
+    showToast('Bot name is required', 'error');
+    return;
+  }
+  if (scopes.length === 0) {
+    showToast('Choose at least one scope', 'error');
+    return;
+  }
+
+  try {
+    showLoading();
+    const response = await apiRequest('/bots', 'POST', { name, scopes });
+    hideLoading();
+
+    showToast(`Bot @${response.user.userName} created`);
+    showToken(response.bot.token);
+
+    botNameInput.value = '';
+    await loadUsers();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to create bot', 'error');
+  }
+}
+
+async function updateBotScopes(bot, userName, scopes) {
+  if (scopes.length === 0) {
+    showToast('Choose at least one scope', 'error');
+    return;
+  }
+
+  try {
+    showLoading();
+    await apiRequest(`/bots/${bot.id}`, 'PUT', { scopes });
+    hideLoading();
+
+    showToast(`Scopes updated for @${userName}`);
+    await loadBots();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to update bot', 'error');
+  }
+}
+
+async function resetBotToken(bot, userName) {
+  if (!confirm(`Reset the token of @${userName}? The current token will stop working.`)) return;
+
+  try {
+    showLoading();
+    const response = await apiRequest(`/bots/${bot.id}/token`, 'POST');
+    hideLoading();
+
+    showToast(`Token reset for @${userName}`);
+    showToken(response.bot.token);
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to reset token', 'error');
+  }
+}
@@ -1,10 +1,23 @@
 import { state } from './state.mjs';
-import { channelsList, currentChannelName } from './dom.mjs';
+import {
+  channelsList,
+  archivedChannelsList,
+  currentChannelName,
+  conversationMembersButton
+} from './dom.mjs';
 import { apiRequest } from './api.mjs';
-import { showToast, renderChannelItem, updateDocumentTitle } from './ui.mjs';
+import {
+  showToast,
+  renderChannelItem,
+  updateDocumentTitle,
+  updateArchivedState
+} from './ui.mjs';
 import { loadMessagesForChannel } from './messages.mjs';
 import { setupMessageEvents } from './events.mjs';
 import { storage } from './storage.mjs';
+import { markAsRead } from './unread.mjs';
+import { renderTypingIndicators } from './typing.mjs';
+import { loadPreferences, renderSidebarSections } from './sidebar.mjs';
 
 /**
  * @description Load data for all channels on the server.
@@ -12,9 +25,12 @@ import { storage } from './storage.mjs';
 export async function loadChannels() {
   try {
     const { channels } = await apiRequest('/channels');
+    await loadPreferences();
 
     channelsList.innerHTML = '';
+    if (archivedChannelsList) archivedChannelsList.innerHTML = '';
     state.channelCache.clear();
+    renderSidebarSections();
 
     for (const channel of channels) {
       state.channelCache.set(channel.id, channel);
@@ -32,7 +48,10 @@ export async function loadChannels() {
       if (!savedChannelId) {
         savedChannelId = localStorage.getItem('lastChannelId');
       }
-      const channelToSelect = channels.find((c) => c.id === savedChannelId) || channels[0];
+      const channelToSelect =
+        channels.find((c) => c.id === savedChannelId) ||
+        channels.find((c) => !c.archivedAt) ||
+        channels[0];
       await selectChannel(channelToSelect.id, channelToSelect.name);
     }
 
@@ -57,9 +76,11 @@ export async function selectChannel(channelId, channelName) {
 
   // Restore # prefix for channels
   currentChannelName.style.removeProperty('--channel-prefix');
+  if (conversationMembersButton) conversationMembersButton.hidden = true;
 
   state.currentChannelId = channelId;
   const cachedChannel = state.channelCache.get(channelId);
+  updateArchivedState();
   currentChannelName.textContent = channelName;
   if (cachedChannel?.topic) currentChannelName.title = cachedChannel.topic;
   else currentChannelName.removeAttribute('title');
@@ -69,8 +90,9 @@ export async function selectChannel(channelId, channelName) {
   // Reset unread count for this channel
   state.unreadCounts.set(channelId, 0);
   updateDocumentTitle();
+  renderTypingIndicators();
 
-  const channels = channelsList.querySelectorAll('.channel-item');
+  const channels = document.querySelectorAll('.channel-item');
   for (const channel of channels) {
     if (channel.dataset.id === channelId) {
       channel.classList.add('active');
@@ -91,6 +113,8 @@ export async function selectChannel(channelId, channelName) {
   await loadMessagesForChannel(channelId);
 
   await setupMessageEvents(channelId);
+
+  await markAsRead('channel', channelId);
 }
 
 /**
@@ -126,6 +150,23 @@ export async function deleteChannel(channelId) {
   }
 }
 
+/**
+ * @description Archive a channel to make it read-only, or unarchive it again.
+ */
+export async function toggleChannelArchived(channel) {
+  const isArchived = Boolean(channel.archivedAt);
+
+  try {
+    await apiRequest(`/channels/${channel.id}/archive`, isArchived ? 'DELETE' : 'POST');
+    showToast(isArchived ? `#${channel.name} was unarchived` : `#${channel.name} was archived`);
+    await loadChannels();
+    updateArchivedState();
+  } catch (error) {
+    showToast(error.message || 'Failed to update channel', 'error');
+    throw error;
+  }
+}
+
 /**
  * @description Update the name of a channel.
  */
@@ -0,0 +1,154 @@
+/**
+ * @description Slash commands such as `/topic` or `/who`. They run on the server,
+ * which replies over SSE with a message that only the user who ran the command sees.
+ */
+import { state } from './state.mjs';
+import { mentionSuggestions, messageInput, messagesArea } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { hideMentionSuggestions } from './mentions.mjs';
+
+const COMMAND_PATTERN = /^\/([a-zA-Z0-9_-]*)$/;
+
+/**
+ * @description Load the slash commands, unless they are already loaded.
+ */
+export async function loadCommands({ force = false } = {}) {
+  if (state.commands && !force) return state.commands;
+
+  try {
+    const response = await apiRequest('/commands');
+    state.commands = response.commands || [];
+  } catch (error) {
+    console.warn('Failed to load commands:', error);
+    state.commands = [];
+  }
+
+  return state.commands;
+}
+
+function getCommandName(content) {
+  return content.trim().match(/^\/([a-zA-Z0-9_-]+)(?:\s|$)/)?.[1].toLowerCase() || null;
+}
+
+/**
+ * @description Check if a message is a known slash command. Anything else that starts
+ * with a slash, such as a file path, is posted as a regular message.
+ */
+export async function isCommand(content) {
+  const name = getCommandName(content);
+  if (!name) return false;
+
+  const commands = await loadCommands();
+  return commands.some((command) => command.name === name);
+}
+
+/**
+ * @description Run a slash command in the current channel.
+ */
+export async function runCommand(text) {
+  try {
+    const result = await apiRequest(`/channels/${state.currentChannelId}/commands`, 'POST', {
+      text
+    });
+
+    if (result.command === 'leave') {
+      const { loadChannels } = await import('./channels.mjs');
+      state.currentChannelId = null;
+      await loadChannels();
+    }
+  } catch (error) {
+    showToast(error.message || 'Failed to run the command', 'error');
+  }
+}
+
+/**
+ * @description Show a command reply in the channel it was run in. It is not saved,
+ * so it is gone when the channel is loaded again.
+ */
+export function showCommandResponse(response) {
+  if (state.viewMode !== 'channel' || response.channelId !== state.currentChannelId) {
+    showToast(response.text, 'info');
+    return;
+  }
+
+  const element = document.createElement('div');
+  element.className = 'message ephemeral-message';
+  element.innerHTML = `
+    <div class="message-header">
+      <span class="message-author">/${response.command}</span>
+      <span class="message-time">${formatMessageTime(response.createdAt)}</span>
+      <span class="ephemeral-label">Only visible to you</span>
+    </div>
+    <div class="message-text"></div>
+  `;
+  element.querySelector('.message-text').textContent = response.text;
+
+  messagesArea.querySelector('.empty-state')?.remove();
+  messagesArea.prepend(element);
+}
+
+/**
+ * @description Suggest commands while the first word of a channel message is being typed.
+ * Returns whether any suggestions are shown.
+ */
+export async function updateCommandSuggestions() {
+  if (!mentionSuggestions || !messageInput || state.viewMode === 'dm') return false;
+
+  const beforeCursor = messageInput.value.slice(0, messageInput.selectionStart);
+  const match = beforeCursor.match(COMMAND_PATTERN);
+  if (!match) return false;
+
+  const query = match[1].toLowerCase();
+  const commands = (await loadCommands()).filter((command) => command.name.startsWith(query));
+  if (commands.length === 0) {
+    hideMentionSuggestions();
+    return false;
+  }
+
+  mentionSuggestions.innerHTML = '';
+  for (const command of commands) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'mention-suggestion command-suggestion';
+    item.dataset.command = command.name;
+    item.textContent = `/${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+
+    const detail = document.createElement('span');
+    detail.className = 'mention-suggestion-detail';
+    detail.textContent = command.description;
+    item.appendChild(detail);
+
+    item.addEventListener('click', () => insertCommand(command.name));
+    mentionSuggestions.appendChild(item);
+  }
+
+  mentionSuggestions.style.display = 'flex';
+  return true;
+}
+
+/**
+ * @description Complete the command that is being typed with the first suggestion.
+ * Returns whether a command was completed.
+ */
+export function completeCommand() {
+  if (mentionSuggestions?.style.display === 'none') return false;
+
+  const suggestion = mentionSuggestions?.querySelector('.command-suggestion');
+  if (!suggestion) return false;
+
+  insertCommand(suggestion.dataset.command);
+  return true;
+}
+
+function insertCommand(name) {
+  const afterCursor = messageInput.value.slice(messageInput.selectionStart).trimStart();
+  const updatedBefore = `/${name} `;
+
+  messageInput.value = `${updatedBefore}${afterCursor}`;
+  messageInput.focus();
+  messageInput.selectionStart = updatedBefore.length;
+  messageInput.selectionEnd = updatedBefore.length;
+  hideMentionSuggestions();
+}
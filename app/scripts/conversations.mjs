@@ -2,10 +2,52 @@
  * @description Conversation (Direct Messages) related functionality.
  */
 import { state } from './state.mjs';
-import { dmList, startDmModal, dmUserList, currentChannelName } from './dom.mjs';
-import { showToast, updateDocumentTitle } from './ui.mjs';
+import {
+  dmList,
+  startDmModal,
+  dmUserList,
+  dmGroupHint,
+  startGroupDmButton,
+  currentChannelName,
+  conversationMembersButton,
+  conversationMembersModal,
+  conversationMembersList,
+  conversationAddSelect,
+  conversationAddButton,
+  conversationAddHint,
+  leaveConversationButton
+} from './dom.mjs';
+import { showToast, updateDocumentTitle, closeAllModals, updateArchivedState } from './ui.mjs';
 import { loadDMMessagesForConversation } from './dmMessages.mjs';
 import { apiRequest } from './api.mjs';
+import { markAsRead } from './unread.mjs';
+import { renderTypingIndicators } from './typing.mjs';
+import { createStatusHtml } from './status.mjs';
+
+// The most people a conversation can have, including the current user
+const MAX_PARTICIPANTS = 8;
+
+/**
+ * @description Get the display name of a conversation: the other user,
+ * or everyone else in a group conversation.
+ */
+export function getConversationName(conversation) {
+  if (!conversation?.isGroup) return conversation?.otherUser?.userName || 'Unknown User';
+
+  const userNames = (conversation.otherUsers || []).map((user) => user.userName);
+  return userNames.length > 0 ? userNames.join(', ') : 'Only you';
+}
+
+/**
+ * @description Describe a conversation when referring to it from elsewhere, such as in lists.
+ */
+export function getConversationLabel(conversationId) {
+  const conversation = state.conversationCache.get(conversationId);
+  if (conversation?.isGroup) return getConversationName(conversation);
+
+  const userName = conversation?.otherUser?.userName;
+  return userName ? `@${userName}` : 'a direct message';
+}
 
 /**
  * @description Load all conversations for the current user.
@@ -58,14 +100,22 @@ export function renderConversationItem(conversation) {
   }
 
   const otherUser = conversation.otherUser;
-  const userName = otherUser?.userName || 'Unknown User';
-  const initial = userName.charAt(0).toUpperCase();
-  const presence = otherUser ? state.presence.get(otherUser.id)?.status || 'offline' : 'offline';
+  const userName = getConversationName(conversation);
+  const userPresence = otherUser ? state.presence.get(otherUser.id) : null;
+  const presence = userPresence?.status || 'offline';
+  const dndClass = userPresence?.doNotDisturb ? ' dnd' : '';
   item.dataset.presence = presence;
 
+  // Group conversations show how many are in them instead of a presence
+  const count = conversation.participants.length;
+  const avatar = conversation.isGroup
+    ? `<div class="dm-avatar dm-group-avatar" title="${count} participants"><span>${count}</span></div>`
+    : `<div class="dm-avatar"><span>${userName.charAt(0).toUpperCase()}</span><i class="presence-dot ${presence}${dndClass}"></i></div>`;
+
   item.innerHTML = `
-    <div class="dm-avatar"><span>${initial}</span><i class="presence-dot ${presence}"></i></div>
+    ${avatar}
     <span class="dm-name">${userName}</span>
+    ${createStatusHtml(otherUser?.id)}
     ${getUnreadBadge(conversation.id)}
   `;
 
@@ -80,11 +130,22 @@ export function renderConversationItem(conversation) {
 function getUnreadBadge(conversationId) {
   const count = state.dmUnreadCounts.get(conversationId) || 0;
   if (count > 0) {
-    return `<div class="notification-badge">${count > 99 ? '99+' : count}</div>`;
+    const className = state.mentionCounts.get(conversationId)
+      ? 'notification-badge mention-badge'
+      : 'notification-badge';
+    return `<div class="${className}">${count > 99 ? '99+' : count}</div>`;
   }
   return '';
 }
 
+function updateConversationHeader(conversation) {
+  if (!conversation || !currentChannelName) return;
+
+  currentChannelName.textContent = getConversationName(conversation);
+  // Remove the # prefix for DMs, and show no prefix at all for group conversations
+  currentChannelName.style.setProperty('--channel-prefix', conversation.isGroup ? '""' : '"@"');
+}
+
 /**
  * @description Select a conversation and load its messages.
  */
@@ -92,6 +153,7 @@ export async function selectConversation(conversationId) {
   // Clear channel selection
   state.currentChannelId = null;
   state.viewMode = 'dm';
+  updateArchivedState();
 
   // Update active states
   document.querySelectorAll('.channel-item').forEach((el) => {
@@ -106,6 +168,7 @@ export async function selectConversation(conversationId) {
   // Clear unread count for this conversation and re-render badge
   state.dmUnreadCounts.set(conversationId, 0);
   updateDocumentTitle();
+  renderTypingIndicators();
 
   // Re-render the DM item to remove the notification badge
   const dmItem = document.querySelector(`.dm-item[data-conversation-id="${conversationId}"]`);
@@ -114,17 +177,12 @@ export async function selectConversation(conversationId) {
     if (badge) badge.remove();
   }
 
-  // Update header
-  const conversation = state.conversationCache.get(conversationId);
-  if (conversation && currentChannelName) {
-    const userName = conversation.otherUser?.userName || 'Direct Message';
-    currentChannelName.textContent = userName;
-    // Remove the # prefix for DMs
-    currentChannelName.style.setProperty('--channel-prefix', '"@"');
-  }
+  updateConversationHeader(state.conversationCache.get(conversationId));
+  if (conversationMembersButton) conversationMembersButton.hidden = false;
 
   // Load messages
   await loadDMMessagesForConversation(conversationId);
+  await markAsRead('conversation', conversationId);
 
   // Close mobile sidebar if open
   const sidebar = document.getElementById('sidebar');
@@ -160,8 +218,46 @@ export async function startConversation(targetUserId) {
   }
 }
 
+/**
+ * @description Start a group conversation with the users ticked in the Start DM modal.
+ */
+export async function startGroupConversation() {
+  if (selectedDmUserIds.size < 2) return;
+
+  await openNewConversation({ participantIds: [...selectedDmUserIds] });
+}
+
+async function openNewConversation(body) {
+  try {
+    const response = await apiRequest('/conversations', 'POST', body);
+
+    state.conversationCache.set(response.conversation.id, response.conversation);
+    await loadConversations();
+    await selectConversation(response.conversation.id);
+
+    closeAllModals();
+    showToast('Group conversation started', 'success');
+  } catch (error) {
+    console.error('Failed to start conversation:', error);
+    showToast(error.message || 'Failed to start conversation', 'error');
+  }
+}
+
 // Cache for DM user search
 let dmUserSearchCache = [];
+// Users ticked in the Start DM modal for a group conversation
+const selectedDmUserIds = new Set();
+
+function updateGroupDmSelection() {
+  const count = selectedDmUserIds.size;
+  if (startGroupDmButton) startGroupDmButton.disabled = count < 2;
+  if (!dmGroupHint) return;
+
+  dmGroupHint.textContent =
+    count > 0
+      ? `${count + 1} of at most ${MAX_PARTICIPANTS} people, including you`
+      : 'Tick two or more people to start a group conversation';
+}
 
 /**
  * @description Open the Start DM modal.
@@ -170,6 +266,8 @@ export async function openStartDmModal() {
   if (!startDmModal || !dmUserList) return;
 
   startDmModal.classList.add('active');
+  selectedDmUserIds.clear();
+  updateGroupDmSelection();
 
   const searchInput = document.getElementById('dm-user-search');
   if (searchInput) {
@@ -248,8 +346,24 @@ function renderDmUserSelectList(users) {
         <div class="user-name">${user.userName || user.email.split('@')[0]}</div>
         <div class="user-email">${user.email}</div>
       </div>
+      <input type="checkbox" class="dm-user-select" title="Add to group conversation">
     `;
 
+    const checkbox = item.querySelector('.dm-user-select');
+    checkbox.checked = selectedDmUserIds.has(user.id);
+    checkbox.addEventListener('click', (event) => event.stopPropagation());
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked && selectedDmUserIds.size >= MAX_PARTICIPANTS - 1) {
+        checkbox.checked = false;
+        showToast(`Group conversations can have at most ${MAX_PARTICIPANTS} people`, 'error');
+        return;
+      }
+
+      if (checkbox.checked) selectedDmUserIds.add(user.id);
+      else selectedDmUserIds.delete(user.id);
+      updateGroupDmSelection();
+    });
+
     item.addEventListener('click', () => startConversation(user.id));
 
     dmUserList.appendChild(item);
@@ -280,3 +394,151 @@ export function incrementDmUnread(conversationId) {
   const conversations = Array.from(state.conversationCache.values());
   renderConversationsList(conversations);
 }
+
+/**
+ * @description Open the participants of the current conversation,
+ * where people can be added and group conversations left.
+ */
+export async function openConversationMembersModal() {
+  const conversation = state.conversationCache.get(state.currentConversationId);
+  if (!conversation || !conversationMembersModal) return;
+
+  conversationMembersModal.classList.add('active');
+  renderConversationMembers(conversation);
+  await fillConversationAddSelect(conversation);
+}
+
+function renderConversationMembers(conversation) {
+  const otherUsers = conversation.otherUsers || [conversation.otherUser].filter(Boolean);
+  const members = [state.currentUser, ...otherUsers].filter(Boolean);
+
+  conversationMembersList.innerHTML = '';
+  for (const member of members) {
+    const item = document.createElement('div');
+    item.className = 'conversation-member';
+    item.innerHTML = `
+      <div class="user-avatar">${member.userName.charAt(0).toUpperCase()}</div>
+      <span class="conversation-member-name"></span>
+      ${createStatusHtml(member.id)}
+    `;
+    item.querySelector('.conversation-member-name').textContent =
+      member.id === state.currentUser?.id ? `${member.userName} (you)` : member.userName;
+    conversationMembersList.appendChild(item);
+  }
+
+  // The last two participants cannot leave
+  leaveConversationButton.hidden = !conversation.isGroup || conversation.participants.length <= 2;
+}
+
+async function fillConversationAddSelect(conversation) {
+  conversationAddSelect.innerHTML = '';
+
+  try {
+    const response = await apiRequest('/users');
+    const users = (response.users || [])
+      .filter((user) => !conversation.participants.includes(user.id))
+      .sort((a, b) => a.userName.localeCompare(b.userName));
+
+    for (const user of users) {
+      const option = document.createElement('option');
+      option.value = user.id;
+      option.textContent = user.userName;
+      conversationAddSelect.appendChild(option);
+    }
+  } catch (error) {
+    console.warn('Failed to load users:', error);
+  }
+
+  const isFull = conversation.participants.length >= MAX_PARTICIPANTS;
+  const canAdd = !isFull && conversationAddSelect.options.length > 0;
+  conversationAddSelect.disabled = !canAdd;
+  conversationAddButton.disabled = !canAdd;
+
+  if (isFull)
+    conversationAddHint.textContent = `Conversations can have at most ${MAX_PARTICIPANTS} people`;
+  else if (!conversation.isGroup)
+    conversationAddHint.textContent = 'Adding someone starts a new group conversation';
+  else conversationAddHint.textContent = 'New participants can read earlier messages too';
+}
+
+/**
+ * @description Add the picked user to the current group conversation. For a conversation
+ * between two people, a new group conversation is started instead.
+ */
+export async function addConversationParticipant() {
+  const conversation = state.conversationCache.get(state.currentConversationId);
+  const userId = conversationAddSelect?.value;
+  if (!conversation || !userId) return;
+
+  if (!conversation.isGroup) {
+    await openNewConversation({ participantIds: [conversation.otherUser?.id, userId] });
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/conversations/${conversation.id}/participants`, 'POST', {
+      userIds: [userId]
+    });
+
+    updateConversationInCache(response.conversation);
+    updateConversationHeader(response.conversation);
+    renderConversationMembers(response.conversation);
+    await fillConversationAddSelect(response.conversation);
+    showToast('Participant added', 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to add participant', 'error');
+  }
+}
+
+/**
+ * @description Leave the current group conversation.
+ */
+export async function leaveCurrentConversation() {
+  const conversation = state.conversationCache.get(state.currentConversationId);
+  if (!conversation?.isGroup) return;
+
+  if (!confirm('Are you sure you want to leave this conversation? You will no longer see it.'))
+    return;
+
+  try {
+    await apiRequest(`/conversations/${conversation.id}/participants/me`, 'DELETE');
+    closeAllModals();
+    await removeConversation(conversation.id);
+    showToast('You left the conversation');
+  } catch (error) {
+    showToast(error.message || 'Failed to leave conversation', 'error');
+  }
+}
+
+async function removeConversation(conversationId) {
+  state.conversationCache.delete(conversationId);
+  state.dmUnreadCounts.delete(conversationId);
+
+  const conversations = Array.from(state.conversationCache.values());
+  conversations.sort((a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt));
+  renderConversationsList(conversations);
+
+  if (state.viewMode === 'dm' && state.currentConversationId === conversationId) {
+    const { restoreLastChannel } = await import('./channels.mjs');
+    await restoreLastChannel();
+  }
+}
+
+/**
+ * @description Handle people joining or leaving a group conversation.
+ */
+export async function handleConversationUpdate({ conversation }) {
+  if (!conversation.participants.includes(state.currentUser?.id)) {
+    if (state.conversationCache.has(conversation.id)) await removeConversation(conversation.id);
+    return;
+  }
+
+  // Reload to get the names of new participants
+  await loadConversations();
+
+  const updated = state.conversationCache.get(conversation.id);
+  if (!updated || state.currentConversationId !== conversation.id) return;
+
+  updateConversationHeader(updated);
+  if (conversationMembersModal?.classList.contains('active')) renderConversationMembers(updated);
+}
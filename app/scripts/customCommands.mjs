@@ -0,0 +1,145 @@
+/**
+ * @description Slash commands added by administrators. Running one sends the arguments
+ * to a callback URL, and its reply is shown to the user or posted in the channel.
+ */
+import { state } from './state.mjs';
+import {
+  commandNameInput,
+  commandDescriptionInput,
+  commandUsageInput,
+  commandCallbackUrlInput,
+  customCommandsList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { icon } from './icons.mjs';
+
+/**
+ * @description Load and display the custom commands in the settings panel.
+ */
+export async function loadCustomCommands() {
+  if (!customCommandsList) return;
+
+  try {
+    const response = await apiRequest('/custom-commands');
+    renderCustomCommands(response.commands || []);
+  } catch (_error) {
+    // Users without the permission get an error - silently ignore
+  }
+}
+
+function renderCustomCommands(commands) {
+  customCommandsList.innerHTML = '';
+
+  if (commands.length === 0) {
+    customCommandsList.innerHTML = '<div class="empty-list">No commands added yet</div>';
+    return;
+  }
+
+  for (const command of [...commands].sort((a, b) => a.name.localeCompare(b.name))) {
+    const item = document.createElement('div');
+    item.className = 'webhook-item';
+    item.dataset.id = command.id;
+    item.innerHTML = `
+      <div class="webhook-info">
+        <div class="webhook-name"></div>
+        <div class="webhook-channel command-description"></div>
+        <div class="webhook-url-row">
+          <code class="webhook-url"></code>
+        </div>
+      </div>
+      <div class="webhook-actions">
+        <button class="remove-webhook" title="Delete Command">${icon('x-mark')}</button>
+      </div>
+    `;
+    item.querySelector('.webhook-name').textContent =
+      `/${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+    item.querySelector('.command-description').textContent = command.description || '';
+    item.querySelector('.webhook-url').textContent = command.callbackUrl;
+
+    item
+      .querySelector('.remove-webhook')
+      .addEventListener('click', async () => await deleteCustomCommand(command));
+
+    customCommandsList.appendChild(item);
+  }
+}
+
+/**
+ * @description Keep the command suggestions and the settings list up to date.
+ */
+export async function handleCustomCommandEvent() {
+  state.commands = null;
+
+  if (customCommandsList?.closest('.settings-view')?.classList.contains('active'))
+    await loadCustomCommands();
+}
+
+function showSecret(secret) {
+  document.querySelector('.command-secret-display')?.remove();
+
+  const secretDisplay = document.createElement('div');
+  secretDisplay.className = 'webhook-token-display command-secret-display';
+  secretDisplay.innerHTML = `
+    <div class="webhook-token-label">Signing secret (copy now, shown only once):</div>
+    <code class="webhook-token-value"></code>
+    <button class="btn webhook-token-copy">Copy Secret</button>
+  `;
+  secretDisplay.querySelector('.webhook-token-value').textContent = secret;
+  secretDisplay.querySelector('.webhook-token-copy').addEventListener('click', () => {
+    navigator.clipboard.writeText(secret);
+    showToast('Secret copied to clipboard');
+  });
+
+  // Insert before the list so loading the commands again won't remove it
+  customCommandsList.before(secretDisplay);
+}
+
+/**
+ * @description Add a command from the settings form.
+ */
+export async function createCustomCommand() {
+  const name = commandNameInput.value.trim().replace(/^\//, '');
+  const callbackUrl = commandCallbackUrlInput.value.trim();
+  if (!name || !callbackUrl) {
+    showToast('Command and callback URL are required', 'error');
+    return;
+  }
+
+  try {
+    showLoading();
+    const response = await apiRequest('/custom-commands', 'POST', {
+      name,
+      description: commandDescriptionInput.value.trim(),
+      usage: commandUsageInput.value.trim(),
+      callbackUrl
+    });
+    hideLoading();
+
+    showToast(`Command /${response.command.name} added`);
+    showSecret(response.command.secret);
+
+    commandNameInput.value = '';
+    commandDescriptionInput.value = '';
+    commandUsageInput.value = '';
+    commandCallbackUrlInput.value = '';
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to add command', 'error');
+  }
+}
+
+async function deleteCustomCommand(command) {
+  if (!confirm(`Are you sure you want to delete the command /${command.name}?`)) return;
+
+  try {
+    showLoading();
+    await apiRequest(`/custom-commands/${command.id}`, 'DELETE');
+    hideLoading();
+
+    showToast(`Command /${command.name} has been deleted`);
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to delete command', 'error');
+  }
+}
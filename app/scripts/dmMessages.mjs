@@ -6,6 +6,7 @@ import { messagesArea, messageInput } from './dom.mjs';
 import { showToast, scrollToBottom } from './ui.mjs';
 import { apiRequest } from './api.mjs';
 import {
+  createEditedMarkerHtml,
   createMessageQuoteHtml,
   formatMessageContent,
   formatMessageTime,
@@ -13,6 +14,10 @@ import {
   renderAttachmentsInMessage
 } from './messages.mjs';
 import { clearPendingUploads, createImageUploadPayload } from './images.mjs';
+import { createPollHtml } from './polls.mjs';
+import { createForwardedHtml } from './forward.mjs';
+import { getSaveLabel } from './saved.mjs';
+import { createStatusHtml } from './status.mjs';
 import { getInitials } from './utils.mjs';
 import { icon, reactionIcon } from './icons.mjs';
 
@@ -257,6 +262,9 @@ export function renderDMMessage(message) {
         <button class="message-delete" data-message-id="${message.id}" data-is-dm="true">Delete</button>
         <button class="quote-dm-message" data-message-id="${message.id}">Quote</button>
         <button class="copy-dm-message-link" data-message-id="${message.id}">Copy Link</button>
+        <button class="forward-dm-message" data-message-id="${message.id}">Forward</button>
+        <button class="remind-dm-message" data-message-id="${message.id}">Remind Me</button>
+        <button class="save-dm-message" data-message-id="${message.id}">${getSaveLabel(message.id)}</button>
       </div>
     `;
   } else {
@@ -264,6 +272,9 @@ export function renderDMMessage(message) {
       <div class="message-actions">
         <button class="quote-dm-message" data-message-id="${message.id}">Quote</button>
         <button class="copy-dm-message-link" data-message-id="${message.id}">Copy Link</button>
+        <button class="forward-dm-message" data-message-id="${message.id}">Forward</button>
+        <button class="remind-dm-message" data-message-id="${message.id}">Remind Me</button>
+        <button class="save-dm-message" data-message-id="${message.id}">${getSaveLabel(message.id)}</button>
       </div>
     `;
   }
@@ -274,10 +285,14 @@ export function renderDMMessage(message) {
       <div class="message-content">
         <div class="message-header">
           <span class="message-author">${message.author.userName}</span>
+          ${createStatusHtml(message.author.id)}
           <span class="message-time">${time}</span>
+          ${createEditedMarkerHtml(message)}
         </div>
         ${quoteHtml}
         <div class="message-text">${content}</div>
+        ${createForwardedHtml(message)}
+        ${createPollHtml(message)}
         ${imagesHtml}
         ${filesHtml}
         ${reactionsHtml}
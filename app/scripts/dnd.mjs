@@ -0,0 +1,118 @@
+/**
+ * @description Do not disturb, either on a weekly schedule or paused for a while.
+ * The server decides when it is active and advertises it in the user's presence.
+ */
+import { state } from './state.mjs';
+import {
+  dndScheduleEnabledInput,
+  dndStartInput,
+  dndEndInput,
+  dndPauseDurationSelect,
+  dndStatus
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { updateStatusIndicators } from './status.mjs';
+
+const DEFAULT_SCHEDULE = { days: [1, 2, 3, 4, 5], start: '18:00', end: '08:00' };
+
+/**
+ * @description Check if the current user is in do not disturb right now.
+ */
+export function isDoNotDisturbActive() {
+  return state.presence.get(state.currentUser?.id)?.doNotDisturb === true;
+}
+
+function getDayInputs() {
+  return document.querySelectorAll('.dnd-day input[type="checkbox"]');
+}
+
+function renderDoNotDisturb(doNotDisturb) {
+  const schedule = doNotDisturb?.schedule || DEFAULT_SCHEDULE;
+
+  dndScheduleEnabledInput.checked = Boolean(doNotDisturb?.schedule);
+  dndStartInput.value = schedule.start;
+  dndEndInput.value = schedule.end;
+  for (const input of getDayInputs()) input.checked = schedule.days.includes(Number(input.value));
+
+  const pausedUntil = doNotDisturb?.pausedUntil;
+  if (pausedUntil && pausedUntil > Date.now())
+    dndStatus.textContent = `Notifications paused until ${formatMessageTime(pausedUntil)}`;
+  else if (doNotDisturb?.isActive) dndStatus.textContent = 'Do not disturb is on by schedule';
+  else dndStatus.textContent = 'Notifications are on';
+}
+
+function applyDoNotDisturb(doNotDisturb) {
+  const userId = state.currentUser?.id;
+  const presence = state.presence.get(userId);
+  if (presence) state.presence.set(userId, { ...presence, doNotDisturb: doNotDisturb.isActive });
+
+  renderDoNotDisturb(doNotDisturb);
+  updateStatusIndicators();
+}
+
+async function updateDoNotDisturb(body, successMessage) {
+  try {
+    const response = await apiRequest('/users/me/do-not-disturb', 'PUT', body);
+    applyDoNotDisturb(response.doNotDisturb);
+    showToast(successMessage);
+  } catch (error) {
+    showToast(error.message || 'Failed to update do not disturb', 'error');
+  }
+}
+
+/**
+ * @description Fill the do not disturb form in the user settings.
+ */
+export async function fillDoNotDisturbForm() {
+  if (!dndStatus) return;
+
+  try {
+    const response = await apiRequest('/users/me/do-not-disturb');
+    renderDoNotDisturb(response.doNotDisturb);
+  } catch (error) {
+    console.warn('Failed to load do not disturb settings:', error);
+  }
+}
+
+/**
+ * @description Save the weekly schedule, in the time zone of the browser.
+ */
+export async function saveDoNotDisturbSchedule() {
+  if (!dndScheduleEnabledInput.checked)
+    return await updateDoNotDisturb({ schedule: null }, 'Schedule turned off');
+
+  const days = [...getDayInputs()]
+    .filter((input) => input.checked)
+    .map((input) => Number(input.value));
+
+  await updateDoNotDisturb(
+    {
+      schedule: {
+        days,
+        start: dndStartInput.value,
+        end: dndEndInput.value,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      }
+    },
+    'Schedule saved'
+  );
+}
+
+/**
+ * @description Pause notifications for the duration picked in the user settings.
+ */
+export async function pauseNotifications() {
+  await updateDoNotDisturb(
+    { pauseMinutes: Number(dndPauseDurationSelect.value) },
+    'Notifications paused'
+  );
+}
+
+/**
+ * @description End a pause before it runs out.
+ */
+export async function resumeNotifications() {
+  await updateDoNotDisturb({ pausedUntil: null }, 'Notifications resumed');
+}
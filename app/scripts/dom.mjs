@@ -15,23 +15,41 @@ export const channelTopicInput = document.getElementById('channel-topic');
 export const channelPrivateInput = document.getElementById('channel-private');
 export const channelMembersInput = document.getElementById('channel-members');
 export const channelsList = document.getElementById('channels-list');
+export const channelsHeader = document.getElementById('channels-header');
+export const channelsHeaderToggle = document.getElementById('channels-header-toggle');
+export const addSectionButton = document.getElementById('add-section-btn');
+export const sidebarSections = document.getElementById('sidebar-sections');
+export const archivedChannelsHeader = document.getElementById('archived-channels-header');
+export const archivedChannelsList = document.getElementById('archived-channels-list');
+export const archivedNotice = document.getElementById('archived-notice');
 export const closeChannelModal = document.getElementById('close-channel-modal');
 export const closeEditChannelModalEl = document.getElementById('close-edit-channel-modal');
 export const closeEditModalEl = document.getElementById('close-edit-modal');
 export const closeReactionModal = document.getElementById('close-reaction-modal');
 export const closeImagePreview = document.getElementById('close-image-preview');
 export const closePinsModal = document.getElementById('close-pins-modal');
+export const closeHistoryModal = document.getElementById('close-history-modal');
 export const closeSearchModal = document.getElementById('close-search-modal');
 export const closeServerSettingsModal = document.getElementById('close-server-settings-modal');
 export const createChannelModal = document.getElementById('create-channel-modal');
 export const createChannelSubmit = document.getElementById('create-channel-submit');
 export const currentChannelName = document.getElementById('current-channel-name');
 export const deleteChannelButton = document.getElementById('delete-channel-btn');
+export const archiveChannelButton = document.getElementById('archive-channel-btn');
 export const editChannelModal = document.getElementById('edit-channel-modal');
 export const editChannelNameInput = document.getElementById('edit-channel-name');
 export const editChannelTopicInput = document.getElementById('edit-channel-topic');
 export const editChannelPrivateInput = document.getElementById('edit-channel-private');
 export const editChannelMembersInput = document.getElementById('edit-channel-members');
+export const editChannelRoles = document.getElementById('edit-channel-roles');
+export const editChannelOwnersInput = document.getElementById('edit-channel-owners');
+export const editChannelModeratorsInput = document.getElementById('edit-channel-moderators');
+export const editChannelRetention = document.getElementById('edit-channel-retention');
+export const editChannelKeepForeverInput = document.getElementById('edit-channel-keep-forever');
+export const editChannelRetentionDaysInput = document.getElementById(
+  'edit-channel-retention-days'
+);
+export const editChannelMaxMessagesInput = document.getElementById('edit-channel-max-messages');
 export const editMessageInput = document.getElementById('edit-message-input');
 export const editMessageModal = document.getElementById('edit-message-modal');
 export const editMessageSubmit = document.getElementById('edit-message-submit');
@@ -61,6 +79,46 @@ export const searchResults = document.getElementById('search-results');
 export const pinsButton = document.getElementById('pins-button');
 export const pinsModal = document.getElementById('pins-modal');
 export const pinsList = document.getElementById('pins-list');
+export const savedButton = document.getElementById('saved-button');
+export const savedModal = document.getElementById('saved-modal');
+export const closeSavedModal = document.getElementById('close-saved-modal');
+export const savedList = document.getElementById('saved-list');
+export const historyModal = document.getElementById('history-modal');
+export const historyList = document.getElementById('history-list');
+export const createPollButton = document.getElementById('create-poll-button');
+export const pollModal = document.getElementById('poll-modal');
+export const closePollModal = document.getElementById('close-poll-modal');
+export const pollQuestionInput = document.getElementById('poll-question');
+export const pollOptionsInput = document.getElementById('poll-options');
+export const pollAllowMultipleInput = document.getElementById('poll-allow-multiple');
+export const pollAnonymousInput = document.getElementById('poll-anonymous');
+export const pollClosesAtInput = document.getElementById('poll-closes-at');
+export const createPollSubmit = document.getElementById('create-poll-submit');
+export const forwardModal = document.getElementById('forward-modal');
+export const closeForwardModal = document.getElementById('close-forward-modal');
+export const forwardTargetSelect = document.getElementById('forward-target');
+export const forwardCommentInput = document.getElementById('forward-comment');
+export const forwardSubmit = document.getElementById('forward-submit');
+export const activityButton = document.getElementById('activity-button');
+export const activityBadge = document.getElementById('activity-badge');
+export const activityModal = document.getElementById('activity-modal');
+export const closeActivityModal = document.getElementById('close-activity-modal');
+export const activityFilterAllButton = document.getElementById('activity-filter-all');
+export const activityFilterUnreadButton = document.getElementById('activity-filter-unread');
+export const activityMarkAllReadButton = document.getElementById('activity-mark-all-read');
+export const activityList = document.getElementById('activity-list');
+export const activityLoadMoreButton = document.getElementById('activity-load-more');
+export const remindersButton = document.getElementById('reminders-button');
+export const reminderModal = document.getElementById('reminder-modal');
+export const closeReminderModal = document.getElementById('close-reminder-modal');
+export const reminderIn20MinutesButton = document.getElementById('reminder-in-20-minutes');
+export const reminderTomorrowButton = document.getElementById('reminder-tomorrow');
+export const reminderCustomTimeInput = document.getElementById('reminder-custom-time');
+export const reminderNoteInput = document.getElementById('reminder-note');
+export const reminderSubmit = document.getElementById('reminder-submit');
+export const remindersModal = document.getElementById('reminders-modal');
+export const closeRemindersModal = document.getElementById('close-reminders-modal');
+export const remindersList = document.getElementById('reminders-list');
 export const quotedMessageBar = document.getElementById('quoted-message-bar');
 export const quotedMessageText = document.getElementById('quoted-message-text');
 export const clearQuoteButton = document.getElementById('clear-quote-btn');
@@ -95,6 +153,19 @@ export const userSettingsModal = document.getElementById('user-settings-modal');
 export const userSettingsNameInput = document.getElementById('user-settings-name');
 export const userSettingsSaveBtn = document.getElementById('user-settings-save-btn');
 export const closeUserSettingsBtn = document.getElementById('close-user-settings-btn');
+export const userStatusEmojiInput = document.getElementById('user-status-emoji');
+export const userStatusTextInput = document.getElementById('user-status-text');
+export const userStatusExpirySelect = document.getElementById('user-status-expiry');
+export const userStatusSaveBtn = document.getElementById('user-status-save-btn');
+export const userStatusClearBtn = document.getElementById('user-status-clear-btn');
+export const dndScheduleEnabledInput = document.getElementById('dnd-schedule-enabled');
+export const dndStartInput = document.getElementById('dnd-start');
+export const dndEndInput = document.getElementById('dnd-end');
+export const dndSaveBtn = document.getElementById('dnd-save-btn');
+export const dndPauseDurationSelect = document.getElementById('dnd-pause-duration');
+export const dndPauseBtn = document.getElementById('dnd-pause-btn');
+export const dndResumeBtn = document.getElementById('dnd-resume-btn');
+export const dndStatus = document.getElementById('dnd-status');
 
 // Password auth elements
 export const authPasswordInput = document.getElementById('auth-password');
@@ -110,6 +181,18 @@ export const startDmButton = document.getElementById('start-dm-btn');
 export const startDmModal = document.getElementById('start-dm-modal');
 export const closeStartDmModal = document.getElementById('close-start-dm-modal');
 export const dmUserList = document.getElementById('dm-user-list');
+export const dmGroupHint = document.getElementById('dm-group-hint');
+export const startGroupDmButton = document.getElementById('start-group-dm-btn');
+export const conversationMembersButton = document.getElementById('conversation-members-button');
+export const conversationMembersModal = document.getElementById('conversation-members-modal');
+export const closeConversationMembersModal = document.getElementById(
+  'close-conversation-members-modal'
+);
+export const conversationMembersList = document.getElementById('conversation-members-list');
+export const conversationAddSelect = document.getElementById('conversation-add-select');
+export const conversationAddButton = document.getElementById('conversation-add-btn');
+export const conversationAddHint = document.getElementById('conversation-add-hint');
+export const leaveConversationButton = document.getElementById('leave-conversation-btn');
 
 // Password reset elements
 export const authForgotPassword = document.getElementById('auth-forgot-password');
@@ -126,3 +209,46 @@ export const addWebhookButton = document.getElementById('add-webhook-btn');
 export const webhookNameInput = document.getElementById('webhook-name-input');
 export const webhookChannelSelect = document.getElementById('webhook-channel-select');
 export const webhooksList = document.getElementById('webhooks-list');
+
+// Outgoing webhook elements
+export const addOutgoingWebhookButton = document.getElementById('add-outgoing-webhook-btn');
+export const outgoingWebhookNameInput = document.getElementById('outgoing-webhook-name-input');
+export const outgoingWebhookUrlInput = document.getElementById('outgoing-webhook-url-input');
+export const outgoingWebhookChannelSelect = document.getElementById(
+  'outgoing-webhook-channel-select'
+);
+export const outgoingWebhookKeywordInput = document.getElementById(
+  'outgoing-webhook-keyword-input'
+);
+export const outgoingWebhookEventsList = document.getElementById('outgoing-webhook-events');
+export const outgoingWebhooksList = document.getElementById('outgoing-webhooks-list');
+
+// Bot elements
+export const addBotButton = document.getElementById('add-bot-btn');
+export const botNameInput = document.getElementById('bot-name-input');
+export const botScopesList = document.getElementById('bot-scopes');
+export const botsList = document.getElementById('bots-list');
+
+// Custom command elements
+export const addCommandButton = document.getElementById('add-command-btn');
+export const commandNameInput = document.getElementById('command-name-input');
+export const commandDescriptionInput = document.getElementById('command-description-input');
+export const commandUsageInput = document.getElementById('command-usage-input');
+export const commandCallbackUrlInput = document.getElementById('command-callback-url-input');
+export const customCommandsList = document.getElementById('custom-commands-list');
+
+// User group elements
+export const userGroupNameInput = document.getElementById('user-group-name-input');
+export const userGroupDescriptionInput = document.getElementById('user-group-description-input');
+export const userGroupMembersInput = document.getElementById('user-group-members-input');
+export const saveUserGroupButton = document.getElementById('save-user-group-btn');
+export const cancelUserGroupEditButton = document.getElementById('cancel-user-group-edit-btn');
+export const userGroupsList = document.getElementById('user-groups-list');
+
+// Role elements
+export const roleNameInput = document.getElementById('role-name-input');
+export const roleDescriptionInput = document.getElementById('role-description-input');
+export const rolePermissionsList = document.getElementById('role-permissions');
+export const saveRoleButton = document.getElementById('save-role-btn');
+export const cancelRoleEditButton = document.getElementById('cancel-role-edit-btn');
+export const rolesList = document.getElementById('roles-list');
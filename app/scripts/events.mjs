@@ -5,7 +5,8 @@ import {
   showToast,
   renderChannelItem,
   updateDocumentTitle,
-  showDesktopNotification
+  showDesktopNotification,
+  updateArchivedState
 } from './ui.mjs';
 import { appendMessage, updateMessageInUI, removeMessageFromUI } from './messages.mjs';
 import { updateReactionInUI } from './reactions.mjs';
@@ -13,9 +14,16 @@ import { loadChannels } from './channels.mjs';
 import {
   loadConversations,
   updateConversationInCache,
-  incrementDmUnread
+  incrementDmUnread,
+  handleConversationUpdate
 } from './conversations.mjs';
 import { appendDMMessage, updateDMMessageInView, removeDMMessageFromView } from './dmMessages.mjs';
+import { scheduleMarkAsRead, applyReadStateUpdate } from './unread.mjs';
+import { handleTypingEvent } from './typing.mjs';
+import { handleReminderEvent } from './reminders.mjs';
+import { updateStatusIndicators } from './status.mjs';
+import { isDoNotDisturbActive } from './dnd.mjs';
+import { isChannelMuted } from './sidebar.mjs';
 
 // Event-specific globals
 const MAX_SSE_RECONNECT_ATTEMPTS = 5;
@@ -67,15 +75,20 @@ export async function setupMessageEvents(channelId) {
             // If message is for current channel, append it
             if (data.payload.channelId === state.currentChannelId) {
               await appendMessage(data.payload);
+              scheduleMarkAsRead('channel', data.payload.channelId);
               if (isMentioned(data.payload)) {
                 const authorName = data.payload.author?.userName || 'Someone';
-                showToast(`${authorName} mentioned you`, 'info');
+                showMessageToast(`${authorName} mentioned you`);
                 showDesktopNotification('Mention', `${authorName}: ${data.payload.content}`);
               }
             } else {
               // Otherwise, increment the unread count
               const currentCount = state.unreadCounts.get(data.payload.channelId) || 0;
               state.unreadCounts.set(data.payload.channelId, currentCount + 1);
+              if (isMentioned(data.payload)) {
+                const mentionCount = state.mentionCounts.get(data.payload.channelId) || 0;
+                state.mentionCounts.set(data.payload.channelId, mentionCount + 1);
+              }
 
               // Find the channel in the list and update it
               const channelEl = document.querySelector(
@@ -94,19 +107,22 @@ export async function setupMessageEvents(channelId) {
                 );
               }
 
+              updateDocumentTitle();
+
+              // Muted channels only notify about mentions
+              if (isChannelMuted(data.payload.channelId) && !isMentioned(data.payload)) break;
+
               // Show toast notification for the message
               const authorName = data.payload.author?.userName || 'Someone';
               const channelName = channelEl
                 ? channelEl.querySelector('.channel-name').textContent
                 : 'another channel';
               const cleanChannelName = channelName.trim();
-              showToast(
+              showMessageToast(
                 isMentioned(data.payload)
                   ? `${authorName} mentioned you in #${cleanChannelName}`
-                  : `${authorName} posted in #${cleanChannelName}`,
-                'info'
+                  : `${authorName} posted in #${cleanChannelName}`
               );
-              updateDocumentTitle();
               showDesktopNotification(
                 isMentioned(data.payload)
                   ? `Mention in #${cleanChannelName}`
@@ -141,6 +157,7 @@ export async function setupMessageEvents(channelId) {
 
           case 'UPDATE_CHANNEL':
             state.channelCache.set(data.payload.id, data.payload);
+            updateArchivedState();
             loadChannels();
             // Update header if we're viewing the renamed channel
             if (data.payload.id === state.currentChannelId) {
@@ -229,7 +246,13 @@ export async function setupMessageEvents(channelId) {
           case 'UPDATE_USER':
             if (data.payload.id === state.currentUser.id) {
               state.currentUser.userName = data.payload.userName;
-              state.currentUser.isAdmin = data.payload.isAdmin;
+              if (
+                state.currentUser.isAdmin !== data.payload.isAdmin ||
+                state.currentUser.roleId !== data.payload.roleId
+              ) {
+                const { refreshPermissions } = await import('./roles.mjs');
+                await refreshPermissions();
+              }
               const { getInitials } = await import('./utils.mjs');
               document.getElementById('user-avatar').textContent = getInitials(
                 data.payload.userName
@@ -247,6 +270,10 @@ export async function setupMessageEvents(channelId) {
             await loadConversations();
             break;
 
+          case 'UPDATE_CONVERSATION':
+            await handleConversationUpdate(data.payload);
+            break;
+
           case 'NEW_DM_MESSAGE':
             // If this DM is for a conversation the user is part of
             if (data.payload.channelId.startsWith('dm:')) {
@@ -256,13 +283,18 @@ export async function setupMessageEvents(channelId) {
               ) {
                 // User is viewing this conversation - append the message
                 appendDMMessage(data.payload);
+                scheduleMarkAsRead('conversation', data.payload.channelId);
               } else {
                 // User is not viewing this conversation - increment unread
+                if (isMentioned(data.payload)) {
+                  const mentionCount = state.mentionCounts.get(data.payload.channelId) || 0;
+                  state.mentionCounts.set(data.payload.channelId, mentionCount + 1);
+                }
                 incrementDmUnread(data.payload.channelId);
 
                 // Show toast notification
                 const authorName = data.payload.author?.userName || 'Someone';
-                showToast(`${authorName} sent you a direct message`, 'info');
+                showMessageToast(`${authorName} sent you a direct message`);
                 updateDocumentTitle();
                 showDesktopNotification('Direct Message', `${authorName}: ${data.payload.content}`);
               }
@@ -297,9 +329,12 @@ export async function setupMessageEvents(channelId) {
 
             appendThreadReply(data.payload.reply);
 
+            if (state.threadPanelOpen && state.currentThreadId === data.payload.parentMessageId)
+              scheduleMarkAsRead('thread', data.payload.parentMessageId);
+
             if (data.payload.reply.author.id !== state.currentUser.id) {
               const authorName = data.payload.reply.author?.userName || 'Someone';
-              showToast(`${authorName} replied in a thread`, 'info');
+              showMessageToast(`${authorName} replied in a thread`);
               showDesktopNotification(
                 'Thread Reply',
                 `${authorName}: ${data.payload.reply.content}`
@@ -327,6 +362,36 @@ export async function setupMessageEvents(channelId) {
             break;
           }
 
+          case 'POLL_UPDATE': {
+            const { updatePollInView } = await import('./polls.mjs');
+            updatePollInView(data.payload.messageId, data.payload.poll);
+            break;
+          }
+
+          case 'TYPING':
+            handleTypingEvent(data.payload);
+            break;
+
+          case 'READ_STATE_UPDATE':
+            await applyReadStateUpdate(data.payload);
+            break;
+
+          case 'PREFERENCES_UPDATE': {
+            const { handlePreferencesUpdate } = await import('./sidebar.mjs');
+            handlePreferencesUpdate(data.payload);
+            break;
+          }
+
+          case 'COMMAND_RESPONSE': {
+            const { showCommandResponse } = await import('./commands.mjs');
+            showCommandResponse(data.payload);
+            break;
+          }
+
+          case 'REMINDER':
+            await handleReminderEvent(data.payload);
+            break;
+
           case 'UPDATE_SERVER_SETTINGS':
             if (data.payload.name) {
               const serverNameText = document.querySelector('.server-name-text');
@@ -334,10 +399,14 @@ export async function setupMessageEvents(channelId) {
             }
             break;
 
-          case 'PRESENCE_UPDATE':
+          case 'PRESENCE_UPDATE': {
             state.presence.set(data.payload.userId, data.payload);
+            const cachedUser = state.userCache.get(data.payload.userId);
+            if (cachedUser) cachedUser.customStatus = data.payload.customStatus;
             updatePresenceIndicators();
+            updateStatusIndicators();
             break;
+          }
 
           case 'NEW_WEBHOOK':
           case 'DELETE_WEBHOOK': {
@@ -347,6 +416,41 @@ export async function setupMessageEvents(channelId) {
             }
             break;
           }
+
+          case 'NEW_COMMAND':
+          case 'DELETE_COMMAND': {
+            const { handleCustomCommandEvent } = await import('./customCommands.mjs');
+            await handleCustomCommandEvent();
+            break;
+          }
+
+          case 'NEW_ACTIVITY': {
+            const { handleNewActivity } = await import('./activity.mjs');
+            handleNewActivity(data.payload);
+            break;
+          }
+
+          case 'ACTIVITY_UPDATE': {
+            const { handleActivityUpdate } = await import('./activity.mjs');
+            handleActivityUpdate(data.payload);
+            break;
+          }
+
+          case 'NEW_USER_GROUP':
+          case 'UPDATE_USER_GROUP':
+          case 'DELETE_USER_GROUP': {
+            const { handleUserGroupEvent } = await import('./userGroups.mjs');
+            handleUserGroupEvent(data);
+            break;
+          }
+
+          case 'NEW_ROLE':
+          case 'UPDATE_ROLE':
+          case 'DELETE_ROLE': {
+            const { handleRoleEvent } = await import('./roles.mjs');
+            await handleRoleEvent(data);
+            break;
+          }
         }
       } catch (error) {
         console.error('Error processing SSE event', error);
@@ -393,12 +497,27 @@ function isMentioned(message) {
   );
 }
 
+/**
+ * @description Toasts about new messages are notifications too,
+ * so they are held back during do not disturb, like desktop notifications.
+ */
+function showMessageToast(message) {
+  if (isDoNotDisturbActive()) return;
+  showToast(message, 'info');
+}
+
 function updatePresenceIndicators() {
   document.querySelectorAll('.dm-item').forEach((item) => {
     const conversation = state.conversationCache.get(item.dataset.conversationId);
     const userId = conversation?.otherUser?.id;
     const presence = userId ? state.presence.get(userId) : null;
     item.dataset.presence = presence?.status || 'offline';
+
+    const dot = item.querySelector('.presence-dot');
+    if (dot) {
+      dot.className = `presence-dot ${item.dataset.presence}`;
+      dot.classList.toggle('dnd', presence?.doNotDisturb === true);
+    }
   });
 }
 
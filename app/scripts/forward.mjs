@@ -0,0 +1,144 @@
+/**
+ * @description Forwarding messages into other channels and conversations.
+ */
+import { state } from './state.mjs';
+import { forwardModal, forwardTargetSelect, forwardCommentInput } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, closeAllModals } from './ui.mjs';
+import { sanitizeInput, formatDate, formatTime } from './utils.mjs';
+import { formatMessageContent } from './messages.mjs';
+import { icon } from './icons.mjs';
+import { getConversationLabel } from './conversations.mjs';
+
+let messageIdToForward = null;
+
+function getLocationLabel(channelId) {
+  if (channelId.startsWith('dm:')) return getConversationLabel(channelId);
+
+  return `#${state.channelCache.get(channelId)?.name || 'channel'}`;
+}
+
+function createTargetGroup(label, targets) {
+  const group = document.createElement('optgroup');
+  group.label = label;
+
+  for (const target of targets) {
+    const option = document.createElement('option');
+    option.value = target.id;
+    option.textContent = getLocationLabel(target.id);
+    group.appendChild(option);
+  }
+
+  return group;
+}
+
+/**
+ * @description Open the forward modal, listing every other channel and conversation.
+ */
+export function openForwardModal(messageId) {
+  if (!forwardModal) return;
+
+  const currentId = state.viewMode === 'dm' ? state.currentConversationId : state.currentChannelId;
+  const channels = Array.from(state.channelCache.values())
+    .filter((channel) => channel.id !== currentId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const conversations = Array.from(state.conversationCache.values()).filter(
+    (conversation) => conversation.id !== currentId
+  );
+
+  if (channels.length === 0 && conversations.length === 0) {
+    showToast('There is nowhere else to forward this message', 'info');
+    return;
+  }
+
+  messageIdToForward = messageId;
+
+  forwardTargetSelect.innerHTML = '';
+  if (channels.length > 0) forwardTargetSelect.appendChild(createTargetGroup('Channels', channels));
+  if (conversations.length > 0)
+    forwardTargetSelect.appendChild(createTargetGroup('Direct Messages', conversations));
+  forwardCommentInput.value = '';
+
+  forwardModal.classList.add('active');
+  forwardTargetSelect.focus();
+}
+
+/**
+ * @description Forward the message to the channel or conversation picked in the modal.
+ */
+export async function submitForward() {
+  const targetId = forwardTargetSelect.value;
+  if (!messageIdToForward || !targetId) return;
+
+  const content = sanitizeInput(forwardCommentInput.value.trim());
+  const body = targetId.startsWith('dm:')
+    ? { conversationId: targetId, content }
+    : { channelId: targetId, content };
+
+  try {
+    await apiRequest(`/messages/${messageIdToForward}/forward`, 'POST', body);
+    closeAllModals();
+    messageIdToForward = null;
+    showToast(`Forwarded to ${getLocationLabel(targetId)}`);
+  } catch (error) {
+    showToast(error.message || 'Failed to forward message', 'error');
+  }
+}
+
+/**
+ * @description Creates the attribution block for a forwarded message,
+ * with the original content and a link back to it.
+ */
+export function createForwardedHtml(message) {
+  const forwardedFrom = message.forwardedFrom;
+  if (!forwardedFrom) return '';
+
+  const authorName = forwardedFrom.author?.userName || 'Someone';
+  const sentAt = `${formatDate(forwardedFrom.createdAt)} ${formatTime(forwardedFrom.createdAt)}`;
+
+  return `
+    <div class="message-forward">
+      <div class="message-forward-header">
+        ${icon('arrow-right', 'icon forward-icon')}
+        <span>Forwarded from <strong>${authorName}</strong> in ${getLocationLabel(forwardedFrom.channelId)} · ${sentAt}</span>
+      </div>
+      <div class="message-forward-text">${formatMessageContent(forwardedFrom.content)}</div>
+      <a class="message-forward-link" href="#message-${forwardedFrom.messageId}" data-message-id="${forwardedFrom.messageId}" data-channel-id="${forwardedFrom.channelId}" data-thread-id="${forwardedFrom.threadId || ''}">View original</a>
+    </div>
+  `;
+}
+
+/**
+ * @description Go to the original of a forwarded message.
+ */
+export async function openForwardedOriginal(messageId, channelId, threadId) {
+  if (channelId.startsWith('dm:')) {
+    if (!state.conversationCache.has(channelId)) {
+      showToast('The original message is in a conversation you are not part of', 'info');
+      return;
+    }
+
+    const { selectConversation } = await import('./conversations.mjs');
+    await selectConversation(channelId);
+  } else {
+    const channel = state.channelCache.get(channelId);
+    if (!channel) {
+      showToast('The original message is in a channel you cannot access', 'info');
+      return;
+    }
+
+    const { selectChannel } = await import('./channels.mjs');
+    await selectChannel(channelId, channel.name);
+  }
+
+  if (threadId) {
+    const { openThread } = await import('./threads.mjs');
+    await openThread(threadId);
+  }
+
+  setTimeout(() => {
+    document.getElementById(`message-${messageId}`)?.scrollIntoView({
+      block: 'center'
+    });
+  }, 100);
+}
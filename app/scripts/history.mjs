@@ -0,0 +1,53 @@
+import { historyList, historyModal } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+
+/**
+ * @description Show the edit history of a message, newest version first.
+ */
+export async function openHistoryModal(messageId) {
+  if (!historyModal || !historyList || !messageId) return;
+
+  historyModal.classList.add('active');
+  historyList.innerHTML = '<div class="empty-list">Loading...</div>';
+
+  try {
+    const { message, revisions } = await apiRequest(`/messages/${messageId}/history`);
+    renderHistory(message, revisions || []);
+  } catch (error) {
+    historyList.innerHTML = '';
+    showToast(error.message || 'Failed to load edit history', 'error');
+  }
+}
+
+function renderHistory(message, revisions) {
+  historyList.innerHTML = '';
+
+  const versions = [
+    {
+      label: 'Current',
+      content: message.content,
+      timestamp: message.editedAt || message.createdAt
+    },
+    ...revisions
+      .map((revision, index) => ({
+        label: index === 0 ? 'Original' : `Edit ${index}`,
+        content: revision.content,
+        timestamp: revision.createdAt
+      }))
+      .reverse()
+  ];
+
+  for (const version of versions) {
+    const item = document.createElement('div');
+    item.className = 'history-entry';
+    item.innerHTML = `
+      <span class="history-entry-meta">${version.label} · ${formatMessageTime(version.timestamp)}</span>
+      <span class="history-entry-text"></span>
+    `;
+    item.querySelector('.history-entry-text').textContent = version.content || '(no text)';
+
+    historyList.appendChild(item);
+  }
+}
@@ -9,6 +9,8 @@ import {
   addUserPasswordInput,
   addUserButton,
   addChannelButton,
+  addSectionButton,
+  channelsHeaderToggle,
   authForgotPasswordLink,
   channelNameInput,
   channelTopicInput,
@@ -18,16 +20,39 @@ import {
   closeEditChannelModalEl,
   closeEditModalEl,
   closePinsModal,
+  closeHistoryModal,
+  closePollModal,
+  closeForwardModal,
+  forwardSubmit,
+  activityButton,
+  closeActivityModal,
+  activityFilterAllButton,
+  activityFilterUnreadButton,
+  activityMarkAllReadButton,
+  activityLoadMoreButton,
+  remindersButton,
+  closeReminderModal,
+  reminderIn20MinutesButton,
+  reminderTomorrowButton,
+  reminderSubmit,
+  closeRemindersModal,
+  savedButton,
+  closeSavedModal,
+  createPollButton,
+  createPollSubmit,
   closeReactionModal,
   closeSearchModal,
   closeImagePreview,
   closeServerSettingsModal,
   createChannelSubmit,
   deleteChannelButton,
+  archiveChannelButton,
+  archivedChannelsHeader,
   editChannelNameInput,
   editChannelTopicInput,
   editChannelPrivateInput,
   editChannelMembersInput,
+  editChannelKeepForeverInput,
   editMessageInput,
   editMessageSubmit,
   emailInput,
@@ -58,18 +83,41 @@ import {
   previewImage,
   startDmButton,
   closeStartDmModal,
+  startGroupDmButton,
+  conversationMembersButton,
+  closeConversationMembersModal,
+  conversationAddButton,
+  leaveConversationButton,
   addWebhookButton,
   webhookNameInput,
   webhookChannelSelect,
+  addOutgoingWebhookButton,
+  addCommandButton,
+  addBotButton,
+  saveUserGroupButton,
+  cancelUserGroupEditButton,
+  saveRoleButton,
+  cancelRoleEditButton,
   userSettingsButton,
   userSettingsNameInput,
   userSettingsSaveBtn,
-  closeUserSettingsBtn
+  closeUserSettingsBtn,
+  userStatusSaveBtn,
+  userStatusClearBtn,
+  dndSaveBtn,
+  dndPauseBtn,
+  dndResumeBtn
 } from './dom.mjs';
 
 import { signin, signout } from './auth.mjs';
 import { sendMessage, updateMessage } from './messages.mjs';
-import { createChannel, deleteChannel, updateChannelName, selectChannel } from './channels.mjs';
+import {
+  createChannel,
+  deleteChannel,
+  updateChannelName,
+  selectChannel,
+  toggleChannelArchived
+} from './channels.mjs';
 import { addReaction, removeReaction } from './reactions.mjs';
 import { handleAddImages, openImagePreview } from './images.mjs';
 import { handleAddFiles } from './files.mjs';
@@ -77,6 +125,7 @@ import { setTheme } from './theme.mjs';
 import { handleStart } from './start.mjs';
 import { setupMessageEvents } from './events.mjs';
 import { addUser } from './users.mjs';
+import { addSection, toggleSection } from './sidebar.mjs';
 import {
   openServerSettingsModal,
   hideServerSettingsModal,
@@ -92,17 +141,43 @@ import {
   closeEditChannelModal,
   closeEditModal,
   closeReactionPicker,
+  getEditChannelRetention,
+  getEditChannelRoles,
   openCreateChannelModal,
   openEditModal,
-  openReactionPicker
+  openReactionPicker,
+  toggleArchivedChannels,
+  toggleRetentionLimits
 } from './ui.mjs';
 import { apiRequest } from './api.mjs';
-import { openStartDmModal, closeStartDmModalFn } from './conversations.mjs';
+import {
+  openStartDmModal,
+  closeStartDmModalFn,
+  startGroupConversation,
+  openConversationMembersModal,
+  addConversationParticipant,
+  leaveCurrentConversation
+} from './conversations.mjs';
 import { deleteDMMessage, updateDMMessage } from './dmMessages.mjs';
 import { hasUserReactedWithEmoji } from './utils.mjs';
 import { openSearchModal, runSearch } from './search.mjs';
 import { openPinsModal } from './pins.mjs';
+import { openHistoryModal } from './history.mjs';
+import { closePoll, openPollModal, submitPoll, togglePollVote } from './polls.mjs';
+import { openForwardModal, openForwardedOriginal, submitForward } from './forward.mjs';
+import {
+  openReminderModal,
+  openRemindersModal,
+  submitReminder,
+  submitReminderForTomorrow
+} from './reminders.mjs';
+import { openActivityModal, loadActivity, markAllActivityRead } from './activity.mjs';
+import { openSavedModal, toggleSavedMessage } from './saved.mjs';
+import { saveCustomStatus, clearCustomStatus } from './status.mjs';
+import { saveDoNotDisturbSchedule, pauseNotifications, resumeNotifications } from './dnd.mjs';
 import { hideMentionSuggestions, updateMentionSuggestions } from './mentions.mjs';
+import { completeCommand, updateCommandSuggestions } from './commands.mjs';
+import { notifyTyping, resetTyping } from './typing.mjs';
 
 function resizeComposerInput() {
   if (!messageInput) return;
@@ -203,19 +278,27 @@ export function initializeListeners() {
       await sendMessage(content);
     } finally {
       resizeComposerInput();
+      resetTyping();
     }
   });
 
   messageInput?.addEventListener('keydown', (event) => {
+    if (event.key === 'Tab' && completeCommand()) {
+      event.preventDefault();
+      return;
+    }
+
     if (event.key === 'Enter' && !event.shiftKey) {
       event.preventDefault();
       sendButton.click();
       hideMentionSuggestions();
     }
   });
-  messageInput?.addEventListener('input', () => {
+  messageInput?.addEventListener('input', async () => {
     resizeComposerInput();
-    updateMentionSuggestions();
+    if (messageInput.value.trim()) notifyTyping();
+    // Commands are only suggested for the first word, so mentions work in their arguments
+    if (!(await updateCommandSuggestions())) await updateMentionSuggestions();
   });
   messageInput?.addEventListener('blur', () => {
     setTimeout(() => hideMentionSuggestions(), 120);
@@ -239,9 +322,79 @@ export function initializeListeners() {
 
   pinsButton?.addEventListener('click', () => openPinsModal());
   closePinsModal?.addEventListener('click', () => closeAllModals());
+  closeHistoryModal?.addEventListener('click', () => closeAllModals());
+
+  // Edited markers live in channel, DM and thread views alike
+  document.addEventListener('click', (event) => {
+    const editedMarker = event.target.closest('.message-edited');
+    if (editedMarker) openHistoryModal(editedMarker.dataset.messageId);
+  });
+
+  // Poll listeners
+  createPollButton?.addEventListener('click', () => openPollModal());
+  closePollModal?.addEventListener('click', () => closeAllModals());
+  createPollSubmit?.addEventListener('click', async () => await submitPoll());
+
+  messagesArea?.addEventListener('click', async (event) => {
+    const pollOption = event.target.closest('.poll-option');
+    if (pollOption) {
+      await togglePollVote(pollOption.dataset.messageId, pollOption.dataset.optionId);
+      return;
+    }
+
+    const pollCloseButton = event.target.closest('.poll-close');
+    if (pollCloseButton) await closePoll(pollCloseButton.dataset.messageId);
+  });
+
+  // Forward listeners
+  closeForwardModal?.addEventListener('click', () => closeAllModals());
+  forwardSubmit?.addEventListener('click', async () => await submitForward());
+
+  messagesArea?.addEventListener('click', async (event) => {
+    const forwardLink = event.target.closest('.message-forward-link');
+    if (!forwardLink) return;
+
+    event.preventDefault();
+    const { messageId, channelId, threadId } = forwardLink.dataset;
+    await openForwardedOriginal(messageId, channelId, threadId || undefined);
+  });
+
+  // Activity listeners
+  activityButton?.addEventListener('click', async () => await openActivityModal());
+  closeActivityModal?.addEventListener('click', () => closeAllModals());
+  activityFilterAllButton?.addEventListener(
+    'click',
+    async () => await loadActivity({ unreadOnly: false })
+  );
+  activityFilterUnreadButton?.addEventListener(
+    'click',
+    async () => await loadActivity({ unreadOnly: true })
+  );
+  activityMarkAllReadButton?.addEventListener('click', async () => await markAllActivityRead());
+  activityLoadMoreButton?.addEventListener(
+    'click',
+    async () => await loadActivity({ append: true })
+  );
+
+  // Reminder listeners
+  remindersButton?.addEventListener('click', async () => await openRemindersModal());
+  closeRemindersModal?.addEventListener('click', () => closeAllModals());
+  closeReminderModal?.addEventListener('click', () => closeAllModals());
+  reminderIn20MinutesButton?.addEventListener(
+    'click',
+    async () => await submitReminder({ inMinutes: 20 })
+  );
+  reminderTomorrowButton?.addEventListener('click', async () => await submitReminderForTomorrow());
+  reminderSubmit?.addEventListener('click', async () => await submitReminder());
+
+  // Saved message listeners
+  savedButton?.addEventListener('click', async () => await openSavedModal());
+  closeSavedModal?.addEventListener('click', () => closeAllModals());
 
   // Channel listeners
   addChannelButton?.addEventListener('click', () => openCreateChannelModal());
+  addSectionButton?.addEventListener('click', async () => await addSection());
+  channelsHeaderToggle?.addEventListener('click', async () => await toggleSection('channels'));
 
   createChannelSubmit?.addEventListener('click', async () => {
     const name = channelNameInput.value.trim();
@@ -272,6 +425,14 @@ export function initializeListeners() {
     }
   });
 
+  archiveChannelButton?.addEventListener('click', async () => {
+    if (!state.currentChannelForEdit) return;
+    await toggleChannelArchived(state.currentChannelForEdit).catch(() => {});
+    closeEditChannelModal();
+  });
+
+  archivedChannelsHeader?.addEventListener('click', () => toggleArchivedChannels());
+
   updateChannelSubmit?.addEventListener('click', async () => {
     const newName = editChannelNameInput.value.trim();
     if (newName && state.currentChannelForEdit) {
@@ -279,12 +440,16 @@ export function initializeListeners() {
       await updateChannelName(state.currentChannelForEdit.id, newName, {
         topic: editChannelTopicInput?.value.trim() || '',
         isPrivate: editChannelPrivateInput?.checked === true,
-        members
+        members,
+        retention: getEditChannelRetention(),
+        roles: await getEditChannelRoles(resolveMemberIds)
       });
       closeEditChannelModal();
     }
   });
 
+  editChannelKeepForeverInput?.addEventListener('change', () => toggleRetentionLimits());
+
   editChannelNameInput?.addEventListener('keydown', (event) => {
     if (event.key === 'Enter') {
       event.preventDefault();
@@ -442,6 +607,24 @@ export function initializeListeners() {
       return;
     }
 
+    const forwardDmBtn = event.target.closest('.forward-dm-message');
+    if (forwardDmBtn) {
+      openForwardModal(forwardDmBtn.dataset.messageId);
+      return;
+    }
+
+    const saveDmBtn = event.target.closest('.save-dm-message');
+    if (saveDmBtn) {
+      await toggleSavedMessage(saveDmBtn.dataset.messageId);
+      return;
+    }
+
+    const remindDmBtn = event.target.closest('.remind-dm-message');
+    if (remindDmBtn) {
+      openReminderModal(remindDmBtn.dataset.messageId);
+      return;
+    }
+
     // DM add reaction button
     const addReactionBtn = event.target.closest('.add-reaction[data-message-id]');
     if (addReactionBtn) {
@@ -544,6 +727,13 @@ export function initializeListeners() {
     }
   });
 
+  userStatusSaveBtn?.addEventListener('click', async () => await saveCustomStatus());
+  userStatusClearBtn?.addEventListener('click', async () => await clearCustomStatus());
+
+  dndSaveBtn?.addEventListener('click', async () => await saveDoNotDisturbSchedule());
+  dndPauseBtn?.addEventListener('click', async () => await pauseNotifications());
+  dndResumeBtn?.addEventListener('click', async () => await resumeNotifications());
+
   // User management listeners
   addUserButton?.addEventListener('click', async () => {
     const email = addEmailInput.value.trim();
@@ -577,6 +767,14 @@ export function initializeListeners() {
   // Direct Messages listeners
   startDmButton?.addEventListener('click', () => openStartDmModal());
   closeStartDmModal?.addEventListener('click', () => closeStartDmModalFn());
+  startGroupDmButton?.addEventListener('click', async () => await startGroupConversation());
+  conversationMembersButton?.addEventListener(
+    'click',
+    async () => await openConversationMembersModal()
+  );
+  closeConversationMembersModal?.addEventListener('click', () => closeAllModals());
+  conversationAddButton?.addEventListener('click', async () => await addConversationParticipant());
+  leaveConversationButton?.addEventListener('click', async () => await leaveCurrentConversation());
 
   // Webhook listeners
   addWebhookButton?.addEventListener('click', async () => {
@@ -587,6 +785,44 @@ export function initializeListeners() {
       await createWebhook(name, channelId);
     }
   });
+
+  // Outgoing webhook listeners
+  addOutgoingWebhookButton?.addEventListener('click', async () => {
+    const { createOutgoingWebhook } = await import('./outgoingWebhooks.mjs');
+    await createOutgoingWebhook();
+  });
+
+  // Custom command listeners
+  addCommandButton?.addEventListener('click', async () => {
+    const { createCustomCommand } = await import('./customCommands.mjs');
+    await createCustomCommand();
+  });
+
+  // Bot listeners
+  addBotButton?.addEventListener('click', async () => {
+    const { createBot } = await import('./bots.mjs');
+    await createBot();
+  });
+
+  // User group listeners
+  saveUserGroupButton?.addEventListener('click', async () => {
+    const { saveUserGroup } = await import('./userGroups.mjs');
+    await saveUserGroup();
+  });
+  cancelUserGroupEditButton?.addEventListener('click', async () => {
+    const { cancelUserGroupEdit } = await import('./userGroups.mjs');
+    cancelUserGroupEdit();
+  });
+
+  // Role listeners
+  saveRoleButton?.addEventListener('click', async () => {
+    const { saveRole } = await import('./roles.mjs');
+    await saveRole();
+  });
+  cancelRoleEditButton?.addEventListener('click', async () => {
+    const { cancelRoleEdit } = await import('./roles.mjs');
+    cancelRoleEdit();
+  });
 }
 
 async function resolveMemberIds(rawMembers) {
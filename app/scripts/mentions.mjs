@@ -1,6 +1,7 @@
 import { state } from './state.mjs';
 import { mentionSuggestions, messageInput } from './dom.mjs';
 import { apiRequest } from './api.mjs';
+import { loadUserGroups } from './userGroups.mjs';
 
 export async function updateMentionSuggestions() {
   if (!mentionSuggestions || !messageInput) return;
@@ -29,7 +30,17 @@ export async function updateMentionSuggestions() {
     .filter((name) => name.includes(query))
     .map((name) => ({ id: `@${name}`, userName: name }));
 
-  const suggestions = [...broadcast, ...users];
+  const userGroups = await loadUserGroups();
+  const groups = Array.from(userGroups.values())
+    .filter((group) => group.name.includes(query))
+    .slice(0, 4)
+    .map((group) => ({
+      id: group.id,
+      userName: group.name,
+      detail: `${group.members.length} member${group.members.length === 1 ? '' : 's'}`
+    }));
+
+  const suggestions = [...broadcast, ...groups, ...users];
   if (suggestions.length === 0) {
     hideMentionSuggestions();
     return;
@@ -41,6 +52,12 @@ export async function updateMentionSuggestions() {
     item.type = 'button';
     item.className = 'mention-suggestion';
     item.textContent = `@${suggestion.userName}`;
+    if (suggestion.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'mention-suggestion-detail';
+      detail.textContent = suggestion.detail;
+      item.appendChild(detail);
+    }
     item.addEventListener('click', () => insertMention(suggestion.userName));
     mentionSuggestions.appendChild(item);
   }
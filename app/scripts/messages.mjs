@@ -1,5 +1,5 @@
 import { state } from './state.mjs';
-import { messageInput, messagesArea, channelsList } from './dom.mjs';
+import { messageInput, messagesArea } from './dom.mjs';
 import { API_BASE_URL, MAX_CONTENT_LENGTH } from './config.mjs';
 import { getAccessToken } from './auth.mjs';
 import { apiRequest, fetchImageWithAuth } from './api.mjs';
@@ -12,10 +12,22 @@ import {
   renderReaction,
   updateQuotedMessageUI
 } from './ui.mjs';
-import { sanitizeInput, formatDate, formatTime, getInitials, parseMarkdown } from './utils.mjs';
+import {
+  sanitizeInput,
+  formatDate,
+  formatTime,
+  getInitials,
+  parseMarkdown,
+  getChannelRole
+} from './utils.mjs';
 import { clearPendingUploads, createImageUploadPayload } from './images.mjs';
 import { uploadPendingFiles, formatAttachmentSize } from './files.mjs';
 import { processReactions } from './reactions.mjs';
+import { createPollHtml } from './polls.mjs';
+import { createForwardedHtml, openForwardModal } from './forward.mjs';
+import { getSaveLabel, toggleSavedMessage } from './saved.mjs';
+import { createStatusHtml } from './status.mjs';
+import { getUserGroupByName } from './userGroups.mjs';
 import { icon } from './icons.mjs';
 
 /**
@@ -26,6 +38,15 @@ import { icon } from './icons.mjs';
  * data on the wrapping message.
  */
 export async function sendMessage(content) {
+  // Slash commands run on the server, which handles their text the way each command needs
+  const { isCommand, runCommand } = await import('./commands.mjs');
+  const hasPendingFiles = state.pendingUploads.length > 0 || state.pendingFiles.length > 0;
+  if (state.viewMode !== 'dm' && !hasPendingFiles && (await isCommand(content))) {
+    messageInput.value = '';
+    await runCommand(content.trim());
+    return;
+  }
+
   const sanitizedContent = sanitizeInput(content);
 
   if (
@@ -358,6 +379,15 @@ export function refreshQuotePreviewsForMessage(messageId) {
   }
 }
 
+/**
+ * @description Creates the "edited" marker that opens the message's edit history.
+ */
+export function createEditedMarkerHtml(message) {
+  if (!message.editedAt) return '';
+
+  return `<button class="message-edited" type="button" data-message-id="${message.id}" title="View edit history">(edited)</button>`;
+}
+
 /**
  * @description Creates the markup for the message.
  */
@@ -367,6 +397,7 @@ export function createMessageContent(message) {
   else if (message.author.id === state.currentUser.id) authorName = state.currentUser.userName;
 
   const avatarInitials = getInitials(authorName);
+  const canModerate = Boolean(getChannelRole(state.channelCache.get(message.channelId)));
   const timestamp = message.timestamp || message.createdAt;
   const time = formatTime(new Date(timestamp));
 
@@ -394,12 +425,16 @@ export function createMessageContent(message) {
   <div class="message-content">
     <div class="message-header">
       <span class="message-author">${authorName}</span>
+      ${createStatusHtml(message.author?.id)}
       ${message.author?.isBot ? '<span class="bot-badge">BOT</span>' : ''}
       <span class="message-time">${time}</span>
+      ${createEditedMarkerHtml(message)}
       ${message.pinnedAt ? '<span class="pinned-badge">Pinned</span>' : ''}
     </div>
     ${quoteHtml}
     ${textContent}
+    ${createForwardedHtml(message)}
+    ${createPollHtml(message)}
     <div class="message-images-container"></div>
     <div class="message-files-container"></div>
     <div class="message-reactions"></div>
@@ -411,7 +446,7 @@ export function createMessageContent(message) {
         <button class="message-edit" data-id="${message.id}">Edit</button>
         <button class="message-delete" data-id="${message.id}">Delete</button>
       `
-          : message.author?.isBot && state.currentUser?.isAdmin
+          : canModerate
             ? `<button class="message-delete" data-id="${message.id}">Delete</button>`
             : ''
       }
@@ -419,7 +454,11 @@ export function createMessageContent(message) {
       <div class="start-thread" data-id="${message.id}">Reply</div>
       <div class="quote-message" data-id="${message.id}">Quote</div>
       <div class="copy-message-link" data-id="${message.id}">Copy Link</div>
-      <div class="pin-message" data-id="${message.id}">${message.pinnedAt ? 'Unpin' : 'Pin'}</div>
+      <div class="forward-message" data-id="${message.id}">Forward</div>
+      <div class="remind-message" data-id="${message.id}">Remind Me</div>
+      <div class="save-message" data-id="${message.id}">${getSaveLabel(message.id)}</div>
+      ${canModerate ? `<div class="pin-message" data-id="${message.id}">${message.pinnedAt ? 'Unpin' : 'Pin'}</div>` : ''}
+      <div class="mark-unread" data-id="${message.id}">Mark Unread</div>
     </div>
   </div>
 `;
@@ -500,12 +539,32 @@ export function addMessageEventListeners(message, messageElement) {
       showToast('Message link copied');
     });
 
+  const forwardButton = messageElement.querySelector('.forward-message');
+  if (forwardButton) forwardButton.addEventListener('click', () => openForwardModal(message.id));
+
+  const remindButton = messageElement.querySelector('.remind-message');
+  if (remindButton)
+    remindButton.addEventListener('click', async () => {
+      const { openReminderModal } = await import('./reminders.mjs');
+      openReminderModal(message.id);
+    });
+
+  const saveButton = messageElement.querySelector('.save-message');
+  if (saveButton) saveButton.addEventListener('click', () => toggleSavedMessage(message.id));
+
   const pinButton = messageElement.querySelector('.pin-message');
   if (pinButton)
     pinButton.addEventListener('click', () =>
       toggleMessagePin(message.id, Boolean(message.pinnedAt))
     );
 
+  const markUnreadButton = messageElement.querySelector('.mark-unread');
+  if (markUnreadButton)
+    markUnreadButton.addEventListener('click', async () => {
+      const { markMessageUnread } = await import('./unread.mjs');
+      await markMessageUnread('channel', message.channelId, message.id);
+    });
+
   const threadBadge = messageElement.querySelector('.thread-badge');
   if (threadBadge)
     threadBadge.addEventListener('click', async () => {
@@ -796,7 +855,7 @@ export function linkifyChannels(text) {
   const channelPattern = /#([a-zA-Z0-9_-]+)/g;
 
   return text.replace(channelPattern, (match, channelName) => {
-    const channelEl = Array.from(channelsList.querySelectorAll('.channel-item')).find(
+    const channelEl = Array.from(document.querySelectorAll('.channel-item:not(.archived)')).find(
       (item) =>
         item
           .querySelector('.channel-name')
@@ -829,6 +888,10 @@ export function linkifyMentions(text) {
     if (userName === 'channel' || userName === 'here')
       return `<span class="mention mention-broadcast">${match}</span>`;
 
+    const group = getUserGroupByName(userName);
+    if (group)
+      return `<span class="mention mention-group" data-group-id="${group.id}">${match}</span>`;
+
     return match;
   });
 }
@@ -0,0 +1,265 @@
+/**
+ * @description Outgoing webhooks, which send chat events such as new messages to a URL.
+ * Every delivery and its retries are kept in a log that administrators can look at.
+ */
+import { state } from './state.mjs';
+import {
+  outgoingWebhookNameInput,
+  outgoingWebhookUrlInput,
+  outgoingWebhookChannelSelect,
+  outgoingWebhookKeywordInput,
+  outgoingWebhookEventsList,
+  outgoingWebhooksList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { icon } from './icons.mjs';
+
+const DEFAULT_EVENTS = ['NEW_MESSAGE'];
+
+function formatEventName(eventType) {
+  const name = eventType.toLowerCase().replace(/_/g, ' ');
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function formatDeliveryTime(timestamp) {
+  return new Intl.DateTimeFormat(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'medium'
+  }).format(new Date(timestamp));
+}
+
+/**
+ * @description Load and display the outgoing webhooks in the settings panel.
+ */
+export async function loadOutgoingWebhooks() {
+  if (!outgoingWebhooksList) return;
+
+  try {
+    const response = await apiRequest('/outgoing-webhooks');
+    renderEventOptions(response.events || []);
+    renderChannelOptions();
+    renderOutgoingWebhooks(response.webhooks || []);
+  } catch (_error) {
+    // Users without the permission get an error - silently ignore
+  }
+}
+
+function renderEventOptions(events) {
+  const selected = getSelectedEvents();
+  outgoingWebhookEventsList.innerHTML = '';
+
+  for (const eventType of events) {
+    const option = document.createElement('label');
+    option.className = 'role-permission-option';
+    option.innerHTML = '<input type="checkbox"><span></span>';
+
+    const checkbox = option.querySelector('input');
+    checkbox.value = eventType;
+    checkbox.checked = (selected.length > 0 ? selected : DEFAULT_EVENTS).includes(eventType);
+    option.querySelector('span').textContent = formatEventName(eventType);
+
+    outgoingWebhookEventsList.appendChild(option);
+  }
+}
+
+function renderChannelOptions() {
+  const selected = outgoingWebhookChannelSelect.value;
+  outgoingWebhookChannelSelect.innerHTML = '<option value="">All public channels</option>';
+
+  const channels = [...state.channelCache.values()]
+    .filter((channel) => !channel.archivedAt)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const channel of channels) {
+    const option = document.createElement('option');
+    option.value = channel.id;
+    option.textContent = `#${channel.name}`;
+    outgoingWebhookChannelSelect.appendChild(option);
+  }
+
+  outgoingWebhookChannelSelect.value = selected;
+}
+
+function getSelectedEvents() {
+  return [...outgoingWebhookEventsList.querySelectorAll('input[type="checkbox"]:checked')].map(
+    (checkbox) => checkbox.value
+  );
+}
+
+function describeFilters(webhook) {
+  const channel = webhook.channelId ? state.channelCache.get(webhook.channelId) : null;
+  const filters = [webhook.channelId ? `#${channel?.name || 'unknown'}` : 'All public channels'];
+  if (webhook.keyword) filters.push(`containing "${webhook.keyword}"`);
+  return filters.join(', ');
+}
+
+function renderOutgoingWebhooks(webhooks) {
+  outgoingWebhooksList.innerHTML = '';
+
+  if (webhooks.length === 0) {
+    outgoingWebhooksList.innerHTML =
+      '<div class="empty-list">No outgoing webhooks created yet</div>';
+    return;
+  }
+
+  for (const webhook of webhooks) {
+    const item = document.createElement('div');
+    item.className = 'webhook-item outgoing-webhook-item';
+    item.dataset.id = webhook.id;
+    item.innerHTML = `
+      <div class="webhook-info">
+        <div class="webhook-name"></div>
+        <div class="webhook-channel outgoing-webhook-events-summary"></div>
+        <div class="webhook-channel outgoing-webhook-filters"></div>
+        <div class="webhook-url-row">
+          <code class="webhook-url"></code>
+          <button class="btn webhook-copy-url show-deliveries">Deliveries</button>
+        </div>
+        <div class="webhook-deliveries" hidden></div>
+      </div>
+      <div class="webhook-actions">
+        <button class="remove-webhook" title="Delete Webhook">${icon('x-mark')}</button>
+      </div>
+    `;
+    item.querySelector('.webhook-name').textContent = webhook.name;
+    item.querySelector('.outgoing-webhook-events-summary').textContent = webhook.events
+      .map(formatEventName)
+      .join(', ');
+    item.querySelector('.outgoing-webhook-filters').textContent = describeFilters(webhook);
+    item.querySelector('.webhook-url').textContent = webhook.url;
+
+    item
+      .querySelector('.show-deliveries')
+      .addEventListener('click', async () => await toggleDeliveries(webhook, item));
+    item
+      .querySelector('.remove-webhook')
+      .addEventListener('click', async () => await deleteOutgoingWebhook(webhook));
+
+    outgoingWebhooksList.appendChild(item);
+  }
+}
+
+async function toggleDeliveries(webhook, item) {
+  const deliveriesList = item.querySelector('.webhook-deliveries');
+  if (!deliveriesList.hidden) {
+    deliveriesList.hidden = true;
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/outgoing-webhooks/${webhook.id}/deliveries`);
+    renderDeliveries(deliveriesList, response.deliveries || []);
+    deliveriesList.hidden = false;
+  } catch (error) {
+    showToast(error.message || 'Failed to load deliveries', 'error');
+  }
+}
+
+function renderDeliveries(deliveriesList, deliveries) {
+  deliveriesList.innerHTML = '';
+
+  if (deliveries.length === 0) {
+    deliveriesList.innerHTML = '<div class="empty-list">No deliveries yet</div>';
+    return;
+  }
+
+  for (const delivery of deliveries) {
+    const row = document.createElement('div');
+    row.className = `webhook-delivery ${delivery.status}`;
+    row.innerHTML = `
+      <span class="webhook-delivery-status"></span>
+      <span class="webhook-delivery-event"></span>
+      <span class="webhook-delivery-details"></span>
+      <span class="webhook-delivery-time"></span>
+    `;
+
+    const attempts = `${delivery.attempts} ${delivery.attempts === 1 ? 'attempt' : 'attempts'}`;
+    row.querySelector('.webhook-delivery-status').textContent = delivery.status;
+    row.querySelector('.webhook-delivery-event').textContent = formatEventName(delivery.eventType);
+    row.querySelector('.webhook-delivery-details').textContent = delivery.error
+      ? `${delivery.error} (${attempts})`
+      : `${delivery.statusCode || ''} (${attempts})`.trim();
+    row.querySelector('.webhook-delivery-time').textContent = formatDeliveryTime(
+      delivery.updatedAt
+    );
+
+    deliveriesList.appendChild(row);
+  }
+}
+
+function showSecret(secret) {
+  document.querySelector('.outgoing-webhook-secret-display')?.remove();
+
+  const secretDisplay = document.createElement('div');
+  secretDisplay.className = 'webhook-token-display outgoing-webhook-secret-display';
+  secretDisplay.innerHTML = `
+    <div class="webhook-token-label">Signing secret (copy now, shown only once):</div>
+    <code class="webhook-token-value"></code>
+    <button class="btn webhook-token-copy">Copy Secret</button>
+  `;
+  secretDisplay.querySelector('.webhook-token-value').textContent = secret;
+  secretDisplay.querySelector('.webhook-token-copy').addEventListener('click', () => {
+    navigator.clipboard.writeText(secret);
+    showToast('Secret copied to clipboard');
+  });
+
+  // Insert before the list so loading the webhooks again won't remove it
+  outgoingWebhooksList.before(secretDisplay);
+}
+
+/**
+ * @description Create an outgoing webhook from the settings form.
+ */
+export async function createOutgoingWebhook() {
+  const name = outgoingWebhookNameInput.value.trim();
+  const url = outgoingWebhookUrlInput.value.trim();
+  const events = getSelectedEvents();
+  if (!name || !url) {
+    showToast('Name and URL are required', 'error');
+    return;
+  }
+  if (events.length === 0) {
+    showToast('Choose at least one event', 'error');
+    return;
+  }
+
+  try {
+    showLoading();
+    const response = await apiRequest('/outgoing-webhooks', 'POST', {
+      name,
+      url,
+      events,
+      channelId: outgoingWebhookChannelSelect.value || undefined,
+      keyword: outgoingWebhookKeywordInput.value.trim()
+    });
+    hideLoading();
+
+    showToast('Outgoing webhook created');
+    showSecret(response.webhook.secret);
+
+    outgoingWebhookNameInput.value = '';
+    outgoingWebhookUrlInput.value = '';
+    outgoingWebhookKeywordInput.value = '';
+    await loadOutgoingWebhooks();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to create outgoing webhook', 'error');
+  }
+}
+
+async function deleteOutgoingWebhook(webhook) {
+  if (!confirm(`Are you sure you want to delete the outgoing webhook "${webhook.name}"?`)) return;
+
+  try {
+    showLoading();
+    await apiRequest(`/outgoing-webhooks/${webhook.id}`, 'DELETE');
+    hideLoading();
+
+    showToast(`Outgoing webhook "${webhook.name}" has been deleted`);
+    await loadOutgoingWebhooks();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to delete outgoing webhook', 'error');
+  }
+}
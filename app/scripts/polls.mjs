@@ -0,0 +1,231 @@
+import { state } from './state.mjs';
+import {
+  pollModal,
+  pollQuestionInput,
+  pollOptionsInput,
+  pollAllowMultipleInput,
+  pollAnonymousInput,
+  pollClosesAtInput
+} from './dom.mjs';
+import { MAX_CONTENT_LENGTH } from './config.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, closeAllModals } from './ui.mjs';
+import { sanitizeInput, formatDate, formatTime, hasPermission } from './utils.mjs';
+
+const pendingVoteLookups = new Set();
+
+/**
+ * @description Open the poll creation modal for the current channel or conversation.
+ */
+export function openPollModal() {
+  if (!pollModal) return;
+
+  const hasTarget =
+    state.viewMode === 'dm'
+      ? Boolean(state.currentConversationId)
+      : Boolean(state.currentChannelId);
+  if (!hasTarget) {
+    showToast('Open a channel or conversation to create a poll', 'info');
+    return;
+  }
+
+  pollQuestionInput.value = '';
+  pollOptionsInput.value = '';
+  pollAllowMultipleInput.checked = false;
+  pollAnonymousInput.checked = false;
+  pollClosesAtInput.value = '';
+
+  pollModal.classList.add('active');
+  pollQuestionInput.focus();
+}
+
+/**
+ * @description Post the poll from the modal as a new message.
+ */
+export async function submitPoll() {
+  const question = sanitizeInput(pollQuestionInput.value.trim());
+  const options = pollOptionsInput.value
+    .split('\n')
+    .map((option) => sanitizeInput(option.trim()))
+    .filter(Boolean);
+
+  if (!question) {
+    showToast('A poll needs a question', 'error');
+    return;
+  }
+
+  if (question.length > MAX_CONTENT_LENGTH) {
+    showToast(`Questions can be up to ${MAX_CONTENT_LENGTH} characters long`, 'error');
+    return;
+  }
+
+  if (options.length < 2) {
+    showToast('A poll needs at least two options', 'error');
+    return;
+  }
+
+  const poll = {
+    options,
+    allowMultiple: pollAllowMultipleInput.checked,
+    anonymous: pollAnonymousInput.checked
+  };
+  if (pollClosesAtInput.value) poll.closesAt = new Date(pollClosesAtInput.value).getTime();
+
+  try {
+    if (state.viewMode === 'dm' && state.currentConversationId) {
+      const response = await apiRequest(
+        `/conversations/${state.currentConversationId}/messages`,
+        'POST',
+        { content: question, poll }
+      );
+      const { appendDMMessage } = await import('./dmMessages.mjs');
+      if (response.message) appendDMMessage(response.message);
+    } else {
+      const response = await apiRequest(`/channels/${state.currentChannelId}/messages`, 'POST', {
+        content: question,
+        poll
+      });
+      const { appendMessage } = await import('./messages.mjs');
+      if (response.message) await appendMessage(response.message);
+    }
+
+    closeAllModals();
+  } catch (error) {
+    showToast(error.message || 'Failed to create poll', 'error');
+  }
+}
+
+function isPollClosed(poll) {
+  return Boolean(poll.closedAt) || (poll.closesAt !== undefined && poll.closesAt <= Date.now());
+}
+
+function getOwnVote(messageId, poll) {
+  if (poll.anonymous) return state.pollVotes.get(messageId) || [];
+
+  return poll.options
+    .filter((option) => option.voters?.includes(state.currentUser?.id))
+    .map((option) => option.id);
+}
+
+/**
+ * @description Anonymous polls don't say who voted for what,
+ * so ask the server which options the current user picked.
+ */
+async function loadOwnPollVote(messageId) {
+  if (pendingVoteLookups.has(messageId)) return;
+  pendingVoteLookups.add(messageId);
+
+  try {
+    const { poll, votedOptionIds } = await apiRequest(`/messages/${messageId}/poll`);
+    state.pollVotes.set(messageId, votedOptionIds || []);
+    updatePollInView(messageId, poll);
+  } catch (error) {
+    console.error('Failed to load poll vote:', error);
+  } finally {
+    pendingVoteLookups.delete(messageId);
+  }
+}
+
+/**
+ * @description Creates the markup for a poll, with a result bar per option.
+ */
+export function createPollHtml(message) {
+  const poll = message.poll;
+  if (!poll) return '';
+
+  if (poll.anonymous && !state.pollVotes.has(message.id)) loadOwnPollVote(message.id);
+
+  const isClosed = isPollClosed(poll);
+  const votedOptionIds = getOwnVote(message.id, poll);
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.voteCount, 0);
+
+  const optionsHtml = poll.options
+    .map((option) => {
+      const percent = totalVotes > 0 ? Math.round((option.voteCount / totalVotes) * 100) : 0;
+      const isVoted = votedOptionIds.includes(option.id);
+
+      return `
+        <button type="button" class="poll-option${isVoted ? ' poll-option-voted' : ''}" data-message-id="${message.id}" data-option-id="${option.id}" ${isClosed ? 'disabled' : ''}>
+          <span class="poll-option-bar" style="width: ${percent}%"></span>
+          <span class="poll-option-text">${option.text}</span>
+          <span class="poll-option-count">${option.voteCount} · ${percent}%</span>
+        </button>
+      `;
+    })
+    .join('');
+
+  const details = [
+    `${totalVotes} ${totalVotes === 1 ? 'vote' : 'votes'}`,
+    poll.allowMultiple ? 'Multiple choice' : 'Single choice'
+  ];
+  if (poll.anonymous) details.push('Anonymous');
+  if (isClosed) details.push('Closed');
+  else if (poll.closesAt)
+    details.push(`Closes ${formatDate(poll.closesAt)} ${formatTime(poll.closesAt)}`);
+
+  const canClose =
+    !isClosed &&
+    (message.author?.id === state.currentUser?.id || hasPermission('channels.manage'));
+
+  return `
+    <div class="message-poll" data-message-id="${message.id}">
+      ${optionsHtml}
+      <div class="poll-footer">
+        <span class="poll-details">${details.join(' · ')}</span>
+        ${canClose ? `<button type="button" class="poll-close" data-message-id="${message.id}">Close poll</button>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @description Re-render the result bars of a poll wherever it is shown.
+ */
+export function updatePollInView(messageId, poll) {
+  const cachedMessage = state.messageCache.get(messageId);
+  if (!cachedMessage) return;
+
+  cachedMessage.poll = poll;
+  state.messageCache.set(messageId, cachedMessage);
+
+  const pollElement = document.querySelector(`.message-poll[data-message-id="${messageId}"]`);
+  if (pollElement) pollElement.outerHTML = createPollHtml(cachedMessage);
+}
+
+/**
+ * @description Vote for an option. Picking a voted option again removes it from the vote.
+ */
+export async function togglePollVote(messageId, optionId) {
+  const message = state.messageCache.get(messageId);
+  if (!message?.poll) return;
+
+  const currentVote = getOwnVote(messageId, message.poll);
+  let optionIds;
+  if (currentVote.includes(optionId)) optionIds = currentVote.filter((id) => id !== optionId);
+  else optionIds = message.poll.allowMultiple ? [...currentVote, optionId] : [optionId];
+
+  try {
+    const { poll, votedOptionIds } = await apiRequest(`/messages/${messageId}/poll/vote`, 'POST', {
+      optionIds
+    });
+    state.pollVotes.set(messageId, votedOptionIds);
+    updatePollInView(messageId, poll);
+  } catch (error) {
+    showToast(error.message || 'Failed to vote', 'error');
+  }
+}
+
+/**
+ * @description Close a poll so no more votes can be cast.
+ */
+export async function closePoll(messageId) {
+  if (!confirm('Close this poll? No more votes can be cast.')) return;
+
+  try {
+    const { poll } = await apiRequest(`/messages/${messageId}/poll/close`, 'POST');
+    updatePollInView(messageId, poll);
+    showToast('Poll closed');
+  } catch (error) {
+    showToast(error.message || 'Failed to close poll', 'error');
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * @description Reminders about messages, set from the message actions and
+ * delivered privately when they are due.
+ */
+import { state } from './state.mjs';
+import {
+  reminderModal,
+  reminderCustomTimeInput,
+  reminderNoteInput,
+  remindersModal,
+  remindersList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showDesktopNotification, closeAllModals } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { openForwardedOriginal } from './forward.mjs';
+import { getConversationLabel } from './conversations.mjs';
+
+const SNOOZE_MINUTES = 60;
+const MORNING_HOUR = 9;
+
+let messageIdToRemind = null;
+
+function getTomorrowMorning() {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(MORNING_HOUR, 0, 0, 0);
+  return date.getTime();
+}
+
+function getLocationLabel(channelId) {
+  if (!channelId) return '';
+  if (channelId.startsWith('dm:')) return getConversationLabel(channelId);
+
+  return `#${state.channelCache.get(channelId)?.name || 'channel'}`;
+}
+
+function getReminderText(reminder, message) {
+  if (reminder.note) return reminder.note;
+
+  const cached =
+    message ||
+    state.messageCache.get(reminder.messageId) ||
+    state.dmMessageCache.get(reminder.messageId);
+  if (cached?.content) return cached.content;
+
+  return `A message in ${getLocationLabel(reminder.channelId)}`;
+}
+
+/**
+ * @description Open the reminder modal for a message.
+ */
+export function openReminderModal(messageId) {
+  if (!reminderModal) return;
+
+  messageIdToRemind = messageId;
+  reminderCustomTimeInput.value = '';
+  reminderNoteInput.value = '';
+
+  reminderModal.classList.add('active');
+}
+
+/**
+ * @description Set a reminder for the message picked in the reminder modal.
+ * The time is either a number of minutes from now or a point in time.
+ */
+export async function submitReminder({ inMinutes, remindAt } = {}) {
+  if (!messageIdToRemind) return;
+
+  const customTime = reminderCustomTimeInput.value;
+  const time = inMinutes
+    ? { inMinutes }
+    : { remindAt: remindAt || (customTime ? new Date(customTime).getTime() : undefined) };
+
+  if (!time.inMinutes && !time.remindAt) {
+    showToast('Pick a time for the reminder', 'error');
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/reminders', 'POST', {
+      messageId: messageIdToRemind,
+      note: reminderNoteInput.value.trim() || undefined,
+      ...time
+    });
+    closeAllModals();
+    messageIdToRemind = null;
+    showToast(`Reminder set for ${formatMessageTime(response.reminder.remindAt)}`);
+  } catch (error) {
+    showToast(error.message || 'Failed to set reminder', 'error');
+  }
+}
+
+/**
+ * @description Set a reminder for tomorrow morning.
+ */
+export async function submitReminderForTomorrow() {
+  await submitReminder({ remindAt: getTomorrowMorning() });
+}
+
+/**
+ * @description Open the list of the user's reminders.
+ */
+export async function openRemindersModal() {
+  if (!remindersModal || !remindersList) return;
+
+  remindersModal.classList.add('active');
+  remindersList.innerHTML = '<div class="empty-list">Loading...</div>';
+
+  await loadReminders();
+}
+
+async function loadReminders() {
+  try {
+    const response = await apiRequest('/reminders');
+    renderReminders(response.reminders || []);
+  } catch (error) {
+    showToast(error.message || 'Failed to load reminders', 'error');
+  }
+}
+
+function renderReminders(reminders) {
+  remindersList.innerHTML = '';
+
+  if (reminders.length === 0) {
+    remindersList.innerHTML = '<div class="empty-list">No reminders</div>';
+    return;
+  }
+
+  for (const reminder of reminders) {
+    const item = document.createElement('div');
+    item.className = `reminder-item${reminder.deliveredAt ? ' reminder-due' : ''}`;
+    item.innerHTML = `
+      <span class="reminder-item-meta">${reminder.deliveredAt ? 'Due' : 'Upcoming'} · ${formatMessageTime(reminder.remindAt)}</span>
+      <span class="reminder-item-text"></span>
+      <div class="reminder-item-actions">
+        ${reminder.messageId ? '<button class="btn btn-secondary reminder-view">View</button>' : ''}
+        <button class="btn btn-secondary reminder-snooze">Snooze 1 hour</button>
+        <button class="btn reminder-complete">Done</button>
+      </div>
+    `;
+    item.querySelector('.reminder-item-text').textContent = getReminderText(reminder);
+
+    item.querySelector('.reminder-view')?.addEventListener('click', async () => {
+      closeAllModals();
+      await openForwardedOriginal(reminder.messageId, reminder.channelId, reminder.threadId);
+    });
+    item
+      .querySelector('.reminder-snooze')
+      .addEventListener('click', async () => await snoozeReminder(reminder.id));
+    item
+      .querySelector('.reminder-complete')
+      .addEventListener('click', async () => await completeReminder(reminder.id));
+
+    remindersList.appendChild(item);
+  }
+}
+
+async function snoozeReminder(reminderId) {
+  try {
+    await apiRequest(`/reminders/${reminderId}/snooze`, 'POST', { inMinutes: SNOOZE_MINUTES });
+    await loadReminders();
+  } catch (error) {
+    showToast(error.message || 'Failed to snooze reminder', 'error');
+  }
+}
+
+async function completeReminder(reminderId) {
+  try {
+    await apiRequest(`/reminders/${reminderId}/complete`, 'POST');
+    await loadReminders();
+  } catch (error) {
+    showToast(error.message || 'Failed to complete reminder', 'error');
+  }
+}
+
+/**
+ * @description Tell the user about a reminder that is due.
+ */
+export async function handleReminderEvent({ reminder, message }) {
+  const text = getReminderText(reminder, message);
+
+  showToast(`Reminder: ${text}`, 'info');
+  showDesktopNotification('Reminder', text);
+
+  if (remindersModal?.classList.contains('active')) await loadReminders();
+}
@@ -0,0 +1,243 @@
+/**
+ * @description Custom roles, which grant their users a selection of administrative
+ * permissions. Users with the `roles.manage` permission manage them in the server settings.
+ */
+import { state } from './state.mjs';
+import {
+  roleNameInput,
+  roleDescriptionInput,
+  rolePermissionsList,
+  saveRoleButton,
+  cancelRoleEditButton,
+  rolesList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { icon } from './icons.mjs';
+
+const PERMISSION_LABELS = {
+  'users.manage': 'Add and remove users',
+  'roles.manage': 'Manage roles and assign them',
+  'channels.manage': 'Manage all channels, including private ones',
+  'webhooks.manage': 'Manage webhooks and slash commands',
+  'user-groups.manage': 'Manage user groups',
+  'trash.manage': 'Restore deleted messages',
+  'legal-holds.manage': 'Manage legal holds',
+  'audit-log.view': 'View the audit log',
+  'data.export': 'Export server data',
+  'server.settings.manage': 'Change server settings'
+};
+
+let roleIdToEdit = null;
+let permissions = Object.keys(PERMISSION_LABELS);
+
+/**
+ * @description Load the roles into the state, unless they are already loaded.
+ */
+export async function loadRoles({ force = false } = {}) {
+  if (state.roles && !force) return state.roles;
+
+  try {
+    const response = await apiRequest('/roles');
+    state.roles = new Map((response.roles || []).map((role) => [role.id, role]));
+    if (response.permissions) permissions = response.permissions;
+  } catch (error) {
+    console.warn('Failed to load roles:', error);
+    state.roles = new Map();
+  }
+
+  return state.roles;
+}
+
+/**
+ * @description Get the name of a user's role, for showing next to the user.
+ */
+export function getRoleLabel(user) {
+  if (user.isAdmin) return 'Admin';
+  return (user.roleId && state.roles?.get(user.roleId)?.name) || 'User';
+}
+
+/**
+ * @description Keep the loaded roles, the permissions of the current user
+ * and the settings list up to date.
+ */
+export async function handleRoleEvent(event) {
+  if (state.roles) {
+    if (event.type === 'DELETE_ROLE') state.roles.delete(event.payload.id);
+    else state.roles.set(event.payload.id, event.payload);
+  }
+
+  if (event.payload.id === state.currentUser?.roleId) await refreshPermissions();
+
+  if (rolesList?.closest('.settings-view')?.classList.contains('active')) renderRoles();
+}
+
+/**
+ * @description Fetch the role and permissions of the current user again,
+ * such as after their role changed, and update the visible settings.
+ */
+export async function refreshPermissions() {
+  try {
+    const response = await apiRequest('/auth/me');
+    if (!response.user) return;
+
+    state.currentUser.isAdmin = response.user.isAdmin;
+    state.currentUser.roleId = response.user.roleId;
+    state.currentUser.permissions = response.user.permissions || [];
+
+    const { setPermissionVisibility } = await import('./settings.mjs');
+    setPermissionVisibility();
+  } catch (error) {
+    console.warn('Failed to refresh permissions:', error);
+  }
+}
+
+function renderPermissionOptions(selected = []) {
+  rolePermissionsList.querySelectorAll('.role-permission-option').forEach((item) => {
+    item.remove();
+  });
+
+  for (const permission of permissions) {
+    const option = document.createElement('label');
+    option.className = 'role-permission-option';
+    option.innerHTML = '<input type="checkbox"><span></span>';
+
+    const checkbox = option.querySelector('input');
+    checkbox.value = permission;
+    checkbox.checked = selected.includes(permission);
+    option.querySelector('span').textContent = PERMISSION_LABELS[permission] || permission;
+
+    rolePermissionsList.appendChild(option);
+  }
+}
+
+function getSelectedPermissions() {
+  return [...rolePermissionsList.querySelectorAll('input[type="checkbox"]:checked')].map(
+    (checkbox) => checkbox.value
+  );
+}
+
+function resetRoleForm() {
+  roleIdToEdit = null;
+  roleNameInput.value = '';
+  roleDescriptionInput.value = '';
+  renderPermissionOptions();
+  saveRoleButton.textContent = 'Create Role';
+  cancelRoleEditButton.hidden = true;
+}
+
+/**
+ * @description Load and display the roles in the settings panel.
+ */
+export async function loadRoleSettings() {
+  if (!rolesList) return;
+
+  await loadRoles({ force: true });
+  resetRoleForm();
+  renderRoles();
+}
+
+function renderRoles() {
+  const roles = [...(state.roles?.values() || [])].sort((a, b) => a.name.localeCompare(b.name));
+  rolesList.innerHTML = '';
+
+  if (roles.length === 0) {
+    rolesList.innerHTML = '<div class="empty-list">No roles created yet</div>';
+    return;
+  }
+
+  for (const role of roles) {
+    const item = document.createElement('div');
+    item.className = 'role-item';
+    item.innerHTML = `
+      <div class="role-info">
+        <div class="role-name"></div>
+        <div class="role-description"></div>
+        <div class="role-permission-summary"></div>
+      </div>
+      <div class="role-actions">
+        <button class="btn btn-secondary edit-role">Edit</button>
+        <button class="remove-role" title="Delete Role">${icon('x-mark')}</button>
+      </div>
+    `;
+    item.querySelector('.role-name').textContent = role.name;
+    item.querySelector('.role-description').textContent = role.description || '';
+    item.querySelector('.role-permission-summary').textContent =
+      role.permissions.length > 0
+        ? role.permissions
+            .map((permission) => PERMISSION_LABELS[permission] || permission)
+            .join(', ')
+        : 'No permissions';
+
+    item.querySelector('.edit-role').addEventListener('click', () => editRole(role));
+    item
+      .querySelector('.remove-role')
+      .addEventListener('click', async () => await deleteRole(role));
+
+    rolesList.appendChild(item);
+  }
+}
+
+function editRole(role) {
+  roleIdToEdit = role.id;
+  roleNameInput.value = role.name;
+  roleDescriptionInput.value = role.description || '';
+  renderPermissionOptions(role.permissions);
+  saveRoleButton.textContent = 'Save Role';
+  cancelRoleEditButton.hidden = false;
+  roleNameInput.focus();
+}
+
+/**
+ * @description Create a role from the settings form, or save the one being edited.
+ */
+export async function saveRole() {
+  const name = roleNameInput.value.trim();
+  if (!name) {
+    showToast('Role name is required', 'error');
+    return;
+  }
+
+  const body = {
+    name,
+    description: roleDescriptionInput.value.trim(),
+    permissions: getSelectedPermissions()
+  };
+
+  try {
+    showLoading();
+    if (roleIdToEdit) await apiRequest(`/roles/${roleIdToEdit}`, 'PUT', body);
+    else await apiRequest('/roles', 'POST', body);
+    hideLoading();
+
+    showToast(roleIdToEdit ? 'Role updated' : 'Role created');
+    resetRoleForm();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to save role', 'error');
+  }
+}
+
+/**
+ * @description Stop editing a role and clear the settings form.
+ */
+export function cancelRoleEdit() {
+  resetRoleForm();
+}
+
+async function deleteRole(role) {
+  const question = `Are you sure you want to delete the role "${role.name}"?`;
+  if (!confirm(`${question} Its users become regular users.`)) return;
+
+  try {
+    showLoading();
+    await apiRequest(`/roles/${role.id}`, 'DELETE');
+    hideLoading();
+
+    if (roleIdToEdit === role.id) resetRoleForm();
+    showToast(`Role "${role.name}" has been deleted`);
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to delete role', 'error');
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * @description Saved messages, a private list of messages across channels,
+ * conversations and threads.
+ */
+import { state } from './state.mjs';
+import { savedModal, savedList } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, closeAllModals } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { openForwardedOriginal } from './forward.mjs';
+import { getConversationLabel } from './conversations.mjs';
+
+function getLocationLabel(channelId) {
+  if (channelId.startsWith('dm:')) return getConversationLabel(channelId);
+
+  return `#${state.channelCache.get(channelId)?.name || 'channel'}`;
+}
+
+/**
+ * @description Get the label for the save action of a message.
+ */
+export function getSaveLabel(messageId) {
+  return state.savedMessageIds.has(messageId) ? 'Unsave' : 'Save';
+}
+
+function updateSaveButtons(messageId) {
+  const buttons = document.querySelectorAll(
+    [
+      `.save-message[data-id="${messageId}"]`,
+      `.save-dm-message[data-message-id="${messageId}"]`,
+      `.thread-reply-save[data-reply-id="${messageId}"]`
+    ].join(', ')
+  );
+
+  for (const button of buttons) button.textContent = getSaveLabel(messageId);
+}
+
+/**
+ * @description Load which messages the user has saved, so the message actions
+ * can offer to save or unsave them.
+ */
+export async function loadSavedMessageIds() {
+  try {
+    const response = await apiRequest('/saved');
+    state.savedMessageIds = new Set(
+      (response.savedMessages || []).map((savedMessage) => savedMessage.messageId)
+    );
+  } catch (error) {
+    console.warn('Failed to load saved messages:', error);
+  }
+}
+
+/**
+ * @description Save a message, or unsave it if it is already saved.
+ */
+export async function toggleSavedMessage(messageId) {
+  const isSaved = state.savedMessageIds.has(messageId);
+
+  try {
+    if (isSaved) {
+      await apiRequest(`/saved/${messageId}`, 'DELETE');
+      state.savedMessageIds.delete(messageId);
+    } else {
+      await apiRequest('/saved', 'POST', { messageId });
+      state.savedMessageIds.add(messageId);
+    }
+
+    updateSaveButtons(messageId);
+    showToast(isSaved ? 'Removed from saved messages' : 'Message saved');
+  } catch (error) {
+    showToast(error.message || 'Failed to update saved messages', 'error');
+  }
+}
+
+/**
+ * @description Open the list of the user's saved messages.
+ */
+export async function openSavedModal() {
+  if (!savedModal || !savedList) return;
+
+  savedModal.classList.add('active');
+  savedList.innerHTML = '<div class="empty-list">Loading...</div>';
+
+  try {
+    const response = await apiRequest('/saved');
+    const savedMessages = response.savedMessages || [];
+    state.savedMessageIds = new Set(savedMessages.map((savedMessage) => savedMessage.messageId));
+    renderSavedMessages(savedMessages);
+  } catch (error) {
+    showToast(error.message || 'Failed to load saved messages', 'error');
+  }
+}
+
+function renderSavedMessages(savedMessages) {
+  savedList.innerHTML = '';
+
+  if (savedMessages.length === 0) {
+    savedList.innerHTML = '<div class="empty-list">No saved messages</div>';
+    return;
+  }
+
+  for (const { message } of savedMessages) {
+    const item = document.createElement('div');
+    item.className = 'saved-result';
+    item.innerHTML = `
+      <button type="button" class="saved-result-open">
+        <span class="saved-result-meta">${message.author?.userName || 'Someone'} in ${getLocationLabel(message.channelId)}${message.threadId ? ' (thread)' : ''} · ${formatMessageTime(message.createdAt)}</span>
+        <span class="saved-result-text"></span>
+      </button>
+      <button type="button" class="btn btn-secondary saved-result-remove">Unsave</button>
+    `;
+    item.querySelector('.saved-result-text').textContent =
+      message.content || message.attachments?.[0]?.originalName || 'Attachment';
+
+    item.querySelector('.saved-result-open').addEventListener('click', async () => {
+      closeAllModals();
+      await openForwardedOriginal(message.id, message.channelId, message.threadId);
+    });
+    item.querySelector('.saved-result-remove').addEventListener('click', async () => {
+      await toggleSavedMessage(message.id);
+      if (state.savedMessageIds.has(message.id)) return;
+
+      item.remove();
+      if (savedList.children.length === 0)
+        savedList.innerHTML = '<div class="empty-list">No saved messages</div>';
+    });
+
+    savedList.appendChild(item);
+  }
+}
@@ -21,8 +21,10 @@ import {
 import { apiRequest } from './api.mjs';
 import { showToast, showLoading, hideLoading } from './ui.mjs';
 import { loadUsers } from './users.mjs';
-import { getInitials } from './utils.mjs';
+import { getInitials, hasPermission } from './utils.mjs';
 import { storage } from './storage.mjs';
+import { fillStatusForm } from './status.mjs';
+import { fillDoNotDisturbForm } from './dnd.mjs';
 
 const auditState = {
   hasMore: false,
@@ -34,29 +36,32 @@ const auditState = {
 let settingsNavigationBound = false;
 let auditControlsBound = false;
 
-function isAdminSettingsView(element) {
-  return element?.classList?.contains('admin-only') ?? false;
+function canSeeSettingsElement(element) {
+  const permission = element?.dataset?.permission;
+  return !permission || hasPermission(permission);
 }
 
-function setAdminSettingsVisibility() {
-  const isAdmin = Boolean(state.currentUser?.isAdmin);
-
-  serverSettingsModal.querySelectorAll('.admin-only').forEach((element) => {
-    element.hidden = !isAdmin;
+/**
+ * @description Show only the settings that the permissions of the current user allow,
+ * based on the `data-permission` attribute of each element.
+ */
+export function setPermissionVisibility() {
+  serverSettingsModal.querySelectorAll('[data-permission]').forEach((element) => {
+    const isVisible = canSeeSettingsElement(element);
+    element.hidden = !isVisible;
     if (element.classList.contains('settings-view'))
-      element.style.display = isAdmin ? '' : 'none';
+      element.style.display = isVisible ? '' : 'none';
   });
 }
 
 function showSettingsView(viewName) {
-  const isAdmin = Boolean(state.currentUser?.isAdmin);
   const panels = [...serverSettingsModal.querySelectorAll('.settings-view')];
   const navItems = [...serverSettingsModal.querySelectorAll('.settings-nav-item')];
   const target =
     panels.find((panel) => panel.dataset.settingsView === viewName) ||
     panels.find((panel) => panel.dataset.settingsView === 'general');
 
-  if (!target || (isAdminSettingsView(target) && !isAdmin)) {
+  if (!target || !canSeeSettingsElement(target)) {
     showSettingsView('general');
     return;
   }
@@ -72,6 +77,12 @@ function showSettingsView(viewName) {
   }
 
   if (target.dataset.settingsView === 'audit') loadAuditLog();
+  if (target.dataset.settingsView === 'trash')
+    import('./trash.mjs').then(({ loadTrash }) => loadTrash());
+  if (target.dataset.settingsView === 'groups')
+    import('./userGroups.mjs').then(({ loadUserGroupSettings }) => loadUserGroupSettings());
+  if (target.dataset.settingsView === 'roles')
+    import('./roles.mjs').then(({ loadRoleSettings }) => loadRoleSettings());
 }
 
 function setupSettingsNavigation() {
@@ -94,14 +105,16 @@ export function openServerSettingsModal() {
   serverNameInput.value = updatedServerName;
   setupSettingsNavigation();
   setupAuditControls();
-  setAdminSettingsVisibility();
+  setPermissionVisibility();
   showSettingsView('general');
   serverSettingsModal.classList.add('active');
   serverNameInput.focus();
   loadUsers();
 
-  if (state.currentUser?.isAdmin) {
+  if (hasPermission('webhooks.manage')) {
     import('./webhooks.mjs').then(({ loadWebhooks }) => loadWebhooks());
+    import('./outgoingWebhooks.mjs').then(({ loadOutgoingWebhooks }) => loadOutgoingWebhooks());
+    import('./customCommands.mjs').then(({ loadCustomCommands }) => loadCustomCommands());
   }
 }
 
@@ -110,8 +123,9 @@ export function openServerSettingsModal() {
  */
 export function hideServerSettingsModal() {
   serverSettingsModal.classList.remove('active');
-  const tokenDisplay = document.querySelector('.webhook-token-display');
-  if (tokenDisplay) tokenDisplay.remove();
+  document.querySelectorAll('.webhook-token-display').forEach((tokenDisplay) => {
+    tokenDisplay.remove();
+  });
 }
 
 /**
@@ -163,6 +177,8 @@ export async function loadServerName() {
  */
 export function openUserSettingsModal() {
   userSettingsNameInput.value = state.currentUser?.userName || '';
+  fillStatusForm();
+  fillDoNotDisturbForm();
   userSettingsModal.classList.add('active');
   userSettingsNameInput.focus();
 }
@@ -265,23 +281,58 @@ function getAuditCopy(entry) {
     case 'user.create':
       return {
         title: `Added ${email || 'a user'}`,
-        description: `Created as ${isAdmin ? 'admin' : 'user'}`
+        description: `Created as ${metadata.isBot ? 'bot' : isAdmin ? 'admin' : 'user'}`
       };
     case 'user.remove':
       return {
         title: `Removed ${email || 'a user'}`,
         description: 'User access was revoked'
       };
-    case 'user.role.update':
+    case 'user.role.update': {
+      const roleName = metadata.roleId && state.roles?.get(String(metadata.roleId))?.name;
       return {
         title: 'Changed user role',
-        description: `Made user ${isAdmin ? 'an admin' : 'a regular user'}`
+        description: isAdmin
+          ? 'Made user an admin'
+          : metadata.roleId
+            ? `Gave user the role ${roleName || shortId(String(metadata.roleId))}`
+            : 'Made user a regular user'
+      };
+    }
+    case 'bot.update':
+      return {
+        title: 'Changed bot scopes',
+        description: Array.isArray(metadata.scopes)
+          ? `Token allows ${metadata.scopes.join(', ')}`
+          : 'Bot token scopes changed'
+      };
+    case 'bot.token.reset':
+      return {
+        title: 'Reset bot token',
+        description: 'The previous token no longer works'
       };
     case 'user.exit':
       return {
         title: 'User left the server',
         description: 'Account exited this MikroChat server'
       };
+    case 'message.restore':
+      return {
+        title: 'Restored a deleted message',
+        description: metadata.replyCount
+          ? `Brought back with ${metadata.replyCount} thread ${metadata.replyCount === 1 ? 'reply' : 'replies'}`
+          : 'Message is visible again'
+      };
+    case 'legal-hold.place':
+      return {
+        title: `Placed a legal hold on a ${entry.targetType}`,
+        description: metadata.reason ? `Reason: ${metadata.reason}` : 'Messages are frozen'
+      };
+    case 'legal-hold.release':
+      return {
+        title: `Released a legal hold on a ${entry.targetType}`,
+        description: 'Normal retention and deletion apply again'
+      };
     case 'user.name.update':
       return {
         title: 'Updated display name',
@@ -326,6 +377,56 @@ function getAuditCopy(entry) {
         title: 'Deleted webhook',
         description: 'Webhook access was revoked'
       };
+    case 'outgoing-webhook.create':
+      return {
+        title: `Created outgoing webhook${name ? ` ${name}` : ''}`,
+        description: 'Webhook sends chat events to a URL'
+      };
+    case 'outgoing-webhook.delete':
+      return {
+        title: `Deleted outgoing webhook${name ? ` ${name}` : ''}`,
+        description: 'Chat events are no longer sent to its URL'
+      };
+    case 'command.create':
+      return {
+        title: `Added command${name ? ` /${name}` : ''}`,
+        description: 'Command sends its arguments to a callback URL'
+      };
+    case 'command.delete':
+      return {
+        title: `Deleted command${name ? ` /${name}` : ''}`,
+        description: 'Command can no longer be run'
+      };
+    case 'user-group.create':
+      return {
+        title: `Created group${name ? ` @${name}` : ''}`,
+        description: 'Group can be mentioned'
+      };
+    case 'user-group.update':
+      return {
+        title: `Updated group${name ? ` @${name}` : ''}`,
+        description: 'Group name, description or members changed'
+      };
+    case 'user-group.delete':
+      return {
+        title: `Deleted group${name ? ` @${name}` : ''}`,
+        description: 'Group can no longer be mentioned'
+      };
+    case 'role.create':
+      return {
+        title: `Created role${name ? ` ${name}` : ''}`,
+        description: 'Role can be given to users'
+      };
+    case 'role.update':
+      return {
+        title: `Updated role${name ? ` ${name}` : ''}`,
+        description: 'Role name, description or permissions changed'
+      };
+    case 'role.delete':
+      return {
+        title: `Deleted role${name ? ` ${name}` : ''}`,
+        description: 'Users with this role became regular users'
+      };
     default:
       return {
         title: entry.action,
@@ -0,0 +1,362 @@
+/**
+ * @description Personal sidebar layout: favorites, sections like "Projects" and the order of
+ * channels. It is stored on the server, so the same layout appears on every device.
+ */
+import { state } from './state.mjs';
+import {
+  sidebar,
+  sidebarSections,
+  channelsList,
+  channelsHeader,
+  archivedChannelsList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast } from './ui.mjs';
+import { icon } from './icons.mjs';
+
+const DEFAULT_SIDEBAR = { favorites: [], sections: [], channelOrder: [], collapsed: [] };
+
+let draggedChannelItem = null;
+let draggedSection = null;
+let dragEventsBound = false;
+
+/**
+ * @description Load the preferences of the current user, unless they are already loaded.
+ */
+export async function loadPreferences({ force = false } = {}) {
+  if (state.preferences && !force) return state.preferences;
+
+  try {
+    const response = await apiRequest('/users/me/preferences');
+    state.preferences = response.preferences;
+  } catch (error) {
+    console.warn('Failed to load preferences:', error);
+    state.preferences = { sidebar: { ...DEFAULT_SIDEBAR }, mutedChannels: [] };
+  }
+
+  return state.preferences;
+}
+
+function getSidebarPreferences() {
+  return { ...DEFAULT_SIDEBAR, ...state.preferences?.sidebar };
+}
+
+/**
+ * @description Check if a channel is one of the user's favorites.
+ */
+export function isFavoriteChannel(channelId) {
+  return getSidebarPreferences().favorites.includes(channelId);
+}
+
+/**
+ * @description Check if the user muted a channel, which then only notifies about mentions.
+ */
+export function isChannelMuted(channelId) {
+  return state.preferences?.mutedChannels?.includes(channelId) ?? false;
+}
+
+function getListKey(channelId) {
+  const preferences = getSidebarPreferences();
+  if (preferences.favorites.includes(channelId)) return 'favorites';
+
+  const section = preferences.sections.find((item) => item.channelIds.includes(channelId));
+  return section ? section.id : 'channels';
+}
+
+function getListOrder(listKey) {
+  const preferences = getSidebarPreferences();
+  if (listKey === 'favorites') return preferences.favorites;
+  if (listKey === 'channels') return preferences.channelOrder;
+  return preferences.sections.find((section) => section.id === listKey)?.channelIds || [];
+}
+
+/**
+ * @description Put a channel item in the list of its section, in the order the user picked.
+ * Channels without a place in that order are kept where they are, or added at the end.
+ */
+export function placeChannelItem(channelItem, channel) {
+  const listKey = channel.archivedAt ? null : getListKey(channel.id);
+  const list = channel.archivedAt
+    ? archivedChannelsList || channelsList
+    : sidebarSections?.querySelector(`.channels-list[data-list="${listKey}"]`) || channelsList;
+
+  const isFavorite = listKey === 'favorites';
+  channelItem.draggable = !channel.archivedAt;
+  channelItem.classList.toggle('favorite', isFavorite);
+  channelItem.classList.toggle('muted', isChannelMuted(channel.id));
+
+  const favoriteButton = channelItem.querySelector('.channel-favorite');
+  if (favoriteButton)
+    favoriteButton.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+
+  const order = listKey ? getListOrder(listKey) : [];
+  const position = order.indexOf(channel.id);
+  if (position === -1) {
+    if (channelItem.parentElement !== list) list.appendChild(channelItem);
+    return;
+  }
+
+  const nextItem = [...list.children].find((item) => {
+    if (item === channelItem) return false;
+    const index = order.indexOf(item.dataset.id);
+    return index === -1 || index > position;
+  });
+  const isInPlace =
+    channelItem.parentElement === list && nextItem === channelItem.nextElementSibling;
+  if (!isInPlace) list.insertBefore(channelItem, nextItem || null);
+}
+
+function createSectionElement(id, name, isCustom) {
+  const section = document.createElement('div');
+  section.className = 'sidebar-section';
+  section.dataset.sectionId = id;
+  section.innerHTML = `
+    <div class="section-header"${isCustom ? ' draggable="true"' : ''}>
+      <span class="section-toggle">${icon('chevron-right')}</span>
+      <span class="section-name"></span>
+      ${
+        isCustom
+          ? `<span class="section-actions">
+        <button type="button" class="rename-section" title="Rename section">${icon('pencil')}</button>
+        <button type="button" class="delete-section" title="Delete section">${icon('x-mark')}</button>
+      </span>`
+          : ''
+      }
+    </div>
+    <div class="channels-list section-channels-list" data-list="${id}"></div>
+  `;
+  section.querySelector('.section-name').textContent = name;
+
+  section.querySelector('.section-header').addEventListener('click', async (event) => {
+    if (event.target.closest('.rename-section')) await renameSection(id);
+    else if (event.target.closest('.delete-section')) await deleteSection(id);
+    else await toggleSection(id);
+  });
+
+  return section;
+}
+
+/**
+ * @description Render the favorites and the user's sections, and move every channel
+ * into its place. Items of channels that are no longer loaded are removed.
+ */
+export function renderSidebarSections() {
+  if (!sidebarSections) return;
+
+  const preferences = getSidebarPreferences();
+  const channelItems = [...document.querySelectorAll('.channel-item')];
+
+  sidebarSections.innerHTML = '';
+  if (preferences.favorites.length > 0)
+    sidebarSections.appendChild(createSectionElement('favorites', 'Favorites', false));
+  for (const section of preferences.sections)
+    sidebarSections.appendChild(createSectionElement(section.id, section.name, true));
+
+  for (const channelItem of channelItems) {
+    const channel = state.channelCache.get(channelItem.dataset.id);
+    if (channel) placeChannelItem(channelItem, channel);
+    else channelItem.remove();
+  }
+
+  for (const section of sidebarSections.querySelectorAll('.sidebar-section')) {
+    const isCollapsed = preferences.collapsed.includes(section.dataset.sectionId);
+    section.classList.toggle('collapsed', isCollapsed);
+  }
+  const isChannelsCollapsed = preferences.collapsed.includes('channels');
+  channelsHeader?.classList.toggle('collapsed', isChannelsCollapsed);
+  channelsList.classList.toggle('collapsed', isChannelsCollapsed);
+
+  setupDragEvents();
+}
+
+/**
+ * @description Save part of the sidebar layout, such as the sections or the favorites.
+ */
+async function saveSidebarPreferences(update) {
+  try {
+    const response = await apiRequest('/users/me/preferences', 'PUT', { sidebar: update });
+    state.preferences = response.preferences;
+  } catch (error) {
+    showToast(error.message || 'Failed to save the sidebar', 'error');
+    await loadPreferences({ force: true });
+  }
+
+  renderSidebarSections();
+}
+
+/**
+ * @description Show the layout when it was changed on another device.
+ */
+export function handlePreferencesUpdate(preferences) {
+  state.preferences = preferences;
+  if (!draggedChannelItem && !draggedSection) renderSidebarSections();
+}
+
+/**
+ * @description Add a channel to the favorites, or remove it from them.
+ */
+export async function toggleFavoriteChannel(channelId) {
+  const preferences = getSidebarPreferences();
+
+  if (preferences.favorites.includes(channelId)) {
+    await saveSidebarPreferences({
+      favorites: preferences.favorites.filter((id) => id !== channelId)
+    });
+    return;
+  }
+
+  await saveSidebarPreferences({
+    favorites: [...preferences.favorites, channelId],
+    sections: preferences.sections.map((section) => ({
+      ...section,
+      channelIds: section.channelIds.filter((id) => id !== channelId)
+    }))
+  });
+}
+
+/**
+ * @description Collapse or expand a section: a section ID, `favorites` or `channels`.
+ */
+export async function toggleSection(sectionId) {
+  const { collapsed } = getSidebarPreferences();
+
+  await saveSidebarPreferences({
+    collapsed: collapsed.includes(sectionId)
+      ? collapsed.filter((id) => id !== sectionId)
+      : [...collapsed, sectionId]
+  });
+}
+
+/**
+ * @description Ask for a name and add a new, empty section.
+ */
+export async function addSection() {
+  const name = prompt('Name of the new section:')?.trim();
+  if (!name) return;
+
+  const { sections } = getSidebarPreferences();
+  await saveSidebarPreferences({ sections: [...sections, { name, channelIds: [] }] });
+}
+
+async function renameSection(sectionId) {
+  const { sections } = getSidebarPreferences();
+  const section = sections.find((item) => item.id === sectionId);
+  if (!section) return;
+
+  const name = prompt('Rename section:', section.name)?.trim();
+  if (!name || name === section.name) return;
+
+  await saveSidebarPreferences({
+    sections: sections.map((item) => (item.id === sectionId ? { ...item, name } : item))
+  });
+}
+
+async function deleteSection(sectionId) {
+  const { sections } = getSidebarPreferences();
+  const section = sections.find((item) => item.id === sectionId);
+  if (!section) return;
+  if (!confirm(`Delete the section "${section.name}"? Its channels move back to Channels.`)) return;
+
+  await saveSidebarPreferences({ sections: sections.filter((item) => item.id !== sectionId) });
+}
+
+function getChannelIds(list) {
+  return [...(list?.querySelectorAll('.channel-item') || [])].map((item) => item.dataset.id);
+}
+
+/**
+ * @description Save the layout the way it looks after dragging a channel or a section.
+ */
+async function saveLayoutFromSidebar() {
+  const preferences = getSidebarPreferences();
+  const sections = [];
+
+  for (const element of sidebarSections.querySelectorAll('.sidebar-section')) {
+    const section = preferences.sections.find((item) => item.id === element.dataset.sectionId);
+    if (!section) continue;
+
+    const channelIds = getChannelIds(element.querySelector('.channels-list'));
+    sections.push({ ...section, channelIds });
+  }
+
+  await saveSidebarPreferences({
+    favorites: getChannelIds(sidebarSections.querySelector('[data-list="favorites"]')),
+    sections,
+    channelOrder: getChannelIds(channelsList)
+  });
+}
+
+function getElementAfter(container, selector, y) {
+  return [...container.querySelectorAll(selector)].find((element) => {
+    const box = element.getBoundingClientRect();
+    return y < box.top + box.height / 2;
+  });
+}
+
+function handleDragStart(event) {
+  const channelItem = event.target.closest?.('.channel-item[draggable="true"]');
+  const sectionHeader = event.target.closest?.('.section-header[draggable="true"]');
+
+  if (channelItem) draggedChannelItem = channelItem;
+  else if (sectionHeader) draggedSection = sectionHeader.closest('.sidebar-section');
+  else return;
+
+  const dragged = draggedChannelItem || draggedSection;
+  dragged.classList.add('dragging');
+  event.dataTransfer.effectAllowed = 'move';
+  event.dataTransfer.setData('text/plain', dragged.dataset.id || dragged.dataset.sectionId);
+}
+
+function handleDragOver(event) {
+  if (draggedChannelItem) {
+    const section = event.target.closest('.sidebar-section');
+    const list =
+      event.target.closest('.channels-list[data-list]') ||
+      section?.querySelector('.channels-list[data-list]') ||
+      (channelsHeader?.contains(event.target) ? channelsList : null);
+    if (!list) return;
+
+    event.preventDefault();
+    const nextItem = getElementAfter(list, '.channel-item:not(.dragging)', event.clientY);
+    const isInPlace =
+      draggedChannelItem.parentElement === list &&
+      nextItem === draggedChannelItem.nextElementSibling;
+    if (!isInPlace) list.insertBefore(draggedChannelItem, nextItem || null);
+    return;
+  }
+
+  if (draggedSection && sidebarSections.contains(event.target)) {
+    event.preventDefault();
+    const nextSection = getElementAfter(
+      sidebarSections,
+      '.sidebar-section:not(.dragging):not([data-section-id="favorites"])',
+      event.clientY
+    );
+    if (nextSection !== draggedSection.nextElementSibling)
+      sidebarSections.insertBefore(draggedSection, nextSection || null);
+  }
+}
+
+async function handleDragEnd() {
+  const dragged = draggedChannelItem || draggedSection;
+  if (!dragged) return;
+
+  dragged.classList.remove('dragging');
+  draggedChannelItem = null;
+  draggedSection = null;
+
+  await saveLayoutFromSidebar();
+}
+
+function setupDragEvents() {
+  if (dragEventsBound || !sidebar) return;
+
+  sidebar.addEventListener('dragstart', handleDragStart);
+  sidebar.addEventListener('dragover', handleDragOver);
+  sidebar.addEventListener('drop', (event) => {
+    if (draggedChannelItem || draggedSection) event.preventDefault();
+  });
+  sidebar.addEventListener('dragend', handleDragEnd);
+
+  dragEventsBound = true;
+}
@@ -22,8 +22,24 @@ export const state = {
   messageCache: new LRUMap(2000),
   channelCache: new LRUMap(500),
   unreadCounts: new Map(),
+  // Unread mentions per channel or conversation, shown as highlighted badges
+  mentionCounts: new Map(),
+  savedMessageIds: new Set(),
+  activityUnreadCount: 0,
   userCache: new LRUMap(500),
+  // User groups that can be mentioned, keyed by ID, or null until they are loaded
+  userGroups: null,
+  // Custom roles, keyed by ID, or null until they are loaded
+  roles: null,
+  // Personal preferences such as sidebar sections, or null until they are loaded
+  preferences: null,
+  // Slash commands for autocomplete, or null until they are loaded
+  commands: null,
   presence: new Map(),
+  // Users typing, keyed by channel or conversation ID and thread ID
+  typingUsers: new Map(),
+  // Own votes in anonymous polls, which the server does not include in the poll
+  pollVotes: new Map(),
   // Direct Messages state
   currentConversationId: null,
   conversationCache: new LRUMap(200),
@@ -0,0 +1,152 @@
+/**
+ * @description Custom status messages and emoji, shown next to user names,
+ * together with a moon for users in do not disturb.
+ */
+import { state } from './state.mjs';
+import { userStatusEmojiInput, userStatusTextInput, userStatusExpirySelect } from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast } from './ui.mjs';
+import { formatMessageTime } from './messages.mjs';
+import { icon } from './icons.mjs';
+
+function getExpiryTime(value) {
+  if (!value) return undefined;
+
+  const date = new Date();
+  if (value === 'today') {
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  }
+
+  if (value === 'week') {
+    // Until the end of Sunday
+    date.setDate(date.getDate() + ((7 - date.getDay()) % 7));
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  }
+
+  return Date.now() + Number(value) * 60 * 1000;
+}
+
+/**
+ * @description Get a user's status, if they have one that has not expired.
+ * Presence updates are the most recent source, with the user list as a fallback
+ * for users who have not been online since the server started.
+ */
+export function getCustomStatus(userId) {
+  const presence = state.presence.get(userId);
+  const customStatus = presence
+    ? presence.customStatus
+    : state.userCache.get(userId)?.customStatus;
+
+  if (!customStatus) return null;
+  if (customStatus.expiresAt && customStatus.expiresAt <= Date.now()) return null;
+  return customStatus;
+}
+
+function getStatusTitle(customStatus) {
+  const text = customStatus.text || '';
+  if (!customStatus.expiresAt) return text;
+  return `${text} (until ${formatMessageTime(customStatus.expiresAt)})`.trim();
+}
+
+function renderStatus(element) {
+  const customStatus = getCustomStatus(element.dataset.userId);
+  const isDoNotDisturb = state.presence.get(element.dataset.userId)?.doNotDisturb === true;
+  const showText = element.dataset.showText === 'true';
+
+  if (!customStatus && !isDoNotDisturb) {
+    element.textContent = '';
+    element.removeAttribute('title');
+    element.hidden = true;
+    return;
+  }
+
+  const parts = customStatus
+    ? [customStatus.emoji, showText ? customStatus.text : ''].filter(Boolean)
+    : [];
+  element.innerHTML = isDoNotDisturb ? icon('moon', 'icon status-icon dnd-icon') : '';
+  if (parts.length > 0) element.append(parts.join(' '));
+  else if (customStatus) element.innerHTML += icon('chat-bubble', 'icon status-icon');
+  const titles = [
+    isDoNotDisturb ? 'Do not disturb' : '',
+    customStatus ? getStatusTitle(customStatus) : ''
+  ];
+  element.title = titles.filter(Boolean).join(' · ');
+  element.hidden = false;
+}
+
+/**
+ * @description Create a placeholder for a user's status. It shows the emoji,
+ * with the text on hover, or both when `showText` is set.
+ */
+export function createStatusHtml(userId, { showText = false } = {}) {
+  if (!userId) return '';
+
+  const element = document.createElement('span');
+  element.className = 'user-status';
+  element.dataset.userId = userId;
+  element.dataset.showText = String(showText);
+  renderStatus(element);
+
+  return element.outerHTML;
+}
+
+/**
+ * @description Refresh every status shown on the page, such as after a presence update.
+ */
+export function updateStatusIndicators() {
+  document.querySelectorAll('.user-status[data-user-id]').forEach(renderStatus);
+}
+
+/**
+ * @description Fill the status form in the user settings with the current status.
+ */
+export function fillStatusForm() {
+  const customStatus = getCustomStatus(state.currentUser?.id);
+
+  userStatusEmojiInput.value = customStatus?.emoji || '';
+  userStatusTextInput.value = customStatus?.text || '';
+  userStatusExpirySelect.value = '';
+}
+
+function applyOwnStatus(presence) {
+  state.presence.set(presence.userId, presence);
+  if (state.currentUser) state.currentUser.customStatus = presence.customStatus;
+  updateStatusIndicators();
+}
+
+/**
+ * @description Save the status entered in the user settings.
+ */
+export async function saveCustomStatus() {
+  const emoji = userStatusEmojiInput.value.trim();
+  const text = userStatusTextInput.value.trim();
+  if (!emoji && !text) return await clearCustomStatus();
+
+  try {
+    const response = await apiRequest('/presence/me/status', 'PUT', {
+      emoji,
+      text,
+      expiresAt: getExpiryTime(userStatusExpirySelect.value)
+    });
+    applyOwnStatus(response.presence);
+    showToast('Status updated');
+  } catch (error) {
+    showToast(error.message || 'Failed to update status', 'error');
+  }
+}
+
+/**
+ * @description Remove the current user's status.
+ */
+export async function clearCustomStatus() {
+  try {
+    const response = await apiRequest('/presence/me/status', 'DELETE');
+    applyOwnStatus(response.presence);
+    fillStatusForm();
+    showToast('Status cleared');
+  } catch (error) {
+    showToast(error.message || 'Failed to clear status', 'error');
+  }
+}
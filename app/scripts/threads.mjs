@@ -4,8 +4,16 @@
 import { state } from './state.mjs';
 import { apiRequest } from './api.mjs';
 import { showToast, openEditModal } from './ui.mjs';
-import { formatMessageContent, formatMessageTime } from './messages.mjs';
-import { getInitials } from './utils.mjs';
+import {
+  createEditedMarkerHtml,
+  formatMessageContent,
+  formatMessageTime
+} from './messages.mjs';
+import { getInitials, getChannelRole } from './utils.mjs';
+import { markAsRead } from './unread.mjs';
+import { notifyTyping, resetTyping, renderTypingIndicators } from './typing.mjs';
+import { getSaveLabel, toggleSavedMessage } from './saved.mjs';
+import { createStatusHtml } from './status.mjs';
 import { icon } from './icons.mjs';
 
 /**
@@ -20,7 +28,9 @@ export async function openThread(parentMessageId) {
 
   const parentMessage = state.messageCache.get(parentMessageId);
   renderThreadHeader(parentMessage);
+  renderTypingIndicators();
   await loadThreadReplies(parentMessageId);
+  await markAsRead('thread', parentMessageId);
 }
 
 /**
@@ -122,6 +132,7 @@ export async function sendThreadReply(content) {
 
     const threadInput = document.getElementById('thread-message-input');
     if (threadInput) threadInput.value = '';
+    resetTyping();
   } catch (error) {
     console.error('Failed to send thread reply:', error);
     showToast(error.message || 'Failed to send reply', 'error');
@@ -193,6 +204,7 @@ function getOrCreateThreadPanel() {
       <textarea class="message-input" id="thread-message-input" placeholder="Reply in thread..." rows="1"></textarea>
       <button class="send-button" id="thread-send-button">${icon('arrow-right')}</button>
     </div>
+    <div class="typing-indicator thread-typing-indicator" id="thread-typing-indicator" aria-live="polite"></div>
   `;
 
   panel.dataset.initialized = 'true';
@@ -217,6 +229,10 @@ function getOrCreateThreadPanel() {
       }
     });
 
+  document.getElementById('thread-message-input').addEventListener('input', (e) => {
+    if (e.target.value.trim()) notifyTyping(true);
+  });
+
   // Event delegation for thread reply actions
   document
     .getElementById('thread-messages')
@@ -228,6 +244,12 @@ function getOrCreateThreadPanel() {
         return;
       }
 
+      const saveBtn = event.target.closest('.thread-reply-save');
+      if (saveBtn) {
+        await toggleSavedMessage(saveBtn.dataset.replyId);
+        return;
+      }
+
       const editBtn = event.target.closest('.thread-reply-edit');
       if (editBtn) {
         const replyId = editBtn.dataset.replyId;
@@ -260,6 +282,7 @@ function renderThreadHeader(parentMessage) {
       <div class="message-content">
         <div class="message-header">
           <span class="message-author">${parentMessage.author?.userName || 'Unknown'}</span>
+          ${createStatusHtml(parentMessage.author?.id)}
           <span class="message-time">${time}</span>
         </div>
         <div class="message-text">${content}</div>
@@ -294,15 +317,20 @@ function renderThreadReply(reply) {
   const time = formatMessageTime(reply.timestamp || reply.createdAt);
   const content = formatMessageContent(reply.content);
 
-  let actionsHtml = '';
-  if (isOwnMessage) {
-    actionsHtml = `
+  // Channel owners and moderators can delete the replies of others
+  const canDelete =
+    isOwnMessage || Boolean(getChannelRole(state.channelCache.get(reply.channelId)));
+
+  const ownActionsHtml = `
+        ${isOwnMessage ? `<button class="message-edit thread-reply-edit" data-reply-id="${reply.id}">Edit</button>` : ''}
+        ${canDelete ? `<button class="message-delete thread-reply-delete" data-reply-id="${reply.id}">Delete</button>` : ''}
+      `;
+  const actionsHtml = `
       <div class="message-actions">
-        <button class="message-edit thread-reply-edit" data-reply-id="${reply.id}">Edit</button>
-        <button class="message-delete thread-reply-delete" data-reply-id="${reply.id}">Delete</button>
+        ${ownActionsHtml}
+        <button class="thread-reply-save" data-reply-id="${reply.id}">${getSaveLabel(reply.id)}</button>
       </div>
     `;
-  }
 
   return `
     <div class="message thread-reply" data-reply-id="${reply.id}">
@@ -310,7 +338,9 @@ function renderThreadReply(reply) {
       <div class="message-content">
         <div class="message-header">
           <span class="message-author">${reply.author.userName}</span>
+          ${createStatusHtml(reply.author.id)}
           <span class="message-time">${time}</span>
+          ${createEditedMarkerHtml(reply)}
         </div>
         <div class="message-text">${content}</div>
         ${actionsHtml}
@@ -0,0 +1,75 @@
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { formatDate, formatTime, sanitizeInput } from './utils.mjs';
+
+/**
+ * @description Load and display deleted messages in the settings panel.
+ */
+export async function loadTrash() {
+  const trashList = document.getElementById('trash-list');
+  if (!trashList) return;
+
+  try {
+    const response = await apiRequest('/admin/trash', 'GET');
+    trashList.innerHTML = '';
+
+    if (!response.trash || response.trash.length === 0) {
+      trashList.innerHTML = '<div class="empty-list">No deleted messages</div>';
+      return;
+    }
+
+    for (const entry of response.trash) {
+      const { message } = entry;
+      const location = getTrashLocation(message);
+      const replies = entry.replies.length;
+      const preview = message.content || `${(message.images || []).length} image(s)`;
+
+      const trashItem = document.createElement('div');
+      trashItem.className = 'trash-item';
+      trashItem.dataset.id = entry.id;
+      trashItem.innerHTML = `
+        <div class="trash-info">
+          <div class="trash-author">${sanitizeInput(message.author.userName)} · ${location}</div>
+          <div class="trash-content">${sanitizeInput(preview)}</div>
+          <div class="trash-meta">
+            Deleted ${formatDate(entry.deletedAt)} ${formatTime(entry.deletedAt)}${
+              replies > 0 ? ` · ${replies} ${replies === 1 ? 'reply' : 'replies'}` : ''
+            }
+          </div>
+        </div>
+        <button class="btn btn-secondary restore-message">Restore</button>
+      `;
+
+      trashItem
+        .querySelector('.restore-message')
+        ?.addEventListener('click', () => restoreMessage(entry.id));
+
+      trashList.appendChild(trashItem);
+    }
+  } catch (error) {
+    showToast(error.message || 'Failed to load deleted messages', 'error');
+  }
+}
+
+function getTrashLocation(message) {
+  if (message.threadId) return 'Thread reply';
+  if (message.channelId.startsWith('dm:')) return 'Direct message';
+  return 'Channel message';
+}
+
+/**
+ * @description Restore a deleted message and refresh the list.
+ */
+export async function restoreMessage(messageId) {
+  try {
+    showLoading();
+    await apiRequest(`/admin/trash/${messageId}/restore`, 'POST');
+    hideLoading();
+
+    showToast('Message restored');
+    await loadTrash();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to restore message', 'error');
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * @description Typing indicators for channels, conversations and threads.
+ */
+import { state } from './state.mjs';
+import { apiRequest } from './api.mjs';
+
+// Matches the server, which ignores typing updates sent more often than this
+const TYPING_SEND_INTERVAL_MS = 3000;
+// Measured locally rather than from `expiresAt`, since the clocks may differ
+const TYPING_DISPLAY_MS = 6000;
+
+const typingTimers = new Map();
+let lastTypingTarget = '';
+let lastTypingSentAt = 0;
+
+function getTypingKey(channelId, threadId) {
+  return `${channelId}:${threadId || ''}`;
+}
+
+function getComposerChannelId() {
+  return state.viewMode === 'dm' ? state.currentConversationId : state.currentChannelId;
+}
+
+function getThreadChannelId() {
+  const parentMessage =
+    state.messageCache.get(state.currentThreadId) ||
+    state.dmMessageCache.get(state.currentThreadId);
+  return parentMessage?.channelId;
+}
+
+/**
+ * @description Let others know the user is typing. Called on every keystroke,
+ * but only sent every few seconds for the same place.
+ */
+export function notifyTyping(inThread = false) {
+  const threadId = inThread ? state.currentThreadId : undefined;
+  const channelId = inThread ? getThreadChannelId() : getComposerChannelId();
+  if (!channelId) return;
+
+  const key = getTypingKey(channelId, threadId);
+  const now = Date.now();
+  if (key === lastTypingTarget && now - lastTypingSentAt < TYPING_SEND_INTERVAL_MS) return;
+
+  lastTypingTarget = key;
+  lastTypingSentAt = now;
+
+  apiRequest('/typing', 'POST', { channelId, threadId }).catch((error) =>
+    console.warn('Failed to send typing status:', error)
+  );
+}
+
+/**
+ * @description Sending a message stops the typing indicator on the server,
+ * so announce the next message as soon as the user starts on it.
+ */
+export function resetTyping() {
+  lastTypingTarget = '';
+  lastTypingSentAt = 0;
+}
+
+function formatTypists(names) {
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return 'Several people are typing…';
+}
+
+function renderTypingIndicator(element, key) {
+  if (!element) return;
+
+  const names = key ? [...(state.typingUsers.get(key)?.values() || [])] : [];
+  element.textContent = names.length > 0 ? formatTypists(names) : '';
+}
+
+/**
+ * @description Show who is typing under the message composer and the thread composer.
+ */
+export function renderTypingIndicators() {
+  const channelId = getComposerChannelId();
+  renderTypingIndicator(
+    document.getElementById('typing-indicator'),
+    channelId && getTypingKey(channelId)
+  );
+
+  const threadChannelId = state.threadPanelOpen && getThreadChannelId();
+  renderTypingIndicator(
+    document.getElementById('thread-typing-indicator'),
+    threadChannelId && getTypingKey(threadChannelId, state.currentThreadId)
+  );
+}
+
+function removeTypist(key, userId) {
+  clearTimeout(typingTimers.get(`${key}:${userId}`));
+  typingTimers.delete(`${key}:${userId}`);
+
+  const typists = state.typingUsers.get(key);
+  if (!typists) return;
+
+  typists.delete(userId);
+  if (typists.size === 0) state.typingUsers.delete(key);
+}
+
+/**
+ * @description Track a user starting or stopping typing. Users who stop
+ * sending updates without posting disappear after a few seconds.
+ */
+export function handleTypingEvent(typing) {
+  const key = getTypingKey(typing.channelId, typing.threadId);
+
+  removeTypist(key, typing.userId);
+
+  if (typing.isTyping) {
+    const typists = state.typingUsers.get(key) || new Map();
+    typists.set(typing.userId, typing.userName);
+    state.typingUsers.set(key, typists);
+
+    typingTimers.set(
+      `${key}:${typing.userId}`,
+      setTimeout(() => {
+        removeTypist(key, typing.userId);
+        renderTypingIndicators();
+      }, TYPING_DISPLAY_MS)
+    );
+  }
+
+  renderTypingIndicators();
+}
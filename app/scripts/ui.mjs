@@ -12,7 +12,10 @@ import {
   authToggleLink,
   userAvatar,
   userName,
-  channelsList,
+  archivedChannelsHeader,
+  archivedChannelsList,
+  archivedNotice,
+  archiveChannelButton,
   toast,
   loading,
   createChannelModal,
@@ -27,6 +30,14 @@ import {
   editChannelTopicInput,
   editChannelPrivateInput,
   editChannelMembersInput,
+  editChannelRoles,
+  editChannelOwnersInput,
+  editChannelModeratorsInput,
+  deleteChannelButton,
+  editChannelRetention,
+  editChannelKeepForeverInput,
+  editChannelRetentionDaysInput,
+  editChannelMaxMessagesInput,
   editChannelModal,
   oauthProviders,
   authDivider,
@@ -40,10 +51,11 @@ import { getAuthConfig, getAuthMode, hasEmailConfig, isOAuthEnabled } from './ru
 import { getUrlParams } from './url.mjs';
 import { isMagicLinkUrl } from './magiclink.mjs';
 import { getUserInfo, isAuthenticated, signin } from './auth.mjs';
-import { getInitials, getReactionsContainer } from './utils.mjs';
+import { getInitials, getReactionsContainer, getChannelRole, hasPermission } from './utils.mjs';
 import { setTheme } from './theme.mjs';
 import { icon, reactionIcon } from './icons.mjs';
 import { storage } from './storage.mjs';
+import { isDoNotDisturbActive } from './dnd.mjs';
 
 /////////////
 // SCREENS //
@@ -330,6 +342,10 @@ export async function showAppScreen() {
   const { loadServerName } = await import('./settings.mjs');
   const { loadChannels, restoreLastChannel } = await import('./channels.mjs');
   const { loadConversations } = await import('./conversations.mjs');
+  const { loadUnreadCounts } = await import('./unread.mjs');
+  const { loadSavedMessageIds } = await import('./saved.mjs');
+  const { loadUserGroups } = await import('./userGroups.mjs');
+  const { loadActivityCount } = await import('./activity.mjs');
 
   state.currentUser = await getUserInfo();
   if (!state.currentUser) {
@@ -342,6 +358,10 @@ export async function showAppScreen() {
   await loadServerName();
   await loadChannels();
   await loadConversations();
+  await loadUnreadCounts();
+  await loadSavedMessageIds();
+  await loadUserGroups();
+  await loadActivityCount();
   await loadPresence();
 
   userAvatar.textContent = getInitials(state.currentUser.userName);
@@ -364,6 +384,12 @@ async function loadPresence() {
     const response = await apiRequest('/presence');
     state.presence.clear();
     for (const presence of response.presence || []) state.presence.set(presence.userId, presence);
+
+    // Statuses of users who have not been online since the server started come from the user list
+    if (state.userCache.size === 0) {
+      const usersResponse = await apiRequest('/users');
+      for (const user of usersResponse.users || []) state.userCache.set(user.id, user);
+    }
   } catch (error) {
     console.warn('Failed to load presence:', error);
   }
@@ -378,6 +404,9 @@ async function loadPresence() {
  */
 export async function renderChannelItem(channel) {
   const { selectChannel } = await import('./channels.mjs');
+  const { placeChannelItem, isFavoriteChannel, toggleFavoriteChannel } = await import(
+    './sidebar.mjs'
+  );
 
   let channelItem = document.querySelector(`.channel-item[data-id="${channel.id}"]`);
 
@@ -389,8 +418,12 @@ export async function renderChannelItem(channel) {
       'click',
       async () => await selectChannel(channel.id, channel.name)
     );
-    channelsList.appendChild(channelItem);
   }
+  // Favorites and sections are personal, while archived channels are kept out of the way
+  placeChannelItem(channelItem, channel);
+  channelItem.classList.toggle('archived', Boolean(channel.archivedAt));
+  if (archivedChannelsHeader)
+    archivedChannelsHeader.hidden = !archivedChannelsList?.querySelector('.channel-item');
 
   const unreadCount = state.unreadCounts.get(channel.id) || 0;
 
@@ -411,13 +444,29 @@ export async function renderChannelItem(channel) {
   // Add notification indicator if there are unread messages
   if (unreadCount > 0) {
     const notificationBadge = document.createElement('div');
-    notificationBadge.className = 'notification-badge';
+    notificationBadge.className = state.mentionCounts.get(channel.id)
+      ? 'notification-badge mention-badge'
+      : 'notification-badge';
     notificationBadge.textContent = unreadCount > 99 ? '99+' : unreadCount;
     channelItem.appendChild(notificationBadge);
   }
 
-  // Add settings icon for channel options
-  if (channel.createdBy === state.currentUser.id) {
+  // Add favorite toggle
+  if (!channel.archivedAt) {
+    const isFavorite = isFavoriteChannel(channel.id);
+    const favoriteButton = document.createElement('div');
+    favoriteButton.className = 'channel-favorite';
+    favoriteButton.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    favoriteButton.innerHTML = icon('star');
+    favoriteButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await toggleFavoriteChannel(channel.id);
+    });
+    channelItem.appendChild(favoriteButton);
+  }
+
+  // Add settings icon for channel owners and moderators
+  if (getChannelRole(channel)) {
     const settingsButton = document.createElement('div');
     settingsButton.className = 'channel-settings';
     settingsButton.innerHTML = icon('cog-6-tooth');
@@ -433,6 +482,26 @@ export async function renderChannelItem(channel) {
   else channelItem.classList.remove('active');
 }
 
+/**
+ * @description Show or hide the archived section of the sidebar.
+ */
+export function toggleArchivedChannels() {
+  const isCollapsed = archivedChannelsHeader.classList.toggle('collapsed');
+  archivedChannelsList.hidden = isCollapsed;
+}
+
+/**
+ * @description Make the composer read-only while an archived channel is open.
+ */
+export function updateArchivedState() {
+  const channel =
+    state.viewMode === 'channel' ? state.channelCache.get(state.currentChannelId) : null;
+  const isArchived = Boolean(channel?.archivedAt);
+
+  appContainer?.classList.toggle('channel-archived', isArchived);
+  if (archivedNotice) archivedNotice.hidden = !isArchived;
+}
+
 /**
  * @description Update the user interface to correctly reflect the pending image uploads.
  */
@@ -651,12 +720,94 @@ export function openEditChannelModal(channel) {
   editChannelNameInput.value = channel.name;
   if (editChannelTopicInput) editChannelTopicInput.value = channel.topic || '';
   if (editChannelPrivateInput) editChannelPrivateInput.checked = channel.isPrivate === true;
-  if (editChannelMembersInput)
-    editChannelMembersInput.value = (channel.members || [])
-      .map((id) => state.userCache.get(id)?.userName || id)
-      .join(', ');
+  if (editChannelMembersInput) editChannelMembersInput.value = getUserNames(channel.members);
+  setEditChannelRetention(channel.retention);
+  setEditChannelRoles(channel);
+  if (archiveChannelButton)
+    archiveChannelButton.textContent = channel.archivedAt ? 'Unarchive Channel' : 'Archive Channel';
   editChannelModal.classList.add('active');
-  editChannelNameInput.focus();
+  (editChannelNameInput.disabled ? editChannelTopicInput : editChannelNameInput)?.focus();
+}
+
+function getUserNames(userIds = []) {
+  return userIds.map((id) => state.userCache.get(id)?.userName || id).join(', ');
+}
+
+/**
+ * @description Fill in the channel roles of the edit channel modal. Moderators can only
+ * change the topic and the members, so everything else is locked for them.
+ */
+function setEditChannelRoles(channel = {}) {
+  const isOwner = getChannelRole(channel) === 'owner';
+  const roles = Object.entries(channel.roles || {});
+  const userIdsWithRole = (role) => roles.filter(([, value]) => value === role).map(([id]) => id);
+
+  editChannelNameInput.disabled = !isOwner;
+  if (editChannelPrivateInput) editChannelPrivateInput.disabled = !isOwner;
+  if (archiveChannelButton) archiveChannelButton.hidden = !isOwner;
+  if (deleteChannelButton) deleteChannelButton.hidden = !isOwner;
+  if (!editChannelRoles) return;
+
+  editChannelRoles.hidden = !isOwner;
+  editChannelOwnersInput.value = getUserNames(userIdsWithRole('owner'));
+  editChannelModeratorsInput.value = getUserNames(userIdsWithRole('moderator'));
+}
+
+/**
+ * @description Read the channel roles from the edit channel modal, given a way to turn
+ * the entered names into user IDs. Only owners can assign roles.
+ */
+export async function getEditChannelRoles(resolveUserIds) {
+  if (!editChannelRoles || editChannelRoles.hidden) return undefined;
+
+  const roles = {};
+  for (const id of await resolveUserIds(editChannelModeratorsInput.value)) roles[id] = 'moderator';
+  for (const id of await resolveUserIds(editChannelOwnersInput.value)) roles[id] = 'owner';
+
+  return roles;
+}
+
+/**
+ * @description Fill in the retention overrides of the edit channel modal.
+ * Only users who can manage channels can change retention, so the fields stay hidden for others.
+ */
+function setEditChannelRetention(retention = {}) {
+  if (!editChannelRetention) return;
+
+  const keepForever = retention.messageRetentionDays === null && retention.maxMessages === null;
+
+  editChannelRetention.hidden = !hasPermission('channels.manage');
+  editChannelKeepForeverInput.checked = keepForever;
+  editChannelRetentionDaysInput.value = retention.messageRetentionDays ?? '';
+  editChannelMaxMessagesInput.value = retention.maxMessages ?? '';
+  toggleRetentionLimits();
+}
+
+/**
+ * @description Disable the retention limits while "keep forever" is checked.
+ */
+export function toggleRetentionLimits() {
+  const keepForever = editChannelKeepForeverInput?.checked === true;
+  if (editChannelRetentionDaysInput) editChannelRetentionDaysInput.disabled = keepForever;
+  if (editChannelMaxMessagesInput) editChannelMaxMessagesInput.disabled = keepForever;
+}
+
+/**
+ * @description Read the retention overrides from the edit channel modal.
+ * Empty fields fall back to the server defaults.
+ */
+export function getEditChannelRetention() {
+  if (!editChannelRetention || editChannelRetention.hidden) return undefined;
+  if (editChannelKeepForeverInput.checked) return { messageRetentionDays: null, maxMessages: null };
+
+  const retention = {};
+  const days = editChannelRetentionDaysInput.value.trim();
+  const maxMessages = editChannelMaxMessagesInput.value.trim();
+
+  if (days) retention.messageRetentionDays = Number(days);
+  if (maxMessages) retention.maxMessages = Number(maxMessages);
+
+  return Object.keys(retention).length > 0 ? retention : null;
 }
 
 export function closeEditChannelModal() {
@@ -665,6 +816,7 @@ export function closeEditChannelModal() {
   if (editChannelTopicInput) editChannelTopicInput.value = '';
   if (editChannelPrivateInput) editChannelPrivateInput.checked = false;
   if (editChannelMembersInput) editChannelMembersInput.value = '';
+  setEditChannelRetention();
   state.currentChannelForEdit = null;
 }
 
@@ -708,6 +860,7 @@ export function updateDocumentTitle() {
  */
 export async function showDesktopNotification(title, body) {
   if (!('Notification' in window) || document.hasFocus()) return;
+  if (isDoNotDisturbActive()) return;
 
   if (Notification.permission === 'default') await Notification.requestPermission();
 
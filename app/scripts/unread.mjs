@@ -0,0 +1,103 @@
+import { state } from './state.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, renderChannelItem, updateDocumentTitle } from './ui.mjs';
+
+const MARK_READ_DELAY_MS = 1000;
+const pendingReads = new Map();
+
+function isOpen(targetType, targetId) {
+  if (targetType === 'channel')
+    return state.viewMode === 'channel' && state.currentChannelId === targetId;
+  if (targetType === 'conversation')
+    return state.viewMode === 'dm' && state.currentConversationId === targetId;
+  return state.threadPanelOpen && state.currentThreadId === targetId;
+}
+
+async function renderUnreadBadges() {
+  for (const channel of state.channelCache.values()) await renderChannelItem(channel);
+
+  const { renderConversationsList } = await import('./conversations.mjs');
+  const conversations = Array.from(state.conversationCache.values());
+  conversations.sort((a, b) => (b.lastMessageAt || b.createdAt) - (a.lastMessageAt || a.createdAt));
+  renderConversationsList(conversations);
+
+  updateDocumentTitle();
+}
+
+/**
+ * @description Load unread and mention counts from the server,
+ * so they are the same on every device the user is signed in on.
+ */
+export async function loadUnreadCounts() {
+  try {
+    const { unread } = await apiRequest('/unread');
+
+    state.unreadCounts.clear();
+    state.dmUnreadCounts.clear();
+    state.mentionCounts.clear();
+
+    for (const item of unread || []) {
+      if (item.targetType === 'thread' || isOpen(item.targetType, item.targetId)) continue;
+
+      const counts = item.targetType === 'channel' ? state.unreadCounts : state.dmUnreadCounts;
+      counts.set(item.targetId, item.unreadCount);
+      state.mentionCounts.set(item.targetId, item.mentionCount);
+    }
+
+    await renderUnreadBadges();
+  } catch (error) {
+    console.warn('Failed to load unread counts:', error);
+  }
+}
+
+/**
+ * @description Mark a channel, conversation or thread as read up to its latest message.
+ */
+export async function markAsRead(targetType, targetId) {
+  if (!targetId) return;
+
+  state.mentionCounts.delete(targetId);
+
+  try {
+    await apiRequest('/unread', 'PUT', { targetType, targetId });
+  } catch (error) {
+    console.warn('Failed to mark as read:', error);
+  }
+}
+
+/**
+ * @description Mark the open target as read shortly after new messages arrive in it,
+ * batching bursts of messages into a single request.
+ */
+export function scheduleMarkAsRead(targetType, targetId) {
+  clearTimeout(pendingReads.get(targetId));
+
+  pendingReads.set(
+    targetId,
+    setTimeout(() => {
+      pendingReads.delete(targetId);
+      markAsRead(targetType, targetId);
+    }, MARK_READ_DELAY_MS)
+  );
+}
+
+/**
+ * @description Mark a message and everything after it as unread.
+ */
+export async function markMessageUnread(targetType, targetId, messageId) {
+  try {
+    await apiRequest('/unread', 'PUT', { targetType, targetId, messageId, unread: true });
+    showToast('Marked as unread');
+  } catch (error) {
+    showToast(error.message || 'Failed to mark as unread', 'error');
+  }
+}
+
+/**
+ * @description Follow read markers set in the user's other tabs and devices.
+ */
+export async function applyReadStateUpdate(readState) {
+  if (isOpen(readState.targetType, readState.targetId)) return;
+
+  await loadUnreadCounts();
+}
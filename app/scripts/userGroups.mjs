@@ -0,0 +1,215 @@
+/**
+ * @description User groups, such as `@backend`, that mention all of their members.
+ * Everyone can mention them, while administrators manage them in the server settings.
+ */
+import { state } from './state.mjs';
+import {
+  userGroupNameInput,
+  userGroupDescriptionInput,
+  userGroupMembersInput,
+  saveUserGroupButton,
+  cancelUserGroupEditButton,
+  userGroupsList
+} from './dom.mjs';
+import { apiRequest } from './api.mjs';
+import { showToast, showLoading, hideLoading } from './ui.mjs';
+import { icon } from './icons.mjs';
+
+let groupIdToEdit = null;
+
+/**
+ * @description Load the user groups into the state, unless they are already loaded.
+ */
+export async function loadUserGroups({ force = false } = {}) {
+  if (state.userGroups && !force) return state.userGroups;
+
+  try {
+    const response = await apiRequest('/user-groups');
+    state.userGroups = new Map((response.userGroups || []).map((group) => [group.id, group]));
+  } catch (error) {
+    console.warn('Failed to load user groups:', error);
+    state.userGroups = new Map();
+  }
+
+  return state.userGroups;
+}
+
+/**
+ * @description Find a loaded user group by the name it is mentioned with.
+ */
+export function getUserGroupByName(name) {
+  if (!state.userGroups) return null;
+
+  const normalized = name.toLowerCase();
+  return [...state.userGroups.values()].find((group) => group.name === normalized) || null;
+}
+
+/**
+ * @description Keep the loaded user groups, and the settings list, up to date.
+ */
+export function handleUserGroupEvent(event) {
+  if (state.userGroups) {
+    if (event.type === 'DELETE_USER_GROUP') state.userGroups.delete(event.payload.id);
+    else state.userGroups.set(event.payload.id, event.payload);
+  }
+
+  if (userGroupsList?.closest('.settings-view')?.classList.contains('active'))
+    renderUserGroups();
+}
+
+async function ensureUsersLoaded() {
+  if (state.userCache.size > 0) return;
+
+  const response = await apiRequest('/users');
+  for (const user of response.users || []) state.userCache.set(user.id, user);
+}
+
+function getUserNames(memberIds) {
+  return memberIds
+    .map((id) => state.userCache.get(id)?.userName)
+    .filter(Boolean)
+    .join(', ');
+}
+
+function getMemberIds(userNames) {
+  const users = [...state.userCache.values()];
+  const memberIds = [];
+
+  for (const userName of userNames) {
+    const user = users.find((item) => item.userName.toLowerCase() === userName.toLowerCase());
+    if (!user) throw new Error(`Unknown user: ${userName}`);
+    memberIds.push(user.id);
+  }
+
+  return memberIds;
+}
+
+function resetUserGroupForm() {
+  groupIdToEdit = null;
+  userGroupNameInput.value = '';
+  userGroupDescriptionInput.value = '';
+  userGroupMembersInput.value = '';
+  saveUserGroupButton.textContent = 'Create Group';
+  cancelUserGroupEditButton.hidden = true;
+}
+
+/**
+ * @description Load and display the user groups in the settings panel.
+ */
+export async function loadUserGroupSettings() {
+  if (!userGroupsList) return;
+
+  try {
+    await ensureUsersLoaded();
+    await loadUserGroups({ force: true });
+    resetUserGroupForm();
+    renderUserGroups();
+  } catch (error) {
+    showToast(error.message || 'Failed to load user groups', 'error');
+  }
+}
+
+function renderUserGroups() {
+  const userGroups = [...(state.userGroups?.values() || [])].sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+  userGroupsList.innerHTML = '';
+
+  if (userGroups.length === 0) {
+    userGroupsList.innerHTML = '<div class="empty-list">No groups created yet</div>';
+    return;
+  }
+
+  for (const group of userGroups) {
+    const item = document.createElement('div');
+    item.className = 'user-group-item';
+    item.innerHTML = `
+      <div class="user-group-info">
+        <div class="user-group-name">@${group.name}</div>
+        <div class="user-group-description"></div>
+        <div class="user-group-members"></div>
+      </div>
+      <div class="user-group-actions">
+        <button class="btn btn-secondary edit-user-group">Edit</button>
+        <button class="remove-user-group" title="Delete Group">${icon('x-mark')}</button>
+      </div>
+    `;
+    item.querySelector('.user-group-description').textContent = group.description || '';
+    item.querySelector('.user-group-members').textContent =
+      group.members.length > 0 ? `Members: ${getUserNames(group.members)}` : 'No members';
+
+    item.querySelector('.edit-user-group').addEventListener('click', () => editUserGroup(group));
+    item
+      .querySelector('.remove-user-group')
+      .addEventListener('click', async () => await deleteUserGroup(group));
+
+    userGroupsList.appendChild(item);
+  }
+}
+
+function editUserGroup(group) {
+  groupIdToEdit = group.id;
+  userGroupNameInput.value = group.name;
+  userGroupDescriptionInput.value = group.description || '';
+  userGroupMembersInput.value = getUserNames(group.members);
+  saveUserGroupButton.textContent = 'Save Group';
+  cancelUserGroupEditButton.hidden = false;
+  userGroupNameInput.focus();
+}
+
+/**
+ * @description Create a user group from the settings form, or save the one being edited.
+ */
+export async function saveUserGroup() {
+  const name = userGroupNameInput.value.trim();
+  if (!name) {
+    showToast('Group name is required', 'error');
+    return;
+  }
+
+  try {
+    const userNames = userGroupMembersInput.value
+      .split(',')
+      .map((userName) => userName.trim().replace(/^@/, ''))
+      .filter(Boolean);
+    const body = {
+      name,
+      description: userGroupDescriptionInput.value.trim(),
+      members: getMemberIds(userNames)
+    };
+
+    showLoading();
+    if (groupIdToEdit) await apiRequest(`/user-groups/${groupIdToEdit}`, 'PUT', body);
+    else await apiRequest('/user-groups', 'POST', body);
+    hideLoading();
+
+    showToast(groupIdToEdit ? 'Group updated' : 'Group created');
+    resetUserGroupForm();
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to save group', 'error');
+  }
+}
+
+/**
+ * @description Stop editing a user group and clear the settings form.
+ */
+export function cancelUserGroupEdit() {
+  resetUserGroupForm();
+}
+
+async function deleteUserGroup(group) {
+  if (!confirm(`Are you sure you want to delete the group "@${group.name}"?`)) return;
+
+  try {
+    showLoading();
+    await apiRequest(`/user-groups/${group.id}`, 'DELETE');
+    hideLoading();
+
+    if (groupIdToEdit === group.id) resetUserGroupForm();
+    showToast(`Group "@${group.name}" has been deleted`);
+  } catch (error) {
+    hideLoading();
+    showToast(error.message || 'Failed to delete group', 'error');
+  }
+}
@@ -2,9 +2,68 @@ import { state } from './state.mjs';
 import { usersList, addUserPasswordGroup } from './dom.mjs';
 import { apiRequest } from './api.mjs';
 import { showToast, showLoading, hideLoading } from './ui.mjs';
-import { getInitials, formatTime } from './utils.mjs';
+import { getInitials, formatTime, hasPermission } from './utils.mjs';
 import { getAuthMode, hasEmailConfig } from './runtime-config.mjs';
 import { icon } from './icons.mjs';
+import { createStatusHtml } from './status.mjs';
+import { loadRoles, getRoleLabel } from './roles.mjs';
+
+function getSortedRoles() {
+  return [...(state.roles?.values() || [])].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * @description Get the roles the current user can give others: admin only for
+ * administrators, and custom roles only for those who can manage roles.
+ */
+function getAssignableRoles() {
+  const roles = [{ value: 'user', label: 'User' }];
+  if (state.currentUser?.isAdmin) roles.push({ value: 'admin', label: 'Admin' });
+  if (hasPermission('roles.manage'))
+    for (const role of getSortedRoles()) roles.push({ value: role.id, label: role.name });
+
+  return roles;
+}
+
+function renderAddUserRoleOptions() {
+  const roleSelection = document.querySelector('.add-user-form .role-selection');
+  if (!roleSelection) return;
+
+  roleSelection.innerHTML = '';
+  for (const [index, role] of getAssignableRoles().entries()) {
+    const option = document.createElement('label');
+    option.className = 'role-option';
+    option.innerHTML = `<input type="radio" name="user-role"${index === 0 ? ' checked' : ''}> `;
+    option.querySelector('input').value = role.value;
+    option.append(role.label);
+    roleSelection.appendChild(option);
+  }
+}
+
+function createRoleSelect(user) {
+  const select = document.createElement('select');
+  select.className = 'user-role-select';
+  select.title = 'Role';
+
+  const roles = getAssignableRoles();
+  const currentRole = user.isAdmin ? 'admin' : user.roleId || 'user';
+  if (!roles.some((role) => role.value === currentRole))
+    roles.push({ value: currentRole, label: getRoleLabel(user) });
+
+  for (const role of roles) {
+    const option = document.createElement('option');
+    option.value = role.value;
+    option.textContent = role.label;
+    select.appendChild(option);
+  }
+  select.value = currentRole;
+
+  select.addEventListener('change', () =>
+    updateUserRole(user.id, user.email, select.value, select.selectedOptions[0].textContent)
+  );
+
+  return select;
+}
 
 /**
  * @description Get all users on the server.
@@ -13,10 +72,14 @@ export async function loadUsers() {
   try {
     const showPasswordControls = getAuthMode() === 'password' && !hasEmailConfig();
     if (showPasswordControls && addUserPasswordGroup) addUserPasswordGroup.style.display = 'block';
-    const canManageUsers = state.currentUser?.isAdmin === true;
+    const canManageUsers = hasPermission('users.manage');
+    const canManageRoles = hasPermission('roles.manage');
     const addUserForm = document.querySelector('.add-user-form');
     if (addUserForm) addUserForm.style.display = canManageUsers ? '' : 'none';
 
+    await loadRoles({ force: true });
+    if (canManageUsers) renderAddUserRoleOptions();
+
     const response = await apiRequest('/users', 'GET');
     usersList.innerHTML = '';
     state.userCache.clear();
@@ -35,33 +98,34 @@ export async function loadUsers() {
         userItem.dataset.id = user.id;
 
         const isOtherUser = user.id !== state.currentUser.id;
+        const canManageTarget = state.currentUser.isAdmin || !user.isAdmin;
+        const canChangeRole = canManageRoles && !user.isBot && canManageTarget;
+        const canResetPassword =
+          canManageUsers && showPasswordControls && !user.isBot && canManageTarget;
 
         userItem.innerHTML = `
           <div class="user-avatar">${getInitials(user.userName || user.email.split('@')[0])}</div>
           <div class="user-info">
             <div class="user-email">${user.email}</div>
-            <div class="role-badge ${user.isAdmin ? 'admin-role' : 'regular-role'}">${user.isAdmin ? 'Admin' : 'User'}</div>
+            ${createStatusHtml(user.id, { showText: true })}
+            <div class="role-badge ${user.isAdmin ? 'admin-role' : 'regular-role'}"></div>
             <div class="user-created">Added ${formatTime(new Date(user.createdAt))}</div>
           </div>
           ${
-            isOtherUser && canManageUsers
+            isOtherUser && (canManageUsers || canChangeRole)
               ? `
             <div class="user-actions">
-              <button class="toggle-role-user" title="${user.isAdmin ? 'Make User' : 'Make Admin'}">${user.isAdmin ? 'Make User' : 'Make Admin'}</button>
-              ${showPasswordControls ? `<button class="reset-password-user" title="Reset Password">${icon('arrow-path')}</button>` : ''}
-              <button class="remove-user" title="Remove User">${icon('x-mark')}</button>
+              ${canResetPassword ? `<button class="reset-password-user" title="Reset Password">${icon('arrow-path')}</button>` : ''}
+              ${canManageUsers ? `<button class="remove-user" title="Remove User">${icon('x-mark')}</button>` : ''}
             </div>
           `
               : ''
           }
         `;
+        userItem.querySelector('.role-badge').textContent = user.isBot ? 'Bot' : getRoleLabel(user);
 
-        const roleButton = userItem.querySelector('.toggle-role-user');
-        if (roleButton) {
-          roleButton.addEventListener('click', () =>
-            updateUserRole(user.id, user.email, user.isAdmin ? 'user' : 'admin')
-          );
-        }
+        if (isOtherUser && canChangeRole)
+          userItem.querySelector('.user-actions').prepend(createRoleSelect(user));
 
         const removeButton = userItem.querySelector('.remove-user');
         if (removeButton) {
@@ -78,6 +142,8 @@ export async function loadUsers() {
     } else {
       usersList.innerHTML = '<div class="empty-list">No users added yet</div>';
     }
+
+    if (canManageUsers) import('./bots.mjs').then(({ loadBots }) => loadBots());
   } catch (error) {
     console.error('Error loading users:', error);
     showToast('Failed to load users', 'error');
@@ -85,11 +151,13 @@ export async function loadUsers() {
 }
 
 /**
- * @description Update an existing user's role.
+ * @description Update an existing user's role: "admin", "user" or the ID of a custom role.
  */
-async function updateUserRole(userId, email, role) {
-  const label = role === 'admin' ? 'admin' : 'user';
-  if (!confirm(`Make ${email} a ${label}?`)) return;
+async function updateUserRole(userId, email, role, label) {
+  if (!confirm(`Change the role of ${email} to ${label}?`)) {
+    loadUsers();
+    return;
+  }
 
   try {
     showLoading();
@@ -125,7 +193,7 @@ export async function addUser(email, role, password) {
 }
 
 /**
- * @description Admin: reset a user's password.
+ * @description Reset a user's password, for those who can manage users.
  */
 async function resetUserPassword(userId, email) {
   const password = prompt(`Enter new password for ${email} (min 8 characters):`);
@@ -99,7 +99,12 @@ export function sanitizeInput(input) {
 export function parseMarkdown(content) {
   if (!content) return '';
 
-  let updatedContent = content;
+  // Backslash escapes such as \_ show the character itself, so it is not read as formatting
+  const escapes = [];
+  let updatedContent = content.replace(/\\([\\*_`])/g, (_, character) => {
+    escapes.push(character);
+    return `\uE000${escapes.length - 1}\uE000`;
+  });
 
   // Code fences - fix empty row issue
   updatedContent = updatedContent.replace(
@@ -155,7 +160,26 @@ export function parseMarkdown(content) {
     }
   );
 
-  return updatedContent;
+  return updatedContent.replace(/\uE000(\d+)\uE000/g, (_, index) => escapes[index]);
+}
+
+/**
+ * @description Check if the current user has a server permission, either as an
+ * administrator or through their role.
+ */
+export function hasPermission(permission) {
+  return state.currentUser?.permissions?.includes(permission) ?? false;
+}
+
+/**
+ * @description Get the role of the current user in a channel, the same way the server does:
+ * the creator of the channel and users who can manage channels are always owners.
+ */
+export function getChannelRole(channel) {
+  const user = state.currentUser;
+  if (!channel || !user) return null;
+  if (channel.createdBy === user.id || hasPermission('channels.manage')) return 'owner';
+  return channel.roles?.[user.id] || null;
 }
 
 /**
@@ -1,23 +1,58 @@
-import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
 import { EventEmitter } from 'node:events';
 import { MikroID } from 'mikroid';
 
 import type {
+  Activity,
   AuditLogEntry,
+  Bot,
+  BotScope,
+  BotWithToken,
   Channel,
+  ChannelRetentionPolicy,
+  ChannelRole,
   ChatConfiguration,
+  CommandResponse,
+  CommandResult,
   Conversation,
+  CustomCommand,
+  CustomStatus,
+  DoNotDisturbSchedule,
+  DoNotDisturbSettings,
   FileAttachment,
+  ForwardedFrom,
+  LegalHold,
+  LegalHoldTargetType,
   Message,
+  MessageRevision,
+  OutgoingWebhook,
   PaginationOptions,
+  Permission,
+  Poll,
+  ReadState,
+  ReadTargetType,
+  Reminder,
+  Role,
+  SavedMessage,
+  ScheduledMessage,
   ServerSentEvent,
+  SidebarPreferences,
+  SidebarSection,
+  SlashCommand,
   ThreadMeta,
+  TrashedMessage,
+  UnreadCount,
   User,
+  UserGroup,
+  UserPreferences,
   UserPresence,
   UserPresenceStatus,
-  Webhook
+  Webhook,
+  WebhookDelivery
 } from './interfaces';
 
+import { deleteFiles } from './fileStorage';
+import { deleteImages } from './imageStorage';
 import { GeneralStorageProvider } from './providers/GeneralStorageProvider';
 import { InMemoryProvider } from './providers/InMemoryProvider';
 
@@ -31,12 +66,28 @@ type ChannelCreateOptions = {
 
 type ChannelUpdateOptions = ChannelCreateOptions & {
   name?: string;
+  retention?: ChannelRetentionPolicy | null;
+  roles?: Record<string, ChannelRole> | null;
+};
+
+type LegalHoldTargets = {
+  channelIds: Set<string>;
+  userIds: Set<string>;
+};
+
+type PollCreateOptions = {
+  options: string[];
+  allowMultiple?: boolean;
+  anonymous?: boolean;
+  closesAt?: number;
 };
 
 type MessageCreateOptions = {
   images?: string[];
   attachments?: FileAttachment[];
   quotedMessageId?: string;
+  poll?: PollCreateOptions;
+  forwardedFrom?: ForwardedFrom;
 };
 
 type MessageUpdateOptions = {
@@ -46,6 +97,10 @@ type MessageUpdateOptions = {
   quotedMessageId?: string;
 };
 
+type ScheduledMessageUpdateOptions = MessageUpdateOptions & {
+  scheduledFor?: number;
+};
+
 type MessageSearchOptions = {
   channelId?: string;
   conversationId?: string;
@@ -55,6 +110,48 @@ type MessageSearchOptions = {
   limit?: number;
 };
 
+type ActivityQuery = {
+  limit?: number;
+  offset?: number;
+  unreadOnly?: boolean;
+};
+
+type PreferencesUpdate = {
+  sidebar?: Partial<SidebarPreferences>;
+  mutedChannels?: string[];
+};
+
+type CommandContext = {
+  args: string;
+  user: User;
+  channel: Channel;
+};
+
+/**
+ * @description A slash command in the registry. Commands with `arguments: 'required'` are
+ * rejected without arguments, and commands with `arguments: 'none'` are rejected with them.
+ * The handler replies to the user who ran it with `text`, or posts a `message`.
+ */
+type CommandDefinition = SlashCommand & {
+  arguments: 'none' | 'optional' | 'required';
+  handler: (context: CommandContext) => Promise<{ text?: string; message?: Message }>;
+};
+
+type CustomCommandCreateOptions = {
+  name: string;
+  callbackUrl: string;
+  description?: string;
+  usage?: string;
+};
+
+type OutgoingWebhookCreateOptions = {
+  name: string;
+  url: string;
+  events: ServerSentEvent['type'][];
+  channelId?: string;
+  keyword?: string;
+};
+
 type AuditLogQuery = {
   action?: string;
   category?: string;
@@ -75,16 +172,100 @@ export class MikroChat {
   private readonly id: MikroID;
   private readonly eventEmitter: EventEmitter;
   private readonly presence: Map<string, UserPresence>;
+  private readonly typing: Map<string, number>;
+  private readonly commands: Map<string, CommandDefinition>;
+  private activitySequence = 0;
+  private deliveringScheduledMessages = new Set<string>();
 
   private readonly generalChannelName = 'General';
+  private static readonly maxPollOptions = 10;
+  private static readonly typingThrottleMs = 3000;
+  private static readonly typingExpiryMs = 6000;
+  private static readonly maxStatusTextLength = 100;
+  private static readonly maxStatusEmojiLength = 16;
+  private static readonly maxConversationParticipants = 8;
+  private static readonly maxSidebarSections = 50;
+  private static readonly maxSidebarSectionNameLength = 50;
+  private static readonly maxCommandNameLength = 32;
+  private static readonly commandTimeoutMs = 10000;
+  private static readonly webhookTimeoutMs = 10000;
+  private static readonly maxWebhookAttempts = 4;
+  private static readonly maxWebhookDeliveries = 50;
+  private static readonly webhookRetryDelayMs = 1000;
+  private static readonly webhookEvents: ServerSentEvent['type'][] = [
+    'NEW_MESSAGE',
+    'UPDATE_MESSAGE',
+    'DELETE_MESSAGE',
+    'NEW_THREAD_REPLY',
+    'UPDATE_THREAD_REPLY',
+    'DELETE_THREAD_REPLY',
+    'NEW_REACTION',
+    'DELETE_REACTION',
+    'POLL_UPDATE',
+    'NEW_CHANNEL',
+    'UPDATE_CHANNEL',
+    'DELETE_CHANNEL',
+    'NEW_USER',
+    'UPDATE_USER',
+    'REMOVE_USER',
+    'USER_EXIT',
+    'PRESENCE_UPDATE',
+    'NEW_USER_GROUP',
+    'UPDATE_USER_GROUP',
+    'DELETE_USER_GROUP',
+    'NEW_ROLE',
+    'UPDATE_ROLE',
+    'DELETE_ROLE',
+    'NEW_WEBHOOK',
+    'DELETE_WEBHOOK',
+    'NEW_COMMAND',
+    'DELETE_COMMAND',
+    'UPDATE_SERVER_SETTINGS'
+  ];
+  private static readonly maxBotNameLength = 32;
+  private static readonly channelRoles: ChannelRole[] = ['owner', 'moderator'];
+  public static readonly botScopes: BotScope[] = [
+    'channels.read',
+    'messages.write',
+    'reactions.write',
+    'threads.write',
+    'direct-messages'
+  ];
+  public static readonly permissions: Permission[] = [
+    'users.manage',
+    'roles.manage',
+    'channels.manage',
+    'webhooks.manage',
+    'user-groups.manage',
+    'trash.manage',
+    'legal-holds.manage',
+    'audit-log.view',
+    'data.export',
+    'server.settings.manage'
+  ];
   private static readonly auditActions = new Set([
     'server.settings.update',
     'user.create',
     'user.remove',
     'user.role.update',
+    'bot.update',
+    'bot.token.reset',
     'user.exit',
+    'message.restore',
+    'legal-hold.place',
+    'legal-hold.release',
     'webhook.create',
-    'webhook.delete'
+    'webhook.delete',
+    'outgoing-webhook.create',
+    'outgoing-webhook.delete',
+    'command.create',
+    'command.delete',
+    'user-group.create',
+    'user-group.update',
+    'user-group.delete',
+    'role.create',
+    'role.update',
+    'role.delete'
   ]);
 
   constructor(config: ChatConfiguration, db?: GeneralStorageProvider) {
@@ -93,8 +274,17 @@ export class MikroChat {
     this.id = new MikroID();
     this.eventEmitter = new EventEmitter();
     this.presence = new Map();
+    this.typing = new Map();
+    this.commands = new Map();
     this.eventEmitter.setMaxListeners(0); // Allow any number of event listeners
 
+    this.registerBuiltInCommands();
+    this.subscribeToEvents((event) => {
+      this.dispatchOutgoingWebhooks(event).catch((error) =>
+        console.error(`Failed to send ${event.type} to outgoing webhooks:`, error)
+      );
+    });
+
     this.initialize();
   }
 
@@ -144,6 +334,7 @@ export class MikroChat {
     }
 
     this.scheduleMessageCleanup();
+    this.scheduleMessageDelivery();
   }
 
   /**
@@ -155,20 +346,38 @@ export class MikroChat {
     const cleanupInterval = 1000 * 60 * runEveryNrMinutes;
 
     setInterval(async () => {
-      const channels = await this.db.listChannels();
+      await this.cleanupExpiredMessages();
+      await this.purgeExpiredTrash();
+    }, cleanupInterval);
+  }
+
+  /**
+   * @description Remove channel messages that fall outside each
+   * channel's retention policy, expired direct messages and thread
+   * replies, and notify clients about them.
+   */
+  public async cleanupExpiredMessages(now = Date.now()): Promise<void> {
+    const channels = await this.db.listChannels();
+    const holds = await this.getLegalHoldTargets();
+    const millisecondsPerDay = 24 * 60 * 60 * 1000;
 
-      const millisecondsPerDay = 24 * 60 * 60 * 1000;
-      const cutoffTimestamp = Date.now() - this.config.messageRetentionDays * millisecondsPerDay;
+    for (const channel of channels) {
+      if (holds.channelIds.has(channel.id)) continue;
 
-      for (const channel of channels) {
+      const { messageRetentionDays, maxMessages } = this.getRetentionPolicy(channel);
+
+      // Time-based retention: remove expired messages
+      if (messageRetentionDays !== null) {
+        const cutoffTimestamp = now - messageRetentionDays * millisecondsPerDay;
         const index = await this.db.getIndex(`idx:channel-msgs:${channel.id}`);
 
-        // Time-based retention: remove expired messages
         for (const msgId of index) {
           const message = await this.db.getMessageById(msgId);
           if (!message) continue;
           if (message.createdAt < cutoffTimestamp) {
             const threadReplies = await this.db.listMessagesByThread(message.id);
+            if (MikroChat.isAnyOnLegalHold([message, ...threadReplies], holds)) continue;
+
             for (const reply of threadReplies) {
               await this.db.deleteMessage(reply.id);
             }
@@ -179,22 +388,197 @@ export class MikroChat {
             });
           }
         }
+      }
 
-        // Count-based retention: trim excess messages
+      // Count-based retention: trim excess messages, except in archived channels
+      if (maxMessages !== null && !channel.archivedAt) {
         const currentIndex = await this.db.getIndex(`idx:channel-msgs:${channel.id}`);
-        if (currentIndex.length > this.config.maxMessagesPerChannel) {
-          const excess = currentIndex.length - this.config.maxMessagesPerChannel;
-          const toRemove = currentIndex.slice(0, excess);
-          for (const msgId of toRemove) {
-            await this.db.deleteMessage(msgId);
-            this.emitEvent({
-              type: 'DELETE_MESSAGE',
-              payload: { id: msgId, channelId: channel.id }
-            });
-          }
+        let excess = currentIndex.length - maxMessages;
+
+        // Held messages still count towards the limit but are skipped
+        for (const msgId of currentIndex) {
+          if (excess <= 0) break;
+
+          const message = await this.db.getMessageById(msgId);
+          if (message && MikroChat.isAnyOnLegalHold([message], holds)) continue;
+
+          await this.db.deleteMessage(msgId);
+          this.emitEvent({
+            type: 'DELETE_MESSAGE',
+            payload: { id: msgId, channelId: channel.id }
+          });
+          excess--;
         }
       }
-    }, cleanupInterval);
+    }
+
+    await this.cleanupExpiredDirectMessages(now, holds);
+    await this.cleanupExpiredThreadReplies(now, holds);
+  }
+
+  /**
+   * @description Remove direct messages, and their thread replies,
+   * older than the direct message retention period.
+   */
+  private async cleanupExpiredDirectMessages(
+    now: number,
+    holds: LegalHoldTargets
+  ): Promise<void> {
+    const millisecondsPerDay = 24 * 60 * 60 * 1000;
+    const retentionDays =
+      this.config.directMessageRetentionDays ?? this.config.messageRetentionDays;
+    const cutoffTimestamp = now - retentionDays * millisecondsPerDay;
+
+    const conversations = await this.db.listConversations();
+
+    for (const conversation of conversations) {
+      if (holds.channelIds.has(conversation.id)) continue;
+
+      const index = await this.db.getIndex(`idx:conv-msgs:${conversation.id}`);
+
+      for (const msgId of index) {
+        const message = await this.db.getMessageById(msgId);
+        if (!message || message.createdAt >= cutoffTimestamp) continue;
+
+        const threadReplies = await this.db.listMessagesByThread(message.id);
+        if (MikroChat.isAnyOnLegalHold([message, ...threadReplies], holds)) continue;
+
+        for (const reply of threadReplies) {
+          await this.db.deleteMessage(reply.id);
+          this.emitEvent({
+            type: 'DELETE_THREAD_REPLY',
+            payload: {
+              id: reply.id,
+              threadId: message.id,
+              channelId: conversation.id,
+              threadMeta: null
+            }
+          });
+        }
+        await this.db.deleteMessage(message.id);
+
+        this.emitEvent({
+          type: 'DELETE_DM_MESSAGE',
+          payload: {
+            id: message.id,
+            conversationId: conversation.id,
+            participants: conversation.participants
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * @description Remove thread replies older than the thread reply
+   * retention period, plus any replies whose parent no longer exists.
+   * Replies in channels with their own message retention follow that instead.
+   */
+  private async cleanupExpiredThreadReplies(
+    now: number,
+    holds: LegalHoldTargets
+  ): Promise<void> {
+    const millisecondsPerDay = 24 * 60 * 60 * 1000;
+    const defaultRetentionDays =
+      this.config.threadReplyRetentionDays ?? this.config.messageRetentionDays;
+
+    const channels = new Map(
+      (await this.db.listChannels()).map((channel) => [channel.id, channel])
+    );
+    const replies = (await this.db.listMessages()).filter((message) => message.threadId);
+    const removedByThread = new Map<string, Message[]>();
+
+    for (const reply of replies) {
+      if (MikroChat.isAnyOnLegalHold([reply], holds)) continue;
+
+      const threadId = reply.threadId as string;
+      const parentMessage = await this.db.getMessageById(threadId);
+      const channelRetentionDays = channels.get(reply.channelId)?.retention?.messageRetentionDays;
+      const retentionDays =
+        channelRetentionDays === undefined ? defaultRetentionDays : channelRetentionDays;
+      const isExpired =
+        retentionDays !== null && reply.createdAt < now - retentionDays * millisecondsPerDay;
+
+      if (parentMessage && !isExpired) continue;
+
+      await this.db.deleteMessage(reply.id);
+      removedByThread.set(threadId, [...(removedByThread.get(threadId) || []), reply]);
+    }
+
+    for (const [threadId, removedReplies] of removedByThread) {
+      const parentMessage = await this.db.getMessageById(threadId);
+      const threadMeta = parentMessage ? await this.refreshThreadMeta(parentMessage) : null;
+
+      for (const reply of removedReplies) {
+        this.emitEvent({
+          type: 'DELETE_THREAD_REPLY',
+          payload: {
+            id: reply.id,
+            threadId,
+            channelId: reply.channelId,
+            threadMeta
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * @description Resolve the effective retention limits for a channel,
+   * where `null` means no limit.
+   */
+  private getRetentionPolicy(channel: Channel): {
+    messageRetentionDays: number | null;
+    maxMessages: number | null;
+  } {
+    const retention = channel.retention || {};
+
+    return {
+      messageRetentionDays:
+        retention.messageRetentionDays === undefined
+          ? this.config.messageRetentionDays
+          : retention.messageRetentionDays,
+      maxMessages:
+        retention.maxMessages === undefined
+          ? this.config.maxMessagesPerChannel
+          : retention.maxMessages
+    };
+  }
+
+  /**
+   * @description Validate a retention override, dropping unset values.
+   * Returns `undefined` when nothing is overridden.
+   */
+  private static normalizeRetentionPolicy(
+    retention: ChannelRetentionPolicy
+  ): ChannelRetentionPolicy | undefined {
+    const normalized: ChannelRetentionPolicy = {};
+
+    for (const key of ['messageRetentionDays', 'maxMessages'] as const) {
+      const value = retention[key];
+      if (value === undefined) continue;
+      if (value !== null && (!Number.isInteger(value) || value < 1))
+        throw new Error('Retention limits must be positive whole numbers');
+      normalized[key] = value;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+  }
+
+  /**
+   * @description Run a job to post scheduled messages, send reminders that are due,
+   * clear expired statuses and keep do not disturb in presence up to date.
+   */
+  private scheduleMessageDelivery(): void {
+    const runEveryNrSeconds = 30;
+    const deliveryInterval = 1000 * runEveryNrSeconds;
+
+    setInterval(async () => {
+      await this.deliverScheduledMessages();
+      await this.deliverDueReminders();
+      await this.clearExpiredStatuses();
+      await this.refreshDoNotDisturb();
+    }, deliveryInterval);
   }
 
   private normalizeChannelMembers(createdBy: string, members: string[] = []): string[] {
@@ -207,11 +591,105 @@ export class MikroChat {
     return user;
   }
 
-  private canAccessChannel(channel: Channel, user: User): boolean {
-    if (!channel.isPrivate) return true;
-    if (user.isAdmin) return true;
-    if (channel.createdBy === user.id) return true;
-    return Boolean(channel.members?.includes(user.id));
+  /**
+   * @description Get the permissions of a user. Administrators have all of them,
+   * while other users have the permissions of their custom role, if they have one.
+   */
+  private async resolvePermissions(user: User): Promise<Permission[]> {
+    if (user.isAdmin) return [...MikroChat.permissions];
+    if (!user.roleId) return [];
+
+    const role = await this.db.getRoleById(user.roleId);
+    return role?.permissions || [];
+  }
+
+  private async userHasPermission(user: User, permission: Permission): Promise<boolean> {
+    return (await this.resolvePermissions(user)).includes(permission);
+  }
+
+  private async requirePermission(
+    userId: string,
+    permission: Permission,
+    message: string
+  ): Promise<User> {
+    const user = await this.getUserOrThrow(userId);
+    if (!(await this.userHasPermission(user, permission))) throw new Error(message);
+    return user;
+  }
+
+  /**
+   * @description Make sure that users can only grant the permissions they have themselves.
+   */
+  private async requireGrantablePermissions(user: User, permissions: Permission[]): Promise<void> {
+    const granted = await this.resolvePermissions(user);
+
+    for (const permission of permissions) {
+      if (!granted.includes(permission))
+        throw new Error(`You cannot grant a permission you do not have: ${permission}`);
+    }
+  }
+
+  /**
+   * @description Get the role of a user in a channel. The creator of the channel
+   * and users who can manage all channels are always owners.
+   */
+  private async getChannelRole(channel: Channel, user: User): Promise<ChannelRole | null> {
+    if (channel.createdBy === user.id) return 'owner';
+    if (await this.userHasPermission(user, 'channels.manage')) return 'owner';
+    return channel.roles?.[user.id] || null;
+  }
+
+  private async requireChannelOwner(channel: Channel, user: User, action: string): Promise<void> {
+    const role = await this.getChannelRole(channel, user);
+    if (!role) throw new Error(`You can only ${action} channels you created`);
+    if (role !== 'owner') throw new Error(`Only channel owners can ${action} channels`);
+  }
+
+  /**
+   * @description Check if a user may delete a message written by someone else: users who
+   * can manage all channels anywhere, and channel owners and moderators in their channels.
+   */
+  private async canModerateMessage(message: Message, user: User): Promise<boolean> {
+    if (await this.userHasPermission(user, 'channels.manage')) return true;
+    if (message.channelId.startsWith('dm:')) return false;
+
+    const channel = await this.db.getChannelById(message.channelId);
+    return Boolean(channel && (await this.getChannelRole(channel, user)));
+  }
+
+  private async normalizeChannelRoles(
+    channel: Channel,
+    roles: Record<string, ChannelRole>
+  ): Promise<Record<string, ChannelRole> | undefined> {
+    const normalized: Record<string, ChannelRole> = {};
+
+    for (const [userId, role] of Object.entries(roles)) {
+      if (!MikroChat.channelRoles.includes(role))
+        throw new Error('Channel roles must be owner or moderator');
+      if (userId === channel.createdBy) continue;
+      if (!(await this.getUserById(userId))) throw new Error(`User not found: ${userId}`);
+      normalized[userId] = role;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+  }
+
+  /**
+   * @description Get a check for the channels a user can see: public channels, private
+   * channels they belong to and, for users who can manage channels, every channel.
+   */
+  private async getChannelAccessCheck(user: User): Promise<(channel: Channel) => boolean> {
+    const canManageChannels = await this.userHasPermission(user, 'channels.manage');
+
+    return (channel) =>
+      !channel.isPrivate ||
+      canManageChannels ||
+      channel.createdBy === user.id ||
+      Boolean(channel.members?.includes(user.id));
+  }
+
+  private async canAccessChannel(channel: Channel, user: User): Promise<boolean> {
+    return (await this.getChannelAccessCheck(user))(channel);
   }
 
   private async requireChannelAccess(
@@ -221,11 +699,24 @@ export class MikroChat {
     const user = await this.getUserOrThrow(userId);
     const channel = await this.db.getChannelById(channelId);
     if (!channel) throw new Error('Channel not found');
-    if (!this.canAccessChannel(channel, user))
+    if (!(await this.canAccessChannel(channel, user)))
       throw new Error('You do not have access to this channel');
     return { channel, user };
   }
 
+  /**
+   * @description Check access to a channel that is about to be written to,
+   * which archived channels do not allow.
+   */
+  private async requireChannelWriteAccess(
+    channelId: string,
+    userId: string
+  ): Promise<{ channel: Channel; user: User }> {
+    const access = await this.requireChannelAccess(channelId, userId);
+    if (access.channel.archivedAt) throw new Error('This channel is archived');
+    return access;
+  }
+
   private async requireMessageAccess(message: Message, userId: string): Promise<void> {
     if (message.channelId.startsWith('dm:')) {
       const conversation = await this.getConversationById(message.channelId);
@@ -237,6 +728,13 @@ export class MikroChat {
     await this.requireChannelAccess(message.channelId, userId);
   }
 
+  private async requireMessageWriteAccess(message: Message, userId: string): Promise<void> {
+    if (message.channelId.startsWith('dm:'))
+      return await this.requireMessageAccess(message, userId);
+
+    await this.requireChannelWriteAccess(message.channelId, userId);
+  }
+
   private async resolveMentions(content: string): Promise<string[]> {
     const mentionNames = [...content.matchAll(/(^|[\s([{])@([a-zA-Z0-9_.-]+)/g)].map((match) =>
       match[2].toLowerCase()
@@ -245,6 +743,7 @@ export class MikroChat {
     if (mentionNames.length === 0) return [];
 
     const users = await this.db.listUsers();
+    const userGroups = await this.db.listUserGroups();
     const mentionedIds = new Set<string>();
 
     for (const name of mentionNames) {
@@ -254,12 +753,38 @@ export class MikroChat {
       }
 
       const user = users.find((u) => u.userName.toLowerCase() === name);
-      if (user) mentionedIds.add(user.id);
+      if (user) {
+        mentionedIds.add(user.id);
+        continue;
+      }
+
+      // Mentioning a group mentions each of its members
+      const userGroup = userGroups.find((group) => group.name === name);
+      for (const memberId of userGroup?.members || []) mentionedIds.add(memberId);
     }
 
     return [...mentionedIds];
   }
 
+  /**
+   * @description Keep the current content of a message as a revision
+   * before it is replaced by an edit.
+   */
+  private async recordMessageRevision(message: Message, nextContent: string): Promise<void> {
+    if (message.content === nextContent) return;
+
+    const now = Date.now();
+
+    await this.db.addMessageRevision({
+      messageId: message.id,
+      content: message.content,
+      createdAt: message.editedAt || message.createdAt,
+      replacedAt: now
+    });
+
+    message.editedAt = now;
+  }
+
   private async recordAudit(
     action: string,
     actorId: string | undefined,
@@ -307,7 +832,18 @@ export class MikroChat {
     return await this.db.getServerSettings();
   }
 
+  /**
+   * @description Update the server settings. Changes made on behalf of a user
+   * need the `server.settings.manage` permission.
+   */
   public async updateServerSettings(settings: { name: string }, actorId?: string) {
+    if (actorId)
+      await this.requirePermission(
+        actorId,
+        'server.settings.manage',
+        'Only administrators can change server settings'
+      );
+
     await this.db.updateServerSettings(settings);
 
     await this.recordAudit('server.settings.update', actorId, 'server');
@@ -340,6 +876,17 @@ export class MikroChat {
 
   public async deleteUser(id: string): Promise<void> {
     await this.db.deleteUser(id);
+    await this.db.deleteUserPreferences(id);
+    await this.db.deleteBot(id);
+
+    const userGroups = await this.db.listUserGroups();
+    for (const userGroup of userGroups) {
+      if (!userGroup.members.includes(id)) continue;
+      await this.db.updateUserGroup({
+        ...userGroup,
+        members: userGroup.members.filter((memberId) => memberId !== id)
+      });
+    }
   }
 
   /////////////////////
@@ -357,10 +904,12 @@ export class MikroChat {
 
     if (!force && !adminUser) throw new Error('User not found');
 
+    // Only administrators can make other users administrators
     if (!force && isAdmin && !adminUser?.isAdmin)
       throw new Error('Only administrators can add admin users');
 
-    if (!force && !adminUser?.isAdmin) throw new Error('Only administrators can add users');
+    if (!force && !(adminUser && (await this.userHasPermission(adminUser, 'users.manage'))))
+      throw new Error('Only administrators can add users');
 
     const existingUser = await this.getUserByEmail(email);
     if (existingUser) throw new Error('User with this email already exists');
@@ -405,9 +954,12 @@ export class MikroChat {
     const requester = await this.getUserById(requestedBy);
     if (!requester) throw new Error('Requester not found');
 
-    if (!requester.isAdmin) throw new Error('Only administrators can remove users');
+    if (!(await this.userHasPermission(requester, 'users.manage')))
+      throw new Error('Only administrators can remove users');
 
     if (user.isAdmin) {
+      if (!requester.isAdmin) throw new Error('Only administrators can remove administrators');
+
       const admins = (await this.listUsers()).filter((u: User) => u.isAdmin);
       if (admins.length <= 1) throw new Error('Cannot remove the last administrator');
     }
@@ -424,12 +976,17 @@ export class MikroChat {
   }
 
   /**
-   * @description Update a user's admin status.
+   * @description Update the role of a user: `admin`, `user` or the ID of a custom role.
+   * A boolean makes the user an administrator or a regular user.
+   *
+   * Users with the `roles.manage` permission can assign custom roles with permissions
+   * they have themselves, but only administrators can grant or revoke administrator access
+   * or change their own role.
    */
   public async updateUserRole(
     userId: string,
     requestedBy: string,
-    isAdmin: boolean
+    role: boolean | string
   ): Promise<User> {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
@@ -437,31 +994,72 @@ export class MikroChat {
     const requester = await this.getUserById(requestedBy);
     if (!requester) throw new Error('Requester not found');
 
-    if (!requester.isAdmin) throw new Error('Only administrators can update user roles');
+    if (!(await this.userHasPermission(requester, 'roles.manage')))
+      throw new Error('Only administrators can update user roles');
+
+    const roleName = typeof role === 'boolean' ? (role ? 'admin' : 'user') : role;
+    const isAdmin = roleName === 'admin';
+    const roleId = isAdmin || roleName === 'user' ? undefined : roleName;
+
+    const customRole = roleId ? await this.db.getRoleById(roleId) : null;
+    if (roleId && !customRole) throw new Error('Role not found');
+
+    if (user.isAdmin === isAdmin && user.roleId === roleId) return user;
+
+    if ((user.isAdmin || isAdmin) && !requester.isAdmin)
+      throw new Error('Only administrators can grant or revoke administrator access');
+
+    if (user.id === requester.id && !requester.isAdmin)
+      throw new Error('Only administrators can change their own role');
+
+    if (customRole) await this.requireGrantablePermissions(requester, customRole.permissions);
 
     if (user.isAdmin && !isAdmin) {
       const admins = (await this.listUsers()).filter((u: User) => u.isAdmin);
       if (admins.length <= 1) throw new Error('Cannot remove the last administrator');
     }
 
-    if (user.isAdmin === isAdmin) return user;
+    const updatedUser: User = { ...user, isAdmin };
+    if (roleId) updatedUser.roleId = roleId;
+    else delete updatedUser.roleId;
 
-    const updatedUser = { ...user, isAdmin };
     await this.createUser(updatedUser);
     await this.recordAudit('user.role.update', requestedBy, 'user', userId, {
-      isAdmin
+      isAdmin,
+      roleId
     });
 
+    this.emitUserUpdate(updatedUser);
+
+    return updatedUser;
+  }
+
+  private emitUserUpdate(user: User): void {
     this.emitEvent({
       type: 'UPDATE_USER',
       payload: {
-        id: userId,
-        userName: updatedUser.userName,
-        isAdmin: updatedUser.isAdmin
+        id: user.id,
+        userName: user.userName,
+        isAdmin: user.isAdmin,
+        roleId: user.roleId
       }
     });
+  }
 
-    return updatedUser;
+  /**
+   * @description Get the permissions of a user, such as for showing the right settings.
+   */
+  public async getUserPermissions(userId: string): Promise<Permission[]> {
+    const user = await this.getUserById(userId);
+    return user ? await this.resolvePermissions(user) : [];
+  }
+
+  /**
+   * @description Check if a user has a permission, either as an administrator
+   * or through their custom role.
+   */
+  public async hasPermission(userId: string, permission: Permission): Promise<boolean> {
+    return (await this.getUserPermissions(userId)).includes(permission);
   }
 
   /**
@@ -493,13 +1091,14 @@ export class MikroChat {
     const existing = await this.db.getUserByUsername(trimmed);
     if (existing && existing.id !== userId) throw new Error('User name is already taken');
 
+    const userGroups = await this.db.listUserGroups();
+    if (userGroups.some((group) => group.name === trimmed.toLowerCase()))
+      throw new Error('User name is already taken');
+
     const updatedUser = { ...user, userName: trimmed };
     await this.createUser(updatedUser);
 
-    this.emitEvent({
-      type: 'UPDATE_USER',
-      payload: { id: userId, userName: trimmed, isAdmin: updatedUser.isAdmin }
-    });
+    this.emitUserUpdate(updatedUser);
 
     return updatedUser;
   }
@@ -542,11 +1141,35 @@ export class MikroChat {
 
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
+    if (user.isBot) throw new Error('Bots sign in with their API token');
 
     const passwordHash = await this.hashPassword(password);
     await this.db.createUser({ ...user, passwordHash });
   }
 
+  /**
+   * @description Reset another user's password. Needs `users.manage`,
+   * and only administrators can reset the password of an administrator.
+   */
+  public async resetUserPassword(
+    userId: string,
+    password: string,
+    requestedBy: string
+  ): Promise<void> {
+    const user = await this.getUserById(userId);
+    if (!user) throw new Error('User not found');
+
+    const requester = await this.getUserById(requestedBy);
+    if (!requester) throw new Error('Requester not found');
+
+    if (!(await this.userHasPermission(requester, 'users.manage')))
+      throw new Error('Only administrators can reset passwords');
+    if (user.isAdmin && !requester.isAdmin)
+      throw new Error('Only administrators can reset the passwords of administrators');
+
+    await this.setUserPassword(userId, password);
+  }
+
   /**
    * @description Verify a user's password and return the user on success.
    */
@@ -562,9 +1185,10 @@ export class MikroChat {
 
   /**
    * @description Strip sensitive fields from a user object before returning to clients.
+   * Do not disturb settings are private, and presence only shows whether they are on.
    */
-  public static sanitizeUser(user: User): Omit<User, 'passwordHash'> {
-    const { passwordHash: _, ...safe } = user;
+  public static sanitizeUser(user: User): Omit<User, 'passwordHash' | 'doNotDisturb'> {
+    const { passwordHash: _, doNotDisturb: __, ...safe } = user;
     return safe;
   }
 
@@ -622,11 +1246,27 @@ export class MikroChat {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
 
-    if (channel.createdBy !== userId && !user.isAdmin)
-      throw new Error('You can only edit channels you created');
+    const role = await this.getChannelRole(channel, user);
+    if (!role) throw new Error('You can only edit channels you created');
 
     const options = typeof nameOrOptions === 'string' ? { name: nameOrOptions } : nameOrOptions;
 
+    // Moderators can only change the topic and the members
+    if (role !== 'owner') {
+      const isRenaming = options.name !== undefined && options.name !== channel.name;
+      const isChangingPrivacy =
+        typeof options.isPrivate === 'boolean' && options.isPrivate !== Boolean(channel.isPrivate);
+      if (isRenaming || isChangingPrivacy || options.roles !== undefined)
+        throw new Error('Only channel owners can rename channels, change privacy or assign roles');
+    }
+
+    if (options.retention !== undefined && !(await this.userHasPermission(user, 'channels.manage')))
+      throw new Error('Only administrators can change channel retention');
+
+    const retention = options.retention
+      ? MikroChat.normalizeRetentionPolicy(options.retention)
+      : undefined;
+
     if (options.name && channel.name === this.generalChannelName)
       throw new Error(`The ${this.generalChannelName} channel cannot be renamed`);
 
@@ -643,11 +1283,23 @@ export class MikroChat {
 
     if (typeof options.isPrivate === 'boolean') channel.isPrivate = options.isPrivate;
 
+    if (options.retention !== undefined) {
+      if (retention) channel.retention = retention;
+      else delete channel.retention;
+    }
+
+    if (options.roles !== undefined) {
+      const roles = options.roles ? await this.normalizeChannelRoles(channel, options.roles) : null;
+      if (roles) channel.roles = roles;
+      else delete channel.roles;
+    }
+
     if (channel.isPrivate) {
-      channel.members = this.normalizeChannelMembers(
-        channel.createdBy || userId,
-        options.members || channel.members || []
-      );
+      // Owners and moderators always stay members of the channel
+      channel.members = this.normalizeChannelMembers(channel.createdBy || userId, [
+        ...(options.members || channel.members || []),
+        ...Object.keys(channel.roles || {})
+      ]);
     } else {
       delete channel.members;
     }
@@ -674,13 +1326,16 @@ export class MikroChat {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
 
-    if (channel.createdBy !== userId && !user.isAdmin)
-      throw new Error('You can only delete channels you created');
+    await this.requireChannelOwner(channel, user, 'delete');
 
     if (channel.name.toLowerCase() === this.generalChannelName.toLowerCase())
       throw new Error('The General channel cannot be deleted');
 
     const messages = await this.db.listMessagesByChannel(id);
+
+    const holds = await this.getLegalHoldTargets();
+    if (holds.channelIds.has(id) || MikroChat.isAnyOnLegalHold(messages, holds))
+      throw new Error('This channel has messages under legal hold and cannot be deleted');
     for (const message of messages) {
       await this.db.deleteMessage(message.id);
     }
@@ -690,6 +1345,11 @@ export class MikroChat {
       await this.db.deleteWebhook(webhook.id);
     }
 
+    const outgoingWebhooks = await this.db.listOutgoingWebhooks();
+    for (const webhook of outgoingWebhooks.filter((item) => item.channelId === id)) {
+      await this.removeOutgoingWebhook(webhook);
+    }
+
     await this.db.deleteChannel(id);
 
     this.emitEvent({
@@ -699,59 +1359,134 @@ export class MikroChat {
   }
 
   /**
-   * @description List all channels on the server.
+   * @description Archive a channel instead of deleting it. Archived channels are read-only,
+   * but their history can still be read and searched, and is never trimmed by count.
    */
-  public async listChannels(): Promise<Channel[]> {
-    return await this.db.listChannels();
+  public async archiveChannel(id: string, userId: string): Promise<Channel> {
+    return await this.setChannelArchived(id, userId, true);
   }
 
   /**
-   * @description List channels visible to a specific user.
+   * @description Unarchive a channel so messages can be posted in it again.
    */
-  public async listChannelsForUser(userId: string): Promise<Channel[]> {
-    const user = await this.getUserOrThrow(userId);
-    const channels = await this.db.listChannels();
-    return channels.filter((channel) => this.canAccessChannel(channel, user));
-  }
-
-  public async canUserAccessChannel(channelId: string, userId: string): Promise<boolean> {
-    try {
-      await this.requireChannelAccess(channelId, userId);
-      return true;
-    } catch {
-      return false;
-    }
+  public async unarchiveChannel(id: string, userId: string): Promise<Channel> {
+    return await this.setChannelArchived(id, userId, false);
   }
 
-  /////////////////////
-  // Message methods //
-  /////////////////////
+  private async setChannelArchived(
+    id: string,
+    userId: string,
+    isArchived: boolean
+  ): Promise<Channel> {
+    const channel = await this.db.getChannelById(id);
+    if (!channel) throw new Error('Channel not found');
 
-  /**
-   * @description Create a new message.
-   */
-  public async createMessage(
-    content: string,
-    authorId: string,
-    channelId: string,
-    imagesOrOptions: string[] | MessageCreateOptions = []
-  ): Promise<Message> {
-    const user = await this.getUserById(authorId);
-    if (!user) throw new Error('Author not found');
+    const user = await this.getUserOrThrow(userId);
+    await this.requireChannelOwner(channel, user, isArchived ? 'archive' : 'unarchive');
 
-    await this.requireChannelAccess(channelId, authorId);
+    if (channel.name.toLowerCase() === this.generalChannelName.toLowerCase())
+      throw new Error(`The ${this.generalChannelName} channel cannot be archived`);
 
-    const options = Array.isArray(imagesOrOptions) ? { images: imagesOrOptions } : imagesOrOptions;
+    if (Boolean(channel.archivedAt) === isArchived)
+      throw new Error(isArchived ? 'Channel is already archived' : 'Channel is not archived');
 
     const now = Date.now();
-    const messageContent = content || '';
+    if (isArchived) {
+      channel.archivedAt = now;
+      channel.archivedBy = userId;
+    } else {
+      delete channel.archivedAt;
+      delete channel.archivedBy;
+    }
+    channel.updatedAt = now;
 
-    const message: Message = {
-      id: this.id.custom(idName),
-      author: {
-        id: authorId,
-        userName: user.userName
-      },
+    await this.db.updateChannel(channel);
+
+    this.emitEvent({
+      type: 'UPDATE_CHANNEL',
+      payload: channel
+    });
+
+    return channel;
+  }
+
+  /**
+   * @description Leave a private channel. Owners and moderators have to give up their role first.
+   */
+  public async leaveChannel(id: string, userId: string): Promise<Channel> {
+    const channel = await this.db.getChannelById(id);
+    if (!channel) throw new Error('Channel not found');
+
+    if (!channel.isPrivate) throw new Error('You can only leave private channels');
+    if (channel.createdBy === userId || channel.roles?.[userId])
+      throw new Error('Channel owners and moderators cannot leave the channel');
+    if (!channel.members?.includes(userId)) throw new Error('You are not a member of this channel');
+
+    channel.members = channel.members.filter((memberId) => memberId !== userId);
+    channel.updatedAt = Date.now();
+
+    await this.db.updateChannel(channel);
+
+    this.emitEvent({
+      type: 'UPDATE_CHANNEL',
+      payload: channel
+    });
+
+    return channel;
+  }
+
+  /**
+   * @description List all channels on the server.
+   */
+  public async listChannels(): Promise<Channel[]> {
+    return await this.db.listChannels();
+  }
+
+  /**
+   * @description List channels visible to a specific user.
+   */
+  public async listChannelsForUser(userId: string): Promise<Channel[]> {
+    const user = await this.getUserOrThrow(userId);
+    const channels = await this.db.listChannels();
+    return channels.filter(await this.getChannelAccessCheck(user));
+  }
+
+  public async canUserAccessChannel(channelId: string, userId: string): Promise<boolean> {
+    try {
+      await this.requireChannelAccess(channelId, userId);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /////////////////////
+  // Message methods //
+  /////////////////////
+
+  /**
+   * @description Create a new message.
+   */
+  public async createMessage(
+    content: string,
+    authorId: string,
+    channelId: string,
+    imagesOrOptions: string[] | MessageCreateOptions = []
+  ): Promise<Message> {
+    const user = await this.getUserById(authorId);
+    if (!user) throw new Error('Author not found');
+
+    await this.requireChannelWriteAccess(channelId, authorId);
+
+    const options = Array.isArray(imagesOrOptions) ? { images: imagesOrOptions } : imagesOrOptions;
+
+    const now = Date.now();
+    const messageContent = content || '';
+    const poll = options.poll ? MikroChat.createPoll(messageContent, options.poll, now) : undefined;
+
+    const message: Message = {
+      id: this.id.custom(idName),
+      author: MikroChat.getAuthor(user),
       images: options.images || [],
       attachments: options.attachments || [],
       quotedMessageId: options.quotedMessageId,
@@ -760,7 +1495,9 @@ export class MikroChat {
       channelId,
       createdAt: now,
       updatedAt: now,
-      reactions: {}
+      reactions: {},
+      poll,
+      forwardedFrom: options.forwardedFrom
     };
 
     await this.db.createMessage(message);
@@ -770,6 +1507,9 @@ export class MikroChat {
       payload: message
     });
 
+    this.clearTyping(user, channelId);
+    await this.recordMentionActivity(message);
+
     return message;
   }
 
@@ -792,7 +1532,7 @@ export class MikroChat {
     if (message.author.id !== userId) throw new Error('You can only edit your own messages');
 
     if (!message.channelId.startsWith('dm:'))
-      await this.requireChannelAccess(message.channelId, userId);
+      await this.requireChannelWriteAccess(message.channelId, userId);
 
     const options = Array.isArray(imagesOrOptions)
       ? { images: imagesOrOptions }
@@ -801,7 +1541,9 @@ export class MikroChat {
     let removedImages: string[] = [];
     let removedAttachments: FileAttachment[] = [];
 
+    const previousMentions = message.mentions || [];
     if (content !== undefined) {
+      await this.recordMessageRevision(message, content);
       message.content = content;
       message.mentions = await this.resolveMentions(content);
     }
@@ -828,11 +1570,15 @@ export class MikroChat {
       payload: message
     });
 
-    return { message, removedImages, removedAttachments };
+    await this.recordMentionActivity(message, previousMentions);
+
+    const unshared = await this.getUnsharedFiles([message.id], removedImages, removedAttachments);
+    return { message, removedImages: unshared.images, removedAttachments: unshared.attachments };
   }
 
   /**
    * @description Delete an existing message.
+   * The message is moved to the trash, where admins can restore it.
    */
   public async deleteMessage(id: string, userId: string): Promise<void> {
     const message = await this.getMessageById(id);
@@ -841,22 +1587,22 @@ export class MikroChat {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
 
-    // Only allow deletion by the author or an admin
-    if (message.author.id !== userId && !user.isAdmin)
+    // Only allow deletion by the author, an admin or a moderator of the channel
+    if (message.author.id !== userId && !(await this.canModerateMessage(message, user)))
       throw new Error('You can only delete your own messages');
 
     if (!message.channelId.startsWith('dm:'))
-      await this.requireChannelAccess(message.channelId, userId);
+      await this.requireChannelWriteAccess(message.channelId, userId);
 
-    // Cascade-delete thread replies when parent is deleted
-    if (message.threadMeta && message.threadMeta.replyCount > 0) {
-      const threadReplies = await this.db.listMessagesByThread(id);
-      for (const reply of threadReplies) {
-        await this.db.deleteMessage(reply.id);
-      }
-    }
+    // Thread replies go to the trash together with their parent
+    const replies =
+      message.threadMeta && message.threadMeta.replyCount > 0
+        ? await this.db.listMessagesByThread(id)
+        : [];
+
+    await this.requireNoMessageLegalHold([message, ...replies]);
 
-    await this.db.deleteMessage(id);
+    await this.moveToTrash(message, userId, replies);
 
     this.emitEvent({
       type: 'DELETE_MESSAGE',
@@ -893,6 +1639,7 @@ export class MikroChat {
     const channelMap = new Map(channels.map((channel) => [channel.id, channel]));
     const conversations = await this.db.listConversationsForUser(userId);
     const conversationIds = new Set(conversations.map((conv) => conv.id));
+    const canAccessChannel = await this.getChannelAccessCheck(user);
 
     const visibleMessages = messages.filter((message) => {
       if (options.channelId && message.channelId !== options.channelId) return false;
@@ -905,7 +1652,7 @@ export class MikroChat {
         if (!conversationIds.has(message.channelId)) return false;
       } else {
         const channel = channelMap.get(message.channelId);
-        if (!channel || !this.canAccessChannel(channel, user)) return false;
+        if (!channel || !canAccessChannel(channel)) return false;
       }
 
       const attachmentText = (message.attachments || [])
@@ -919,13 +1666,33 @@ export class MikroChat {
     return visibleMessages.sort((a, b) => b.createdAt - a.createdAt).slice(0, options.limit || 50);
   }
 
+  /**
+   * @description Get the edit history of a message, oldest revision first.
+   * Works for channel messages, direct messages and thread replies.
+   */
+  public async getMessageHistory(
+    messageId: string,
+    userId: string
+  ): Promise<{ message: Message; revisions: MessageRevision[] }> {
+    const message = await this.getMessageById(messageId);
+    if (!message) throw new Error('Message not found');
+
+    await this.requireMessageAccess(message, userId);
+
+    const revisions = await this.db.listMessageRevisions(messageId);
+
+    return { message, revisions };
+  }
+
   public async pinMessage(messageId: string, userId: string): Promise<Message> {
     const message = await this.getMessageById(messageId);
     if (!message) throw new Error('Message not found');
     if (message.channelId.startsWith('dm:'))
       throw new Error('Direct messages cannot be pinned yet');
 
-    const { channel } = await this.requireChannelAccess(message.channelId, userId);
+    const { channel, user } = await this.requireChannelWriteAccess(message.channelId, userId);
+    if (!(await this.getChannelRole(channel, user)))
+      throw new Error('Only channel owners and moderators can manage pins');
 
     const pinnedMessageIds = new Set(channel.pinnedMessageIds || []);
     pinnedMessageIds.add(message.id);
@@ -950,7 +1717,9 @@ export class MikroChat {
     if (message.channelId.startsWith('dm:'))
       throw new Error('Direct messages cannot be pinned yet');
 
-    const { channel } = await this.requireChannelAccess(message.channelId, userId);
+    const { channel, user } = await this.requireChannelWriteAccess(message.channelId, userId);
+    if (!(await this.getChannelRole(channel, user)))
+      throw new Error('Only channel owners and moderators can manage pins');
 
     channel.pinnedMessageIds = (channel.pinnedMessageIds || []).filter((id) => id !== message.id);
     channel.updatedAt = Date.now();
@@ -984,18 +1753,93 @@ export class MikroChat {
     userId: string
   ): Promise<FileAttachment | null> {
     const messages = await this.db.listMessages();
+    let accessError: unknown;
 
+    // Forwarded messages share files, so any message the user can read will do
     for (const message of messages) {
       const attachment = message.attachments?.find((item) => item.filename === filename);
       if (!attachment) continue;
 
-      await this.requireMessageAccess(message, userId);
-      return attachment;
+      try {
+        await this.requireMessageAccess(message, userId);
+        return attachment;
+      } catch (error) {
+        accessError = error;
+      }
     }
 
+    if (accessError) throw accessError;
+
     return null;
   }
 
+  /**
+   * @description Forwarded messages share images and files with the original,
+   * so only the ones no other message uses may be removed from storage.
+   */
+  private async getUnsharedFiles(
+    messageIds: string[],
+    images: string[],
+    attachments: FileAttachment[]
+  ): Promise<{ images: string[]; attachments: FileAttachment[] }> {
+    if (images.length === 0 && attachments.length === 0) return { images, attachments };
+
+    const excludedIds = new Set(messageIds);
+    const trashedMessages = await this.db.listTrashedMessages();
+    const otherMessages = [
+      ...(await this.db.listMessages()),
+      ...trashedMessages.flatMap((item) => [item.message, ...item.replies])
+    ].filter((message) => !excludedIds.has(message.id));
+
+    const usedImages = new Set(otherMessages.flatMap((message) => message.images || []));
+    const usedFilenames = new Set(
+      otherMessages.flatMap((message) => (message.attachments || []).map((a) => a.filename))
+    );
+
+    return {
+      images: images.filter((image) => !usedImages.has(image)),
+      attachments: attachments.filter((attachment) => !usedFilenames.has(attachment.filename))
+    };
+  }
+
+  /**
+   * @description Forward a message into another channel or conversation.
+   * The new message carries an attribution to the original and reuses its images and files.
+   */
+  public async forwardMessage(
+    messageId: string,
+    userId: string,
+    targetId: string,
+    comment = ''
+  ): Promise<Message> {
+    const original = await this.getMessageById(messageId);
+    if (!original) throw new Error('Message not found');
+
+    await this.requireMessageAccess(original, userId);
+
+    if (targetId === original.channelId && !original.threadId)
+      throw new Error('Message is already in this channel');
+
+    const options: MessageCreateOptions = {
+      images: original.images || [],
+      attachments: original.attachments || [],
+      forwardedFrom: {
+        messageId: original.id,
+        channelId: original.channelId,
+        threadId: original.threadId,
+        author: { id: original.author.id, userName: original.author.userName },
+        content: original.content,
+        createdAt: original.createdAt
+      }
+    };
+
+    // Both creation methods check that the user can post in the target
+    if (targetId.startsWith('dm:'))
+      return await this.createDirectMessage(comment, userId, targetId, options);
+
+    return await this.createMessage(comment, userId, targetId, options);
+  }
+
   //////////////////////
   // Reaction methods //
   //////////////////////
@@ -1009,7 +1853,7 @@ export class MikroChat {
 
     const message = await this.getMessageById(messageId);
     if (!message) throw new Error('Message not found');
-    await this.requireMessageAccess(message, userId);
+    await this.requireMessageWriteAccess(message, userId);
 
     if (message.reactions?.[userId]?.includes(reaction)) return message;
 
@@ -1022,6 +1866,20 @@ export class MikroChat {
       payload: { messageId, userId, reaction }
     });
 
+    if (message.author.id !== userId && (await this.getUserById(message.author.id)))
+      await this.createActivity(
+        {
+          userId: message.author.id,
+          type: 'reaction',
+          actorId: userId,
+          messageId,
+          channelId: message.channelId,
+          threadId: message.threadId,
+          reaction
+        },
+        updatedMessage
+      );
+
     return updatedMessage;
   }
 
@@ -1038,7 +1896,7 @@ export class MikroChat {
 
     const message = await this.getMessageById(messageId);
     if (!message) throw new Error('Message not found');
-    await this.requireMessageAccess(message, userId);
+    await this.requireMessageWriteAccess(message, userId);
 
     if (!message.reactions?.[userId]?.includes(reaction)) return message;
 
@@ -1050,9 +1908,179 @@ export class MikroChat {
       payload: { messageId, userId, reaction }
     });
 
+    // A reaction that is taken back is no longer news to the author
+    const activity = await this.db.listActivityByUser(message.author.id);
+    const reactionActivity = activity.find(
+      (item) =>
+        item.type === 'reaction' &&
+        item.messageId === messageId &&
+        item.actorId === userId &&
+        item.reaction === reaction
+    );
+    if (reactionActivity) await this.db.deleteActivity(reactionActivity);
+
     return updatedMessage;
   }
 
+  //////////////////
+  // Poll methods //
+  //////////////////
+
+  /**
+   * @description Build the poll for a new message, where the message content is the question.
+   */
+  private static createPoll(question: string, options: PollCreateOptions, now: number): Poll {
+    if (!question.trim()) throw new Error('A poll needs a question');
+    if (!Array.isArray(options.options)) throw new Error('Poll options must be a list');
+
+    const texts = options.options.map((text) => String(text).trim()).filter(Boolean);
+    if (texts.length < 2 || texts.length > MikroChat.maxPollOptions)
+      throw new Error(`A poll needs between 2 and ${MikroChat.maxPollOptions} options`);
+    if (new Set(texts.map((text) => text.toLowerCase())).size !== texts.length)
+      throw new Error('Poll options must be unique');
+
+    if (
+      options.closesAt !== undefined &&
+      (!Number.isFinite(options.closesAt) || options.closesAt <= now)
+    )
+      throw new Error('Poll closing time must be in the future');
+
+    return {
+      options: texts.map((text, index) => ({
+        id: `${index + 1}`,
+        text,
+        voteCount: 0,
+        ...(options.anonymous ? {} : { voters: [] })
+      })),
+      allowMultiple: Boolean(options.allowMultiple),
+      anonymous: Boolean(options.anonymous),
+      closesAt: options.closesAt
+    };
+  }
+
+  private static isPollClosed(poll: Poll, now = Date.now()): boolean {
+    return Boolean(poll.closedAt) || (poll.closesAt !== undefined && poll.closesAt <= now);
+  }
+
+  /**
+   * @description Recount the options of a poll from the stored votes.
+   */
+  private static tallyPoll(poll: Poll, votes: Record<string, string[]>): Poll {
+    return {
+      ...poll,
+      options: poll.options.map((option) => {
+        const voters = Object.keys(votes).filter((voterId) => votes[voterId].includes(option.id));
+
+        return {
+          id: option.id,
+          text: option.text,
+          voteCount: voters.length,
+          ...(poll.anonymous ? {} : { voters })
+        };
+      })
+    };
+  }
+
+  private async getPollMessage(
+    messageId: string,
+    userId: string,
+    forWriting = false
+  ): Promise<Message> {
+    const message = await this.getMessageById(messageId);
+    if (!message) throw new Error('Message not found');
+    if (!message.poll) throw new Error('Message is not a poll');
+
+    if (forWriting) await this.requireMessageWriteAccess(message, userId);
+    else await this.requireMessageAccess(message, userId);
+
+    return message;
+  }
+
+  private async emitPollUpdate(message: Message, poll: Poll): Promise<void> {
+    const payload = { messageId: message.id, channelId: message.channelId, poll };
+
+    if (message.channelId.startsWith('dm:')) {
+      const conversation = await this.getConversationById(message.channelId);
+      if (!conversation) return;
+
+      this.emitEvent({
+        type: 'POLL_UPDATE',
+        payload: { ...payload, participants: conversation.participants }
+      });
+      return;
+    }
+
+    this.emitEvent({ type: 'POLL_UPDATE', payload });
+  }
+
+  /**
+   * @description Get a poll together with the options the user voted for.
+   * This is how voters see their own choice in an anonymous poll.
+   */
+  public async getPollVote(
+    messageId: string,
+    userId: string
+  ): Promise<{ poll: Poll; votedOptionIds: string[] }> {
+    const message = await this.getPollMessage(messageId, userId);
+    const votes = await this.db.getPollVotes(messageId);
+
+    return { poll: message.poll as Poll, votedOptionIds: votes[userId] || [] };
+  }
+
+  /**
+   * @description Vote in a poll, replacing any earlier vote by the same user.
+   * An empty list of options retracts the vote.
+   */
+  public async votePoll(
+    messageId: string,
+    userId: string,
+    optionIds: string[]
+  ): Promise<{ poll: Poll; votedOptionIds: string[] }> {
+    const message = await this.getPollMessage(messageId, userId, true);
+    const poll = message.poll as Poll;
+
+    if (MikroChat.isPollClosed(poll)) throw new Error('This poll is closed');
+
+    const votedOptionIds = [...new Set(optionIds)];
+    const knownOptionIds = new Set(poll.options.map((option) => option.id));
+    if (votedOptionIds.some((optionId) => !knownOptionIds.has(optionId)))
+      throw new Error('Poll option not found');
+    if (!poll.allowMultiple && votedOptionIds.length > 1)
+      throw new Error('This poll only allows one choice');
+
+    const votes = await this.db.getPollVotes(messageId);
+    if (votedOptionIds.length > 0) votes[userId] = votedOptionIds;
+    else delete votes[userId];
+    await this.db.setPollVotes(messageId, votes);
+
+    message.poll = MikroChat.tallyPoll(poll, votes);
+    await this.db.updateMessage(message);
+
+    await this.emitPollUpdate(message, message.poll);
+
+    return { poll: message.poll, votedOptionIds };
+  }
+
+  /**
+   * @description Close a poll before its closing time. Only the author or an admin can do this.
+   */
+  public async closePoll(messageId: string, userId: string): Promise<Poll> {
+    const message = await this.getPollMessage(messageId, userId, true);
+    const user = await this.getUserOrThrow(userId);
+    const poll = message.poll as Poll;
+
+    if (message.author.id !== userId && !(await this.userHasPermission(user, 'channels.manage')))
+      throw new Error('Only the author or an administrator can close this poll');
+    if (poll.closedAt) throw new Error('This poll is already closed');
+
+    message.poll = { ...poll, closedAt: Date.now() };
+    await this.db.updateMessage(message);
+
+    await this.emitPollUpdate(message, message.poll);
+
+    return message.poll;
+  }
+
   //////////////////////////
   // Conversation methods //
   //////////////////////////
@@ -1079,7 +2107,7 @@ export class MikroChat {
 
     const conversation: Conversation = {
       id: conversationId,
-      participants: [userId1, userId2].sort() as [string, string],
+      participants: [userId1, userId2].sort(),
       createdAt: Date.now()
     };
 
@@ -1093,6 +2121,120 @@ export class MikroChat {
     return { conversation, isNew: true };
   }
 
+  /**
+   * @description Start a group conversation between a user and the given users.
+   */
+  public async createGroupConversation(
+    userId: string,
+    participantIds: string[]
+  ): Promise<Conversation> {
+    await this.getUserOrThrow(userId);
+
+    const participants = [...new Set([userId, ...participantIds])];
+    await this.validateConversationParticipants(participants);
+    if (participants.length < 3)
+      throw new Error('Group conversations need at least three participants');
+
+    const conversation: Conversation = {
+      id: `dm:${this.id.custom(idName)}`,
+      participants,
+      isGroup: true,
+      createdBy: userId,
+      createdAt: Date.now()
+    };
+
+    await this.db.createConversation(conversation);
+
+    this.emitEvent({
+      type: 'NEW_CONVERSATION',
+      payload: conversation
+    });
+
+    return conversation;
+  }
+
+  /**
+   * @description Add users to a group conversation. They can read its earlier messages too.
+   */
+  public async addConversationParticipants(
+    conversationId: string,
+    userIds: string[],
+    addedBy: string
+  ): Promise<Conversation> {
+    const conversation = await this.getGroupConversationOrThrow(conversationId, addedBy);
+
+    const newParticipants = [...new Set(userIds)].filter(
+      (id) => !conversation.participants.includes(id)
+    );
+    if (newParticipants.length === 0) return conversation;
+
+    const participants = [...conversation.participants, ...newParticipants];
+    await this.validateConversationParticipants(participants, newParticipants);
+
+    const updated: Conversation = { ...conversation, participants, updatedAt: Date.now() };
+    await this.db.updateConversation(updated);
+
+    this.emitEvent({
+      type: 'UPDATE_CONVERSATION',
+      payload: { conversation: updated, participants }
+    });
+
+    return updated;
+  }
+
+  /**
+   * @description Leave a group conversation. Its messages stay for the other participants.
+   * The last two participants cannot leave, so that the messages always have someone to read them.
+   */
+  public async leaveConversation(conversationId: string, userId: string): Promise<Conversation> {
+    const conversation = await this.getGroupConversationOrThrow(conversationId, userId);
+    if (conversation.participants.length <= 2)
+      throw new Error('Group conversations need at least two participants');
+
+    const updated: Conversation = {
+      ...conversation,
+      participants: conversation.participants.filter((id) => id !== userId),
+      updatedAt: Date.now()
+    };
+    await this.db.updateConversation(updated);
+
+    // The user who left is told as well, so their other sessions can drop the conversation
+    this.emitEvent({
+      type: 'UPDATE_CONVERSATION',
+      payload: { conversation: updated, participants: conversation.participants }
+    });
+
+    return updated;
+  }
+
+  private async getGroupConversationOrThrow(
+    conversationId: string,
+    userId: string
+  ): Promise<Conversation> {
+    const conversation = await this.getConversationById(conversationId);
+    if (!conversation) throw new Error('Conversation not found');
+    if (!conversation.participants.includes(userId))
+      throw new Error('You are not a participant in this conversation');
+    if (!conversation.isGroup) throw new Error('This is not a group conversation');
+
+    return conversation;
+  }
+
+  /**
+   * @description Check the size of a conversation, and that the users being added exist.
+   */
+  private async validateConversationParticipants(
+    participants: string[],
+    userIds: string[] = participants
+  ): Promise<void> {
+    const maxParticipants = MikroChat.maxConversationParticipants;
+    if (participants.length > maxParticipants)
+      throw new Error(`Conversations can have at most ${maxParticipants} participants`);
+
+    for (const userId of userIds)
+      if (!(await this.getUserById(userId))) throw new Error(`User not found: ${userId}`);
+  }
+
   /**
    * @description Get a conversation by ID.
    */
@@ -1128,13 +2270,11 @@ export class MikroChat {
     const options = Array.isArray(imagesOrOptions) ? { images: imagesOrOptions } : imagesOrOptions;
     const now = Date.now();
     const messageContent = content || '';
+    const poll = options.poll ? MikroChat.createPoll(messageContent, options.poll, now) : undefined;
 
     const message: Message = {
       id: this.id.custom(idName),
-      author: {
-        id: authorId,
-        userName: user.userName
-      },
+      author: MikroChat.getAuthor(user),
       images: options.images || [],
       attachments: options.attachments || [],
       quotedMessageId: options.quotedMessageId,
@@ -1143,7 +2283,9 @@ export class MikroChat {
       channelId: conversationId, // Reuse channelId for conversation ID
       createdAt: now,
       updatedAt: now,
-      reactions: {}
+      reactions: {},
+      poll,
+      forwardedFrom: options.forwardedFrom
     };
 
     await this.db.createMessage(message);
@@ -1158,6 +2300,8 @@ export class MikroChat {
       payload: { ...message, participants: conversation.participants }
     });
 
+    this.clearTyping(user, conversationId, undefined, conversation.participants);
+
     return message;
   }
 
@@ -1200,6 +2344,7 @@ export class MikroChat {
     let removedAttachments: FileAttachment[] = [];
 
     if (content !== undefined) {
+      await this.recordMessageRevision(message, content);
       message.content = content;
       message.mentions = await this.resolveMentions(content);
     }
@@ -1229,7 +2374,8 @@ export class MikroChat {
       payload: { ...message, participants }
     });
 
-    return { message, removedImages, removedAttachments };
+    const unshared = await this.getUnsharedFiles([message.id], removedImages, removedAttachments);
+    return { message, removedImages: unshared.images, removedAttachments: unshared.attachments };
   }
 
   /**
@@ -1246,10 +2392,12 @@ export class MikroChat {
     // Only the author can delete DM messages (privacy)
     if (message.author.id !== userId) throw new Error('You can only delete your own messages');
 
+    await this.requireNoMessageLegalHold([message]);
+
     const conversation = await this.getConversationById(message.channelId);
     const participants = conversation?.participants || [userId, ''];
 
-    await this.db.deleteMessage(id);
+    await this.moveToTrash(message, userId);
 
     this.emitEvent({
       type: 'DELETE_DM_MESSAGE',
@@ -1280,7 +2428,7 @@ export class MikroChat {
     if (parentMessage.threadId) throw new Error('Cannot create a thread on a thread reply');
 
     if (!parentMessage.channelId.startsWith('dm:'))
-      await this.requireChannelAccess(parentMessage.channelId, authorId);
+      await this.requireChannelWriteAccess(parentMessage.channelId, authorId);
 
     const options = Array.isArray(imagesOrOptions) ? { images: imagesOrOptions } : imagesOrOptions;
 
@@ -1289,10 +2437,7 @@ export class MikroChat {
 
     const reply: Message = {
       id: this.id.custom(idName),
-      author: {
-        id: authorId,
-        userName: user.userName
-      },
+      author: MikroChat.getAuthor(user),
       images: options.images || [],
       attachments: options.attachments || [],
       quotedMessageId: options.quotedMessageId,
@@ -1333,6 +2478,14 @@ export class MikroChat {
       }
     });
 
+    const conversation = parentMessage.channelId.startsWith('dm:')
+      ? await this.getConversationById(parentMessage.channelId)
+      : null;
+    this.clearTyping(user, parentMessage.channelId, parentMessageId, conversation?.participants);
+
+    const mentioned = await this.recordMentionActivity(reply);
+    await this.recordThreadReplyActivity(reply, parentMessage, mentioned);
+
     return { reply, parentMessage };
   }
 
@@ -1374,7 +2527,7 @@ export class MikroChat {
     if (message.author.id !== userId) throw new Error('You can only edit your own messages');
 
     if (!message.channelId.startsWith('dm:'))
-      await this.requireChannelAccess(message.channelId, userId);
+      await this.requireChannelWriteAccess(message.channelId, userId);
 
     const options = Array.isArray(imagesOrOptions)
       ? { images: imagesOrOptions }
@@ -1383,7 +2536,9 @@ export class MikroChat {
     let removedImages: string[] = [];
     let removedAttachments: FileAttachment[] = [];
 
+    const previousMentions = message.mentions || [];
     if (content !== undefined) {
+      await this.recordMessageRevision(message, content);
       message.content = content;
       message.mentions = await this.resolveMentions(content);
     }
@@ -1410,11 +2565,15 @@ export class MikroChat {
       payload: message
     });
 
-    return { message, removedImages, removedAttachments };
+    await this.recordMentionActivity(message, previousMentions);
+
+    const unshared = await this.getUnsharedFiles([message.id], removedImages, removedAttachments);
+    return { message, removedImages: unshared.images, removedAttachments: unshared.attachments };
   }
 
   /**
    * @description Delete a thread reply. Updates the parent's threadMeta.
+   * The reply is moved to the trash, where admins can restore it.
    */
   public async deleteThreadReply(id: string, userId: string): Promise<void> {
     const message = await this.getMessageById(id);
@@ -1425,171 +2584,2604 @@ export class MikroChat {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
 
-    if (message.author.id !== userId && !user.isAdmin)
+    if (message.author.id !== userId && !(await this.canModerateMessage(message, user)))
       throw new Error('You can only delete your own messages');
 
     if (!message.channelId.startsWith('dm:'))
-      await this.requireChannelAccess(message.channelId, userId);
+      await this.requireChannelWriteAccess(message.channelId, userId);
+
+    await this.requireNoMessageLegalHold([message]);
 
     const parentMessageId = message.threadId;
-    await this.db.deleteMessage(id);
+    await this.moveToTrash(message, userId);
 
     const parentMessage = await this.getMessageById(parentMessageId);
-    let threadMeta: ThreadMeta | null = null;
+    const threadMeta = parentMessage ? await this.refreshThreadMeta(parentMessage) : null;
 
-    if (parentMessage) {
-      const remainingReplies = await this.db.listMessagesByThread(parentMessageId);
-
-      if (remainingReplies.length === 0) {
-        delete parentMessage.threadMeta;
-      } else {
-        const lastReply = remainingReplies[remainingReplies.length - 1];
-        const participants = [...new Set(remainingReplies.map((r) => r.author.id))];
-
-        parentMessage.threadMeta = {
-          replyCount: remainingReplies.length,
-          lastReplyAt: lastReply.createdAt,
-          lastReplyBy: lastReply.author,
-          participants
-        };
+    this.emitEvent({
+      type: 'DELETE_THREAD_REPLY',
+      payload: {
+        id,
+        threadId: parentMessageId,
+        channelId: message.channelId,
+        threadMeta
+      }
+    });
+  }
+
+  /**
+   * @description Recalculate a parent message's thread metadata from
+   * the replies currently stored, and persist it.
+   */
+  private async refreshThreadMeta(parentMessage: Message): Promise<ThreadMeta | null> {
+    const replies = await this.db.listMessagesByThread(parentMessage.id);
+
+    if (replies.length === 0) {
+      delete parentMessage.threadMeta;
+    } else {
+      const lastReply = replies[replies.length - 1];
+      const participants = [...new Set(replies.map((r) => r.author.id))];
+
+      parentMessage.threadMeta = {
+        replyCount: replies.length,
+        lastReplyAt: lastReply.createdAt,
+        lastReplyBy: lastReply.author,
+        participants
+      };
+    }
+
+    parentMessage.updatedAt = Date.now();
+    await this.db.updateMessage(parentMessage);
+
+    return parentMessage.threadMeta || null;
+  }
+
+  ////////////////////////
+  // Read state methods //
+  ////////////////////////
+
+  /**
+   * @description Check that the user can read the target and get its messages, oldest first.
+   */
+  private async getReadTargetMessages(
+    targetType: ReadTargetType,
+    targetId: string,
+    userId: string
+  ): Promise<Message[]> {
+    if (targetType === 'channel') {
+      await this.requireChannelAccess(targetId, userId);
+      return await this.db.listMessagesByChannel(targetId);
+    }
+
+    if (targetType === 'conversation') {
+      const conversation = await this.getConversationById(targetId);
+      if (!conversation) throw new Error('Conversation not found');
+      if (!conversation.participants.includes(userId))
+        throw new Error('You are not a participant in this conversation');
+      return await this.db.listMessagesByConversation(targetId);
+    }
+
+    if (targetType === 'thread') {
+      const parentMessage = await this.getMessageById(targetId);
+      if (!parentMessage) throw new Error('Parent message not found');
+      await this.requireMessageAccess(parentMessage, userId);
+      return await this.db.listMessagesByThread(targetId);
+    }
+
+    throw new Error('Invalid read target type');
+  }
+
+  private async saveReadState(
+    userId: string,
+    targetType: ReadTargetType,
+    targetId: string,
+    lastReadAt: number,
+    lastReadMessageId?: string
+  ): Promise<ReadState> {
+    const readState: ReadState = {
+      userId,
+      targetType,
+      targetId,
+      lastReadMessageId,
+      lastReadAt,
+      updatedAt: Date.now()
+    };
+
+    await this.db.setReadState(readState);
+
+    this.emitEvent({ type: 'READ_STATE_UPDATE', payload: readState });
+
+    return readState;
+  }
+
+  /**
+   * @description Mark a channel, conversation or thread as read up to a message,
+   * or up to the latest message when none is given.
+   */
+  public async markAsRead(
+    userId: string,
+    targetType: ReadTargetType,
+    targetId: string,
+    messageId?: string
+  ): Promise<ReadState> {
+    const messages = await this.getReadTargetMessages(targetType, targetId, userId);
+
+    const lastRead = messageId
+      ? messages.find((message) => message.id === messageId)
+      : messages[messages.length - 1];
+    if (messageId && !lastRead) throw new Error('Message not found');
+
+    return await this.saveReadState(
+      userId,
+      targetType,
+      targetId,
+      lastRead?.createdAt ?? Date.now(),
+      lastRead?.id
+    );
+  }
+
+  /**
+   * @description Mark a message and everything after it as unread.
+   */
+  public async markAsUnread(
+    userId: string,
+    targetType: ReadTargetType,
+    targetId: string,
+    messageId: string
+  ): Promise<ReadState> {
+    const messages = await this.getReadTargetMessages(targetType, targetId, userId);
+
+    const index = messages.findIndex((message) => message.id === messageId);
+    if (index === -1) throw new Error('Message not found');
+
+    return await this.saveReadState(
+      userId,
+      targetType,
+      targetId,
+      messages[index].createdAt - 1,
+      messages[index - 1]?.id
+    );
+  }
+
+  /**
+   * @description Count unread messages and mentions in every channel and conversation
+   * the user can see, and in the threads they started or replied to.
+   * Places the user has never opened count from when the user joined.
+   */
+  public async getUnreadCounts(userId: string): Promise<UnreadCount[]> {
+    const user = await this.getUserOrThrow(userId);
+
+    const readStates = await this.db.listReadStates(userId);
+    const lastReadAt = new Map(readStates.map((state) => [state.targetId, state.lastReadAt]));
+
+    const messages = await this.db.listMessages();
+    const messageMap = new Map(messages.map((message) => [message.id, message]));
+    const channels = await this.db.listChannels();
+    const visibleChannelIds = new Set(
+      channels.filter(await this.getChannelAccessCheck(user)).map((c) => c.id)
+    );
+    const conversations = await this.db.listConversationsForUser(userId);
+    const conversationIds = new Set(conversations.map((conversation) => conversation.id));
+
+    const canSee = (channelId: string) =>
+      channelId.startsWith('dm:')
+        ? conversationIds.has(channelId)
+        : visibleChannelIds.has(channelId);
+
+    const counts = new Map<string, UnreadCount>();
+
+    for (const message of messages) {
+      if (message.author.id === userId) continue;
+
+      let unreadCount: UnreadCount;
+
+      if (message.threadId) {
+        const parentMessage = messageMap.get(message.threadId);
+        if (!parentMessage || !canSee(parentMessage.channelId)) continue;
+
+        const isParticipant =
+          parentMessage.author.id === userId ||
+          Boolean(parentMessage.threadMeta?.participants.includes(userId));
+        if (!isParticipant) continue;
+
+        unreadCount = {
+          targetType: 'thread',
+          targetId: message.threadId,
+          channelId: parentMessage.channelId,
+          unreadCount: 0,
+          mentionCount: 0
+        };
+      } else {
+        if (!canSee(message.channelId)) continue;
+
+        unreadCount = {
+          targetType: message.channelId.startsWith('dm:') ? 'conversation' : 'channel',
+          targetId: message.channelId,
+          unreadCount: 0,
+          mentionCount: 0
+        };
+      }
+
+      const readSince = lastReadAt.get(unreadCount.targetId) ?? user.createdAt;
+      if (message.createdAt <= readSince) continue;
+
+      const count = counts.get(unreadCount.targetId) || unreadCount;
+      count.unreadCount++;
+      if (message.mentions?.some((id) => id === userId || id === '@channel' || id === '@here'))
+        count.mentionCount++;
+      counts.set(count.targetId, count);
+    }
+
+    return [...counts.values()];
+  }
+
+  ///////////////////////
+  // Typing indicators //
+  ///////////////////////
+
+  private static getTypingKey(userId: string, channelId: string, threadId?: string): string {
+    return `${userId}:${channelId}:${threadId || ''}`;
+  }
+
+  /**
+   * @description Check that the user can write where they are typing,
+   * and get the participants when it is a conversation.
+   */
+  private async getTypingParticipants(
+    userId: string,
+    channelId: string,
+    threadId?: string
+  ): Promise<string[] | undefined> {
+    if (threadId) {
+      const parentMessage = await this.getMessageById(threadId);
+      if (!parentMessage || parentMessage.channelId !== channelId)
+        throw new Error('Parent message not found');
+    }
+
+    if (channelId.startsWith('dm:')) {
+      const conversation = await this.getConversationById(channelId);
+      if (!conversation) throw new Error('Conversation not found');
+      if (!conversation.participants.includes(userId))
+        throw new Error('You are not a participant in this conversation');
+      return conversation.participants;
+    }
+
+    await this.requireChannelWriteAccess(channelId, userId);
+  }
+
+  private emitTyping(
+    user: { id: string; userName: string },
+    channelId: string,
+    threadId: string | undefined,
+    isTyping: boolean,
+    participants?: string[]
+  ): void {
+    const now = Date.now();
+
+    this.emitEvent({
+      type: 'TYPING',
+      payload: {
+        userId: user.id,
+        userName: user.userName,
+        channelId,
+        threadId,
+        isTyping,
+        expiresAt: isTyping ? now + MikroChat.typingExpiryMs : now,
+        participants
+      }
+    });
+  }
+
+  /**
+   * @description Stop showing a user as typing once their message is sent.
+   */
+  private clearTyping(
+    user: { id: string; userName: string },
+    channelId: string,
+    threadId?: string,
+    participants?: string[]
+  ): void {
+    if (!this.typing.delete(MikroChat.getTypingKey(user.id, channelId, threadId))) return;
+    this.emitTyping(user, channelId, threadId, false, participants);
+  }
+
+  /**
+   * @description Show that a user is typing in a channel, conversation or thread.
+   * Repeated calls are throttled, and clients drop the indicator at `expiresAt`
+   * unless it is refreshed, so an abandoned draft stops showing by itself.
+   */
+  public async setTyping(
+    userId: string,
+    channelId: string,
+    threadId?: string,
+    isTyping = true
+  ): Promise<void> {
+    const user = await this.getUserOrThrow(userId);
+    const participants = await this.getTypingParticipants(userId, channelId, threadId);
+
+    const now = Date.now();
+    for (const [key, emittedAt] of this.typing) {
+      if (emittedAt + MikroChat.typingExpiryMs <= now) this.typing.delete(key);
+    }
+
+    if (!isTyping) {
+      this.clearTyping(user, channelId, threadId, participants);
+      return;
+    }
+
+    const key = MikroChat.getTypingKey(userId, channelId, threadId);
+    const lastEmittedAt = this.typing.get(key);
+    if (lastEmittedAt && now - lastEmittedAt < MikroChat.typingThrottleMs) return;
+
+    this.typing.set(key, now);
+    this.emitTyping(user, channelId, threadId, true, participants);
+  }
+
+  ///////////////////
+  // Trash methods //
+  ///////////////////
+
+  private async moveToTrash(
+    message: Message,
+    deletedBy: string,
+    replies: Message[] = []
+  ): Promise<void> {
+    await this.db.trashMessage({
+      id: message.id,
+      message,
+      replies,
+      deletedAt: Date.now(),
+      deletedBy
+    });
+  }
+
+  /**
+   * @description List deleted messages that can still be restored.
+   * Only available to admins.
+   */
+  public async listTrashedMessages(userId: string): Promise<TrashedMessage[]> {
+    await this.requirePermission(
+      userId,
+      'trash.manage',
+      'Only administrators can view deleted messages'
+    );
+
+    return this.db.listTrashedMessages();
+  }
+
+  /**
+   * @description Restore a deleted message, including any thread replies
+   * deleted with it. Clients are told about it through the same events
+   * they get for a newly posted message.
+   */
+  public async restoreTrashedMessage(id: string, userId: string): Promise<Message> {
+    await this.requirePermission(
+      userId,
+      'trash.manage',
+      'Only administrators can restore deleted messages'
+    );
+
+    const trashedMessage = await this.db.getTrashedMessage(id);
+    if (!trashedMessage) throw new Error('Deleted message not found');
+
+    const { message } = trashedMessage;
+    const isDirectMessage = message.channelId.startsWith('dm:');
+
+    const parentMessage = message.threadId ? await this.getMessageById(message.threadId) : null;
+    if (message.threadId && !parentMessage)
+      throw new Error('The thread this reply belonged to no longer exists');
+
+    const conversation = isDirectMessage
+      ? await this.getConversationById(message.channelId)
+      : null;
+    if (isDirectMessage && !conversation) throw new Error('Conversation not found');
+
+    if (!isDirectMessage && !(await this.db.getChannelById(message.channelId)))
+      throw new Error('Channel not found');
+
+    await this.db.restoreTrashedMessage(id);
+
+    if (parentMessage) {
+      const threadMeta = await this.refreshThreadMeta(parentMessage);
+
+      this.emitEvent({
+        type: 'NEW_THREAD_REPLY',
+        payload: {
+          parentMessageId: parentMessage.id,
+          channelId: message.channelId,
+          reply: message,
+          threadMeta: threadMeta as ThreadMeta
+        }
+      });
+    } else if (conversation) {
+      this.emitEvent({
+        type: 'NEW_DM_MESSAGE',
+        payload: { ...message, participants: conversation.participants }
+      });
+    } else {
+      this.emitEvent({
+        type: 'NEW_MESSAGE',
+        payload: message
+      });
+    }
+
+    await this.recordAudit('message.restore', userId, 'message', message.id, {
+      channelId: message.channelId,
+      authorId: message.author.id,
+      replyCount: trashedMessage.replies.length
+    });
+
+    return message;
+  }
+
+  /**
+   * @description Permanently remove trashed messages, and their images,
+   * files and activity, once they are older than the trash retention period.
+   */
+  public async purgeExpiredTrash(now = Date.now()): Promise<number> {
+    const millisecondsPerDay = 24 * 60 * 60 * 1000;
+    const retentionDays = this.config.trashRetentionDays ?? 30;
+    const cutoffTimestamp = now - retentionDays * millisecondsPerDay;
+
+    const trashedMessages = await this.db.listTrashedMessages();
+    const holds = await this.getLegalHoldTargets();
+    const expired = trashedMessages.filter(
+      (item) =>
+        item.deletedAt <= cutoffTimestamp &&
+        !MikroChat.isAnyOnLegalHold([item.message, ...item.replies], holds)
+    );
+
+    const purgedIds = new Set<string>();
+
+    for (const item of expired) {
+      await this.db.purgeTrashedMessage(item.id);
+
+      const messages = [item.message, ...item.replies];
+      for (const message of messages) purgedIds.add(message.id);
+
+      const unshared = await this.getUnsharedFiles(
+        messages.map((message) => message.id),
+        messages.flatMap((message) => message.images || []),
+        messages.flatMap((message) => message.attachments || [])
+      );
+      deleteImages(unshared.images);
+      deleteFiles(unshared.attachments);
+    }
+
+    await this.deleteActivityOfMessages(purgedIds);
+
+    return expired.length;
+  }
+
+  ////////////////////////
+  // User group methods //
+  ////////////////////////
+
+  /**
+   * @description Check that a group name can be mentioned and is not taken
+   * by another group, a user or `@channel` and `@here`.
+   */
+  private async validateUserGroupName(name: string, groupId?: string): Promise<string> {
+    const normalized = name?.trim().replace(/^@/, '').toLowerCase();
+    if (!normalized) throw new Error('Group name is required');
+    if (!/^[a-z0-9_.-]+$/.test(normalized))
+      throw new Error(
+        'Group names can only contain letters, numbers, dots, dashes and underscores'
+      );
+    if (normalized === 'channel' || normalized === 'here')
+      throw new Error(`@${normalized} is reserved`);
+
+    const userGroups = await this.db.listUserGroups();
+    if (userGroups.some((group) => group.name === normalized && group.id !== groupId))
+      throw new Error('A group with this name already exists');
+
+    const users = await this.db.listUsers();
+    if (users.some((user) => user.userName.toLowerCase() === normalized))
+      throw new Error('A user already has this name');
+
+    return normalized;
+  }
+
+  private async validateUserGroupMembers(members: string[]): Promise<string[]> {
+    if (!Array.isArray(members)) throw new Error('Members must be a list of user IDs');
+
+    const uniqueMembers = [...new Set(members)];
+    for (const memberId of uniqueMembers) {
+      if (!(await this.getUserById(memberId))) throw new Error(`User not found: ${memberId}`);
+    }
+
+    return uniqueMembers;
+  }
+
+  /**
+   * @description List all user groups. Available to everyone, so they can be mentioned.
+   */
+  public async listUserGroups(): Promise<UserGroup[]> {
+    return this.db.listUserGroups();
+  }
+
+  /**
+   * @description Create a group that can be mentioned, such as `@backend`. Admin only.
+   */
+  public async createUserGroup(
+    name: string,
+    members: string[],
+    userId: string,
+    description?: string
+  ): Promise<UserGroup> {
+    await this.requirePermission(
+      userId,
+      'user-groups.manage',
+      'Only administrators can create user groups'
+    );
+
+    const userGroup: UserGroup = {
+      id: this.id.custom(idName),
+      name: await this.validateUserGroupName(name),
+      description: description?.trim() || undefined,
+      members: await this.validateUserGroupMembers(members),
+      createdAt: Date.now(),
+      createdBy: userId
+    };
+
+    await this.db.createUserGroup(userGroup);
+    await this.recordAudit('user-group.create', userId, 'user-group', userGroup.id, {
+      name: userGroup.name
+    });
+
+    this.emitEvent({ type: 'NEW_USER_GROUP', payload: userGroup });
+
+    return userGroup;
+  }
+
+  /**
+   * @description Rename a user group, or change its description or members. Admin only.
+   */
+  public async updateUserGroup(
+    groupId: string,
+    updates: { name?: string; description?: string; members?: string[] },
+    userId: string
+  ): Promise<UserGroup> {
+    await this.requirePermission(
+      userId,
+      'user-groups.manage',
+      'Only administrators can update user groups'
+    );
+
+    const userGroup = await this.db.getUserGroupById(groupId);
+    if (!userGroup) throw new Error('User group not found');
+
+    const updatedGroup: UserGroup = { ...userGroup, updatedAt: Date.now() };
+    if (updates.name !== undefined)
+      updatedGroup.name = await this.validateUserGroupName(updates.name, groupId);
+    if (updates.description !== undefined)
+      updatedGroup.description = updates.description.trim() || undefined;
+    if (updates.members !== undefined)
+      updatedGroup.members = await this.validateUserGroupMembers(updates.members);
+
+    await this.db.updateUserGroup(updatedGroup);
+    await this.recordAudit('user-group.update', userId, 'user-group', groupId, {
+      name: updatedGroup.name
+    });
+
+    this.emitEvent({ type: 'UPDATE_USER_GROUP', payload: updatedGroup });
+
+    return updatedGroup;
+  }
+
+  /**
+   * @description Delete a user group. Admin only.
+   */
+  public async deleteUserGroup(groupId: string, userId: string): Promise<void> {
+    await this.requirePermission(
+      userId,
+      'user-groups.manage',
+      'Only administrators can delete user groups'
+    );
+
+    const userGroup = await this.db.getUserGroupById(groupId);
+    if (!userGroup) throw new Error('User group not found');
+
+    await this.db.deleteUserGroup(groupId);
+    await this.recordAudit('user-group.delete', userId, 'user-group', groupId, {
+      name: userGroup.name
+    });
+
+    this.emitEvent({ type: 'DELETE_USER_GROUP', payload: { id: groupId } });
+  }
+
+  //////////////////
+  // Role methods //
+  //////////////////
+
+  private async validateRoleName(name: string, roleId?: string): Promise<string> {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new Error('Role name is required');
+
+    const normalized = trimmed.toLowerCase();
+    if (normalized === 'admin' || normalized === 'user')
+      throw new Error('Admin and User are built-in roles');
+
+    const roles = await this.db.listRoles();
+    if (roles.some((role) => role.id !== roleId && role.name.toLowerCase() === normalized))
+      throw new Error('A role with this name already exists');
+
+    return trimmed;
+  }
+
+  private static validatePermissions(permissions: Permission[]): Permission[] {
+    if (!Array.isArray(permissions)) throw new Error('Permissions must be a list');
+
+    for (const permission of permissions) {
+      if (!MikroChat.permissions.includes(permission))
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * @description List all custom roles. Available to everyone, so roles can be shown for users.
+   */
+  public async listRoles(): Promise<Role[]> {
+    return this.db.listRoles();
+  }
+
+  /**
+   * @description Create a role that grants a set of permissions. Needs `roles.manage`.
+   */
+  public async createRole(
+    name: string,
+    permissions: Permission[],
+    userId: string,
+    description?: string
+  ): Promise<Role> {
+    const user = await this.requirePermission(
+      userId,
+      'roles.manage',
+      'Only administrators can create roles'
+    );
+
+    const validPermissions = MikroChat.validatePermissions(permissions);
+    await this.requireGrantablePermissions(user, validPermissions);
+
+    const role: Role = {
+      id: this.id.custom(idName),
+      name: await this.validateRoleName(name),
+      description: description?.trim() || undefined,
+      permissions: validPermissions,
+      createdAt: Date.now(),
+      createdBy: userId
+    };
+
+    await this.db.createRole(role);
+    await this.recordAudit('role.create', userId, 'role', role.id, { name: role.name });
+
+    this.emitEvent({ type: 'NEW_ROLE', payload: role });
+
+    return role;
+  }
+
+  /**
+   * @description Rename a role, or change its description or permissions. Needs `roles.manage`.
+   */
+  public async updateRole(
+    roleId: string,
+    updates: { name?: string; description?: string; permissions?: Permission[] },
+    userId: string
+  ): Promise<Role> {
+    const user = await this.requirePermission(
+      userId,
+      'roles.manage',
+      'Only administrators can update roles'
+    );
+
+    const role = await this.db.getRoleById(roleId);
+    if (!role) throw new Error('Role not found');
+
+    const updatedRole: Role = { ...role, updatedAt: Date.now() };
+    if (updates.name !== undefined)
+      updatedRole.name = await this.validateRoleName(updates.name, roleId);
+    if (updates.description !== undefined)
+      updatedRole.description = updates.description.trim() || undefined;
+    if (updates.permissions !== undefined) {
+      updatedRole.permissions = MikroChat.validatePermissions(updates.permissions);
+
+      // Permissions that the role already has can be kept
+      await this.requireGrantablePermissions(
+        user,
+        updatedRole.permissions.filter((permission) => !role.permissions.includes(permission))
+      );
+    }
+
+    await this.db.updateRole(updatedRole);
+    await this.recordAudit('role.update', userId, 'role', roleId, {
+      name: updatedRole.name,
+      permissions: updatedRole.permissions
+    });
+
+    this.emitEvent({ type: 'UPDATE_ROLE', payload: updatedRole });
+
+    return updatedRole;
+  }
+
+  /**
+   * @description Delete a role. Its users become regular users. Needs `roles.manage`.
+   */
+  public async deleteRole(roleId: string, userId: string): Promise<void> {
+    await this.requirePermission(userId, 'roles.manage', 'Only administrators can delete roles');
+
+    const role = await this.db.getRoleById(roleId);
+    if (!role) throw new Error('Role not found');
+
+    for (const user of await this.db.listUsers()) {
+      if (user.roleId !== roleId) continue;
+
+      const updatedUser = { ...user };
+      delete updatedUser.roleId;
+      await this.createUser(updatedUser);
+      this.emitUserUpdate(updatedUser);
+    }
+
+    await this.db.deleteRole(roleId);
+    await this.recordAudit('role.delete', userId, 'role', roleId, { name: role.name });
+
+    this.emitEvent({ type: 'DELETE_ROLE', payload: { id: roleId } });
+  }
+
+  ////////////////////////
+  // Legal hold methods //
+  ////////////////////////
+
+  private async getLegalHoldTargets(): Promise<LegalHoldTargets> {
+    const legalHolds = await this.db.listLegalHolds();
+
+    return {
+      channelIds: new Set(
+        legalHolds.filter((hold) => hold.targetType !== 'user').map((hold) => hold.targetId)
+      ),
+      userIds: new Set(
+        legalHolds.filter((hold) => hold.targetType === 'user').map((hold) => hold.targetId)
+      )
+    };
+  }
+
+  /**
+   * @description Check whether any of the messages is covered by a hold on
+   * its channel or conversation (both are stored as `channelId`) or its author.
+   */
+  private static isAnyOnLegalHold(messages: Message[], holds: LegalHoldTargets): boolean {
+    return messages.some(
+      (message) => holds.channelIds.has(message.channelId) || holds.userIds.has(message.author.id)
+    );
+  }
+
+  private async requireNoMessageLegalHold(messages: Message[]): Promise<void> {
+    const holds = await this.getLegalHoldTargets();
+    if (MikroChat.isAnyOnLegalHold(messages, holds))
+      throw new Error('This message is under legal hold and cannot be deleted');
+  }
+
+  /**
+   * @description List all active legal holds. Only available to admins.
+   */
+  public async listLegalHolds(userId: string): Promise<LegalHold[]> {
+    await this.requirePermission(
+      userId,
+      'legal-holds.manage',
+      'Only administrators can view legal holds'
+    );
+
+    return this.db.listLegalHolds();
+  }
+
+  /**
+   * @description Place a legal hold on a channel, conversation or user.
+   * Held messages are exempt from retention cleanup and cannot be deleted.
+   */
+  public async placeLegalHold(
+    targetType: LegalHoldTargetType,
+    targetId: string,
+    userId: string,
+    reason?: string
+  ): Promise<LegalHold> {
+    await this.requirePermission(
+      userId,
+      'legal-holds.manage',
+      'Only administrators can place legal holds'
+    );
+
+    if (!['channel', 'conversation', 'user'].includes(targetType))
+      throw new Error('Legal holds can only be placed on channels, conversations or users');
+    if (targetType === 'channel' && !(await this.db.getChannelById(targetId)))
+      throw new Error('Channel not found');
+    if (targetType === 'conversation' && !(await this.getConversationById(targetId)))
+      throw new Error('Conversation not found');
+    if (targetType === 'user' && !(await this.getUserById(targetId)))
+      throw new Error('User not found');
+
+    const legalHolds = await this.db.listLegalHolds();
+    if (legalHolds.some((hold) => hold.targetType === targetType && hold.targetId === targetId))
+      throw new Error('This target is already under legal hold');
+
+    const legalHold: LegalHold = {
+      id: this.id.custom(idName),
+      targetType,
+      targetId,
+      reason: reason?.trim() || undefined,
+      createdAt: Date.now(),
+      createdBy: userId
+    };
+
+    await this.db.createLegalHold(legalHold);
+    await this.recordAudit('legal-hold.place', userId, targetType, targetId, {
+      holdId: legalHold.id,
+      reason: legalHold.reason
+    });
+
+    return legalHold;
+  }
+
+  /**
+   * @description Release a legal hold so normal retention and deletion apply again.
+   */
+  public async releaseLegalHold(holdId: string, userId: string): Promise<void> {
+    await this.requirePermission(
+      userId,
+      'legal-holds.manage',
+      'Only administrators can release legal holds'
+    );
+
+    const legalHold = await this.db.getLegalHoldById(holdId);
+    if (!legalHold) throw new Error('Legal hold not found');
+
+    await this.db.deleteLegalHold(holdId);
+    await this.recordAudit('legal-hold.release', userId, legalHold.targetType, legalHold.targetId, {
+      holdId,
+      reason: legalHold.reason
+    });
+  }
+
+  ///////////////////////////////
+  // Scheduled message methods //
+  ///////////////////////////////
+
+  private static validateScheduledTime(scheduledFor: number): void {
+    if (typeof scheduledFor !== 'number' || !Number.isFinite(scheduledFor))
+      throw new Error('A valid scheduled time is required');
+    if (scheduledFor <= Date.now()) throw new Error('Scheduled time must be in the future');
+  }
+
+  private async requireScheduleTargetAccess(channelId: string, userId: string): Promise<void> {
+    if (channelId.startsWith('dm:')) {
+      const conversation = await this.getConversationById(channelId);
+      if (!conversation) throw new Error('Conversation not found');
+      if (!conversation.participants.includes(userId))
+        throw new Error('You are not a participant in this conversation');
+      return;
+    }
+
+    await this.requireChannelWriteAccess(channelId, userId);
+  }
+
+  private async getOwnScheduledMessage(id: string, userId: string): Promise<ScheduledMessage> {
+    const scheduledMessage = await this.db.getScheduledMessageById(id);
+    if (!scheduledMessage) throw new Error('Scheduled message not found');
+    if (scheduledMessage.authorId !== userId)
+      throw new Error('You can only manage your own scheduled messages');
+    return scheduledMessage;
+  }
+
+  /**
+   * @description Schedule a message to be posted to a channel or
+   * conversation (`dm:...`) at a future time.
+   */
+  public async scheduleMessage(
+    content: string,
+    authorId: string,
+    channelId: string,
+    scheduledFor: number,
+    options: MessageCreateOptions = {}
+  ): Promise<ScheduledMessage> {
+    await this.getUserOrThrow(authorId);
+
+    MikroChat.validateScheduledTime(scheduledFor);
+
+    if (!content && !options.images?.length && !options.attachments?.length)
+      throw new Error('Message content is required');
+
+    await this.requireScheduleTargetAccess(channelId, authorId);
+
+    const scheduledMessage: ScheduledMessage = {
+      id: this.id.custom(idName),
+      authorId,
+      channelId,
+      content: content || '',
+      images: options.images || [],
+      attachments: options.attachments || [],
+      quotedMessageId: options.quotedMessageId,
+      scheduledFor,
+      createdAt: Date.now()
+    };
+
+    await this.db.createScheduledMessage(scheduledMessage);
+
+    return scheduledMessage;
+  }
+
+  /**
+   * @description List the pending scheduled messages of a user, soonest first.
+   */
+  public async listScheduledMessages(userId: string): Promise<ScheduledMessage[]> {
+    await this.getUserOrThrow(userId);
+    return await this.db.listScheduledMessagesByAuthor(userId);
+  }
+
+  /**
+   * @description Update the content or time of a pending scheduled message.
+   */
+  public async updateScheduledMessage(
+    id: string,
+    userId: string,
+    options: ScheduledMessageUpdateOptions
+  ): Promise<{
+    scheduledMessage: ScheduledMessage;
+    removedImages: string[];
+    removedAttachments: FileAttachment[];
+  }> {
+    const scheduledMessage = await this.getOwnScheduledMessage(id, userId);
+
+    let removedImages: string[] = [];
+    let removedAttachments: FileAttachment[] = [];
+
+    if (options.scheduledFor !== undefined) {
+      MikroChat.validateScheduledTime(options.scheduledFor);
+      scheduledMessage.scheduledFor = options.scheduledFor;
+    }
+    if (options.content !== undefined) scheduledMessage.content = options.content;
+    if (options.images) {
+      const currentImages = scheduledMessage.images || [];
+      removedImages = currentImages.filter((img) => !options.images?.includes(img));
+      scheduledMessage.images = options.images;
+    }
+    if (options.attachments) {
+      const currentAttachments = scheduledMessage.attachments || [];
+      const nextFilenames = new Set(options.attachments.map((a) => a.filename));
+      removedAttachments = currentAttachments.filter(
+        (attachment) => !nextFilenames.has(attachment.filename)
+      );
+      scheduledMessage.attachments = options.attachments;
+    }
+    if (options.quotedMessageId !== undefined)
+      scheduledMessage.quotedMessageId = options.quotedMessageId;
+
+    if (
+      !scheduledMessage.content &&
+      !scheduledMessage.images?.length &&
+      !scheduledMessage.attachments?.length
+    )
+      throw new Error('Message content is required');
+
+    scheduledMessage.updatedAt = Date.now();
+    delete scheduledMessage.error;
+
+    await this.db.updateScheduledMessage(scheduledMessage);
+
+    return { scheduledMessage, removedImages, removedAttachments };
+  }
+
+  /**
+   * @description Cancel a pending scheduled message.
+   * Returns the cancelled item so any uploaded files can be cleaned up.
+   */
+  public async cancelScheduledMessage(id: string, userId: string): Promise<ScheduledMessage> {
+    const scheduledMessage = await this.getOwnScheduledMessage(id, userId);
+    await this.db.deleteScheduledMessage(id);
+    return scheduledMessage;
+  }
+
+  /**
+   * @description Post all scheduled messages that are due, emitting the
+   * regular `NEW_MESSAGE` or `NEW_DM_MESSAGE` events. Items that can no
+   * longer be delivered (e.g. the author lost access) are kept with an `error`,
+   * and are not tried again until the author edits them.
+   *
+   * Each item is removed before it is posted, so a cancellation or another
+   * delivery that happens meanwhile cannot post it a second time.
+   */
+  public async deliverScheduledMessages(now = Date.now()): Promise<Message[]> {
+    const scheduledMessages = await this.db.listScheduledMessages();
+    const dueMessages = scheduledMessages.filter(
+      (item) => item.scheduledFor <= now && !item.error
+    );
+    const delivered: Message[] = [];
+
+    for (const item of dueMessages) {
+      if (this.deliveringScheduledMessages.has(item.id)) continue;
+      this.deliveringScheduledMessages.add(item.id);
+
+      try {
+        await this.deliverScheduledMessage(item, delivered);
+      } finally {
+        this.deliveringScheduledMessages.delete(item.id);
+      }
+    }
+
+    return delivered;
+  }
+
+  private async deliverScheduledMessage(
+    item: ScheduledMessage,
+    delivered: Message[]
+  ): Promise<void> {
+    // Skip items that were cancelled since they were listed
+    if (!(await this.db.getScheduledMessageById(item.id))) return;
+    await this.db.deleteScheduledMessage(item.id);
+
+    const options: MessageCreateOptions = {
+      images: item.images,
+      attachments: item.attachments,
+      quotedMessageId: item.quotedMessageId
+    };
+
+    try {
+      const message = item.channelId.startsWith('dm:')
+        ? await this.createDirectMessage(item.content, item.authorId, item.channelId, options)
+        : await this.createMessage(item.content, item.authorId, item.channelId, options);
+      delivered.push(message);
+    } catch (error) {
+      // Restore the message and keep its files, so the author can see why and edit or cancel it
+      item.error = error instanceof Error ? error.message : 'The message could not be posted';
+      item.updatedAt = Date.now();
+      await this.db.createScheduledMessage(item);
+    }
+  }
+
+  //////////////////////
+  // Reminder methods //
+  //////////////////////
+
+  private static validateReminderTime(remindAt: number): void {
+    if (typeof remindAt !== 'number' || !Number.isFinite(remindAt))
+      throw new Error('A valid reminder time is required');
+    if (remindAt <= Date.now()) throw new Error('Reminder time must be in the future');
+  }
+
+  private async getOwnReminder(id: string, userId: string): Promise<Reminder> {
+    const reminder = await this.db.getReminderById(id);
+    if (!reminder) throw new Error('Reminder not found');
+    if (reminder.userId !== userId) throw new Error('You can only manage your own reminders');
+    return reminder;
+  }
+
+  /**
+   * @description Remind a user about a message, or about a note, at a future time.
+   */
+  public async createReminder(
+    userId: string,
+    remindAt: number,
+    options: { messageId?: string; note?: string } = {}
+  ): Promise<Reminder> {
+    await this.getUserOrThrow(userId);
+
+    MikroChat.validateReminderTime(remindAt);
+
+    const note = options.note?.trim();
+    if (!options.messageId && !note) throw new Error('A reminder needs a message or a note');
+
+    let message: Message | null = null;
+    if (options.messageId) {
+      message = await this.getMessageById(options.messageId);
+      if (!message) throw new Error('Message not found');
+      await this.requireMessageAccess(message, userId);
+    }
+
+    const reminder: Reminder = {
+      id: this.id.custom(idName),
+      userId,
+      messageId: message?.id,
+      channelId: message?.channelId,
+      threadId: message?.threadId,
+      note: note || undefined,
+      remindAt,
+      createdAt: Date.now()
+    };
+
+    await this.db.createReminder(reminder);
+
+    return reminder;
+  }
+
+  /**
+   * @description List a user's reminders, soonest first,
+   * including delivered ones that have not been completed yet.
+   */
+  public async listReminders(userId: string): Promise<Reminder[]> {
+    await this.getUserOrThrow(userId);
+    return await this.db.listRemindersByUser(userId);
+  }
+
+  /**
+   * @description Move a reminder to a later time. Delivered reminders are sent again then.
+   */
+  public async snoozeReminder(id: string, userId: string, remindAt: number): Promise<Reminder> {
+    const reminder = await this.getOwnReminder(id, userId);
+
+    MikroChat.validateReminderTime(remindAt);
+
+    reminder.remindAt = remindAt;
+    reminder.deliveredAt = undefined;
+    reminder.updatedAt = Date.now();
+
+    await this.db.updateReminder(reminder);
+
+    return reminder;
+  }
+
+  /**
+   * @description Mark a reminder as done, removing it.
+   */
+  public async completeReminder(id: string, userId: string): Promise<Reminder> {
+    const reminder = await this.getOwnReminder(id, userId);
+    await this.db.deleteReminder(id);
+    return reminder;
+  }
+
+  /**
+   * @description Send all reminders that are due to their users as a private `REMINDER` event.
+   * The message is included when the user can still read it.
+   */
+  public async deliverDueReminders(now = Date.now()): Promise<Reminder[]> {
+    const reminders = await this.db.listReminders();
+    const dueReminders = reminders.filter(
+      (reminder) => !reminder.deliveredAt && reminder.remindAt <= now
+    );
+
+    for (const reminder of dueReminders) {
+      // Mark before sending so a reminder is never sent twice
+      reminder.deliveredAt = now;
+      await this.db.updateReminder(reminder);
+
+      let message: Message | undefined;
+      if (reminder.messageId) {
+        const remindedMessage = await this.getMessageById(reminder.messageId);
+        if (remindedMessage) {
+          try {
+            await this.requireMessageAccess(remindedMessage, reminder.userId);
+            message = remindedMessage;
+          } catch {
+            // Remind without the message if the user can no longer read it
+          }
+        }
+      }
+
+      this.emitEvent({ type: 'REMINDER', payload: { reminder, message } });
+    }
+
+    return dueReminders;
+  }
+
+  ///////////////////////////
+  // Saved message methods //
+  ///////////////////////////
+
+  /**
+   * @description Save a message to the user's private list.
+   * Saving a message twice keeps it once, with the latest save time.
+   */
+  public async saveMessage(messageId: string, userId: string): Promise<SavedMessage> {
+    await this.getUserOrThrow(userId);
+
+    const message = await this.getMessageById(messageId);
+    if (!message) throw new Error('Message not found');
+    await this.requireMessageAccess(message, userId);
+
+    const savedMessage: SavedMessage = { userId, messageId, savedAt: Date.now() };
+    await this.db.saveMessage(savedMessage);
+
+    return savedMessage;
+  }
+
+  /**
+   * @description Remove a message from the user's saved list.
+   */
+  public async unsaveMessage(messageId: string, userId: string): Promise<void> {
+    await this.getUserOrThrow(userId);
+    await this.db.unsaveMessage(messageId, userId);
+  }
+
+  /**
+   * @description List the user's saved messages, most recently saved first.
+   * Messages that are deleted, or that the user can no longer read, are left out.
+   */
+  public async listSavedMessages(
+    userId: string
+  ): Promise<Array<SavedMessage & { message: Message }>> {
+    await this.getUserOrThrow(userId);
+
+    const savedMessages = await this.db.listSavedMessagesByUser(userId);
+    const items: Array<SavedMessage & { message: Message }> = [];
+
+    for (const savedMessage of savedMessages) {
+      const message = await this.getMessageById(savedMessage.messageId);
+      if (!message) continue;
+
+      try {
+        await this.requireMessageAccess(message, userId);
+        items.push({ ...savedMessage, message });
+      } catch {
+        // Keep the save in case the user gets access back
+      }
+    }
+
+    return items;
+  }
+
+  //////////////////////
+  // Activity methods //
+  //////////////////////
+
+  private async createActivity(
+    activity: Omit<Activity, 'id' | 'createdAt' | 'sequence'>,
+    message: Message
+  ): Promise<void> {
+    const item: Activity = {
+      ...activity,
+      id: this.id.custom(idName),
+      createdAt: Date.now(),
+      sequence: ++this.activitySequence
+    };
+
+    await this.db.createActivity(item);
+    this.emitEvent({ type: 'NEW_ACTIVITY', payload: { activity: item, message } });
+  }
+
+  /**
+   * @description Get the users a message mentions, with `@channel` and `@here`
+   * standing for everyone who can read the channel.
+   */
+  private async getMentionedUserIds(mentions: string[], channel: Channel): Promise<Set<string>> {
+    const userIds = new Set(mentions.filter((id) => !id.startsWith('@')));
+
+    if (mentions.includes('@channel') || mentions.includes('@here')) {
+      const users = await this.db.listUsers();
+      for (const user of users)
+        if (await this.canAccessChannel(channel, user)) userIds.add(user.id);
+    }
+
+    return userIds;
+  }
+
+  /**
+   * @description Add a message to the activity of the users it mentions. Mentions in direct
+   * messages are left out, and for edits only users who were not mentioned before are added.
+   */
+  private async recordMentionActivity(
+    message: Message,
+    previousMentions: string[] = []
+  ): Promise<Set<string>> {
+    if (message.channelId.startsWith('dm:') || !message.mentions?.length) return new Set();
+
+    const channel = await this.db.getChannelById(message.channelId);
+    if (!channel) return new Set();
+
+    const mentioned = await this.getMentionedUserIds(message.mentions, channel);
+    const mentionedBefore = await this.getMentionedUserIds(previousMentions, channel);
+    const recipients = new Set<string>();
+
+    for (const userId of mentioned) {
+      if (userId === message.author.id || mentionedBefore.has(userId)) continue;
+
+      const user = await this.getUserById(userId);
+      if (!user || !(await this.canAccessChannel(channel, user))) continue;
+
+      await this.createActivity(
+        {
+          userId,
+          type: 'mention',
+          actorId: message.author.id,
+          messageId: message.id,
+          channelId: message.channelId,
+          threadId: message.threadId
+        },
+        message
+      );
+      recipients.add(userId);
+    }
+
+    return recipients;
+  }
+
+  /**
+   * @description Tell the author of a message about a reply in its thread,
+   * unless the reply already mentions them.
+   */
+  private async recordThreadReplyActivity(
+    reply: Message,
+    parentMessage: Message,
+    mentioned: Set<string>
+  ): Promise<void> {
+    const userId = parentMessage.author.id;
+    if (userId === reply.author.id || mentioned.has(userId)) return;
+    if (!(await this.getUserById(userId))) return;
+
+    await this.createActivity(
+      {
+        userId,
+        type: 'thread_reply',
+        actorId: reply.author.id,
+        messageId: reply.id,
+        channelId: reply.channelId,
+        threadId: parentMessage.id
+      },
+      reply
+    );
+  }
+
+  /**
+   * @description List the activity of a user, newest first. Activity about messages that
+   * are gone is removed, while messages in the trash or that the user cannot read right now
+   * are only left out.
+   */
+  public async listActivity(
+    userId: string,
+    query: ActivityQuery = {}
+  ): Promise<{
+    items: Array<Activity & { message: Message }>;
+    hasMore: boolean;
+    limit: number;
+    offset: number;
+    total: number;
+    unreadCount: number;
+  }> {
+    await this.getUserOrThrow(userId);
+
+    const limit = Math.min(Math.max(query.limit ?? 25, 1), 100);
+    const offset = Math.max(query.offset ?? 0, 0);
+
+    const activity = await this.db.listActivityByUser(userId);
+    const visible: Array<Activity & { message: Message }> = [];
+    let trashedIds: Set<string> | undefined;
+
+    for (const item of activity) {
+      const message = await this.getMessageById(item.messageId);
+      if (!message) {
+        // Keep the activity of trashed messages in case they are restored
+        trashedIds ??= await this.getTrashedMessageIds();
+        if (!trashedIds.has(item.messageId)) await this.db.deleteActivity(item);
+        continue;
+      }
+
+      try {
+        await this.requireMessageAccess(message, userId);
+        visible.push({ ...item, message });
+      } catch {
+        // Keep the activity in case the user gets access back
+      }
+    }
+
+    const unreadCount = visible.filter((item) => !item.readAt).length;
+    const items = query.unreadOnly ? visible.filter((item) => !item.readAt) : visible;
+
+    return {
+      items: items.slice(offset, offset + limit),
+      hasMore: offset + limit < items.length,
+      limit,
+      offset,
+      total: items.length,
+      unreadCount
+    };
+  }
+
+  private async getTrashedMessageIds(): Promise<Set<string>> {
+    const trashedMessages = await this.db.listTrashedMessages();
+    return new Set(
+      trashedMessages.flatMap((item) => [item.message, ...item.replies].map(({ id }) => id))
+    );
+  }
+
+  /**
+   * @description Remove the activity of all users about messages that are gone for good.
+   */
+  private async deleteActivityOfMessages(messageIds: Set<string>): Promise<void> {
+    if (messageIds.size === 0) return;
+
+    for (const user of await this.db.listUsers()) {
+      for (const item of await this.db.listActivityByUser(user.id)) {
+        if (messageIds.has(item.messageId)) await this.db.deleteActivity(item);
+      }
+    }
+  }
+
+  /**
+   * @description Mark activity as read, or as unread again.
+   * Leave out the activity IDs to mark all of the user's activity.
+   */
+  public async markActivity(
+    userId: string,
+    activityIds?: string[],
+    isRead = true
+  ): Promise<{ unreadCount: number }> {
+    await this.getUserOrThrow(userId);
+
+    const activity = await this.db.listActivityByUser(userId);
+    const selected = activityIds
+      ? activityIds.map((id) => {
+          const item = activity.find((entry) => entry.id === id);
+          if (!item) throw new Error('Activity not found');
+          return item;
+        })
+      : activity;
+
+    const now = Date.now();
+    for (const item of selected) {
+      if (Boolean(item.readAt) === isRead) continue;
+
+      const { readAt: _, ...unread } = item;
+      await this.db.updateActivity(isRead ? { ...unread, readAt: now } : unread);
+    }
+
+    const { unreadCount } = await this.listActivity(userId, { limit: 1 });
+    this.emitEvent({ type: 'ACTIVITY_UPDATE', payload: { userId, unreadCount } });
+
+    return { unreadCount };
+  }
+
+  ////////////////////////
+  // Preference methods //
+  ////////////////////////
+
+  private static validateChannelList(channelIds: unknown, visibleIds: Set<string>): string[] {
+    if (!Array.isArray(channelIds)) throw new Error('Channel lists must be arrays of channel IDs');
+
+    for (const channelId of channelIds) {
+      if (!visibleIds.has(channelId)) throw new Error(`Channel not found: ${channelId}`);
+    }
+
+    return [...new Set(channelIds as string[])];
+  }
+
+  private validateSidebarSections(
+    sections: unknown,
+    currentSections: SidebarSection[],
+    visibleIds: Set<string>
+  ): SidebarSection[] {
+    if (!Array.isArray(sections)) throw new Error('Sections must be an array');
+    if (sections.length > MikroChat.maxSidebarSections)
+      throw new Error(`You can have at most ${MikroChat.maxSidebarSections} sections`);
+
+    const names = new Set<string>();
+    const sectionChannelIds = new Set<string>();
+
+    return sections.map((section: Partial<SidebarSection>) => {
+      const name = typeof section?.name === 'string' ? section.name.trim() : '';
+      if (!name) throw new Error('Section name is required');
+      if (name.length > MikroChat.maxSidebarSectionNameLength)
+        throw new Error(
+          `Section names can be at most ${MikroChat.maxSidebarSectionNameLength} characters`
+        );
+      if (names.has(name.toLowerCase())) throw new Error('A section with this name already exists');
+      names.add(name.toLowerCase());
+
+      const channelIds = MikroChat.validateChannelList(section.channelIds ?? [], visibleIds);
+      for (const channelId of channelIds) {
+        if (sectionChannelIds.has(channelId))
+          throw new Error('A channel can only be in one section');
+        sectionChannelIds.add(channelId);
+      }
+
+      const isExisting = currentSections.some((current) => current.id === section.id);
+      return { id: isExisting ? (section.id as string) : this.id.custom(idName), name, channelIds };
+    });
+  }
+
+  /**
+   * @description Leave out channels that were deleted or that the user can no longer see,
+   * and collapsed sections that no longer exist.
+   */
+  private static pruneSidebar(
+    sidebar: SidebarPreferences,
+    visibleIds: Set<string>
+  ): SidebarPreferences {
+    const isVisible = (channelId: string) => visibleIds.has(channelId);
+    const sectionIds = new Set(['favorites', 'channels', ...sidebar.sections.map(({ id }) => id)]);
+
+    return {
+      favorites: sidebar.favorites.filter(isVisible),
+      sections: sidebar.sections.map((section) => ({
+        ...section,
+        channelIds: section.channelIds.filter(isVisible)
+      })),
+      channelOrder: sidebar.channelOrder.filter(isVisible),
+      collapsed: sidebar.collapsed.filter((id) => sectionIds.has(id))
+    };
+  }
+
+  private async getVisibleChannelIds(userId: string): Promise<Set<string>> {
+    const channels = await this.listChannelsForUser(userId);
+    return new Set(channels.map((channel) => channel.id));
+  }
+
+  /**
+   * @description Get a user's personal preferences, such as how their sidebar is arranged.
+   */
+  public async getPreferences(userId: string): Promise<UserPreferences> {
+    const visibleIds = await this.getVisibleChannelIds(userId);
+    const preferences = await this.db.getUserPreferences(userId);
+    const sidebar: SidebarPreferences = {
+      favorites: [],
+      sections: [],
+      channelOrder: [],
+      collapsed: [],
+      ...preferences?.sidebar
+    };
+
+    return {
+      ...preferences,
+      userId,
+      sidebar: MikroChat.pruneSidebar(sidebar, visibleIds),
+      mutedChannels: (preferences?.mutedChannels || []).filter((id) => visibleIds.has(id))
+    };
+  }
+
+  /**
+   * @description Update a user's personal preferences, and show the change on their other devices.
+   * Each part that is left out is kept. Sections without a known ID are created.
+   */
+  public async updatePreferences(
+    userId: string,
+    update: PreferencesUpdate
+  ): Promise<UserPreferences> {
+    const current = await this.getPreferences(userId);
+    const visibleIds = await this.getVisibleChannelIds(userId);
+    const sidebar = { ...current.sidebar };
+    const changes = update.sidebar || {};
+
+    if (changes.favorites !== undefined)
+      sidebar.favorites = MikroChat.validateChannelList(changes.favorites, visibleIds);
+    if (changes.channelOrder !== undefined)
+      sidebar.channelOrder = MikroChat.validateChannelList(changes.channelOrder, visibleIds);
+    if (changes.sections !== undefined)
+      sidebar.sections = this.validateSidebarSections(
+        changes.sections,
+        current.sidebar.sections,
+        visibleIds
+      );
+    if (changes.collapsed !== undefined) {
+      if (!Array.isArray(changes.collapsed)) throw new Error('Collapsed must be an array');
+      sidebar.collapsed = [...new Set(changes.collapsed)];
+    }
+
+    // Favorites are shown on their own, so they are taken out of the sections
+    sidebar.sections = sidebar.sections.map((section) => ({
+      ...section,
+      channelIds: section.channelIds.filter((channelId) => !sidebar.favorites.includes(channelId))
+    }));
+
+    const mutedChannels =
+      update.mutedChannels !== undefined
+        ? MikroChat.validateChannelList(update.mutedChannels, visibleIds)
+        : current.mutedChannels;
+
+    const preferences: UserPreferences = {
+      userId,
+      sidebar: MikroChat.pruneSidebar(sidebar, visibleIds),
+      mutedChannels,
+      updatedAt: Date.now()
+    };
+
+    await this.db.setUserPreferences(preferences);
+
+    this.emitEvent({ type: 'PREFERENCES_UPDATE', payload: preferences });
+
+    return preferences;
+  }
+
+  /////////////////////
+  // Command methods //
+  /////////////////////
+
+  /**
+   * @description Escape HTML the same way the app does before posting a message,
+   * since messages are stored as they are shown.
+   */
+  private static escapeHtml(text: string): string {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  private static parseCommand(input: string): { name: string; args: string } {
+    const match = input.trim().match(/^\/([a-zA-Z0-9_-]+)(?:\s+([\s\S]*))?$/);
+    if (!match) throw new Error('Commands start with a slash and a name, like /who');
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+  }
+
+  private static getCommandUsage(command: SlashCommand): string {
+    return `Usage: /${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+  }
+
+  /**
+   * @description Add a slash command to the registry, so it can be run in any channel.
+   */
+  public registerCommand(command: CommandDefinition): void {
+    const name = MikroChat.validateCommandName(command.name);
+    if (this.commands.has(name)) throw new Error(`Command already exists: /${name}`);
+
+    this.commands.set(name, { ...command, name });
+  }
+
+  private static validateCommandName(name: unknown): string {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('Command name is required');
+
+    const commandName = name.trim().replace(/^\//, '').toLowerCase();
+    if (commandName.length > MikroChat.maxCommandNameLength)
+      throw new Error(
+        `Command names can be at most ${MikroChat.maxCommandNameLength} characters`
+      );
+    if (!/^[a-z0-9_-]+$/.test(commandName))
+      throw new Error('Command names can only use letters, numbers, dashes and underscores');
+    return commandName;
+  }
+
+  /**
+   * @description List the slash commands that can be run, including those added by
+   * administrators, for example for autocomplete.
+   */
+  public async listCommands(): Promise<SlashCommand[]> {
+    const customCommands = await this.db.listCustomCommands();
+
+    return [...this.commands.values(), ...customCommands].map(({ name, description, usage }) => ({
+      name,
+      description,
+      ...(usage ? { usage } : {})
+    }));
+  }
+
+  /**
+   * @description Find a command in the registry, or else among the commands added
+   * by administrators, which take any arguments and are run by their callback URL.
+   */
+  private async getCommand(name: string): Promise<CommandDefinition | null> {
+    const command = this.commands.get(name);
+    if (command) return command;
+
+    const customCommand = (await this.db.listCustomCommands()).find(
+      (item) => item.name === name
+    );
+    if (!customCommand) return null;
+
+    return {
+      name: customCommand.name,
+      description: customCommand.description,
+      usage: customCommand.usage,
+      arguments: 'optional',
+      handler: async (context) => await this.invokeCustomCommand(customCommand, context)
+    };
+  }
+
+  /**
+   * @description Run a slash command, such as `/topic Release planning`, in a channel.
+   * Replies are only sent to the user who ran the command.
+   * Commands can change the channel or call out to other services,
+   * so they cannot be run in archived channels.
+   */
+  public async runCommand(
+    input: string,
+    userId: string,
+    channelId: string
+  ): Promise<CommandResult> {
+    const { name, args } = MikroChat.parseCommand(input);
+
+    const command = await this.getCommand(name);
+    if (!command) throw new Error(`Unknown command: /${name}`);
+
+    const isMissingArgs = command.arguments === 'required' && !args;
+    const hasExtraArgs = command.arguments === 'none' && args;
+    if (isMissingArgs || hasExtraArgs) throw new Error(MikroChat.getCommandUsage(command));
+
+    const { channel, user } = await this.requireChannelWriteAccess(channelId, userId);
+    const { text, message } = await command.handler({ args, user, channel });
+
+    let response: CommandResponse | undefined;
+    if (text) {
+      response = { userId, channelId, command: name, text, createdAt: Date.now() };
+      this.emitEvent({ type: 'COMMAND_RESPONSE', payload: response });
+    }
+
+    return { command: name, response, message };
+  }
+
+  private registerBuiltInCommands(): void {
+    this.registerCommand({
+      name: 'topic',
+      description: 'Show the topic of the channel, or set a new one',
+      usage: '[text]',
+      arguments: 'optional',
+      handler: async ({ args, user, channel }) => {
+        if (!args)
+          return {
+            text: channel.topic
+              ? `The topic of #${channel.name} is: ${channel.topic}`
+              : `#${channel.name} has no topic`
+          };
+
+        await this.updateChannel(channel.id, { topic: args }, user.id);
+        return { text: `Topic set to: ${args}` };
+      }
+    });
+
+    this.registerCommand({
+      name: 'invite',
+      description: 'Invite people to this private channel',
+      usage: '@user',
+      arguments: 'required',
+      handler: async ({ args, user, channel }) => {
+        if (!channel.isPrivate) throw new Error('Everyone can already see public channels');
+        if (!(await this.getChannelRole(channel, user)))
+          throw new Error('Only channel owners and moderators can invite people');
+
+        const users = await this.db.listUsers();
+        const invited = args.split(/[\s,]+/).map((name) => {
+          const userName = name.replace(/^@/, '').toLowerCase();
+          const invitee = users.find((item) => item.userName.toLowerCase() === userName);
+          if (!invitee) throw new Error(`User not found: @${userName}`);
+          return invitee;
+        });
+
+        const members = channel.members || [];
+        const newMembers = invited.filter(
+          (invitee) => invitee.id !== channel.createdBy && !members.includes(invitee.id)
+        );
+        if (newMembers.length === 0)
+          return { text: `Everyone you invited is already in #${channel.name}` };
+
+        await this.updateChannel(
+          channel.id,
+          { members: [...members, ...newMembers.map(({ id }) => id)] },
+          user.id
+        );
+        const names = [...new Set(newMembers.map(({ userName }) => `@${userName}`))];
+        return { text: `Invited ${names.join(', ')} to #${channel.name}` };
+      }
+    });
+
+    this.registerCommand({
+      name: 'leave',
+      description: 'Leave this private channel',
+      arguments: 'none',
+      handler: async ({ user, channel }) => {
+        await this.leaveChannel(channel.id, user.id);
+        return { text: `You left #${channel.name}` };
+      }
+    });
+
+    this.registerCommand({
+      name: 'me',
+      description: 'Describe what you are doing, like "/me is back from lunch"',
+      usage: 'text',
+      arguments: 'required',
+      handler: async ({ args, user, channel }) => ({
+        message: await this.createMessage(`_${MikroChat.escapeHtml(args)}_`, user.id, channel.id)
+      })
+    });
+
+    this.registerCommand({
+      name: 'mute',
+      description: 'Mute or unmute this channel; mentions still notify you',
+      arguments: 'none',
+      handler: async ({ user, channel }) => {
+        const { mutedChannels } = await this.getPreferences(user.id);
+        const isMuted = mutedChannels.includes(channel.id);
+
+        await this.updatePreferences(user.id, {
+          mutedChannels: isMuted
+            ? mutedChannels.filter((id) => id !== channel.id)
+            : [...mutedChannels, channel.id]
+        });
+
+        return {
+          text: isMuted
+            ? `Unmuted #${channel.name}`
+            : `Muted #${channel.name}. You are still notified when someone mentions you.`
+        };
+      }
+    });
+
+    this.registerCommand({
+      name: 'shrug',
+      description: 'Post a message with ¯\\_(ツ)_/¯ at the end',
+      usage: '[text]',
+      arguments: 'optional',
+      handler: async ({ args, user, channel }) => {
+        // Escaped so the underscores are not read as italics
+        const shrug = '¯\\\\\\_(ツ)\\_/¯';
+        const content = args ? `${MikroChat.escapeHtml(args)} ${shrug}` : shrug;
+        return { message: await this.createMessage(content, user.id, channel.id) };
+      }
+    });
+
+    this.registerCommand({
+      name: 'who',
+      description: 'List the people in this channel',
+      arguments: 'none',
+      handler: async ({ channel }) => {
+        const users = await this.db.listUsers();
+        const members = channel.isPrivate
+          ? users.filter(({ id }) => id === channel.createdBy || channel.members?.includes(id))
+          : users;
+        const names = members.map(({ userName }) => `@${userName}`).sort();
+        const people = `${members.length} ${members.length === 1 ? 'person' : 'people'}`;
+        return { text: `${people} in #${channel.name}: ${names.join(', ')}` };
+      }
+    });
+  }
+
+  /////////////////
+  // Bot methods //
+  /////////////////
+
+  private static validateBotScopes(scopes: unknown): BotScope[] {
+    if (!Array.isArray(scopes) || scopes.length === 0) throw new Error('Choose at least one scope');
+
+    for (const scope of scopes) {
+      if (!MikroChat.botScopes.includes(scope)) throw new Error(`Unknown scope: ${String(scope)}`);
+    }
+
+    return [...new Set(scopes as BotScope[])];
+  }
+
+  /**
+   * @description Check that a bot name can be mentioned and is not taken by a user or a group.
+   */
+  private async validateBotName(name: string): Promise<string> {
+    const userName = name?.trim().replace(/^@/, '');
+    if (!userName) throw new Error('Bot name is required');
+    if (userName.length > MikroChat.maxBotNameLength)
+      throw new Error(`Bot names can be at most ${MikroChat.maxBotNameLength} characters`);
+    if (!/^[a-zA-Z0-9_.-]+$/.test(userName))
+      throw new Error('Bot names can only contain letters, numbers, dots, dashes and underscores');
+
+    const normalized = userName.toLowerCase();
+    if (normalized === 'channel' || normalized === 'here')
+      throw new Error(`@${normalized} is reserved`);
+
+    const users = await this.db.listUsers();
+    if (users.some((user) => user.userName.toLowerCase() === normalized))
+      throw new Error('A user already has this name');
+
+    const userGroups = await this.db.listUserGroups();
+    if (userGroups.some((group) => group.name === normalized))
+      throw new Error('A group already has this name');
+
+    return userName;
+  }
+
+  private async getBotOrThrow(botId: string): Promise<Bot> {
+    const bot = await this.db.getBotById(botId);
+    if (!bot) throw new Error('Bot not found');
+    return bot;
+  }
+
+  /**
+   * @description Add a bot user with an API token that allows what its scopes allow.
+   * The token is returned only here. Bots are removed like any other user.
+   */
+  public async createBot(
+    name: string,
+    scopes: BotScope[],
+    createdBy: string
+  ): Promise<{ user: User; bot: BotWithToken }> {
+    await this.requirePermission(createdBy, 'users.manage', 'Only administrators can create bots');
+
+    const userName = await this.validateBotName(name);
+    const botScopes = MikroChat.validateBotScopes(scopes);
+    const now = Date.now();
+
+    const user: User = {
+      id: this.id.custom(idName),
+      userName,
+      email: `${userName.toLowerCase()}@bots.invalid`,
+      isAdmin: false,
+      isBot: true,
+      createdAt: now,
+      addedBy: createdBy
+    };
+
+    const token = randomBytes(32).toString('hex');
+    const bot: Bot = {
+      id: user.id,
+      tokenHash: MikroChat.hashBotToken(token),
+      scopes: botScopes,
+      createdAt: now,
+      createdBy
+    };
+
+    await this.createUser(user);
+    await this.db.setBot(bot);
+    await this.recordAudit('user.create', createdBy, 'user', user.id, {
+      email: user.email,
+      isAdmin: false,
+      isBot: true
+    });
+
+    this.emitEvent({
+      type: 'NEW_USER',
+      payload: {
+        id: user.id,
+        userName: user.userName,
+        email: user.email,
+        isAdmin: false,
+        isBot: true
+      }
+    });
+
+    return { user, bot: { ...bot, token } };
+  }
+
+  /**
+   * @description List the bots and their scopes. Admin only.
+   */
+  public async listBots(userId: string): Promise<Bot[]> {
+    await this.requirePermission(userId, 'users.manage', 'Only administrators can list bots');
+
+    return await this.db.listBots();
+  }
+
+  /**
+   * @description Change what the API token of a bot allows. Admin only.
+   */
+  public async updateBotScopes(botId: string, scopes: BotScope[], userId: string): Promise<Bot> {
+    await this.requirePermission(userId, 'users.manage', 'Only administrators can update bots');
+
+    const bot = await this.getBotOrThrow(botId);
+    const updated: Bot = {
+      ...bot,
+      scopes: MikroChat.validateBotScopes(scopes),
+      updatedAt: Date.now()
+    };
+
+    await this.db.setBot(updated);
+    await this.recordAudit('bot.update', userId, 'user', botId, { scopes: updated.scopes });
+
+    return updated;
+  }
+
+  /**
+   * @description Replace the API token of a bot, such as after it leaked.
+   * The old token stops working at once. Admin only.
+   */
+  public async resetBotToken(botId: string, userId: string): Promise<BotWithToken> {
+    await this.requirePermission(userId, 'users.manage', 'Only administrators can update bots');
+
+    const bot = await this.getBotOrThrow(botId);
+    const token = randomBytes(32).toString('hex');
+    const updated: Bot = {
+      ...bot,
+      tokenHash: MikroChat.hashBotToken(token),
+      updatedAt: Date.now()
+    };
+
+    await this.db.setBot(updated);
+    await this.recordAudit('bot.token.reset', userId, 'user', botId);
+
+    return { ...updated, token };
+  }
+
+  /**
+   * @description Get a bot by its API token. Used for authentication.
+   */
+  public async getBotByToken(token: string): Promise<Bot | null> {
+    return await this.db.getBotByTokenHash(MikroChat.hashBotToken(token));
+  }
+
+  /**
+   * @description Only the hash of a bot token is stored, so a leaked database
+   * does not give access to the API.
+   */
+  private static hashBotToken(token: string): string {
+    return createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * @description The author of a message, which shows a bot badge for bot users.
+   */
+  private static getAuthor(user: User): Message['author'] {
+    return { id: user.id, userName: user.userName, ...(user.isBot ? { isBot: true } : {}) };
+  }
+
+  /////////////////////
+  // Webhook methods //
+  /////////////////////
+
+  /**
+   * @description Create a new webhook for a channel. Admin only.
+   */
+  public async createWebhook(name: string, channelId: string, createdBy: string): Promise<Webhook> {
+    await this.requirePermission(
+      createdBy,
+      'webhooks.manage',
+      'Only administrators can create webhooks'
+    );
+
+    const channel = await this.db.getChannelById(channelId);
+    if (!channel) throw new Error('Channel not found');
+
+    const webhook: Webhook = {
+      id: this.id.custom(idName),
+      name,
+      channelId,
+      token: randomBytes(32).toString('hex'),
+      createdAt: Date.now(),
+      createdBy
+    };
+
+    await this.db.createWebhook(webhook);
+    await this.recordAudit('webhook.create', createdBy, 'webhook', webhook.id, {
+      name: webhook.name,
+      channelId: webhook.channelId
+    });
+
+    this.emitEvent({
+      type: 'NEW_WEBHOOK',
+      payload: {
+        id: webhook.id,
+        name: webhook.name,
+        channelId: webhook.channelId
       }
-      parentMessage.updatedAt = Date.now();
-      await this.db.updateMessage(parentMessage);
-      threadMeta = parentMessage.threadMeta || null;
+    });
+
+    return webhook;
+  }
+
+  /**
+   * @description Delete a webhook. Admin only.
+   */
+  public async deleteWebhook(webhookId: string, userId: string): Promise<void> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can delete webhooks'
+    );
+
+    const webhook = await this.db.getWebhookById(webhookId);
+    if (!webhook) throw new Error('Webhook not found');
+
+    await this.db.deleteWebhook(webhookId);
+    await this.recordAudit('webhook.delete', userId, 'webhook', webhookId, {
+      channelId: webhook.channelId
+    });
+
+    this.emitEvent({
+      type: 'DELETE_WEBHOOK',
+      payload: { id: webhookId, channelId: webhook.channelId }
+    });
+  }
+
+  /**
+   * @description List all webhooks. Admin only.
+   */
+  public async listWebhooks(userId: string): Promise<Webhook[]> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can list webhooks'
+    );
+
+    return await this.db.listWebhooks();
+  }
+
+  /**
+   * @description Get a webhook by its ID.
+   */
+  public async getWebhookById(id: string): Promise<Webhook | null> {
+    return await this.db.getWebhookById(id);
+  }
+
+  /**
+   * @description Get a webhook by its token. Used for authentication.
+   */
+  public async getWebhookByToken(token: string): Promise<Webhook | null> {
+    return await this.db.getWebhookByToken(token);
+  }
+
+  /**
+   * @description Send a message as a webhook bot.
+   */
+  public async createWebhookMessage(content: string, webhook: Webhook): Promise<Message> {
+    return await this.createBotMessage(
+      content,
+      { id: `webhook:${webhook.id}`, userName: webhook.name },
+      webhook.channelId
+    );
+  }
+
+  /**
+   * @description Post a message from an integration, such as a webhook or a custom command,
+   * which is shown with a bot badge.
+   */
+  private async createBotMessage(
+    content: string,
+    author: { id: string; userName: string },
+    channelId: string
+  ): Promise<Message> {
+    const channel = await this.db.getChannelById(channelId);
+    if (!channel) throw new Error('Channel not found');
+    if (channel.archivedAt) throw new Error('This channel is archived');
+
+    const now = Date.now();
+
+    const message: Message = {
+      id: this.id.custom(idName),
+      author: { ...author, isBot: true },
+      content,
+      mentions: await this.resolveMentions(content),
+      channelId,
+      createdAt: now,
+      updatedAt: now,
+      reactions: {}
+    };
+
+    await this.db.createMessage(message);
+
+    this.emitEvent({
+      type: 'NEW_MESSAGE',
+      payload: message
+    });
+
+    await this.recordMentionActivity(message);
+
+    return message;
+  }
+
+  ////////////////////////////
+  // Custom command methods //
+  ////////////////////////////
+
+  private static validateHttpUrl(value: unknown, label: string): string {
+    let url: URL;
+    try {
+      url = new URL(typeof value === 'string' ? value.trim() : '');
+    } catch {
+      throw new Error(`${label} must be a valid URL`);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:')
+      throw new Error(`${label} must use HTTP or HTTPS`);
+
+    return url.toString();
+  }
+
+  /**
+   * @description Add a slash command, such as `/deploy`, that is run by a callback URL.
+   * Admin only. The secret that signs the requests is returned only here.
+   */
+  public async createCustomCommand(
+    options: CustomCommandCreateOptions,
+    createdBy: string
+  ): Promise<CustomCommand> {
+    await this.requirePermission(
+      createdBy,
+      'webhooks.manage',
+      'Only administrators can create commands'
+    );
+
+    const name = MikroChat.validateCommandName(options.name);
+    const callbackUrl = MikroChat.validateHttpUrl(options.callbackUrl, 'Callback URL');
+
+    const customCommands = await this.db.listCustomCommands();
+    if (this.commands.has(name) || customCommands.some((command) => command.name === name))
+      throw new Error(`Command already exists: /${name}`);
+
+    const description = options.description?.trim() || '';
+    const usage = options.usage?.trim();
+
+    const command: CustomCommand = {
+      id: this.id.custom(idName),
+      name,
+      description,
+      ...(usage ? { usage } : {}),
+      callbackUrl,
+      secret: randomBytes(32).toString('hex'),
+      createdAt: Date.now(),
+      createdBy
+    };
+
+    await this.db.createCustomCommand(command);
+    await this.recordAudit('command.create', createdBy, 'command', command.id, {
+      name,
+      callbackUrl
+    });
+
+    this.emitEvent({ type: 'NEW_COMMAND', payload: { id: command.id, name } });
+
+    return command;
+  }
+
+  /**
+   * @description List the commands added by administrators. Admin only.
+   */
+  public async listCustomCommands(userId: string): Promise<CustomCommand[]> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can list commands'
+    );
+
+    return await this.db.listCustomCommands();
+  }
+
+  /**
+   * @description Delete a command added by an administrator. Admin only.
+   */
+  public async deleteCustomCommand(commandId: string, userId: string): Promise<void> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can delete commands'
+    );
+
+    const command = await this.db.getCustomCommandById(commandId);
+    if (!command) throw new Error('Command not found');
+
+    await this.db.deleteCustomCommand(commandId);
+    await this.recordAudit('command.delete', userId, 'command', commandId, {
+      name: command.name
+    });
+
+    this.emitEvent({ type: 'DELETE_COMMAND', payload: { id: commandId, name: command.name } });
+  }
+
+  /**
+   * @description Sign a request to a callback URL or an outgoing webhook. The signature is
+   * an HMAC-SHA256 of the timestamp and the body, joined by a period, with the secret.
+   */
+  public static signRequest(secret: string, timestamp: number, body: string): string {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * @description Read the reply of a callback URL: JSON with `text` and `responseType`,
+   * or plain text. Replies are only shown to the user who ran the command, unless
+   * `responseType` is `in_channel`.
+   */
+  private static async readCommandReply(
+    response: Response,
+    commandName: string
+  ): Promise<{ text: string; isInChannel: boolean }> {
+    const body = (await response.text()).trim();
+    if (!body) return { text: '', isInChannel: false };
+
+    if (!response.headers.get('content-type')?.includes('application/json'))
+      return { text: body, isInChannel: false };
+
+    try {
+      const reply = JSON.parse(body);
+      return {
+        text: typeof reply?.text === 'string' ? reply.text.trim() : '',
+        isInChannel: reply?.responseType === 'in_channel'
+      };
+    } catch {
+      throw new Error(`/${commandName} sent a reply that could not be read`);
     }
+  }
 
-    this.emitEvent({
-      type: 'DELETE_THREAD_REPLY',
-      payload: {
-        id,
-        threadId: parentMessageId,
-        channelId: message.channelId,
-        threadMeta
-      }
+  private async invokeCustomCommand(
+    command: CustomCommand,
+    { args, user, channel }: CommandContext
+  ): Promise<{ text?: string; message?: Message }> {
+    const timestamp = Date.now();
+    const body = JSON.stringify({
+      command: command.name,
+      args,
+      user: { id: user.id, userName: user.userName },
+      channel: { id: channel.id, name: channel.name },
+      timestamp
     });
+
+    let response: Response;
+    try {
+      response = await fetch(command.callbackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-MikroChat-Timestamp': `${timestamp}`,
+          'X-MikroChat-Signature': MikroChat.signRequest(command.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(MikroChat.commandTimeoutMs)
+      });
+    } catch {
+      throw new Error(`/${command.name} did not respond`);
+    }
+
+    if (!response.ok) throw new Error(`/${command.name} failed with status ${response.status}`);
+
+    const { text, isInChannel } = await MikroChat.readCommandReply(response, command.name);
+    if (!text) return {};
+    if (!isInChannel) return { text };
+
+    const message = await this.createBotMessage(
+      MikroChat.escapeHtml(text),
+      { id: `command:${command.id}`, userName: command.name },
+      channel.id
+    );
+    return { message };
   }
 
-  /////////////////////
-  // Webhook methods //
-  /////////////////////
+  //////////////////////////////
+  // Outgoing webhook methods //
+  //////////////////////////////
 
   /**
-   * @description Create a new webhook for a channel. Admin only.
+   * @description Add a webhook that sends the chosen events to a URL as they happen.
+   * Admin only. The secret that signs the requests is returned only here.
    */
-  public async createWebhook(name: string, channelId: string, createdBy: string): Promise<Webhook> {
-    const user = await this.getUserById(createdBy);
-    if (!user) throw new Error('User not found');
-    if (!user.isAdmin) throw new Error('Only administrators can create webhooks');
+  public async createOutgoingWebhook(
+    options: OutgoingWebhookCreateOptions,
+    createdBy: string
+  ): Promise<OutgoingWebhook> {
+    await this.requirePermission(
+      createdBy,
+      'webhooks.manage',
+      'Only administrators can create webhooks'
+    );
 
-    const channel = await this.db.getChannelById(channelId);
-    if (!channel) throw new Error('Channel not found');
+    const name = options.name?.trim();
+    if (!name) throw new Error('Webhook name is required');
 
-    const webhook: Webhook = {
+    const url = MikroChat.validateHttpUrl(options.url, 'Webhook URL');
+    const events = MikroChat.validateWebhookEvents(options.events);
+
+    if (options.channelId) await this.requireChannelAccess(options.channelId, createdBy);
+
+    const keyword = options.keyword?.trim();
+
+    const webhook: OutgoingWebhook = {
       id: this.id.custom(idName),
       name,
-      channelId,
-      token: randomBytes(32).toString('hex'),
+      url,
+      events,
+      ...(options.channelId ? { channelId: options.channelId } : {}),
+      ...(keyword ? { keyword } : {}),
+      secret: randomBytes(32).toString('hex'),
       createdAt: Date.now(),
       createdBy
     };
 
-    await this.db.createWebhook(webhook);
-    await this.recordAudit('webhook.create', createdBy, 'webhook', webhook.id, {
-      name: webhook.name,
-      channelId: webhook.channelId
-    });
-
-    this.emitEvent({
-      type: 'NEW_WEBHOOK',
-      payload: {
-        id: webhook.id,
-        name: webhook.name,
-        channelId: webhook.channelId
-      }
+    await this.db.createOutgoingWebhook(webhook);
+    await this.recordAudit('outgoing-webhook.create', createdBy, 'webhook', webhook.id, {
+      name,
+      url
     });
 
     return webhook;
   }
 
   /**
-   * @description Delete a webhook. Admin only.
+   * @description List the outgoing webhooks. Admin only.
    */
-  public async deleteWebhook(webhookId: string, userId: string): Promise<void> {
-    const user = await this.getUserById(userId);
-    if (!user) throw new Error('User not found');
-    if (!user.isAdmin) throw new Error('Only administrators can delete webhooks');
+  public async listOutgoingWebhooks(userId: string): Promise<OutgoingWebhook[]> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can list webhooks'
+    );
 
-    const webhook = await this.db.getWebhookById(webhookId);
+    return await this.db.listOutgoingWebhooks();
+  }
+
+  /**
+   * @description Delete an outgoing webhook and its delivery log. Admin only.
+   */
+  public async deleteOutgoingWebhook(webhookId: string, userId: string): Promise<void> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can delete webhooks'
+    );
+
+    const webhook = await this.db.getOutgoingWebhookById(webhookId);
     if (!webhook) throw new Error('Webhook not found');
 
-    await this.db.deleteWebhook(webhookId);
-    await this.recordAudit('webhook.delete', userId, 'webhook', webhookId, {
-      channelId: webhook.channelId
+    await this.removeOutgoingWebhook(webhook);
+    await this.recordAudit('outgoing-webhook.delete', userId, 'webhook', webhookId, {
+      name: webhook.name
     });
+  }
 
-    this.emitEvent({
-      type: 'DELETE_WEBHOOK',
-      payload: { id: webhookId, channelId: webhook.channelId }
-    });
+  private async removeOutgoingWebhook(webhook: OutgoingWebhook): Promise<void> {
+    for (const delivery of await this.db.listWebhookDeliveries(webhook.id)) {
+      await this.db.deleteWebhookDelivery(webhook.id, delivery.id);
+    }
+
+    await this.db.deleteOutgoingWebhook(webhook.id);
   }
 
   /**
-   * @description List all webhooks. Admin only.
+   * @description List the latest deliveries of an outgoing webhook, newest first. Admin only.
    */
-  public async listWebhooks(userId: string): Promise<Webhook[]> {
-    const user = await this.getUserById(userId);
-    if (!user) throw new Error('User not found');
-    if (!user.isAdmin) throw new Error('Only administrators can list webhooks');
+  public async listWebhookDeliveries(
+    webhookId: string,
+    userId: string
+  ): Promise<WebhookDelivery[]> {
+    await this.requirePermission(
+      userId,
+      'webhooks.manage',
+      'Only administrators can list webhooks'
+    );
 
-    return await this.db.listWebhooks();
+    const webhook = await this.db.getOutgoingWebhookById(webhookId);
+    if (!webhook) throw new Error('Webhook not found');
+
+    return await this.db.listWebhookDeliveries(webhookId);
   }
 
   /**
-   * @description Get a webhook by its ID.
+   * @description List the events that outgoing webhooks can send.
    */
-  public async getWebhookById(id: string): Promise<Webhook | null> {
-    return await this.db.getWebhookById(id);
+  public listWebhookEvents(): ServerSentEvent['type'][] {
+    return [...MikroChat.webhookEvents];
+  }
+
+  private static validateWebhookEvents(events: unknown): ServerSentEvent['type'][] {
+    if (!Array.isArray(events) || events.length === 0)
+      throw new Error('Choose at least one event');
+
+    for (const event of events) {
+      if (!MikroChat.webhookEvents.includes(event))
+        throw new Error(`Unknown event: ${String(event)}`);
+    }
+
+    return [...new Set(events as ServerSentEvent['type'][])];
   }
 
   /**
-   * @description Get a webhook by its token. Used for authentication.
+   * @description Find the channel an event happened in, if any.
    */
-  public async getWebhookByToken(token: string): Promise<Webhook | null> {
-    return await this.db.getWebhookByToken(token);
+  private async getEventChannelId(event: ServerSentEvent): Promise<string | null> {
+    const payload = event.payload as Record<string, any>;
+
+    if (['NEW_CHANNEL', 'UPDATE_CHANNEL', 'DELETE_CHANNEL'].includes(event.type))
+      return payload.id;
+
+    if (event.type === 'NEW_REACTION' || event.type === 'DELETE_REACTION')
+      return (await this.db.getMessageById(payload.messageId))?.channelId || null;
+
+    return payload.channelId || payload.message?.channelId || payload.reminder?.channelId || null;
+  }
+
+  private static getEventContent(event: ServerSentEvent): string {
+    const payload = event.payload as Record<string, any>;
+    const content = payload.content ?? payload.message?.content ?? payload.reply?.content;
+    return typeof content === 'string' ? content : '';
   }
 
   /**
-   * @description Send a message as a webhook bot.
+   * @description Check if an event should be sent to a webhook. Events in direct messages
+   * are never sent, and events in private channels only to webhooks limited to that channel.
    */
-  public async createWebhookMessage(content: string, webhook: Webhook): Promise<Message> {
-    const channel = await this.db.getChannelById(webhook.channelId);
-    if (!channel) throw new Error('Channel not found');
+  private async isWebhookTriggered(
+    webhook: OutgoingWebhook,
+    event: ServerSentEvent,
+    channelId: string | null
+  ): Promise<boolean> {
+    if (!webhook.events.includes(event.type)) return false;
+    if (channelId?.startsWith('dm:')) return false;
+
+    if (webhook.keyword) {
+      const content = MikroChat.getEventContent(event).toLowerCase();
+      if (!content.includes(webhook.keyword.toLowerCase())) return false;
+    }
 
-    const now = Date.now();
+    if (webhook.channelId) return webhook.channelId === channelId;
+    if (!channelId) return true;
 
-    const message: Message = {
+    const channel =
+      event.type === 'DELETE_CHANNEL' ? event.payload : await this.db.getChannelById(channelId);
+    return !!channel && !channel.isPrivate;
+  }
+
+  /**
+   * @description Send an event to the outgoing webhooks that want it.
+   */
+  private async dispatchOutgoingWebhooks(event: ServerSentEvent): Promise<void> {
+    const webhooks = await this.db.listOutgoingWebhooks();
+    if (!webhooks.some((webhook) => webhook.events.includes(event.type))) return;
+
+    const channelId = await this.getEventChannelId(event);
+
+    for (const webhook of webhooks) {
+      if (await this.isWebhookTriggered(webhook, event, channelId))
+        this.deliverOutgoingWebhook(webhook, event).catch((error) =>
+          console.error(`Failed to deliver ${event.type} to webhook ${webhook.id}:`, error)
+        );
+    }
+  }
+
+  /**
+   * @description POST an event to a webhook URL. Failed attempts are retried
+   * with a doubling delay, and every attempt is kept in the delivery log.
+   */
+  private async deliverOutgoingWebhook(
+    webhook: OutgoingWebhook,
+    event: ServerSentEvent
+  ): Promise<WebhookDelivery> {
+    const timestamp = Date.now();
+
+    const delivery: WebhookDelivery = {
       id: this.id.custom(idName),
-      author: {
-        id: `webhook:${webhook.id}`,
-        userName: webhook.name,
-        isBot: true
-      },
-      content,
-      mentions: await this.resolveMentions(content),
-      channelId: webhook.channelId,
-      createdAt: now,
-      updatedAt: now,
-      reactions: {}
+      webhookId: webhook.id,
+      eventType: event.type,
+      status: 'pending',
+      attempts: 0,
+      createdAt: timestamp,
+      updatedAt: timestamp
     };
 
-    await this.db.createMessage(message);
-
-    this.emitEvent({
-      type: 'NEW_MESSAGE',
-      payload: message
+    const body = JSON.stringify({
+      id: delivery.id,
+      webhookId: webhook.id,
+      type: event.type,
+      payload: event.payload,
+      timestamp
     });
 
-    return message;
+    while (delivery.status === 'pending') {
+      delivery.attempts++;
+
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-MikroChat-Event': event.type,
+            'X-MikroChat-Delivery': delivery.id,
+            'X-MikroChat-Timestamp': `${timestamp}`,
+            'X-MikroChat-Signature': MikroChat.signRequest(webhook.secret, timestamp, body)
+          },
+          body,
+          signal: AbortSignal.timeout(MikroChat.webhookTimeoutMs)
+        });
+
+        delivery.statusCode = response.status;
+        if (response.ok) {
+          delivery.status = 'delivered';
+          delete delivery.error;
+        } else delivery.error = `Responded with status ${response.status}`;
+      } catch {
+        delete delivery.statusCode;
+        delivery.error = 'No response';
+      }
+
+      if (delivery.status === 'pending' && delivery.attempts >= MikroChat.maxWebhookAttempts)
+        delivery.status = 'failed';
+
+      delivery.updatedAt = Date.now();
+      await this.saveWebhookDelivery(delivery);
+
+      if (delivery.status === 'pending') {
+        const delay = MikroChat.webhookRetryDelayMs * 2 ** (delivery.attempts - 1);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    return delivery;
+  }
+
+  /**
+   * @description Save a delivery, keeping only the latest ones of each webhook.
+   */
+  private async saveWebhookDelivery(delivery: WebhookDelivery): Promise<void> {
+    await this.db.setWebhookDelivery({ ...delivery });
+
+    const deliveries = await this.db.listWebhookDeliveries(delivery.webhookId);
+    for (const stale of deliveries.slice(MikroChat.maxWebhookDeliveries)) {
+      await this.db.deleteWebhookDelivery(stale.webhookId, stale.id);
+    }
   }
 
   ////////////////////////
@@ -1597,15 +5189,21 @@ export class MikroChat {
   ////////////////////////
 
   public async listAuditLog(userId: string, limit = 100): Promise<AuditLogEntry[]> {
-    const user = await this.getUserOrThrow(userId);
-    if (!user.isAdmin) throw new Error('Only administrators can view the audit log');
+    await this.requirePermission(
+      userId,
+      'audit-log.view',
+      'Only administrators can view the audit log'
+    );
 
     return MikroChat.filterAuditEntries(await this.db.listAuditLog()).slice(0, limit);
   }
 
   public async queryAuditLog(userId: string, query: AuditLogQuery = {}) {
-    const user = await this.getUserOrThrow(userId);
-    if (!user.isAdmin) throw new Error('Only administrators can view the audit log');
+    await this.requirePermission(
+      userId,
+      'audit-log.view',
+      'Only administrators can view the audit log'
+    );
 
     const allEntries = MikroChat.filterAuditEntries(await this.db.listAuditLog());
     const actions = [...new Set(allEntries.map((entry) => MikroChat.getAuditCategory(entry)))].sort();
@@ -1637,19 +5235,25 @@ export class MikroChat {
   }
 
   public async exportData(userId: string) {
-    const user = await this.getUserOrThrow(userId);
-    if (!user.isAdmin) throw new Error('Only administrators can export data');
+    await this.requirePermission(userId, 'data.export', 'Only administrators can export data');
 
     const webhooks = await this.db.listWebhooks();
+    const outgoingWebhooks = await this.db.listOutgoingWebhooks();
+    const customCommands = await this.db.listCustomCommands();
 
     return {
       exportedAt: Date.now(),
       users: (await this.db.listUsers()).map(MikroChat.sanitizeUser),
       channels: await this.db.listChannels(),
       messages: await this.db.listMessages(),
+      messageRevisions: await this.db.listAllMessageRevisions(),
       conversations: await this.db.listConversations(),
       serverSettings: await this.db.getServerSettings(),
       webhooks: webhooks.map(({ token: _, ...webhook }) => webhook),
+      outgoingWebhooks: outgoingWebhooks.map(({ secret: _, ...webhook }) => webhook),
+      customCommands: customCommands.map(({ secret: _, ...command }) => command),
+      userGroups: await this.db.listUserGroups(),
+      roles: await this.db.listRoles(),
       auditLog: MikroChat.filterAuditEntries(await this.db.listAuditLog())
     };
   }
@@ -1658,11 +5262,7 @@ export class MikroChat {
     const user = await this.getUserById(userId);
     if (!user) throw new Error('User not found');
 
-    const presence: UserPresence = {
-      userId,
-      status,
-      lastSeen: Date.now()
-    };
+    const presence = MikroChat.withUserStatus({ userId, status, lastSeen: Date.now() }, user);
 
     this.presence.set(userId, presence);
     this.emitEvent({ type: 'PRESENCE_UPDATE', payload: presence });
@@ -1670,6 +5270,240 @@ export class MikroChat {
     return presence;
   }
 
+  private static getActiveStatus(user: User, now = Date.now()): CustomStatus | undefined {
+    const { customStatus } = user;
+    if (!customStatus) return undefined;
+    if (customStatus.expiresAt && customStatus.expiresAt <= now) return undefined;
+    return customStatus;
+  }
+
+  /**
+   * @description Add what a user has set for themselves, their status message
+   * and do not disturb, to their presence.
+   */
+  private static withUserStatus(
+    { customStatus: _, doNotDisturb: __, ...presence }: UserPresence,
+    user: User,
+    now = Date.now()
+  ): UserPresence {
+    const userPresence: UserPresence = { ...presence };
+
+    const customStatus = MikroChat.getActiveStatus(user, now);
+    if (customStatus) userPresence.customStatus = customStatus;
+    if (MikroChat.isInDoNotDisturb(user.doNotDisturb, now)) userPresence.doNotDisturb = true;
+
+    return userPresence;
+  }
+
+  /**
+   * @description Tell clients about a changed status, keeping the rest of the presence as is.
+   */
+  private emitStatusUpdate(user: User, now = Date.now()): UserPresence {
+    const currentPresence = this.presence.get(user.id) || {
+      userId: user.id,
+      status: 'offline' as UserPresenceStatus,
+      lastSeen: now
+    };
+
+    const presence = MikroChat.withUserStatus(currentPresence, user, now);
+
+    this.presence.set(user.id, presence);
+    this.emitEvent({ type: 'PRESENCE_UPDATE', payload: presence });
+
+    return presence;
+  }
+
+  /**
+   * @description Set a status message and emoji for a user,
+   * optionally cleared automatically at `expiresAt`.
+   */
+  public async setCustomStatus(userId: string, status: CustomStatus): Promise<UserPresence> {
+    const user = await this.getUserOrThrow(userId);
+
+    const text = status.text?.trim() || undefined;
+    const emoji = status.emoji?.trim() || undefined;
+    const { expiresAt } = status;
+
+    if (!text && !emoji) throw new Error('A status needs text or an emoji');
+    if (text && text.length > MikroChat.maxStatusTextLength)
+      throw new Error(
+        `Status text cannot be longer than ${MikroChat.maxStatusTextLength} characters`
+      );
+    if (emoji && emoji.length > MikroChat.maxStatusEmojiLength)
+      throw new Error('Status emoji is too long');
+    if (expiresAt !== undefined && (!Number.isFinite(expiresAt) || expiresAt <= Date.now()))
+      throw new Error('Status expiry must be in the future');
+
+    const customStatus: CustomStatus = {};
+    if (text) customStatus.text = text;
+    if (emoji) customStatus.emoji = emoji;
+    if (expiresAt !== undefined) customStatus.expiresAt = expiresAt;
+
+    const updatedUser = { ...user, customStatus };
+    await this.createUser(updatedUser);
+
+    return this.emitStatusUpdate(updatedUser);
+  }
+
+  /**
+   * @description Remove a user's status message and emoji.
+   */
+  public async clearCustomStatus(userId: string): Promise<UserPresence> {
+    const { customStatus: _, ...user } = await this.getUserOrThrow(userId);
+    await this.createUser(user);
+
+    return this.emitStatusUpdate(user);
+  }
+
+  /**
+   * @description Clear statuses whose expiry has passed and tell clients about it.
+   */
+  public async clearExpiredStatuses(now = Date.now()): Promise<number> {
+    const users = await this.db.listUsers();
+    const expiredUsers = users.filter(
+      (user) => user.customStatus && !MikroChat.getActiveStatus(user, now)
+    );
+
+    for (const { customStatus: _, ...user } of expiredUsers) {
+      await this.createUser(user);
+      this.emitStatusUpdate(user, now);
+    }
+
+    return expiredUsers.length;
+  }
+
+  /**
+   * @description Get the weekday, where 0 is Sunday, and minutes past midnight in a time zone.
+   */
+  private static getLocalTime(now: number, timeZone: string): { day: number; minutes: number } {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(now));
+    const getPart = (type: string) => parts.find((part) => part.type === type)?.value || '';
+
+    return {
+      day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(getPart('weekday')),
+      minutes: Number(getPart('hour')) * 60 + Number(getPart('minute'))
+    };
+  }
+
+  private static toMinutes(time: string): number {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  private static isInDoNotDisturb(settings?: DoNotDisturbSettings, now = Date.now()): boolean {
+    if (!settings) return false;
+    if (settings.pausedUntil && settings.pausedUntil > now) return true;
+
+    const { schedule } = settings;
+    if (!schedule) return false;
+
+    const { day, minutes } = MikroChat.getLocalTime(now, schedule.timeZone);
+    const start = MikroChat.toMinutes(schedule.start);
+    const end = MikroChat.toMinutes(schedule.end);
+
+    if (start < end) return schedule.days.includes(day) && minutes >= start && minutes < end;
+
+    // Overnight windows belong to the day they start on
+    if (minutes >= start) return schedule.days.includes(day);
+    if (minutes < end) return schedule.days.includes((day + 6) % 7);
+    return false;
+  }
+
+  private static validateDoNotDisturbSchedule(schedule: DoNotDisturbSchedule): void {
+    const { days, start, end, timeZone } = schedule;
+
+    if (!Array.isArray(days) || days.length === 0)
+      throw new Error('Pick at least one day for the schedule');
+    if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6))
+      throw new Error('Days must be between 0 (Sunday) and 6 (Saturday)');
+
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!timePattern.test(start) || !timePattern.test(end))
+      throw new Error('Times must be in HH:MM format');
+    if (start === end) throw new Error('The schedule must start and end at different times');
+
+    if (typeof timeZone !== 'string' || !timeZone.trim())
+      throw new Error('The schedule needs a time zone');
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+      throw new Error('Invalid time zone');
+    }
+  }
+
+  /**
+   * @description Get a user's do not disturb settings, and whether they are in effect now.
+   */
+  public async getDoNotDisturb(
+    userId: string
+  ): Promise<DoNotDisturbSettings & { isActive: boolean }> {
+    const user = await this.getUserOrThrow(userId);
+    const settings = user.doNotDisturb || {};
+
+    return { ...settings, isActive: MikroChat.isInDoNotDisturb(settings) };
+  }
+
+  /**
+   * @description Set a user's do not disturb schedule and pause.
+   * Leave a setting out to keep it, or pass `null` to remove it.
+   */
+  public async updateDoNotDisturb(
+    userId: string,
+    update: { schedule?: DoNotDisturbSchedule | null; pausedUntil?: number | null }
+  ): Promise<DoNotDisturbSettings & { isActive: boolean }> {
+    const user = await this.getUserOrThrow(userId);
+    const settings: DoNotDisturbSettings = { ...user.doNotDisturb };
+
+    if (update.schedule === null) delete settings.schedule;
+    else if (update.schedule) {
+      MikroChat.validateDoNotDisturbSchedule(update.schedule);
+      const { days, start, end, timeZone } = update.schedule;
+      settings.schedule = { days: [...new Set(days)].sort((a, b) => a - b), start, end, timeZone };
+    }
+
+    if (update.pausedUntil === null) delete settings.pausedUntil;
+    else if (update.pausedUntil !== undefined) {
+      if (!Number.isFinite(update.pausedUntil) || update.pausedUntil <= Date.now())
+        throw new Error('Pause must end in the future');
+      settings.pausedUntil = update.pausedUntil;
+    }
+
+    const { doNotDisturb: _, ...rest } = user;
+    const updatedUser: User =
+      Object.keys(settings).length > 0 ? { ...rest, doNotDisturb: settings } : rest;
+    await this.createUser(updatedUser);
+
+    this.emitStatusUpdate(updatedUser);
+
+    return { ...settings, isActive: MikroChat.isInDoNotDisturb(settings) };
+  }
+
+  /**
+   * @description Tell clients about users whose do not disturb schedule
+   * or pause has started or ended since they were last told.
+   */
+  public async refreshDoNotDisturb(now = Date.now()): Promise<number> {
+    const users = await this.db.listUsers();
+    let changed = 0;
+
+    for (const user of users) {
+      const isActive = MikroChat.isInDoNotDisturb(user.doNotDisturb, now);
+      const wasActive = this.presence.get(user.id)?.doNotDisturb === true;
+      if (isActive === wasActive) continue;
+
+      this.emitStatusUpdate(user, now);
+      changed++;
+    }
+
+    return changed;
+  }
+
   public getPresence(): UserPresence[] {
     return [...this.presence.values()];
   }
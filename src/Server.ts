@@ -1,6 +1,6 @@
 import { type Context, MikroServe } from 'mikroserve';
 
-import type { Message, ServerSettings, User } from './interfaces';
+import type { Conversation, Message, ServerSettings, User } from './interfaces';
 import { deleteFiles, FileStorageError, serveFile, uploadFile } from './fileStorage';
 import { deleteImages, ImageStorageError, serveImage, uploadImage } from './imageStorage';
 import { MikroChat } from './MikroChat';
@@ -8,10 +8,15 @@ import { MikroChat } from './MikroChat';
 import { OAuthProvider } from './oauth/OAuthService';
 import { OAuthSecurity } from './oauth/OAuthSecurity';
 import { resolveOAuthProviders } from './oauth/OAuthProviderResolver';
+import { registerActivityRoutes } from './server/activityRoutes';
 import { registerAdminRoutes } from './server/adminRoutes';
 import { createAuthenticate } from './server/authMiddleware';
 import { registerEventRoutes } from './server/eventRoutes';
 import { createPublicRuntimeConfig } from './server/publicConfig';
+import { registerReadStateRoutes } from './server/readStateRoutes';
+import { registerReminderRoutes } from './server/reminderRoutes';
+import { registerSavedMessageRoutes } from './server/savedMessageRoutes';
+import { registerScheduledMessageRoutes } from './server/scheduledMessageRoutes';
 
 const DEFAULT_PAGE_LIMIT = 50;
 const MAGIC_LINK_EMAIL_TIMEOUT_MS = 10_000;
@@ -81,6 +86,37 @@ export async function startServer(settings: ServerSettings) {
     });
   }
 
+  /**
+   * @description Add the other participants of each conversation, as seen by the given user.
+   * `otherUser` is kept for conversations between two people.
+   */
+  async function enrichConversationsWithUsers(conversations: Conversation[], userId: string) {
+    const otherUserIds = [
+      ...new Set(conversations.flatMap((conv) => conv.participants.filter((p) => p !== userId)))
+    ];
+    const userMap = new Map<string, User>();
+    await Promise.all(
+      otherUserIds.map(async (id) => {
+        const u = await chat.getUserById(id);
+        if (u) userMap.set(id, u);
+      })
+    );
+
+    return conversations.map((conv) => {
+      const otherUsers = conv.participants
+        .filter((p) => p !== userId)
+        .map((id) => userMap.get(id))
+        .filter((u): u is User => Boolean(u))
+        .map((u) => ({ id: u.id, userName: u.userName }));
+
+      return {
+        ...conv,
+        otherUser: conv.isGroup ? null : otherUsers[0] || null,
+        otherUsers
+      };
+    });
+  }
+
   function uploadImageResponse(c: Context) {
     try {
       const filename = uploadImage(c.body);
@@ -535,7 +571,10 @@ export async function startServer(settings: ServerSettings) {
    */
   server.get('/auth/me', authenticate, async (c: Context) => {
     const user = c.state.user;
-    return c.json({ user: user ? MikroChat.sanitizeUser(user) : null }, 200);
+    if (!user) return c.json({ user: null }, 200);
+
+    const permissions = await chat.getUserPermissions(user.id);
+    return c.json({ user: { ...MikroChat.sanitizeUser(user), permissions } }, 200);
   });
 
   /**
@@ -598,7 +637,8 @@ export async function startServer(settings: ServerSettings) {
 
     const { email, role, password } = c.body;
     if (!email) return c.json({ error: 'Email is required' }, 400);
-    if (!user.isAdmin) return c.json({ error: 'Only administrators can add users' }, 403);
+    if (!(await chat.hasPermission(user.id, 'users.manage')))
+      return c.json({ error: 'Only administrators can add users' }, 403);
 
     try {
       // Ensure only admins can create admin users
@@ -608,7 +648,12 @@ export async function startServer(settings: ServerSettings) {
       const existingUser = await chat.getUserByEmail(email);
       if (existingUser) return c.json({ success: false, message: 'User already exists' });
 
+      const hasCustomRole = role && role !== 'admin' && role !== 'user';
+      if (hasCustomRole && !(await chat.hasPermission(user.id, 'roles.manage')))
+        return c.json({ error: 'Only administrators can update user roles' }, 403);
+
       const newUser = await chat.addUser(email, user.id, role === 'admin');
+      if (hasCustomRole) await chat.updateUserRole(newUser.id, user.id, role);
 
       if (authMode === 'password' && password) {
         await chat.setUserPassword(newUser.id, password);
@@ -664,31 +709,29 @@ export async function startServer(settings: ServerSettings) {
   });
 
   /**
-   * @description Admin-only: update a user's role.
+   * @description Update a user's role: "admin", "user" or the ID of a custom role.
+   * Needs `roles.manage`, and only administrators can grant or revoke admin.
    */
   server.put('/users/:id/role', authenticate, async (c: Context) => {
     const user = c.state.user;
     if (!user) return c.json({ error: 'Unauthorized' }, 401);
-    if (!user.isAdmin) return c.json({ error: 'Only administrators can update user roles' }, 403);
 
     const userId = c.params.id;
     const requestedRole = c.body?.role;
     const requestedAdminStatus = c.body?.isAdmin;
 
-    const isAdmin =
+    const role =
       typeof requestedAdminStatus === 'boolean'
         ? requestedAdminStatus
-        : requestedRole === 'admin'
-          ? true
-          : requestedRole === 'user'
-            ? false
-            : null;
+        : typeof requestedRole === 'string' && requestedRole
+          ? requestedRole
+          : null;
 
-    if (typeof isAdmin !== 'boolean')
-      return c.json({ error: 'Role must be "user" or "admin"' }, 400);
+    if (role === null)
+      return c.json({ error: 'Role must be "user", "admin" or the ID of a role' }, 400);
 
     try {
-      const updatedUser = await chat.updateUserRole(userId, user.id, isAdmin);
+      const updatedUser = await chat.updateUserRole(userId, user.id, role);
       return c.json({ user: MikroChat.sanitizeUser(updatedUser) }, 200);
     } catch (error) {
       const message = error instanceof Error ? error.message : 'An error occurred';
@@ -697,12 +740,14 @@ export async function startServer(settings: ServerSettings) {
   });
 
   /**
-   * @description Admin-only: reset a user's password directly.
+   * @description Reset a user's password directly. Needs `users.manage`,
+   * and only administrators can reset the password of an administrator.
    */
   server.post('/users/:id/reset-password', authenticate, async (c: Context) => {
     const user = c.state.user;
     if (!user) return c.json({ error: 'Unauthorized' }, 401);
-    if (!user.isAdmin) return c.json({ error: 'Only administrators can reset passwords' }, 403);
+    if (!(await chat.hasPermission(user.id, 'users.manage')))
+      return c.json({ error: 'Only administrators can reset passwords' }, 403);
 
     const userId = c.params.id;
     const { password } = c.body;
@@ -711,7 +756,7 @@ export async function startServer(settings: ServerSettings) {
       return c.json({ error: 'Password must be at least 8 characters' }, 400);
 
     try {
-      await chat.setUserPassword(userId, password);
+      await chat.resetUserPassword(userId, password, user.id);
       return c.json({ success: true }, 200);
     } catch (error) {
       const message = error instanceof Error ? error.message : 'An error occurred';
@@ -764,6 +809,85 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description Get the current user's do not disturb settings.
+   */
+  server.get('/users/me/do-not-disturb', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const doNotDisturb = await chat.getDoNotDisturb(user.id);
+      return c.json({ doNotDisturb }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Update the current user's do not disturb schedule, or pause notifications.
+   */
+  server.put('/users/me/do-not-disturb', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { schedule, pausedUntil, pauseMinutes } = c.body || {};
+    const pauseEnd =
+      pauseMinutes !== undefined
+        ? Date.now() + Number(pauseMinutes) * 60 * 1000
+        : typeof pausedUntil === 'string'
+          ? Date.parse(pausedUntil)
+          : pausedUntil;
+
+    try {
+      const doNotDisturb = await chat.updateDoNotDisturb(user.id, {
+        schedule,
+        pausedUntil: pauseEnd
+      });
+      return c.json({ doNotDisturb }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Get the current user's preferences, such as how their sidebar is arranged.
+   */
+  server.get('/users/me/preferences', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const preferences = await chat.getPreferences(user.id);
+      return c.json({ preferences }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Update the current user's preferences. Parts that are left out are kept.
+   */
+  server.put('/users/me/preferences', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { sidebar, mutedChannels } = c.body || {};
+    if (sidebar !== undefined && (typeof sidebar !== 'object' || sidebar === null))
+      return c.json({ error: 'Sidebar preferences must be an object' }, 400);
+
+    try {
+      const preferences = await chat.updatePreferences(user.id, { sidebar, mutedChannels });
+      return c.json({ preferences }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description Read current user presence states.
    */
@@ -794,6 +918,65 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description Set the current user's status message and emoji, with an optional expiry.
+   */
+  server.put('/presence/me/status', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { text, emoji, expiresAt } = c.body || {};
+    const expiry =
+      expiresAt === undefined || expiresAt === null || expiresAt === ''
+        ? undefined
+        : typeof expiresAt === 'string'
+          ? Date.parse(expiresAt)
+          : Number(expiresAt);
+
+    try {
+      const presence = await chat.setCustomStatus(user.id, { text, emoji, expiresAt: expiry });
+      return c.json({ presence }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Clear the current user's status message and emoji.
+   */
+  server.delete('/presence/me/status', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const presence = await chat.clearCustomStatus(user.id);
+      return c.json({ presence }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Show the current user as typing in a channel, conversation or thread.
+   */
+  server.post('/typing', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { channelId, threadId, isTyping } = c.body || {};
+    if (!channelId) return c.json({ error: 'Channel ID is required' }, 400);
+
+    try {
+      await chat.setTyping(user.id, channelId, threadId, isTyping !== false);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   //////////////
   // Channels //
   //////////////
@@ -873,6 +1056,7 @@ export async function startServer(settings: ServerSettings) {
     const images = c.body?.images;
     const attachments = c.body?.attachments;
     const quotedMessageId = c.body?.quotedMessageId;
+    const poll = c.body?.poll;
 
     if (!content && !images && !attachments)
       return c.json({ error: 'Message content is required' }, 400);
@@ -881,7 +1065,8 @@ export async function startServer(settings: ServerSettings) {
       const message = await chat.createMessage(content || '', user.id, channelId, {
         images: images || [],
         attachments: attachments || [],
-        quotedMessageId
+        quotedMessageId,
+        poll
       });
 
       return c.json({ message }, 200);
@@ -891,6 +1076,36 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description List the slash commands that can be run in channels.
+   */
+  server.get('/commands', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    return c.json({ commands: await chat.listCommands() }, 200);
+  });
+
+  /**
+   * @description Run a slash command in a channel. The reply is sent to the user over SSE.
+   */
+  server.post('/channels/:channelId/commands', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const text = c.body?.text;
+    if (typeof text !== 'string' || !text.trim())
+      return c.json({ error: 'Command text is required' }, 400);
+
+    try {
+      const result = await chat.runCommand(text, user.id, c.params.channelId);
+      return c.json(result, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description Update the information for a channel.
    */
@@ -899,20 +1114,22 @@ export async function startServer(settings: ServerSettings) {
     if (!user) return c.json({ error: 'Unauthorized' }, 401);
 
     const channelId = c.params.channelId;
-    const { name, topic, isPrivate, members } = c.body;
+    const { name, topic, isPrivate, members, retention, roles } = c.body;
 
     if (
       name === undefined &&
       topic === undefined &&
       isPrivate === undefined &&
-      members === undefined
+      members === undefined &&
+      retention === undefined &&
+      roles === undefined
     )
       return c.json({ error: 'No channel update data provided' }, 400);
 
     try {
       const channel = await chat.updateChannel(
         channelId,
-        { name, topic, isPrivate, members },
+        { name, topic, isPrivate, members, retention, roles },
         user.id
       );
 
@@ -941,6 +1158,42 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description Archive a channel, making it read-only.
+   */
+  server.post('/channels/:channelId/archive', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const channelId = c.params.channelId;
+
+    try {
+      const channel = await chat.archiveChannel(channelId, user.id);
+      return c.json({ channel }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Unarchive a channel.
+   */
+  server.delete('/channels/:channelId/archive', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const channelId = c.params.channelId;
+
+    try {
+      const channel = await chat.unarchiveChannel(channelId, user.id);
+      return c.json({ channel }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   //////////////
   // Messages //
   //////////////
@@ -983,6 +1236,25 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description Get the edit history of a message.
+   * Works for channel messages, direct messages and thread replies.
+   */
+  server.get('/messages/:messageId/history', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const messageId = c.params.messageId;
+
+    try {
+      const { message, revisions } = await chat.getMessageHistory(messageId, user.id);
+      return c.json({ message, revisions }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description Pin a message in its channel.
    */
@@ -1019,6 +1291,77 @@ export async function startServer(settings: ServerSettings) {
     }
   });
 
+  /**
+   * @description Get a poll and the options the current user voted for.
+   */
+  server.get('/messages/:messageId/poll', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const result = await chat.getPollVote(c.params.messageId, user.id);
+      return c.json(result, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Vote in a poll. An empty list of options retracts the vote.
+   */
+  server.post('/messages/:messageId/poll/vote', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const optionIds = c.body?.optionIds;
+    if (!Array.isArray(optionIds)) return c.json({ error: 'Option IDs are required' }, 400);
+
+    try {
+      const result = await chat.votePoll(c.params.messageId, user.id, optionIds);
+      return c.json(result, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Close a poll. Only the author or an admin can close it.
+   */
+  server.post('/messages/:messageId/poll/close', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const poll = await chat.closePoll(c.params.messageId, user.id);
+      return c.json({ poll }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Forward a message into another channel or conversation.
+   */
+  server.post('/messages/:messageId/forward', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { channelId, conversationId, content } = c.body || {};
+    const targetId = conversationId || channelId;
+    if (!targetId) return c.json({ error: 'Channel ID or conversation ID is required' }, 400);
+
+    try {
+      const message = await chat.forwardMessage(c.params.messageId, user.id, targetId, content);
+      return c.json({ message }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description List pinned messages in a channel.
    */
@@ -1089,7 +1432,8 @@ export async function startServer(settings: ServerSettings) {
 
   /**
    * @description Delete a message by ID.
-   * Any attached images will also be deleted.
+   * The message is moved to the trash; its images and files are
+   * removed once the trash retention period has passed.
    */
   server.delete('/messages/:messageId', authenticate, async (c: Context) => {
     const user = c.state.user;
@@ -1098,15 +1442,8 @@ export async function startServer(settings: ServerSettings) {
     const messageId = c.params.messageId;
 
     try {
-      const message = await chat.getMessageById(messageId);
-      const images = message?.images || [];
-      const attachments = message?.attachments || [];
-
       await chat.deleteMessage(messageId, user.id);
 
-      deleteImages(images);
-      deleteFiles(attachments);
-
       return c.json({ success: true }, 200);
     } catch (error) {
       const message = error instanceof Error ? error.message : 'An error occurred';
@@ -1284,15 +1621,8 @@ export async function startServer(settings: ServerSettings) {
     const replyId = c.params.replyId;
 
     try {
-      const reply = await chat.getMessageById(replyId);
-      const images = reply?.images || [];
-      const attachments = reply?.attachments || [];
-
       await chat.deleteThreadReply(replyId, user.id);
 
-      deleteImages(images);
-      deleteFiles(attachments);
-
       return c.json({ success: true }, 200);
     } catch (error) {
       const message = error instanceof Error ? error.message : 'An error occurred';
@@ -1335,29 +1665,7 @@ export async function startServer(settings: ServerSettings) {
 
     try {
       const conversations = await chat.listConversationsForUser(user.id);
-
-      // Batch-fetch unique participant users
-      const otherUserIds = [
-        ...new Set(
-          conversations.map((conv) => conv.participants.find((p) => p !== user.id)).filter(Boolean)
-        )
-      ] as string[];
-      const userMap = new Map<string, User>();
-      await Promise.all(
-        otherUserIds.map(async (id) => {
-          const u = await chat.getUserById(id);
-          if (u) userMap.set(id, u);
-        })
-      );
-
-      const enhancedConversations = conversations.map((conv) => {
-        const otherUserId = conv.participants.find((p) => p !== user.id);
-        const otherUser = otherUserId ? userMap.get(otherUserId) : null;
-        return {
-          ...conv,
-          otherUser: otherUser ? { id: otherUser.id, userName: otherUser.userName } : null
-        };
-      });
+      const enhancedConversations = await enrichConversationsWithUsers(conversations, user.id);
 
       return c.json({ conversations: enhancedConversations }, 200);
     } catch (error) {
@@ -1367,37 +1675,79 @@ export async function startServer(settings: ServerSettings) {
   });
 
   /**
-   * @description Create or get a conversation with another user.
+   * @description Create or get a conversation with another user,
+   * or start a group conversation with several users.
    */
   server.post('/conversations', authenticate, async (c: Context) => {
     const user = c.state.user;
     if (!user) return c.json({ error: 'Unauthorized' }, 401);
 
-    const { targetUserId } = c.body;
-    if (!targetUserId) return c.json({ error: 'Target user ID is required' }, 400);
+    const { targetUserId, participantIds } = c.body;
+    if (participantIds !== undefined && !Array.isArray(participantIds))
+      return c.json({ error: 'Participant IDs must be a list' }, 400);
+    if (!targetUserId && !participantIds?.length)
+      return c.json({ error: 'Target user ID is required' }, 400);
 
     try {
-      const { conversation, isNew } = await chat.getOrCreateConversation(user.id, targetUserId);
+      const { conversation, isNew } = participantIds
+        ? { conversation: await chat.createGroupConversation(user.id, participantIds), isNew: true }
+        : await chat.getOrCreateConversation(user.id, targetUserId);
 
-      // Get other user info
-      const otherUser = await chat.getUserById(targetUserId);
+      const [enhancedConversation] = await enrichConversationsWithUsers([conversation], user.id);
 
-      return c.json(
-        {
-          conversation: {
-            ...conversation,
-            otherUser: otherUser ? { id: otherUser.id, userName: otherUser.userName } : null
-          },
-          isNew
-        },
-        200
+      return c.json({ conversation: enhancedConversation, isNew }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Add users to a group conversation.
+   */
+  server.post('/conversations/:conversationId/participants', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { userIds } = c.body || {};
+    if (!Array.isArray(userIds) || userIds.length === 0)
+      return c.json({ error: 'User IDs are required' }, 400);
+
+    try {
+      const conversation = await chat.addConversationParticipants(
+        c.params.conversationId,
+        userIds,
+        user.id
       );
+      const [enhancedConversation] = await enrichConversationsWithUsers([conversation], user.id);
+
+      return c.json({ conversation: enhancedConversation }, 200);
     } catch (error) {
       const message = error instanceof Error ? error.message : 'An error occurred';
       return c.json({ error: message }, 400);
     }
   });
 
+  /**
+   * @description Leave a group conversation.
+   */
+  server.delete(
+    '/conversations/:conversationId/participants/me',
+    authenticate,
+    async (c: Context) => {
+      const user = c.state.user;
+      if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+      try {
+        await chat.leaveConversation(c.params.conversationId, user.id);
+        return c.json({ success: true }, 200);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'An error occurred';
+        return c.json({ error: message }, 400);
+      }
+    }
+  );
+
   /**
    * @description Get all messages in a conversation.
    */
@@ -1441,6 +1791,7 @@ export async function startServer(settings: ServerSettings) {
     const images = c.body?.images;
     const attachments = c.body?.attachments;
     const quotedMessageId = c.body?.quotedMessageId;
+    const poll = c.body?.poll;
 
     if (!content && !images && !attachments)
       return c.json({ error: 'Message content is required' }, 400);
@@ -1449,7 +1800,8 @@ export async function startServer(settings: ServerSettings) {
       const message = await chat.createDirectMessage(content || '', user.id, conversationId, {
         images: images || [],
         attachments: attachments || [],
-        quotedMessageId
+        quotedMessageId,
+        poll
       });
 
       return c.json({ message }, 200);
@@ -1514,15 +1866,8 @@ export async function startServer(settings: ServerSettings) {
       const messageId = c.params.messageId;
 
       try {
-        const message = await chat.getMessageById(messageId);
-        const images = message?.images || [];
-        const attachments = message?.attachments || [];
-
         await chat.deleteDirectMessage(messageId, user.id);
 
-        deleteImages(images);
-        deleteFiles(attachments);
-
         return c.json({ success: true }, 200);
       } catch (error) {
         const message = error instanceof Error ? error.message : 'An error occurred';
@@ -1625,6 +1970,16 @@ export async function startServer(settings: ServerSettings) {
 
   registerAdminRoutes({ server, authenticate, chat });
 
+  registerScheduledMessageRoutes({ server, authenticate, chat });
+
+  registerReadStateRoutes({ server, authenticate, chat });
+
+  registerReminderRoutes({ server, authenticate, chat });
+
+  registerSavedMessageRoutes({ server, authenticate, chat });
+
+  registerActivityRoutes({ server, authenticate, chat });
+
   registerEventRoutes({ server, auth, chat });
 
   server.start();
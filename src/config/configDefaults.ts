@@ -63,7 +63,8 @@ export const configDefaults = () => {
         password: process.env.INITIAL_USER_PASSWORD || ''
       },
       messageRetentionDays: 30,
-      maxMessagesPerChannel: 100
+      maxMessagesPerChannel: 100,
+      trashRetentionDays: 30
     },
     oauth: undefined as undefined
   };
@@ -206,6 +206,19 @@ export const mikrochatOptions = {
       flag: '--maxMessagesPerChannel',
       path: 'chat.maxMessagesPerChannel',
       defaultValue: defaults.chat.maxMessagesPerChannel
+    },
+    {
+      flag: '--trashRetentionDays',
+      path: 'chat.trashRetentionDays',
+      defaultValue: defaults.chat.trashRetentionDays
+    },
+    {
+      flag: '--directMessageRetentionDays',
+      path: 'chat.directMessageRetentionDays'
+    },
+    {
+      flag: '--threadReplyRetentionDays',
+      path: 'chat.threadReplyRetentionDays'
     }
   ]
 };
@@ -21,9 +21,62 @@ export type User = {
   userName: string;
   email: string;
   isAdmin: boolean;
+  /**
+   * A custom role that grants the user some administrative permissions.
+   * Administrators have every permission and never have a custom role.
+   */
+  roleId?: string;
   createdAt: UnixTimestamp;
   addedBy?: string;
   passwordHash?: string;
+  customStatus?: CustomStatus;
+  doNotDisturb?: DoNotDisturbSettings;
+  /**
+   * Bots sign in with an API token instead, see `Bot`.
+   */
+  isBot?: boolean;
+};
+
+/**
+ * @description A weekly window when a user does not want to be notified,
+ * in their own time zone. A window that ends before it starts runs overnight,
+ * so `days` are the days it starts on.
+ */
+export type DoNotDisturbSchedule = {
+  /**
+   * Days of the week, where 0 is Sunday.
+   */
+  days: number[];
+  /**
+   * Start time as `HH:MM`.
+   */
+  start: string;
+  /**
+   * End time as `HH:MM`.
+   */
+  end: string;
+  /**
+   * IANA time zone, such as `Europe/Stockholm`.
+   */
+  timeZone: string;
+};
+
+export type DoNotDisturbSettings = {
+  schedule?: DoNotDisturbSchedule;
+  /**
+   * Notifications are paused until this time, regardless of the schedule.
+   */
+  pausedUntil?: UnixTimestamp;
+};
+
+/**
+ * @description A status message a user sets for themselves, such as "In a meeting".
+ * It is cleared automatically at `expiresAt`, if set.
+ */
+export type CustomStatus = {
+  text?: string;
+  emoji?: string;
+  expiresAt?: UnixTimestamp;
 };
 
 export type UserPresenceStatus = 'online' | 'away' | 'offline';
@@ -32,8 +85,30 @@ export type UserPresence = {
   userId: string;
   status: UserPresenceStatus;
   lastSeen: UnixTimestamp;
+  customStatus?: CustomStatus;
+  /**
+   * Set while the user's do not disturb schedule or pause is active.
+   */
+  doNotDisturb?: boolean;
+};
+
+/**
+ * @description Per-channel overrides for the server's retention settings.
+ * An omitted value falls back to the server default, while `null`
+ * removes the limit, so both set to `null` keeps messages forever.
+ */
+export type ChannelRetentionPolicy = {
+  messageRetentionDays?: number | null;
+  maxMessages?: number | null;
 };
 
+/**
+ * @description Roles that let users manage a single channel without being administrators.
+ * Owners can do anything with the channel. Moderators can edit the topic, manage members,
+ * pin messages and delete the messages of others.
+ */
+export type ChannelRole = 'owner' | 'moderator';
+
 export type Channel = {
   id: string;
   name: string;
@@ -41,6 +116,16 @@ export type Channel = {
   isPrivate?: boolean;
   members?: string[];
   pinnedMessageIds?: string[];
+  retention?: ChannelRetentionPolicy;
+  /**
+   * Channel roles by user ID. The creator of the channel is always an owner.
+   */
+  roles?: Record<string, ChannelRole>;
+  /**
+   * Archived channels are read-only, while their history can still be read and searched.
+   */
+  archivedAt?: UnixTimestamp;
+  archivedBy?: string;
   createdAt?: UnixTimestamp;
   updatedAt?: UnixTimestamp;
   createdBy?: string;
@@ -53,6 +138,28 @@ export type FileAttachment = {
   size: number;
 };
 
+export type PollOption = {
+  id: string;
+  text: string;
+  voteCount: number;
+  /**
+   * IDs of the users who picked this option. Left out for anonymous polls.
+   */
+  voters?: string[];
+};
+
+/**
+ * @description A poll attached to a message, where the message content is the question.
+ * Individual votes are stored separately so anonymous polls never expose voters.
+ */
+export type Poll = {
+  options: PollOption[];
+  allowMultiple?: boolean;
+  anonymous?: boolean;
+  closesAt?: UnixTimestamp;
+  closedAt?: UnixTimestamp;
+};
+
 export type Message = {
   id: string;
   content: string;
@@ -69,14 +176,119 @@ export type Message = {
   channelId: string;
   createdAt: UnixTimestamp;
   updatedAt?: UnixTimestamp;
+  /**
+   * Set when the content has been edited; see `MessageRevision`.
+   */
+  editedAt?: UnixTimestamp;
   reactions: Record<string, string[]>;
   threadId?: string;
   threadMeta?: ThreadMeta;
+  poll?: Poll;
+  forwardedFrom?: ForwardedFrom;
+};
+
+/**
+ * @description Where a forwarded message came from. The original is copied,
+ * so the attribution still reads the same if the original is edited or deleted.
+ */
+export type ForwardedFrom = {
+  messageId: string;
+  /**
+   * Channel ID or conversation ID of the original message.
+   */
+  channelId: string;
+  threadId?: string;
+  author: {
+    id: string;
+    userName: string;
+  };
+  content: string;
+  createdAt: UnixTimestamp;
+};
+
+/**
+ * @description A previous version of a message's content,
+ * kept whenever the message is edited.
+ */
+export type MessageRevision = {
+  messageId: string;
+  content: string;
+  /**
+   * When this version was written (the message creation or a previous edit).
+   */
+  createdAt: UnixTimestamp;
+  /**
+   * When this version was replaced by an edit.
+   */
+  replacedAt: UnixTimestamp;
+};
+
+/**
+ * @description A deleted message kept in the trash until it is purged,
+ * together with any thread replies that were removed along with it.
+ */
+export type TrashedMessage = {
+  id: string;
+  message: Message;
+  replies: Message[];
+  deletedAt: UnixTimestamp;
+  deletedBy: string;
+};
+
+export type ReadTargetType = 'channel' | 'conversation' | 'thread';
+
+/**
+ * @description How far a user has read in a channel, conversation or thread.
+ * Messages created after `lastReadAt` count as unread.
+ */
+export type ReadState = {
+  userId: string;
+  targetType: ReadTargetType;
+  /**
+   * Channel ID, conversation ID or the parent message ID of a thread.
+   */
+  targetId: string;
+  lastReadMessageId?: string;
+  lastReadAt: UnixTimestamp;
+  updatedAt: UnixTimestamp;
+};
+
+export type UnreadCount = {
+  targetType: ReadTargetType;
+  targetId: string;
+  /**
+   * The channel or conversation a thread belongs to.
+   */
+  channelId?: string;
+  unreadCount: number;
+  mentionCount: number;
+};
+
+/**
+ * @description A user typing in a channel, conversation or thread.
+ * Clients stop showing it at `expiresAt` unless a newer event arrives.
+ */
+export type TypingIndicator = {
+  userId: string;
+  userName: string;
+  /**
+   * Channel ID or conversation ID.
+   */
+  channelId: string;
+  threadId?: string;
+  isTyping: boolean;
+  expiresAt: UnixTimestamp;
 };
 
 export type Conversation = {
   id: string;
-  participants: [string, string];
+  participants: string[];
+  /**
+   * Group conversations can have more than two participants,
+   * who can add others and leave.
+   */
+  isGroup?: boolean;
+  createdBy?: string;
   createdAt: UnixTimestamp;
   updatedAt?: UnixTimestamp;
   lastMessageAt?: UnixTimestamp;
@@ -91,6 +303,312 @@ export type Webhook = {
   createdBy: string;
 };
 
+/**
+ * @description What the API token of a bot allows it to do.
+ */
+export type BotScope =
+  | 'channels.read'
+  | 'messages.write'
+  | 'reactions.write'
+  | 'threads.write'
+  | 'direct-messages';
+
+/**
+ * @description The API token of a bot user, which has the same ID as the bot.
+ * Only the SHA-256 hash of the token is stored.
+ */
+export type Bot = {
+  id: string;
+  tokenHash: string;
+  scopes: BotScope[];
+  createdAt: UnixTimestamp;
+  createdBy: string;
+  updatedAt?: UnixTimestamp;
+};
+
+/**
+ * @description A bot with its API token, which is only returned when the token is created.
+ */
+export type BotWithToken = Bot & { token: string };
+
+/**
+ * @description Sends chat events to a URL as they happen.
+ */
+export type OutgoingWebhook = {
+  id: string;
+  name: string;
+  url: string;
+  events: ServerSentEvent['type'][];
+  /**
+   * Only send events in this channel.
+   */
+  channelId?: string;
+  /**
+   * Only send events with content that contains this, ignoring case.
+   */
+  keyword?: string;
+  /**
+   * Signs the requests to the URL, so it can check that they came from this server.
+   */
+  secret: string;
+  createdAt: UnixTimestamp;
+  createdBy: string;
+};
+
+/**
+ * @description An attempt to send an event to an outgoing webhook, including its retries.
+ */
+export type WebhookDelivery = {
+  id: string;
+  webhookId: string;
+  eventType: ServerSentEvent['type'];
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  /**
+   * HTTP status of the last attempt.
+   */
+  statusCode?: number;
+  error?: string;
+  createdAt: UnixTimestamp;
+  updatedAt: UnixTimestamp;
+};
+
+/**
+ * @description Administrative permissions that custom roles can grant.
+ */
+export type Permission =
+  | 'users.manage'
+  | 'roles.manage'
+  | 'channels.manage'
+  | 'webhooks.manage'
+  | 'user-groups.manage'
+  | 'trash.manage'
+  | 'legal-holds.manage'
+  | 'audit-log.view'
+  | 'data.export'
+  | 'server.settings.manage';
+
+/**
+ * @description A role defined by the administrators, such as a user manager or an auditor,
+ * that grants a set of permissions to the users it is assigned to.
+ */
+export type Role = {
+  id: string;
+  name: string;
+  description?: string;
+  permissions: Permission[];
+  createdAt: UnixTimestamp;
+  createdBy: string;
+  updatedAt?: UnixTimestamp;
+};
+
+/**
+ * @description A named group of users, such as `@backend` or `@oncall`,
+ * whose members are all mentioned when the group is.
+ */
+export type UserGroup = {
+  id: string;
+  /**
+   * The handle used to mention the group, without the `@`.
+   */
+  name: string;
+  description?: string;
+  members: string[];
+  createdAt: UnixTimestamp;
+  createdBy: string;
+  updatedAt?: UnixTimestamp;
+};
+
+export type LegalHoldTargetType = 'channel' | 'conversation' | 'user';
+
+/**
+ * @description Freezes the messages of a channel, a conversation or
+ * everything a user has written, so they cannot be deleted or expire.
+ */
+export type LegalHold = {
+  id: string;
+  targetType: LegalHoldTargetType;
+  targetId: string;
+  reason?: string;
+  createdAt: UnixTimestamp;
+  createdBy: string;
+};
+
+export type ScheduledMessage = {
+  id: string;
+  authorId: string;
+  /**
+   * Channel ID, or conversation ID (`dm:...`) for direct messages.
+   */
+  channelId: string;
+  content: string;
+  images?: string[];
+  attachments?: FileAttachment[];
+  quotedMessageId?: string;
+  scheduledFor: UnixTimestamp;
+  createdAt: UnixTimestamp;
+  updatedAt?: UnixTimestamp;
+  /**
+   * Why the message could not be posted when it was due. The message is kept
+   * until it is edited, which tries again, or cancelled.
+   */
+  error?: string;
+};
+
+/**
+ * @description A reminder a user set for themselves, optionally about a message.
+ * It is delivered privately to the user once `remindAt` has passed,
+ * and stays in their list until they complete it.
+ */
+export type Reminder = {
+  id: string;
+  userId: string;
+  messageId?: string;
+  /**
+   * Channel ID, or conversation ID (`dm:...`), of the message.
+   */
+  channelId?: string;
+  /**
+   * Parent message ID when the message is a thread reply.
+   */
+  threadId?: string;
+  note?: string;
+  remindAt: UnixTimestamp;
+  deliveredAt?: UnixTimestamp;
+  createdAt: UnixTimestamp;
+  updatedAt?: UnixTimestamp;
+};
+
+/**
+ * @description A message a user saved to their private list.
+ */
+export type SavedMessage = {
+  userId: string;
+  messageId: string;
+  savedAt: UnixTimestamp;
+};
+
+export type ActivityType = 'mention' | 'thread_reply' | 'reaction';
+
+/**
+ * @description An entry in a user's activity feed: a mention of them, one of their groups
+ * or `@channel`/`@here`, a reply in the thread of their message or a reaction to it.
+ */
+export type Activity = {
+  id: string;
+  /**
+   * The user the activity is for.
+   */
+  userId: string;
+  type: ActivityType;
+  /**
+   * The user who mentioned, replied or reacted.
+   */
+  actorId: string;
+  /**
+   * The message with the mention, the thread reply or the message that was reacted to.
+   */
+  messageId: string;
+  channelId: string;
+  threadId?: string;
+  reaction?: string;
+  createdAt: UnixTimestamp;
+  /**
+   * Orders activity created in the same millisecond, newest first.
+   */
+  sequence?: number;
+  readAt?: UnixTimestamp;
+};
+
+/**
+ * @description A personal section of the sidebar, such as "Projects", with its channels in order.
+ */
+export type SidebarSection = {
+  id: string;
+  name: string;
+  channelIds: string[];
+};
+
+/**
+ * @description How a user has arranged the channels in their sidebar.
+ */
+export type SidebarPreferences = {
+  /**
+   * Channels shown in the favorites section at the top, in order.
+   */
+  favorites: string[];
+  sections: SidebarSection[];
+  /**
+   * The order of the channels that are not in a section.
+   */
+  channelOrder: string[];
+  /**
+   * Collapsed sections: section IDs, `favorites` or `channels`.
+   */
+  collapsed: string[];
+};
+
+/**
+ * @description Personal preferences, stored on the server so they are the same on every device.
+ */
+export type UserPreferences = {
+  userId: string;
+  sidebar: SidebarPreferences;
+  /**
+   * Channels that only notify the user when they are mentioned.
+   */
+  mutedChannels: string[];
+  updatedAt?: UnixTimestamp;
+};
+
+/**
+ * @description A slash command, such as `/topic`, that can be run in a channel.
+ */
+export type SlashCommand = {
+  name: string;
+  description: string;
+  /**
+   * How the arguments are written, such as `@user`. Left out for commands without arguments.
+   */
+  usage?: string;
+};
+
+/**
+ * @description A reply to a slash command that only the user who ran it sees.
+ */
+export type CommandResponse = {
+  userId: string;
+  channelId: string;
+  command: string;
+  text: string;
+  createdAt: UnixTimestamp;
+};
+
+/**
+ * @description The outcome of a slash command: a reply for the user who ran it,
+ * a message posted in the channel, or both.
+ */
+export type CommandResult = {
+  command: string;
+  response?: CommandResponse;
+  message?: Message;
+};
+
+/**
+ * @description A slash command added by an administrator, such as `/deploy`. Running it
+ * sends a signed request to the callback URL, which replies with the text to show.
+ */
+export type CustomCommand = SlashCommand & {
+  id: string;
+  callbackUrl: string;
+  /**
+   * Signs the requests to the callback URL, so it can check that they came from this server.
+   */
+  secret: string;
+  createdAt: UnixTimestamp;
+  createdBy: string;
+};
+
 export type AuditLogEntry = {
   id: string;
   action: string;
@@ -110,6 +628,18 @@ export type ChatConfiguration = {
   };
   messageRetentionDays: number;
   maxMessagesPerChannel: number;
+  /**
+   * How many days deleted messages stay restorable in the trash. Defaults to 30.
+   */
+  trashRetentionDays?: number;
+  /**
+   * How many days to keep direct messages. Defaults to `messageRetentionDays`.
+   */
+  directMessageRetentionDays?: number;
+  /**
+   * How many days to keep thread replies. Defaults to `messageRetentionDays`.
+   */
+  threadReplyRetentionDays?: number;
 };
 
 export type ServerSettings = {
@@ -136,6 +666,16 @@ export type ServerSentEvent =
   | { type: 'NEW_MESSAGE'; payload: Message }
   | { type: 'UPDATE_MESSAGE'; payload: Message }
   | { type: 'DELETE_MESSAGE'; payload: { id: string; channelId: string } }
+  // Polls
+  | {
+      type: 'POLL_UPDATE';
+      payload: {
+        messageId: string;
+        channelId: string;
+        poll: Poll;
+        participants?: string[];
+      };
+    }
   // Channels
   | { type: 'NEW_CHANNEL'; payload: Channel }
   | { type: 'DELETE_CHANNEL'; payload: Channel }
@@ -152,7 +692,7 @@ export type ServerSentEvent =
   // Users
   | {
       type: 'NEW_USER';
-      payload: { id: string; userName: string; email: string; isAdmin: boolean };
+      payload: { id: string; userName: string; email: string; isAdmin: boolean; isBot?: boolean };
     }
   | {
       type: 'REMOVE_USER';
@@ -164,24 +704,34 @@ export type ServerSentEvent =
     }
   | {
       type: 'UPDATE_USER';
-      payload: { id: string; userName: string; isAdmin: boolean };
+      payload: { id: string; userName: string; isAdmin: boolean; roleId?: string };
     }
   // Direct Messages / Conversations
   | { type: 'NEW_CONVERSATION'; payload: Conversation }
+  | {
+      type: 'UPDATE_CONVERSATION';
+      payload: {
+        conversation: Conversation;
+        /**
+         * Everyone who is told about the change, including users who left.
+         */
+        participants: string[];
+      };
+    }
   | {
       type: 'NEW_DM_MESSAGE';
-      payload: Message & { participants: [string, string] };
+      payload: Message & { participants: string[] };
     }
   | {
       type: 'UPDATE_DM_MESSAGE';
-      payload: Message & { participants: [string, string] };
+      payload: Message & { participants: string[] };
     }
   | {
       type: 'DELETE_DM_MESSAGE';
       payload: {
         id: string;
         conversationId: string;
-        participants: [string, string];
+        participants: string[];
       };
     }
   // Threads
@@ -213,11 +763,55 @@ export type ServerSentEvent =
       type: 'DELETE_WEBHOOK';
       payload: { id: string; channelId: string };
     }
+  // User groups
+  | { type: 'NEW_USER_GROUP'; payload: UserGroup }
+  | { type: 'UPDATE_USER_GROUP'; payload: UserGroup }
+  | { type: 'DELETE_USER_GROUP'; payload: { id: string } }
+  // Roles
+  | { type: 'NEW_ROLE'; payload: Role }
+  | { type: 'UPDATE_ROLE'; payload: Role }
+  | { type: 'DELETE_ROLE'; payload: { id: string } }
   // Server settings
   | {
       type: 'UPDATE_SERVER_SETTINGS';
       payload: { name: string };
     }
+  // Reminders
+  | {
+      type: 'REMINDER';
+      payload: { reminder: Reminder; message?: Message };
+    }
+  // Activity
+  | {
+      type: 'NEW_ACTIVITY';
+      payload: { activity: Activity; message: Message };
+    }
+  | {
+      type: 'ACTIVITY_UPDATE';
+      payload: { userId: string; unreadCount: number };
+    }
+  // Read state
+  | {
+      type: 'READ_STATE_UPDATE';
+      payload: ReadState;
+    }
+  // Preferences
+  | {
+      type: 'PREFERENCES_UPDATE';
+      payload: UserPreferences;
+    }
+  // Commands
+  | {
+      type: 'COMMAND_RESPONSE';
+      payload: CommandResponse;
+    }
+  | { type: 'NEW_COMMAND'; payload: { id: string; name: string } }
+  | { type: 'DELETE_COMMAND'; payload: { id: string; name: string } }
+  // Typing
+  | {
+      type: 'TYPING';
+      payload: TypingIndicator & { participants?: string[] };
+    }
   // Presence
   | {
       type: 'PRESENCE_UPDATE';
@@ -256,6 +850,16 @@ export interface StorageProvider {
   createMessage(message: Message): Promise<void>;
   updateMessage(message: Message): Promise<void>;
   deleteMessage(id: string): Promise<void>;
+  listMessageRevisions(messageId: string): Promise<MessageRevision[]>;
+  addMessageRevision(revision: MessageRevision): Promise<void>;
+  getPollVotes(messageId: string): Promise<Record<string, string[]>>;
+  setPollVotes(messageId: string, votes: Record<string, string[]>): Promise<void>;
+
+  getTrashedMessage(id: string): Promise<TrashedMessage | null>;
+  listTrashedMessages(): Promise<TrashedMessage[]>;
+  trashMessage(trashedMessage: TrashedMessage): Promise<void>;
+  restoreTrashedMessage(id: string): Promise<TrashedMessage | null>;
+  purgeTrashedMessage(id: string): Promise<void>;
 
   addReaction(messageId: string, userId: string, reaction: string): Promise<Message | null>;
   removeReaction(messageId: string, userId: string): Promise<Message | null>;
@@ -276,6 +880,10 @@ export interface StorageProvider {
 
   listMessagesByThread(threadId: string, options?: PaginationOptions): Promise<Message[]>;
 
+  getReadState(userId: string, targetId: string): Promise<ReadState | null>;
+  listReadStates(userId: string): Promise<ReadState[]>;
+  setReadState(readState: ReadState): Promise<void>;
+
   getWebhookById(id: string): Promise<Webhook | null>;
   getWebhookByToken(token: string): Promise<Webhook | null>;
   listWebhooks(): Promise<Webhook[]>;
@@ -283,8 +891,72 @@ export interface StorageProvider {
   createWebhook(webhook: Webhook): Promise<void>;
   deleteWebhook(id: string): Promise<void>;
 
+  getBotById(id: string): Promise<Bot | null>;
+  getBotByTokenHash(tokenHash: string): Promise<Bot | null>;
+  listBots(): Promise<Bot[]>;
+  setBot(bot: Bot): Promise<void>;
+  deleteBot(id: string): Promise<void>;
+
+  getOutgoingWebhookById(id: string): Promise<OutgoingWebhook | null>;
+  listOutgoingWebhooks(): Promise<OutgoingWebhook[]>;
+  createOutgoingWebhook(webhook: OutgoingWebhook): Promise<void>;
+  deleteOutgoingWebhook(id: string): Promise<void>;
+
+  listWebhookDeliveries(webhookId: string): Promise<WebhookDelivery[]>;
+  setWebhookDelivery(delivery: WebhookDelivery): Promise<void>;
+  deleteWebhookDelivery(webhookId: string, id: string): Promise<void>;
+
+  getCustomCommandById(id: string): Promise<CustomCommand | null>;
+  listCustomCommands(): Promise<CustomCommand[]>;
+  createCustomCommand(command: CustomCommand): Promise<void>;
+  deleteCustomCommand(id: string): Promise<void>;
+
+  getUserGroupById(id: string): Promise<UserGroup | null>;
+  listUserGroups(): Promise<UserGroup[]>;
+  createUserGroup(userGroup: UserGroup): Promise<void>;
+  updateUserGroup(userGroup: UserGroup): Promise<void>;
+  deleteUserGroup(id: string): Promise<void>;
+
+  getRoleById(id: string): Promise<Role | null>;
+  listRoles(): Promise<Role[]>;
+  createRole(role: Role): Promise<void>;
+  updateRole(role: Role): Promise<void>;
+  deleteRole(id: string): Promise<void>;
+
   createAuditLogEntry(entry: AuditLogEntry): Promise<void>;
   listAuditLog(): Promise<AuditLogEntry[]>;
+
+  getLegalHoldById(id: string): Promise<LegalHold | null>;
+  listLegalHolds(): Promise<LegalHold[]>;
+  createLegalHold(legalHold: LegalHold): Promise<void>;
+  deleteLegalHold(id: string): Promise<void>;
+
+  getScheduledMessageById(id: string): Promise<ScheduledMessage | null>;
+  listScheduledMessages(): Promise<ScheduledMessage[]>;
+  listScheduledMessagesByAuthor(authorId: string): Promise<ScheduledMessage[]>;
+  createScheduledMessage(scheduledMessage: ScheduledMessage): Promise<void>;
+  updateScheduledMessage(scheduledMessage: ScheduledMessage): Promise<void>;
+  deleteScheduledMessage(id: string): Promise<void>;
+
+  getReminderById(id: string): Promise<Reminder | null>;
+  listReminders(): Promise<Reminder[]>;
+  listRemindersByUser(userId: string): Promise<Reminder[]>;
+  createReminder(reminder: Reminder): Promise<void>;
+  updateReminder(reminder: Reminder): Promise<void>;
+  deleteReminder(id: string): Promise<void>;
+
+  listSavedMessagesByUser(userId: string): Promise<SavedMessage[]>;
+  saveMessage(savedMessage: SavedMessage): Promise<void>;
+  unsaveMessage(messageId: string, userId: string): Promise<void>;
+
+  listActivityByUser(userId: string): Promise<Activity[]>;
+  createActivity(activity: Activity): Promise<void>;
+  updateActivity(activity: Activity): Promise<void>;
+  deleteActivity(activity: Activity): Promise<void>;
+
+  getUserPreferences(userId: string): Promise<UserPreferences | null>;
+  setUserPreferences(preferences: UserPreferences): Promise<void>;
+  deleteUserPreferences(userId: string): Promise<void>;
 }
 
 export type ConfigurationOptions = {
@@ -1,12 +1,27 @@
 import type {
+  Activity,
   AuditLogEntry,
+  Bot,
   Channel,
   Conversation,
+  CustomCommand,
   DatabaseOperations,
+  LegalHold,
   Message,
+  MessageRevision,
+  OutgoingWebhook,
   PaginationOptions,
+  ReadState,
+  Reminder,
+  Role,
+  SavedMessage,
+  ScheduledMessage,
+  TrashedMessage,
   User,
-  Webhook
+  UserGroup,
+  UserPreferences,
+  Webhook,
+  WebhookDelivery
 } from '../interfaces';
 
 export abstract class GeneralStorageProvider {
@@ -94,14 +109,7 @@ export abstract class GeneralStorageProvider {
 
   public async createMessage(message: Message): Promise<void> {
     await this.db.set(`message:${message.id}`, message);
-
-    if (message.threadId) {
-      await this.appendToIndex(`idx:thread-msgs:${message.threadId}`, message.id);
-    } else if (message.channelId.startsWith('dm:')) {
-      await this.appendToIndex(`idx:conv-msgs:${message.channelId}`, message.id);
-    } else {
-      await this.appendToIndex(`idx:channel-msgs:${message.channelId}`, message.id);
-    }
+    await this.appendToIndex(GeneralStorageProvider.getIndexKey(message), message.id);
   }
 
   public async updateMessage(message: Message): Promise<void> {
@@ -111,16 +119,98 @@ export abstract class GeneralStorageProvider {
   public async deleteMessage(id: string): Promise<void> {
     const message = await this.db.get<Message>(`message:${id}`);
     await this.db.delete(`message:${id}`);
+    await this.db.delete(`message-revisions:${id}`);
+    await this.db.delete(`poll-votes:${id}`);
+    await this.db.delete(`saved-message:${id}`);
+
+    if (message) await this.removeFromIndex(GeneralStorageProvider.getIndexKey(message), id);
+  }
+
+  public async listMessageRevisions(messageId: string): Promise<MessageRevision[]> {
+    return (await this.db.get<MessageRevision[]>(`message-revisions:${messageId}`)) || [];
+  }
+
+  public async listAllMessageRevisions(): Promise<MessageRevision[]> {
+    const revisionLists = await this.db.list<MessageRevision[]>('message-revisions:');
+    return revisionLists.flat();
+  }
+
+  public async addMessageRevision(revision: MessageRevision): Promise<void> {
+    const revisions = await this.listMessageRevisions(revision.messageId);
+    revisions.push(revision);
+    await this.db.set(`message-revisions:${revision.messageId}`, revisions);
+  }
+
+  /**
+   * @description Get the votes cast in a poll, keyed by user ID.
+   */
+  public async getPollVotes(messageId: string): Promise<Record<string, string[]>> {
+    return (await this.db.get<Record<string, string[]>>(`poll-votes:${messageId}`)) || {};
+  }
+
+  public async setPollVotes(messageId: string, votes: Record<string, string[]>): Promise<void> {
+    await this.db.set(`poll-votes:${messageId}`, votes);
+  }
+
+  ///////////////////
+  // Trash methods //
+  ///////////////////
+
+  public async getTrashedMessage(id: string): Promise<TrashedMessage | null> {
+    return this.db.get<TrashedMessage>(`trash:${id}`);
+  }
+
+  public async listTrashedMessages(): Promise<TrashedMessage[]> {
+    const trashedMessages = await this.db.list<TrashedMessage>('trash:');
+    return trashedMessages.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * @description Move a message and its removed thread replies out of
+   * the live data and indexes and into the trash. Revisions and poll votes are kept.
+   */
+  public async trashMessage(trashedMessage: TrashedMessage): Promise<void> {
+    await this.db.set(`trash:${trashedMessage.id}`, trashedMessage);
+
+    for (const message of [...trashedMessage.replies, trashedMessage.message]) {
+      await this.db.delete(`message:${message.id}`);
+      await this.removeFromIndex(GeneralStorageProvider.getIndexKey(message), message.id);
+    }
+  }
+
+  /**
+   * @description Put a trashed message and its replies back in place,
+   * keeping the indexes in chronological order.
+   */
+  public async restoreTrashedMessage(id: string): Promise<TrashedMessage | null> {
+    const trashedMessage = await this.getTrashedMessage(id);
+    if (!trashedMessage) return null;
 
-    if (message) {
-      if (message.threadId) {
-        await this.removeFromIndex(`idx:thread-msgs:${message.threadId}`, id);
-      } else if (message.channelId.startsWith('dm:')) {
-        await this.removeFromIndex(`idx:conv-msgs:${message.channelId}`, id);
-      } else {
-        await this.removeFromIndex(`idx:channel-msgs:${message.channelId}`, id);
-      }
+    for (const message of [trashedMessage.message, ...trashedMessage.replies]) {
+      await this.db.set(`message:${message.id}`, message);
+      await this.insertIntoIndex(GeneralStorageProvider.getIndexKey(message), message);
     }
+
+    await this.db.delete(`trash:${id}`);
+
+    return trashedMessage;
+  }
+
+  /**
+   * @description Permanently remove a trashed message, its revisions, any poll votes
+   * and any saves.
+   */
+  public async purgeTrashedMessage(id: string): Promise<void> {
+    const trashedMessage = await this.getTrashedMessage(id);
+    if (!trashedMessage) return;
+
+    for (const message of [trashedMessage.message, ...trashedMessage.replies]) {
+      await this.db.delete(`message-revisions:${message.id}`);
+      await this.db.delete(`poll-votes:${message.id}`);
+      await this.db.delete(`saved-message:${message.id}`);
+    }
+
+    await this.db.delete(`trash:${id}`);
   }
 
   //////////////////////
@@ -234,6 +324,55 @@ export abstract class GeneralStorageProvider {
     return this.paginateAndFetch(index, options);
   }
 
+  ////////////////////////
+  // Read state methods //
+  ////////////////////////
+
+  public async getReadState(userId: string, targetId: string): Promise<ReadState | null> {
+    return this.db.get<ReadState>(`read-state:${userId}:${targetId}`);
+  }
+
+  public async listReadStates(userId: string): Promise<ReadState[]> {
+    return this.db.list<ReadState>(`read-state:${userId}:`);
+  }
+
+  public async setReadState(readState: ReadState): Promise<void> {
+    await this.db.set(`read-state:${readState.userId}:${readState.targetId}`, readState);
+  }
+
+  /////////////////
+  // Bot methods //
+  /////////////////
+
+  public async getBotById(id: string): Promise<Bot | null> {
+    return this.db.get<Bot>(`bot:${id}`);
+  }
+
+  public async getBotByTokenHash(tokenHash: string): Promise<Bot | null> {
+    const id = await this.db.get<string>(`bot-token:${tokenHash}`);
+    return id ? this.getBotById(id) : null;
+  }
+
+  public async listBots(): Promise<Bot[]> {
+    return this.db.list<Bot>('bot:');
+  }
+
+  public async setBot(bot: Bot): Promise<void> {
+    const existing = await this.getBotById(bot.id);
+    if (existing && existing.tokenHash !== bot.tokenHash)
+      await this.db.delete(`bot-token:${existing.tokenHash}`);
+
+    await this.db.set(`bot:${bot.id}`, bot);
+    await this.db.set(`bot-token:${bot.tokenHash}`, bot.id);
+  }
+
+  public async deleteBot(id: string): Promise<void> {
+    const bot = await this.getBotById(id);
+    if (bot) await this.db.delete(`bot-token:${bot.tokenHash}`);
+
+    await this.db.delete(`bot:${id}`);
+  }
+
   /////////////////////
   // Webhook methods //
   /////////////////////
@@ -264,6 +403,126 @@ export abstract class GeneralStorageProvider {
     await this.db.delete(`webhook:${id}`);
   }
 
+  public async getOutgoingWebhookById(id: string): Promise<OutgoingWebhook | null> {
+    return this.db.get<OutgoingWebhook>(`outgoing-webhook:${id}`);
+  }
+
+  public async listOutgoingWebhooks(): Promise<OutgoingWebhook[]> {
+    return this.db.list<OutgoingWebhook>('outgoing-webhook:');
+  }
+
+  public async createOutgoingWebhook(webhook: OutgoingWebhook): Promise<void> {
+    await this.db.set(`outgoing-webhook:${webhook.id}`, webhook);
+  }
+
+  public async deleteOutgoingWebhook(id: string): Promise<void> {
+    await this.db.delete(`outgoing-webhook:${id}`);
+  }
+
+  public async listWebhookDeliveries(webhookId: string): Promise<WebhookDelivery[]> {
+    const deliveries = await this.db.list<WebhookDelivery>(`webhook-delivery:${webhookId}:`);
+    return deliveries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  public async setWebhookDelivery(delivery: WebhookDelivery): Promise<void> {
+    await this.db.set(`webhook-delivery:${delivery.webhookId}:${delivery.id}`, delivery);
+  }
+
+  public async deleteWebhookDelivery(webhookId: string, id: string): Promise<void> {
+    await this.db.delete(`webhook-delivery:${webhookId}:${id}`);
+  }
+
+  ////////////////////////////
+  // Custom command methods //
+  ////////////////////////////
+
+  public async getCustomCommandById(id: string): Promise<CustomCommand | null> {
+    return this.db.get<CustomCommand>(`command:${id}`);
+  }
+
+  public async listCustomCommands(): Promise<CustomCommand[]> {
+    return this.db.list<CustomCommand>('command:');
+  }
+
+  public async createCustomCommand(command: CustomCommand): Promise<void> {
+    await this.db.set(`command:${command.id}`, command);
+  }
+
+  public async deleteCustomCommand(id: string): Promise<void> {
+    await this.db.delete(`command:${id}`);
+  }
+
+  ////////////////////////
+  // User group methods //
+  ////////////////////////
+
+  public async getUserGroupById(id: string): Promise<UserGroup | null> {
+    return this.db.get<UserGroup>(`user-group:${id}`);
+  }
+
+  public async listUserGroups(): Promise<UserGroup[]> {
+    const userGroups = await this.db.list<UserGroup>('user-group:');
+    return userGroups.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  public async createUserGroup(userGroup: UserGroup): Promise<void> {
+    await this.db.set(`user-group:${userGroup.id}`, userGroup);
+  }
+
+  public async updateUserGroup(userGroup: UserGroup): Promise<void> {
+    await this.db.set(`user-group:${userGroup.id}`, userGroup);
+  }
+
+  public async deleteUserGroup(id: string): Promise<void> {
+    await this.db.delete(`user-group:${id}`);
+  }
+
+  //////////////////
+  // Role methods //
+  //////////////////
+
+  public async getRoleById(id: string): Promise<Role | null> {
+    return this.db.get<Role>(`role:${id}`);
+  }
+
+  public async listRoles(): Promise<Role[]> {
+    const roles = await this.db.list<Role>('role:');
+    return roles.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  public async createRole(role: Role): Promise<void> {
+    await this.db.set(`role:${role.id}`, role);
+  }
+
+  public async updateRole(role: Role): Promise<void> {
+    await this.db.set(`role:${role.id}`, role);
+  }
+
+  public async deleteRole(id: string): Promise<void> {
+    await this.db.delete(`role:${id}`);
+  }
+
+  ////////////////////////
+  // Legal hold methods //
+  ////////////////////////
+
+  public async getLegalHoldById(id: string): Promise<LegalHold | null> {
+    return this.db.get<LegalHold>(`legal-hold:${id}`);
+  }
+
+  public async listLegalHolds(): Promise<LegalHold[]> {
+    const legalHolds = await this.db.list<LegalHold>('legal-hold:');
+    return legalHolds.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  public async createLegalHold(legalHold: LegalHold): Promise<void> {
+    await this.db.set(`legal-hold:${legalHold.id}`, legalHold);
+  }
+
+  public async deleteLegalHold(id: string): Promise<void> {
+    await this.db.delete(`legal-hold:${id}`);
+  }
+
   ///////////////////////
   // Audit log methods //
   ///////////////////////
@@ -281,10 +540,153 @@ export abstract class GeneralStorageProvider {
     return entries.sort((a, b) => b.createdAt - a.createdAt);
   }
 
+  ///////////////////////////////
+  // Scheduled message methods //
+  ///////////////////////////////
+
+  public async getScheduledMessageById(id: string): Promise<ScheduledMessage | null> {
+    return this.db.get<ScheduledMessage>(`scheduled-message:${id}`);
+  }
+
+  public async listScheduledMessages(): Promise<ScheduledMessage[]> {
+    const scheduledMessages = await this.db.list<ScheduledMessage>('scheduled-message:');
+    return scheduledMessages.sort((a, b) => a.scheduledFor - b.scheduledFor);
+  }
+
+  public async listScheduledMessagesByAuthor(authorId: string): Promise<ScheduledMessage[]> {
+    const scheduledMessages = await this.listScheduledMessages();
+    return scheduledMessages.filter((item) => item.authorId === authorId);
+  }
+
+  public async createScheduledMessage(scheduledMessage: ScheduledMessage): Promise<void> {
+    await this.db.set(`scheduled-message:${scheduledMessage.id}`, scheduledMessage);
+  }
+
+  public async updateScheduledMessage(scheduledMessage: ScheduledMessage): Promise<void> {
+    await this.db.set(`scheduled-message:${scheduledMessage.id}`, scheduledMessage);
+  }
+
+  public async deleteScheduledMessage(id: string): Promise<void> {
+    await this.db.delete(`scheduled-message:${id}`);
+  }
+
+  //////////////////////
+  // Reminder methods //
+  //////////////////////
+
+  public async getReminderById(id: string): Promise<Reminder | null> {
+    return this.db.get<Reminder>(`reminder:${id}`);
+  }
+
+  public async listReminders(): Promise<Reminder[]> {
+    const reminders = await this.db.list<Reminder>('reminder:');
+    return reminders.sort((a, b) => a.remindAt - b.remindAt);
+  }
+
+  public async listRemindersByUser(userId: string): Promise<Reminder[]> {
+    const reminders = await this.listReminders();
+    return reminders.filter((reminder) => reminder.userId === userId);
+  }
+
+  public async createReminder(reminder: Reminder): Promise<void> {
+    await this.db.set(`reminder:${reminder.id}`, reminder);
+  }
+
+  public async updateReminder(reminder: Reminder): Promise<void> {
+    await this.db.set(`reminder:${reminder.id}`, reminder);
+  }
+
+  public async deleteReminder(id: string): Promise<void> {
+    await this.db.delete(`reminder:${id}`);
+  }
+
+  ///////////////////////////
+  // Saved message methods //
+  ///////////////////////////
+
+  /**
+   * @description Saves are stored per message, so they go away with the message.
+   */
+  private async listSavesForMessage(messageId: string): Promise<SavedMessage[]> {
+    return (await this.db.get<SavedMessage[]>(`saved-message:${messageId}`)) || [];
+  }
+
+  public async listSavedMessagesByUser(userId: string): Promise<SavedMessage[]> {
+    const saveLists = await this.db.list<SavedMessage[]>('saved-message:');
+    return saveLists
+      .flat()
+      .filter((savedMessage) => savedMessage.userId === userId)
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  public async saveMessage(savedMessage: SavedMessage): Promise<void> {
+    const saves = await this.listSavesForMessage(savedMessage.messageId);
+    await this.db.set(`saved-message:${savedMessage.messageId}`, [
+      ...saves.filter((save) => save.userId !== savedMessage.userId),
+      savedMessage
+    ]);
+  }
+
+  public async unsaveMessage(messageId: string, userId: string): Promise<void> {
+    const saves = await this.listSavesForMessage(messageId);
+    const remaining = saves.filter((save) => save.userId !== userId);
+
+    if (remaining.length === 0) await this.db.delete(`saved-message:${messageId}`);
+    else await this.db.set(`saved-message:${messageId}`, remaining);
+  }
+
+  //////////////////////
+  // Activity methods //
+  //////////////////////
+
+  /**
+   * @description Activity is stored under the user it is for, so a feed is listed by prefix.
+   */
+  public async listActivityByUser(userId: string): Promise<Activity[]> {
+    const activity = await this.db.list<Activity>(`activity:${userId}:`);
+    return activity.sort(
+      (a, b) => b.createdAt - a.createdAt || (b.sequence || 0) - (a.sequence || 0)
+    );
+  }
+
+  public async createActivity(activity: Activity): Promise<void> {
+    await this.db.set(`activity:${activity.userId}:${activity.id}`, activity);
+  }
+
+  public async updateActivity(activity: Activity): Promise<void> {
+    await this.db.set(`activity:${activity.userId}:${activity.id}`, activity);
+  }
+
+  public async deleteActivity(activity: Activity): Promise<void> {
+    await this.db.delete(`activity:${activity.userId}:${activity.id}`);
+  }
+
+  ////////////////////////
+  // Preference methods //
+  ////////////////////////
+
+  public async getUserPreferences(userId: string): Promise<UserPreferences | null> {
+    return this.db.get<UserPreferences>(`preferences:${userId}`);
+  }
+
+  public async setUserPreferences(preferences: UserPreferences): Promise<void> {
+    await this.db.set(`preferences:${preferences.userId}`, preferences);
+  }
+
+  public async deleteUserPreferences(userId: string): Promise<void> {
+    await this.db.delete(`preferences:${userId}`);
+  }
+
   /////////////////////////////
   // Secondary index helpers //
   /////////////////////////////
 
+  private static getIndexKey(message: Message): string {
+    if (message.threadId) return `idx:thread-msgs:${message.threadId}`;
+    if (message.channelId.startsWith('dm:')) return `idx:conv-msgs:${message.channelId}`;
+    return `idx:channel-msgs:${message.channelId}`;
+  }
+
   public async getIndex(key: string): Promise<string[]> {
     return (await this.db.get<string[]>(key)) || [];
   }
@@ -295,6 +697,24 @@ export abstract class GeneralStorageProvider {
     await this.db.set(key, index);
   }
 
+  /**
+   * @description Insert a message ID at its chronological position,
+   * scanning from the newest end where restored messages usually belong.
+   */
+  private async insertIntoIndex(key: string, message: Message): Promise<void> {
+    const index = (await this.getIndex(key)).filter((id) => id !== message.id);
+
+    let position = index.length;
+    while (position > 0) {
+      const previous = await this.db.get<Message>(`message:${index[position - 1]}`);
+      if (!previous || previous.createdAt <= message.createdAt) break;
+      position--;
+    }
+
+    index.splice(position, 0, message.id);
+    await this.db.set(key, index);
+  }
+
   private async removeFromIndex(key: string, id: string): Promise<void> {
     const index = await this.getIndex(key);
     const filtered = index.filter((i) => i !== id);
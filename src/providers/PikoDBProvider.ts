@@ -50,13 +50,30 @@ class PikoDbDatabase implements DatabaseOperations {
 
   private getTable(key: string): string {
     if (key.startsWith('message:')) return 'messages';
+    if (key.startsWith('message-revisions:')) return 'revisions';
+    if (key.startsWith('poll-votes:')) return 'poll-votes';
     if (key.startsWith('idx:')) return 'indexes';
     if (key.startsWith('user:')) return 'users';
     if (key.startsWith('channel:')) return 'channels';
     if (key.startsWith('conversation:')) return 'conversations';
     if (key.startsWith('webhook:')) return 'webhooks';
+    if (key.startsWith('bot:')) return 'bots';
+    if (key.startsWith('bot-token:')) return 'bot-tokens';
+    if (key.startsWith('outgoing-webhook:')) return 'outgoing-webhooks';
+    if (key.startsWith('webhook-delivery:')) return 'webhook-deliveries';
+    if (key.startsWith('command:')) return 'commands';
     if (key.startsWith('audit:')) return 'audit';
     if (key.startsWith('server:')) return 'settings';
+    if (key.startsWith('scheduled-message:')) return 'scheduled';
+    if (key.startsWith('trash:')) return 'trash';
+    if (key.startsWith('legal-hold:')) return 'legal-holds';
+    if (key.startsWith('read-state:')) return 'read-states';
+    if (key.startsWith('reminder:')) return 'reminders';
+    if (key.startsWith('saved-message:')) return 'saved-messages';
+    if (key.startsWith('user-group:')) return 'user-groups';
+    if (key.startsWith('role:')) return 'roles';
+    if (key.startsWith('activity:')) return 'activity';
+    if (key.startsWith('preferences:')) return 'preferences';
     return 'misc';
   }
 
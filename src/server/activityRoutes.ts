@@ -0,0 +1,51 @@
+import type { Context } from 'mikroserve';
+
+import type { BaseRouteContext } from './types';
+
+export function registerActivityRoutes({ server, authenticate, chat }: BaseRouteContext) {
+  /**
+   * @description List the current user's mentions, thread replies and reactions, newest first.
+   */
+  server.get('/activity', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const parseQueryNumber = (value?: string) => {
+      if (!value) return undefined;
+      const parsed = Number(value);
+      return Number.isFinite(parsed) ? parsed : undefined;
+    };
+
+    try {
+      const activity = await chat.listActivity(user.id, {
+        limit: parseQueryNumber(c.query.limit),
+        offset: parseQueryNumber(c.query.offset),
+        unreadOnly: c.query.unread === 'true'
+      });
+      return c.json(activity, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Mark activity as read, or as unread again. Without IDs, all activity is marked.
+   */
+  server.put('/activity', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { activityIds, unread } = c.body || {};
+    if (activityIds !== undefined && !Array.isArray(activityIds))
+      return c.json({ error: 'Activity IDs must be a list' }, 400);
+
+    try {
+      const result = await chat.markActivity(user.id, activityIds, !unread);
+      return c.json(result, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+}
@@ -1,5 +1,6 @@
 import type { Context } from 'mikroserve';
 
+import { MikroChat } from '../MikroChat';
 import type { BaseRouteContext } from './types';
 
 export function registerAdminRoutes({ server, authenticate, chat }: BaseRouteContext) {
@@ -95,6 +96,364 @@ export function registerAdminRoutes({ server, authenticate, chat }: BaseRouteCon
     }
   });
 
+  /**
+   * @description List the outgoing webhooks and the events they can send. Admin only.
+   */
+  server.get('/outgoing-webhooks', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const webhooks = await chat.listOutgoingWebhooks(user.id);
+      const sanitized = webhooks.map(({ secret, ...rest }) => rest);
+      return c.json({ webhooks: sanitized, events: chat.listWebhookEvents() }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Add a webhook that sends chat events to a URL. Admin only.
+   * The signing secret is returned only in this response.
+   */
+  server.post('/outgoing-webhooks', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, url, events, channelId, keyword } = c.body;
+    if (!name) return c.json({ error: 'Webhook name is required' }, 400);
+    if (!url) return c.json({ error: 'Webhook URL is required' }, 400);
+
+    try {
+      const webhook = await chat.createOutgoingWebhook(
+        { name, url, events, channelId, keyword },
+        user.id
+      );
+      return c.json({ webhook }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Delete an outgoing webhook and its delivery log. Admin only.
+   */
+  server.delete('/outgoing-webhooks/:webhookId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const webhookId = c.params.webhookId;
+
+    try {
+      await chat.deleteOutgoingWebhook(webhookId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List the latest deliveries of an outgoing webhook. Admin only.
+   */
+  server.get('/outgoing-webhooks/:webhookId/deliveries', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const webhookId = c.params.webhookId;
+
+    try {
+      const deliveries = await chat.listWebhookDeliveries(webhookId, user.id);
+      return c.json({ deliveries }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List the slash commands added by administrators. Admin only.
+   */
+  server.get('/custom-commands', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const commands = await chat.listCustomCommands(user.id);
+      const sanitized = commands.map(({ secret, ...rest }) => rest);
+      return c.json({ commands: sanitized }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Add a slash command that is run by a callback URL. Admin only.
+   * The signing secret is returned only in this response.
+   */
+  server.post('/custom-commands', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, description, usage, callbackUrl } = c.body;
+    if (!name) return c.json({ error: 'Command name is required' }, 400);
+    if (!callbackUrl) return c.json({ error: 'Callback URL is required' }, 400);
+
+    try {
+      const command = await chat.createCustomCommand(
+        { name, description, usage, callbackUrl },
+        user.id
+      );
+      return c.json({ command }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Delete a slash command added by an administrator. Admin only.
+   */
+  server.delete('/custom-commands/:commandId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const commandId = c.params.commandId;
+
+    try {
+      await chat.deleteCustomCommand(commandId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List the bots and their scopes, without their tokens. Admin only.
+   */
+  server.get('/bots', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const bots = await chat.listBots(user.id);
+      const sanitized = bots.map(({ tokenHash, ...rest }) => rest);
+      return c.json({ bots: sanitized, scopes: MikroChat.botScopes }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Add a bot user with a scoped API token. Admin only.
+   * The token is returned only in this response.
+   */
+  server.post('/bots', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, scopes } = c.body;
+    if (!name) return c.json({ error: 'Bot name is required' }, 400);
+
+    try {
+      const { user: botUser, bot } = await chat.createBot(name, scopes, user.id);
+      const { tokenHash, ...sanitized } = bot;
+      return c.json({ user: botUser, bot: sanitized }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Change the scopes of a bot. Admin only.
+   */
+  server.put('/bots/:botId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const botId = c.params.botId;
+    const { scopes } = c.body;
+
+    try {
+      const { tokenHash, ...bot } = await chat.updateBotScopes(botId, scopes, user.id);
+      return c.json({ bot }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Replace the API token of a bot. Admin only.
+   * The new token is returned only in this response.
+   */
+  server.post('/bots/:botId/token', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const botId = c.params.botId;
+
+    try {
+      const { tokenHash, ...bot } = await chat.resetBotToken(botId, user.id);
+      return c.json({ bot }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List all user groups, so they can be mentioned.
+   */
+  server.get('/user-groups', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const userGroups = await chat.listUserGroups();
+      return c.json({ userGroups }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Create a user group that can be mentioned. Admin only.
+   */
+  server.post('/user-groups', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, description, members } = c.body || {};
+    if (!name) return c.json({ error: 'Group name is required' }, 400);
+
+    try {
+      const userGroup = await chat.createUserGroup(name, members || [], user.id, description);
+      return c.json({ userGroup }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Rename a user group, or change its description or members. Admin only.
+   */
+  server.put('/user-groups/:groupId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, description, members } = c.body || {};
+
+    try {
+      const userGroup = await chat.updateUserGroup(
+        c.params.groupId,
+        { name, description, members },
+        user.id
+      );
+      return c.json({ userGroup }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Delete a user group. Admin only.
+   */
+  server.delete('/user-groups/:groupId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      await chat.deleteUserGroup(c.params.groupId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List all custom roles and the permissions they can grant.
+   */
+  server.get('/roles', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const roles = await chat.listRoles();
+      return c.json({ roles, permissions: MikroChat.permissions }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Create a custom role with a set of permissions. Needs `roles.manage`.
+   */
+  server.post('/roles', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, description, permissions } = c.body || {};
+    if (!name) return c.json({ error: 'Role name is required' }, 400);
+
+    try {
+      const role = await chat.createRole(name, permissions || [], user.id, description);
+      return c.json({ role }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Rename a role, or change its description or permissions. Needs `roles.manage`.
+   */
+  server.put('/roles/:roleId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { name, description, permissions } = c.body || {};
+
+    try {
+      const role = await chat.updateRole(
+        c.params.roleId,
+        { name, description, permissions },
+        user.id
+      );
+      return c.json({ role }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Delete a role. Its users become regular users. Needs `roles.manage`.
+   */
+  server.delete('/roles/:roleId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      await chat.deleteRole(c.params.roleId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description Export server data for backups or migration. Admin only.
    */
@@ -147,6 +506,90 @@ export function registerAdminRoutes({ server, authenticate, chat }: BaseRouteCon
     }
   });
 
+  /**
+   * @description List deleted messages that can still be restored. Admin only.
+   */
+  server.get('/admin/trash', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const trash = await chat.listTrashedMessages(user.id);
+      return c.json({ trash }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Restore a deleted message and its thread replies. Admin only.
+   */
+  server.post('/admin/trash/:messageId/restore', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const message = await chat.restoreTrashedMessage(c.params.messageId, user.id);
+      return c.json({ message }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description List active legal holds. Admin only.
+   */
+  server.get('/admin/legal-holds', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const legalHolds = await chat.listLegalHolds(user.id);
+      return c.json({ legalHolds }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Place a legal hold on a channel, conversation or user. Admin only.
+   */
+  server.post('/admin/legal-holds', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { targetType, targetId, reason } = c.body || {};
+    if (!targetType) return c.json({ error: 'Target type is required' }, 400);
+    if (!targetId) return c.json({ error: 'Target ID is required' }, 400);
+
+    try {
+      const legalHold = await chat.placeLegalHold(targetType, targetId, user.id, reason);
+      return c.json({ legalHold }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Release a legal hold. Admin only.
+   */
+  server.delete('/admin/legal-holds/:holdId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      await chat.releaseLegalHold(c.params.holdId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
   /**
    * @description Post a message via webhook.
    * Uses webhook token authentication (not JWT).
@@ -1,8 +1,66 @@
 import type { Context } from 'mikroserve';
 
-import type { ServerSettings } from '../interfaces';
+import type { BotScope, ServerSettings } from '../interfaces';
 import type { AuthMiddleware } from './types';
 
+/**
+ * @description The routes that bots can call, and the scope each of them needs.
+ * `null` means any bot can call it. Bots cannot call other routes.
+ */
+const botRoutes: [string, string, BotScope | null][] = [
+  ['GET', '/auth/me', null],
+  ['GET', '/users', 'channels.read'],
+  ['GET', '/presence', 'channels.read'],
+  ['GET', '/user-groups', 'channels.read'],
+  ['GET', '/channels', 'channels.read'],
+  ['GET', '/channels/:channelId/messages', 'channels.read'],
+  ['GET', '/channels/:channelId/pins', 'channels.read'],
+  ['GET', '/channels/:channelId/messages/image/:filename', 'channels.read'],
+  ['GET', '/messages/:messageId/history', 'channels.read'],
+  ['GET', '/messages/:messageId/poll', 'channels.read'],
+  ['GET', '/messages/:messageId/thread', 'channels.read'],
+  ['GET', '/search/messages', 'channels.read'],
+  ['GET', '/files/:filename', 'channels.read'],
+  ['POST', '/typing', 'messages.write'],
+  ['POST', '/files', 'messages.write'],
+  ['POST', '/channels/:channelId/messages', 'messages.write'],
+  ['POST', '/channels/:channelId/messages/image', 'messages.write'],
+  ['PUT', '/messages/:messageId', 'messages.write'],
+  ['DELETE', '/messages/:messageId', 'messages.write'],
+  ['POST', '/messages/:messageId/reactions', 'reactions.write'],
+  ['DELETE', '/messages/:messageId/reactions', 'reactions.write'],
+  ['POST', '/messages/:messageId/thread', 'threads.write'],
+  ['POST', '/messages/:messageId/thread/image', 'threads.write'],
+  ['PUT', '/messages/:messageId/thread/:replyId', 'threads.write'],
+  ['DELETE', '/messages/:messageId/thread/:replyId', 'threads.write'],
+  ['GET', '/conversations', 'direct-messages'],
+  ['POST', '/conversations', 'direct-messages'],
+  ['GET', '/conversations/:conversationId/messages', 'direct-messages'],
+  ['POST', '/conversations/:conversationId/messages', 'direct-messages'],
+  ['POST', '/conversations/:conversationId/messages/image', 'direct-messages'],
+  ['GET', '/conversations/:conversationId/messages/image/:filename', 'direct-messages'],
+  ['PUT', '/conversations/:conversationId/messages/:messageId', 'direct-messages'],
+  ['DELETE', '/conversations/:conversationId/messages/:messageId', 'direct-messages']
+];
+
+const botRoutePatterns = botRoutes.map(([method, path, scope]) => ({
+  method,
+  pattern: new RegExp(`^${path.replace(/:[a-zA-Z]+/g, '[^/]+')}$`),
+  scope
+}));
+
+/**
+ * @description Get the scope a bot needs for a route, `null` if any bot can call it,
+ * or `undefined` if bots cannot call it at all.
+ */
+export function getBotScope(method: string, url: string): BotScope | null | undefined {
+  const path = url.split('?')[0].replace(/\/+$/, '') || '/';
+  const route = botRoutePatterns.find(
+    (item) => item.method === method.toUpperCase() && item.pattern.test(path)
+  );
+  return route ? route.scope : undefined;
+}
+
 export function createAuthenticate({
   auth,
   chat
@@ -20,6 +78,20 @@ export function createAuthenticate({
     const token = authHeader.split(' ')[1];
     if (!token) return c.status(401).json(unauthorized);
 
+    const bot = await chat.getBotByToken(token);
+    if (bot) {
+      const scope = getBotScope(c.req.method || 'GET', c.req.url || '');
+      if (scope === undefined || (scope && !bot.scopes.includes(scope)))
+        return c.status(403).json({
+          error: 'Forbidden',
+          message: scope ? `This bot token needs the ${scope} scope` : 'Bots cannot use this route'
+        });
+
+      c.state.user = await chat.getUserById(bot.id);
+      c.state.bot = bot;
+      return next();
+    }
+
     const payload = auth.verify(token);
     const user = await chat.getUserByEmail(payload.email || payload.sub);
     c.state.user = user;
@@ -2,6 +2,7 @@ import { randomBytes } from 'node:crypto';
 import type http from 'node:http';
 import type { Context } from 'mikroserve';
 
+import type { BotScope } from '../interfaces';
 import type { AuthRouteContext } from './types';
 
 const MAX_CONNECTIONS_PER_USER = 3;
@@ -27,9 +28,35 @@ function getChannelIdFromEvent(event: { type: string; payload: any }) {
   )
     return event.payload.channelId;
 
+  // Polls in direct messages are filtered by their participants instead
+  if (event.type === 'POLL_UPDATE' && !event.payload.channelId.startsWith('dm:'))
+    return event.payload.channelId;
+
   return null;
 }
 
+/**
+ * @description Get the scope a bot needs to receive an event: `direct-messages` for events
+ * in direct messages, and `channels.read` for everything else.
+ */
+function getBotEventScope(
+  event: { type: string; payload: any },
+  channelId = event.payload?.channelId
+): BotScope {
+  const conversationTypes = [
+    'NEW_CONVERSATION',
+    'UPDATE_CONVERSATION',
+    'NEW_DM_MESSAGE',
+    'UPDATE_DM_MESSAGE',
+    'DELETE_DM_MESSAGE'
+  ];
+  const isDirectMessage =
+    conversationTypes.includes(event.type) ||
+    (typeof channelId === 'string' && channelId.startsWith('dm:'));
+
+  return isDirectMessage ? 'direct-messages' : 'channels.read';
+}
+
 export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
   /**
    * @description Set up connection with Server Sent Events.
@@ -37,7 +64,15 @@ export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
   server.get('/events', async (c: Context) => {
     let user = null;
     const token = c.query.token;
-    if (token) {
+    const headerToken = c.headers.authorization?.startsWith('Bearer ')
+      ? c.headers.authorization.substring(7)
+      : undefined;
+
+    // Bots connect with their API token, and only get the events their scopes allow
+    const bot = token || headerToken ? await chat.getBotByToken(token || headerToken) : null;
+    if (bot) user = await chat.getUserById(bot.id);
+
+    if (!user && token) {
       try {
         const payload = auth.verify(token);
         user = await chat.getUserByEmail(payload.email || payload.sub);
@@ -46,8 +81,7 @@ export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
       }
     }
 
-    if (!user && c.headers.authorization?.startsWith('Bearer ')) {
-      const headerToken = c.headers.authorization.substring(7);
+    if (!user && headerToken) {
       try {
         const payload = auth.verify(headerToken);
         user = await chat.getUserByEmail(payload.email || payload.sub);
@@ -161,12 +195,44 @@ export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
         return;
       }
 
-      const dmTypes = ['NEW_DM_MESSAGE', 'UPDATE_DM_MESSAGE', 'DELETE_DM_MESSAGE'];
+      if (bot && !bot.scopes.includes(getBotEventScope(event))) return;
+
+      const dmTypes = [
+        'NEW_CONVERSATION',
+        'UPDATE_CONVERSATION',
+        'NEW_DM_MESSAGE',
+        'UPDATE_DM_MESSAGE',
+        'DELETE_DM_MESSAGE',
+        'POLL_UPDATE'
+      ];
       if (dmTypes.includes(event.type)) {
-        const payload = event.payload as { participants?: [string, string] };
+        const payload = event.payload as { participants?: string[] };
         if (payload.participants && !payload.participants.includes(user.id)) return;
       }
 
+      if (event.type === 'TYPING') {
+        if (event.payload.userId === user.id) return;
+        if (event.payload.channelId.startsWith('dm:')) {
+          if (!event.payload.participants?.includes(user.id)) return;
+        } else {
+          const canAccess = await chat.canUserAccessChannel(event.payload.channelId, user.id);
+          if (!canAccess) return;
+        }
+      }
+
+      // Read markers only sync between the sessions of the user they belong to
+      if (event.type === 'READ_STATE_UPDATE' && event.payload.userId !== user.id) return;
+
+      if (event.type === 'REMINDER' && event.payload.reminder.userId !== user.id) return;
+
+      if (event.type === 'NEW_ACTIVITY' && event.payload.activity.userId !== user.id) return;
+      if (event.type === 'ACTIVITY_UPDATE' && event.payload.userId !== user.id) return;
+
+      if (event.type === 'PREFERENCES_UPDATE' && event.payload.userId !== user.id) return;
+
+      // Command replies are ephemeral: only the user who ran the command sees them
+      if (event.type === 'COMMAND_RESPONSE' && event.payload.userId !== user.id) return;
+
       if (event.type === 'DELETE_CHANNEL') {
         const payload = event.payload as {
           isPrivate?: boolean;
@@ -175,9 +241,9 @@ export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
         };
         if (
           payload.isPrivate &&
-          !user.isAdmin &&
           payload.createdBy !== user.id &&
-          !payload.members?.includes(user.id)
+          !payload.members?.includes(user.id) &&
+          !(await chat.hasPermission(user.id, 'channels.manage'))
         )
           return;
       }
@@ -186,6 +252,7 @@ export function registerEventRoutes({ server, auth, chat }: EventRouteContext) {
         const payload = event.payload as { messageId: string };
         const message = await chat.getMessageById(payload.messageId);
         if (!message) return;
+        if (bot && !bot.scopes.includes(getBotEventScope(event, message.channelId))) return;
         if (message.channelId.startsWith('dm:')) {
           const conversation = await chat.getConversationById(message.channelId);
           if (!conversation?.participants.includes(user.id)) return;
@@ -0,0 +1,45 @@
+import type { Context } from 'mikroserve';
+
+import type { BaseRouteContext } from './types';
+
+export function registerReadStateRoutes({ server, authenticate, chat }: BaseRouteContext) {
+  /**
+   * @description Get unread message and mention counts for the current user.
+   */
+  server.get('/unread', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const unread = await chat.getUnreadCounts(user.id);
+      return c.json({ unread }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Mark a channel, conversation or thread as read, or as unread from a message.
+   */
+  server.put('/unread', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { targetType, targetId, messageId, unread } = c.body || {};
+    if (!targetType) return c.json({ error: 'Target type is required' }, 400);
+    if (!targetId) return c.json({ error: 'Target ID is required' }, 400);
+    if (unread && !messageId)
+      return c.json({ error: 'Message ID is required to mark as unread' }, 400);
+
+    try {
+      const readState = unread
+        ? await chat.markAsUnread(user.id, targetType, targetId, messageId)
+        : await chat.markAsRead(user.id, targetType, targetId, messageId);
+      return c.json({ readState }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+}
@@ -0,0 +1,92 @@
+import type { Context } from 'mikroserve';
+
+import type { BaseRouteContext } from './types';
+
+/**
+ * @description Accept a Unix timestamp in milliseconds, a date string,
+ * or a number of minutes from now.
+ */
+function parseRemindAt(body: Record<string, unknown>): number | undefined {
+  const { remindAt, inMinutes } = body;
+
+  if (inMinutes !== undefined && inMinutes !== null && inMinutes !== '')
+    return Date.now() + Number(inMinutes) * 60 * 1000;
+
+  if (remindAt === undefined || remindAt === null || remindAt === '') return undefined;
+  if (typeof remindAt === 'number') return remindAt;
+  if (typeof remindAt === 'string') return Date.parse(remindAt);
+  return Number.NaN;
+}
+
+export function registerReminderRoutes({ server, authenticate, chat }: BaseRouteContext) {
+  /**
+   * @description List the current user's reminders.
+   */
+  server.get('/reminders', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const reminders = await chat.listReminders(user.id);
+      return c.json({ reminders }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Set a reminder about a message or a note.
+   */
+  server.post('/reminders', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { messageId, note } = c.body || {};
+    const remindAt = parseRemindAt(c.body || {});
+    if (remindAt === undefined) return c.json({ error: 'Reminder time is required' }, 400);
+
+    try {
+      const reminder = await chat.createReminder(user.id, remindAt, { messageId, note });
+      return c.json({ reminder }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Move a reminder to a later time.
+   */
+  server.post('/reminders/:reminderId/snooze', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const remindAt = parseRemindAt(c.body || {});
+    if (remindAt === undefined) return c.json({ error: 'Reminder time is required' }, 400);
+
+    try {
+      const reminder = await chat.snoozeReminder(c.params.reminderId, user.id, remindAt);
+      return c.json({ reminder }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Mark a reminder as done.
+   */
+  server.post('/reminders/:reminderId/complete', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      await chat.completeReminder(c.params.reminderId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+}
@@ -0,0 +1,56 @@
+import type { Context } from 'mikroserve';
+
+import type { BaseRouteContext } from './types';
+
+export function registerSavedMessageRoutes({ server, authenticate, chat }: BaseRouteContext) {
+  /**
+   * @description List the current user's saved messages.
+   */
+  server.get('/saved', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const savedMessages = await chat.listSavedMessages(user.id);
+      return c.json({ savedMessages }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Save a message for the current user.
+   */
+  server.post('/saved', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { messageId } = c.body || {};
+    if (!messageId) return c.json({ error: 'Message ID is required' }, 400);
+
+    try {
+      const savedMessage = await chat.saveMessage(messageId, user.id);
+      return c.json({ savedMessage }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Remove a message from the current user's saved messages.
+   */
+  server.delete('/saved/:messageId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      await chat.unsaveMessage(c.params.messageId, user.id);
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+}
@@ -0,0 +1,132 @@
+import type { Context } from 'mikroserve';
+
+import { deleteFiles } from '../fileStorage';
+import { deleteImages } from '../imageStorage';
+import type { BaseRouteContext } from './types';
+
+/**
+ * @description Accept either a Unix timestamp in milliseconds or a date string.
+ */
+function parseScheduledFor(value: unknown): number | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return Date.parse(value);
+  return Number.NaN;
+}
+
+export function registerScheduledMessageRoutes({ server, authenticate, chat }: BaseRouteContext) {
+  /**
+   * @description List the current user's pending scheduled messages.
+   */
+  server.get('/scheduled-messages', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const scheduledMessages = await chat.listScheduledMessages(user.id);
+      return c.json({ scheduledMessages }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Schedule a message for a channel or conversation.
+   */
+  server.post('/scheduled-messages', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { content, images, attachments, quotedMessageId } = c.body || {};
+    const targetId = c.body?.conversationId || c.body?.channelId;
+    const scheduledFor = parseScheduledFor(c.body?.scheduledFor);
+
+    if (!targetId) return c.json({ error: 'Channel ID or conversation ID is required' }, 400);
+    if (scheduledFor === undefined) return c.json({ error: 'Scheduled time is required' }, 400);
+    if (!content && !images && !attachments)
+      return c.json({ error: 'Message content is required' }, 400);
+
+    try {
+      const scheduledMessage = await chat.scheduleMessage(
+        content || '',
+        user.id,
+        targetId,
+        scheduledFor,
+        {
+          images: images || [],
+          attachments: attachments || [],
+          quotedMessageId
+        }
+      );
+
+      return c.json({ scheduledMessage }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Update the content or time of a pending scheduled message.
+   */
+  server.put('/scheduled-messages/:scheduledMessageId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    const { content, images, attachments, quotedMessageId } = c.body || {};
+    const scheduledFor = parseScheduledFor(c.body?.scheduledFor);
+
+    if (
+      content === undefined &&
+      images === undefined &&
+      attachments === undefined &&
+      quotedMessageId === undefined &&
+      scheduledFor === undefined
+    )
+      return c.json({ error: 'No scheduled message update data provided' }, 400);
+
+    try {
+      const { scheduledMessage, removedImages, removedAttachments } =
+        await chat.updateScheduledMessage(c.params.scheduledMessageId, user.id, {
+          content,
+          images,
+          attachments,
+          quotedMessageId,
+          scheduledFor
+        });
+
+      deleteImages(removedImages);
+      deleteFiles(removedAttachments);
+
+      return c.json({ scheduledMessage }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+
+  /**
+   * @description Cancel a pending scheduled message.
+   * Any attached images and files will also be deleted.
+   */
+  server.delete('/scheduled-messages/:scheduledMessageId', authenticate, async (c: Context) => {
+    const user = c.state.user;
+    if (!user) return c.json({ error: 'Unauthorized' }, 401);
+
+    try {
+      const scheduledMessage = await chat.cancelScheduledMessage(
+        c.params.scheduledMessageId,
+        user.id
+      );
+
+      deleteImages(scheduledMessage.images || []);
+      deleteFiles(scheduledMessage.attachments);
+
+      return c.json({ success: true }, 200);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'An error occurred';
+      return c.json({ error: message }, 400);
+    }
+  });
+}
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Activity', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let otherUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const activityEvents = () =>
+    events.filter(
+      (event): event is Extract<ServerSentEvent, { type: 'NEW_ACTIVITY' }> =>
+        event.type === 'NEW_ACTIVITY'
+    );
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    otherUser = await chat.addUser('other@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('activity', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should add mentions to the activity of the mentioned user', async () => {
+    const message = await chat.createMessage(
+      `Can you review this, @${regularUser.userName}?`,
+      adminUser.id,
+      testChannelId
+    );
+
+    const { items, unreadCount } = await chat.listActivity(regularUser.id);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({
+      userId: regularUser.id,
+      type: 'mention',
+      actorId: adminUser.id,
+      messageId: message.id,
+      channelId: testChannelId
+    });
+    expect(items[0].message.id).toBe(message.id);
+    expect(unreadCount).toBe(1);
+    expect(activityEvents()[0].payload.activity.userId).toBe(regularUser.id);
+    expect((await chat.listActivity(adminUser.id)).items).toEqual([]);
+  });
+
+  it('should add @channel mentions for everyone in the channel except the author', async () => {
+    const privateChannel = await chat.createChannel('private', adminUser.id, {
+      isPrivate: true,
+      members: [adminUser.id, regularUser.id]
+    });
+
+    await chat.createMessage('Heads up @channel', regularUser.id, privateChannel.id);
+
+    expect((await chat.listActivity(adminUser.id)).total).toBe(1);
+    expect((await chat.listActivity(regularUser.id)).total).toBe(0);
+    expect((await chat.listActivity(otherUser.id)).total).toBe(0);
+  });
+
+  it('should tell the author of a message about replies in its thread', async () => {
+    const parent = await chat.createMessage('Thoughts?', regularUser.id, testChannelId);
+
+    await chat.createThreadReply('Looks good', otherUser.id, parent.id);
+    await chat.createThreadReply(`Agreed @${regularUser.userName}`, adminUser.id, parent.id);
+    await chat.createThreadReply('Thanks!', regularUser.id, parent.id);
+
+    const { items } = await chat.listActivity(regularUser.id);
+
+    expect(items.map((item) => item.type)).toEqual(['mention', 'thread_reply']);
+    expect(items.every((item) => item.threadId === parent.id)).toBe(true);
+  });
+
+  it('should list activity from the same millisecond newest first', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now());
+
+    const mention = `@${regularUser.userName}`;
+    const first = await chat.createMessage(`${mention} one`, adminUser.id, testChannelId);
+    const second = await chat.createMessage(`${mention} two`, otherUser.id, testChannelId);
+
+    const { items } = await chat.listActivity(regularUser.id);
+
+    expect(items.map((item) => item.messageId)).toEqual([second.id, first.id]);
+  });
+
+  it('should add and remove activity for reactions', async () => {
+    const message = await chat.createMessage('Shipped it', regularUser.id, testChannelId);
+
+    await chat.addReaction(message.id, regularUser.id, '🎉');
+    await chat.addReaction(message.id, otherUser.id, '🎉');
+
+    const { items } = await chat.listActivity(regularUser.id);
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ type: 'reaction', actorId: otherUser.id, reaction: '🎉' });
+
+    await chat.removeReaction(message.id, otherUser.id, '🎉');
+    expect((await chat.listActivity(regularUser.id)).total).toBe(0);
+  });
+
+  it('should only add mentions that an edit adds', async () => {
+    const message = await chat.createMessage(
+      `Hi @${regularUser.userName}`,
+      adminUser.id,
+      testChannelId
+    );
+
+    await chat.updateMessage(
+      message.id,
+      adminUser.id,
+      `Hi @${regularUser.userName} and @${otherUser.userName}`
+    );
+
+    expect((await chat.listActivity(regularUser.id)).total).toBe(1);
+    expect((await chat.listActivity(otherUser.id)).total).toBe(1);
+  });
+
+  it('should mark activity as read and unread', async () => {
+    await chat.createMessage(`One @${regularUser.userName}`, adminUser.id, testChannelId);
+    await chat.createMessage(`Two @${regularUser.userName}`, adminUser.id, testChannelId);
+
+    const { items } = await chat.listActivity(regularUser.id);
+
+    expect(await chat.markActivity(regularUser.id, [items[0].id])).toEqual({ unreadCount: 1 });
+    const unread = await chat.listActivity(regularUser.id, { unreadOnly: true });
+    expect(unread.items.map((item) => item.id)).toEqual([items[1].id]);
+
+    expect(await chat.markActivity(regularUser.id)).toEqual({ unreadCount: 0 });
+    expect(await chat.markActivity(regularUser.id, [items[1].id], false)).toEqual({
+      unreadCount: 1
+    });
+
+    const updates = events.filter((event) => event.type === 'ACTIVITY_UPDATE');
+    expect(updates).toHaveLength(3);
+
+    await expect(chat.markActivity(otherUser.id, [items[0].id])).rejects.toThrow(
+      'Activity not found'
+    );
+  });
+
+  it('should page through activity', async () => {
+    for (let i = 0; i < 3; i++)
+      await chat.createMessage(`Ping ${i} @${regularUser.userName}`, adminUser.id, testChannelId);
+
+    const firstPage = await chat.listActivity(regularUser.id, { limit: 2 });
+    const secondPage = await chat.listActivity(regularUser.id, { limit: 2, offset: 2 });
+
+    expect(firstPage.items).toHaveLength(2);
+    expect(firstPage.hasMore).toBe(true);
+    expect(secondPage.items).toHaveLength(1);
+    expect(secondPage.hasMore).toBe(false);
+    expect(secondPage.total).toBe(3);
+  });
+
+  it('should drop activity for deleted messages', async () => {
+    const message = await chat.createMessage(
+      `Hi @${regularUser.userName}`,
+      adminUser.id,
+      testChannelId
+    );
+
+    await chat.deleteMessage(message.id, adminUser.id);
+
+    expect((await chat.listActivity(regularUser.id)).total).toBe(0);
+  });
+
+  it('should keep activity for trashed messages until the trash is purged', async () => {
+    const message = await chat.createMessage(
+      `Hi @${regularUser.userName}`,
+      adminUser.id,
+      testChannelId
+    );
+    const [activity] = (await chat.listActivity(regularUser.id)).items;
+
+    await chat.deleteMessage(message.id, adminUser.id);
+    expect((await chat.listActivity(regularUser.id)).total).toBe(0);
+
+    await chat.restoreTrashedMessage(message.id, adminUser.id);
+    expect((await chat.listActivity(regularUser.id)).items).toMatchObject([
+      { id: activity.id, message: { id: message.id } }
+    ]);
+
+    await chat.deleteMessage(message.id, adminUser.id);
+    expect(await chat.purgeExpiredTrash(Date.now() + 365 * 24 * 60 * 60 * 1000)).toBe(1);
+    await expect(chat.markActivity(regularUser.id, [activity.id])).rejects.toThrow(
+      'Activity not found'
+    );
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import { getBotScope } from '../src/server/authMiddleware';
+import type { Bot, BotWithToken, Channel, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Bots', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let channel: Channel;
+  let botUser: User;
+  let bot: BotWithToken;
+  const events: ServerSentEvent[] = [];
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    channel = await chat.createChannel('standup', adminUser.id);
+
+    ({ user: botUser, bot } = await chat.createBot(
+      '@standup-bot',
+      ['channels.read', 'messages.write', 'messages.write'],
+      adminUser.id
+    ));
+  });
+
+  it('should create a bot user with a token', async () => {
+    expect(botUser).toMatchObject({
+      userName: 'standup-bot',
+      email: 'standup-bot@bots.invalid',
+      isAdmin: false,
+      isBot: true
+    });
+    expect(bot).toMatchObject({
+      id: botUser.id,
+      scopes: ['channels.read', 'messages.write'],
+      createdBy: adminUser.id
+    });
+    expect(bot.token).toHaveLength(64);
+
+    // Only the hash of the token is stored
+    const { token: _, ...stored } = bot;
+    expect(stored.tokenHash).toHaveLength(64);
+    expect(stored.tokenHash).not.toBe(bot.token);
+    expect(await chat.getBotByToken(bot.token)).toEqual(stored);
+    expect(await chat.listBots(adminUser.id)).toEqual([stored]);
+    const newUser = events.find(
+      (event) => event.type === 'NEW_USER' && event.payload.id === botUser.id
+    );
+    expect(newUser?.payload).toMatchObject({ isBot: true });
+  });
+
+  it('should validate new bots', async () => {
+    const create = (name: string, scopes: string[] = ['channels.read'], userId = adminUser.id) =>
+      chat.createBot(name, scopes as Bot['scopes'], userId);
+
+    await expect(create(' ')).rejects.toThrow('Bot name is required');
+    await expect(create('standup bot')).rejects.toThrow(
+      'Bot names can only contain letters, numbers, dots, dashes and underscores'
+    );
+    await expect(create('here')).rejects.toThrow('@here is reserved');
+    await expect(create('Standup-Bot')).rejects.toThrow('A user already has this name');
+    await expect(create('deploy-bot', [])).rejects.toThrow('Choose at least one scope');
+    await expect(create('deploy-bot', ['admin'])).rejects.toThrow('Unknown scope: admin');
+    await expect(create('deploy-bot', ['channels.read'], regularUser.id)).rejects.toThrow(
+      'Only administrators can create bots'
+    );
+  });
+
+  it('should mark messages and thread replies from bots', async () => {
+    const message = await chat.createMessage('Standup time', botUser.id, channel.id);
+    const { reply } = await chat.createThreadReply('Reminder', botUser.id, message.id);
+    const userMessage = await chat.createMessage('On it', regularUser.id, channel.id);
+
+    expect(message.author).toEqual({ id: botUser.id, userName: 'standup-bot', isBot: true });
+    expect(reply.author.isBot).toBe(true);
+    expect(userMessage.author).toEqual({ id: regularUser.id, userName: regularUser.userName });
+  });
+
+  it('should update scopes and reset the token', async () => {
+    const updated = await chat.updateBotScopes(bot.id, ['reactions.write'], adminUser.id);
+    expect(updated.scopes).toEqual(['reactions.write']);
+    expect(updated.tokenHash).toBe(bot.tokenHash);
+    expect(await chat.getBotByToken(bot.token)).toMatchObject({ scopes: ['reactions.write'] });
+
+    const reset = await chat.resetBotToken(bot.id, adminUser.id);
+    expect(reset.token).not.toBe(bot.token);
+    expect(await chat.getBotByToken(bot.token)).toBeNull();
+    expect(await chat.getBotByToken(reset.token)).toMatchObject({ id: bot.id });
+
+    await expect(chat.resetBotToken(bot.id, regularUser.id)).rejects.toThrow(
+      'Only administrators can update bots'
+    );
+    await expect(chat.updateBotScopes('missing', ['channels.read'], adminUser.id)).rejects.toThrow(
+      'Bot not found'
+    );
+  });
+
+  it('should revoke the token when the bot is removed', async () => {
+    await chat.removeUser(botUser.id, adminUser.id);
+
+    expect(await chat.getBotByToken(bot.token)).toBeNull();
+    expect(await chat.listBots(adminUser.id)).toEqual([]);
+  });
+
+  it('should not let bots have a password', async () => {
+    await expect(chat.setUserPassword(botUser.id, 'password123')).rejects.toThrow(
+      'Bots sign in with their API token'
+    );
+  });
+
+  it('should get the scope that each route needs', () => {
+    expect(getBotScope('GET', '/auth/me')).toBeNull();
+    expect(getBotScope('GET', '/channels/abc123/messages?limit=10')).toBe('channels.read');
+    expect(getBotScope('post', '/channels/abc123/messages')).toBe('messages.write');
+    expect(getBotScope('POST', '/messages/msg123/reactions')).toBe('reactions.write');
+    expect(getBotScope('POST', '/messages/msg123/thread')).toBe('threads.write');
+    expect(getBotScope('POST', '/conversations/dm:abc/messages')).toBe('direct-messages');
+    expect(getBotScope('POST', '/bots')).toBeUndefined();
+    expect(getBotScope('PUT', '/server/settings')).toBeUndefined();
+    expect(getBotScope('DELETE', '/channels/abc123')).toBeUndefined();
+  });
+});
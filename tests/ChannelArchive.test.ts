@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Channel Archiving', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 3
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('old-project', regularUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  it('should archive and unarchive a channel', async () => {
+    const archived = await chat.archiveChannel(testChannelId, regularUser.id);
+
+    expect(archived.archivedAt).toBeDefined();
+    expect(archived.archivedBy).toBe(regularUser.id);
+    expect(events.find((event) => event.type === 'UPDATE_CHANNEL')?.payload).toMatchObject({
+      id: testChannelId,
+      archivedAt: archived.archivedAt
+    });
+
+    const unarchived = await chat.unarchiveChannel(testChannelId, adminUser.id);
+
+    expect(unarchived.archivedAt).toBeUndefined();
+    expect(unarchived.archivedBy).toBeUndefined();
+    await expect(
+      chat.createMessage('Back again', regularUser.id, testChannelId)
+    ).resolves.toBeDefined();
+  });
+
+  it('should reject writes to an archived channel', async () => {
+    const message = await chat.createMessage('Final notes', regularUser.id, testChannelId);
+    await chat.archiveChannel(testChannelId, regularUser.id);
+
+    await expect(chat.createMessage('One more', regularUser.id, testChannelId)).rejects.toThrow(
+      'This channel is archived'
+    );
+    await expect(chat.updateMessage(message.id, regularUser.id, 'Edited')).rejects.toThrow(
+      'This channel is archived'
+    );
+    await expect(chat.addReaction(message.id, adminUser.id, '👍')).rejects.toThrow(
+      'This channel is archived'
+    );
+    await expect(chat.createThreadReply('Reply', adminUser.id, message.id)).rejects.toThrow(
+      'This channel is archived'
+    );
+    await expect(chat.deleteMessage(message.id, regularUser.id)).rejects.toThrow(
+      'This channel is archived'
+    );
+  });
+
+  it('should keep history and search working', async () => {
+    await chat.createMessage('Launch checklist', regularUser.id, testChannelId);
+    await chat.archiveChannel(testChannelId, regularUser.id);
+
+    expect(await chat.getMessagesByChannel(testChannelId, undefined, adminUser.id)).toHaveLength(1);
+
+    const results = await chat.searchMessages(adminUser.id, 'checklist');
+    expect(results.map((message) => message.content)).toEqual(['Launch checklist']);
+  });
+
+  it('should only let the creator or an admin archive a channel', async () => {
+    const otherUser = await chat.addUser('other@example.com', adminUser.id);
+
+    await expect(chat.archiveChannel(testChannelId, otherUser.id)).rejects.toThrow(
+      'You can only archive channels you created'
+    );
+    await chat.archiveChannel(testChannelId, adminUser.id);
+    await expect(chat.archiveChannel(testChannelId, adminUser.id)).rejects.toThrow(
+      'Channel is already archived'
+    );
+    await expect(chat.unarchiveChannel(testChannelId, otherUser.id)).rejects.toThrow(
+      'You can only unarchive channels you created'
+    );
+  });
+
+  it('should not archive the General channel', async () => {
+    const general = (await chat.listChannels()).find((channel) => channel.name === 'General');
+
+    await expect(chat.archiveChannel(general?.id as string, adminUser.id)).rejects.toThrow(
+      'The General channel cannot be archived'
+    );
+  });
+
+  it('should exempt archived channels from count-based trimming', async () => {
+    for (let i = 1; i <= 5; i++) await chat.createMessage(`msg${i}`, regularUser.id, testChannelId);
+    await chat.archiveChannel(testChannelId, regularUser.id);
+
+    await chat.cleanupExpiredMessages();
+
+    expect(await chat.getMessagesByChannel(testChannelId)).toHaveLength(5);
+  });
+});
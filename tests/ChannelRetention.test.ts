@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Channel Retention', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  const events: ServerSentEvent[] = [];
+  const millisecondsPerDay = 24 * 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 3
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    events.length = 0;
+  });
+
+  const postMessages = async (channelId: string, count: number) => {
+    for (let i = 1; i <= count; i++) {
+      await chat.createMessage(`msg${i}`, adminUser.id, channelId);
+    }
+  };
+
+  describe('Updating', () => {
+    it('should store retention overrides on the channel', async () => {
+      const channel = await chat.createChannel('incidents', adminUser.id);
+
+      const updated = await chat.updateChannel(
+        channel.id,
+        { retention: { messageRetentionDays: 365, maxMessages: null } },
+        adminUser.id
+      );
+
+      expect(updated.retention).toEqual({ messageRetentionDays: 365, maxMessages: null });
+    });
+
+    it('should clear overrides when retention is null', async () => {
+      const channel = await chat.createChannel('random', adminUser.id);
+      await chat.updateChannel(channel.id, { retention: { maxMessages: 10 } }, adminUser.id);
+
+      const updated = await chat.updateChannel(channel.id, { retention: null }, adminUser.id);
+
+      expect(updated.retention).toBeUndefined();
+    });
+
+    it('should reject invalid limits', async () => {
+      const channel = await chat.createChannel('random', adminUser.id);
+
+      await expect(
+        chat.updateChannel(channel.id, { retention: { messageRetentionDays: 0 } }, adminUser.id)
+      ).rejects.toThrow('Retention limits must be positive whole numbers');
+      await expect(
+        chat.updateChannel(channel.id, { retention: { maxMessages: 2.5 } }, adminUser.id)
+      ).rejects.toThrow('Retention limits must be positive whole numbers');
+    });
+
+    it('should only let admins change retention', async () => {
+      const channel = await chat.createChannel('mine', regularUser.id);
+
+      await expect(
+        chat.updateChannel(channel.id, { retention: { maxMessages: 10 } }, regularUser.id)
+      ).rejects.toThrow('Only administrators can change channel retention');
+
+      const unchanged = await chat.updateChannel(
+        channel.id,
+        { topic: 'Still mine' },
+        regularUser.id
+      );
+      expect(unchanged.retention).toBeUndefined();
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should apply the server defaults without overrides', async () => {
+      const channel = await chat.createChannel('default', adminUser.id);
+      await postMessages(channel.id, 5);
+
+      await chat.cleanupExpiredMessages();
+
+      const messages = await chat.getMessagesByChannel(channel.id);
+      expect(messages.map((message) => message.content)).toEqual(['msg3', 'msg4', 'msg5']);
+      expect(events.filter((e) => e.type === 'DELETE_MESSAGE')).toHaveLength(2);
+    });
+
+    it('should trim harder with a lower message limit', async () => {
+      const channel = await chat.createChannel('random', adminUser.id);
+      await chat.updateChannel(channel.id, { retention: { maxMessages: 1 } }, adminUser.id);
+      await postMessages(channel.id, 3);
+
+      await chat.cleanupExpiredMessages();
+
+      const messages = await chat.getMessagesByChannel(channel.id);
+      expect(messages.map((message) => message.content)).toEqual(['msg3']);
+    });
+
+    it('should expire messages by the channel retention days', async () => {
+      const channel = await chat.createChannel('short-lived', adminUser.id);
+      await chat.updateChannel(
+        channel.id,
+        { retention: { messageRetentionDays: 1 } },
+        adminUser.id
+      );
+      const general = (await chat.listChannels()).find((c) => c.name === 'General');
+      await chat.createMessage('Stays', adminUser.id, general?.id as string);
+      await chat.createMessage('Goes', adminUser.id, channel.id);
+
+      await chat.cleanupExpiredMessages(Date.now() + 2 * millisecondsPerDay);
+
+      expect(await chat.getMessagesByChannel(channel.id)).toHaveLength(0);
+      expect(await chat.getMessagesByChannel(general?.id as string)).toHaveLength(1);
+    });
+
+    it('should keep everything in channels set to keep forever', async () => {
+      const channel = await chat.createChannel('incidents', adminUser.id);
+      await chat.updateChannel(
+        channel.id,
+        { retention: { messageRetentionDays: null, maxMessages: null } },
+        adminUser.id
+      );
+      await postMessages(channel.id, 5);
+
+      await chat.cleanupExpiredMessages(Date.now() + 365 * millisecondsPerDay);
+
+      expect(await chat.getMessagesByChannel(channel.id)).toHaveLength(5);
+      expect(events.some((e) => e.type === 'DELETE_MESSAGE')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Channel, User } from '../src/interfaces';
+
+describe('MikroChat Channel Roles', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let creator: User;
+  let moderator: User;
+  let member: User;
+  let channel: Channel;
+
+  beforeEach(async () => {
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    creator = await chat.addUser('creator@example.com', adminUser.id);
+    moderator = await chat.addUser('moderator@example.com', adminUser.id);
+    member = await chat.addUser('member@example.com', adminUser.id);
+
+    channel = await chat.createChannel('support', creator.id);
+    channel = await chat.updateChannel(
+      channel.id,
+      { roles: { [moderator.id]: 'moderator' } },
+      creator.id
+    );
+  });
+
+  it('should store roles on the channel', async () => {
+    expect(channel.roles).toEqual({ [moderator.id]: 'moderator' });
+
+    const updated = await chat.updateChannel(
+      channel.id,
+      { roles: { [creator.id]: 'moderator', [member.id]: 'owner' } },
+      creator.id
+    );
+    expect(updated.roles).toEqual({ [member.id]: 'owner' });
+
+    const cleared = await chat.updateChannel(channel.id, { roles: null }, creator.id);
+    expect(cleared.roles).toBeUndefined();
+  });
+
+  it('should validate roles', async () => {
+    await expect(
+      chat.updateChannel(channel.id, { roles: { [member.id]: 'admin' as never } }, creator.id)
+    ).rejects.toThrow('Channel roles must be owner or moderator');
+    await expect(
+      chat.updateChannel(channel.id, { roles: { missing: 'moderator' } }, creator.id)
+    ).rejects.toThrow('User not found: missing');
+  });
+
+  it('should let moderators edit the topic and members but nothing else', async () => {
+    const updated = await chat.updateChannel(
+      channel.id,
+      { name: 'support', topic: 'Ask us anything', members: [member.id] },
+      moderator.id
+    );
+    expect(updated.topic).toBe('Ask us anything');
+
+    await expect(
+      chat.updateChannel(channel.id, { name: 'helpdesk' }, moderator.id)
+    ).rejects.toThrow('Only channel owners can rename channels, change privacy or assign roles');
+    await expect(
+      chat.updateChannel(channel.id, { roles: { [member.id]: 'moderator' } }, moderator.id)
+    ).rejects.toThrow('Only channel owners can rename channels, change privacy or assign roles');
+    await expect(chat.updateChannel(channel.id, { topic: 'Mine' }, member.id)).rejects.toThrow(
+      'You can only edit channels you created'
+    );
+  });
+
+  it('should keep users with a role in private channels', async () => {
+    const updated = await chat.updateChannel(
+      channel.id,
+      { isPrivate: true, members: [member.id] },
+      creator.id
+    );
+
+    expect(updated.members).toEqual(expect.arrayContaining([creator.id, member.id, moderator.id]));
+  });
+
+  it('should let moderators delete the messages of others', async () => {
+    const message = await chat.createMessage('Spam', member.id, channel.id);
+    const { reply } = await chat.createThreadReply('More spam', member.id, message.id);
+
+    await chat.deleteThreadReply(reply.id, moderator.id);
+    await chat.deleteMessage(message.id, moderator.id);
+
+    expect(await chat.getMessagesByChannel(channel.id)).toHaveLength(0);
+
+    const other = await chat.createMessage('Mine', moderator.id, channel.id);
+    await expect(chat.deleteMessage(other.id, member.id)).rejects.toThrow(
+      'You can only delete your own messages'
+    );
+  });
+
+  it('should only let owners and moderators pin messages', async () => {
+    const message = await chat.createMessage('Read this first', member.id, channel.id);
+
+    await expect(chat.pinMessage(message.id, member.id)).rejects.toThrow(
+      'Only channel owners and moderators can manage pins'
+    );
+
+    await chat.pinMessage(message.id, moderator.id);
+    await chat.unpinMessage(message.id, creator.id);
+
+    expect(await chat.listPinnedMessages(channel.id, member.id)).toEqual([]);
+  });
+
+  it('should only let owners delete and archive the channel', async () => {
+    await expect(chat.deleteChannel(channel.id, moderator.id)).rejects.toThrow(
+      'Only channel owners can delete channels'
+    );
+    await expect(chat.archiveChannel(channel.id, moderator.id)).rejects.toThrow(
+      'Only channel owners can archive channels'
+    );
+
+    await chat.updateChannel(channel.id, { roles: { [member.id]: 'owner' } }, adminUser.id);
+    await chat.deleteChannel(channel.id, member.id);
+
+    expect((await chat.listChannels()).some((item) => item.id === channel.id)).toBe(false);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Channel, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Slash Commands', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let otherUser: User;
+  let channel: Channel;
+  const events: ServerSentEvent[] = [];
+
+  const lastResponse = () =>
+    events.filter((event) => event.type === 'COMMAND_RESPONSE').pop()?.payload;
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    otherUser = await chat.addUser('other@example.com', adminUser.id);
+
+    channel = await chat.createChannel('project', regularUser.id);
+    events.length = 0;
+  });
+
+  it('should list the built-in commands', async () => {
+    const commands = await chat.listCommands();
+
+    expect(commands.map((command) => command.name)).toEqual([
+      'topic',
+      'invite',
+      'leave',
+      'me',
+      'mute',
+      'shrug',
+      'who'
+    ]);
+    expect(commands.find((command) => command.name === 'invite')).toEqual({
+      name: 'invite',
+      description: 'Invite people to this private channel',
+      usage: '@user'
+    });
+  });
+
+  it('should validate the command and its arguments', async () => {
+    await expect(chat.runCommand('hello', regularUser.id, channel.id)).rejects.toThrow(
+      'Commands start with a slash and a name, like /who'
+    );
+    await expect(chat.runCommand('/dance', regularUser.id, channel.id)).rejects.toThrow(
+      'Unknown command: /dance'
+    );
+    await expect(chat.runCommand('/invite', regularUser.id, channel.id)).rejects.toThrow(
+      'Usage: /invite @user'
+    );
+    await expect(chat.runCommand('/who is here', regularUser.id, channel.id)).rejects.toThrow(
+      'Usage: /who'
+    );
+    await expect(chat.runCommand('/who', regularUser.id, 'missing')).rejects.toThrow(
+      'Channel not found'
+    );
+  });
+
+  it('should show and set the topic', async () => {
+    const result = await chat.runCommand('/TOPIC   Release planning ', regularUser.id, channel.id);
+
+    expect(result.command).toBe('topic');
+    expect(result.response).toMatchObject({
+      userId: regularUser.id,
+      channelId: channel.id,
+      text: 'Topic set to: Release planning'
+    });
+    expect(lastResponse()).toEqual(result.response);
+
+    await chat.runCommand('/topic', otherUser.id, channel.id);
+    expect(lastResponse()?.text).toBe('The topic of #project is: Release planning');
+
+    await expect(chat.runCommand('/topic Mine', otherUser.id, channel.id)).rejects.toThrow(
+      'You can only edit channels you created'
+    );
+  });
+
+  it('should invite people to a private channel and let them leave', async () => {
+    const secret = await chat.createChannel('secret', regularUser.id, { isPrivate: true });
+
+    await chat.runCommand(`/invite @${otherUser.userName}`, regularUser.id, secret.id);
+    expect(lastResponse()?.text).toBe(`Invited @${otherUser.userName} to #secret`);
+    expect(await chat.canUserAccessChannel(secret.id, otherUser.id)).toBe(true);
+
+    await chat.runCommand(`/invite @${otherUser.userName}`, regularUser.id, secret.id);
+    expect(lastResponse()?.text).toBe('Everyone you invited is already in #secret');
+
+    await expect(chat.runCommand('/invite @nobody', regularUser.id, secret.id)).rejects.toThrow(
+      'User not found: @nobody'
+    );
+    await expect(
+      chat.runCommand(`/invite @${adminUser.userName}`, otherUser.id, secret.id)
+    ).rejects.toThrow('Only channel owners and moderators can invite people');
+    await expect(chat.runCommand('/leave', regularUser.id, secret.id)).rejects.toThrow(
+      'Channel owners and moderators cannot leave the channel'
+    );
+
+    const result = await chat.runCommand('/leave', otherUser.id, secret.id);
+
+    expect(result.response?.text).toBe('You left #secret');
+    expect(await chat.canUserAccessChannel(secret.id, otherUser.id)).toBe(false);
+  });
+
+  it('should not invite people to or leave public channels', async () => {
+    await expect(
+      chat.runCommand(`/invite @${otherUser.userName}`, regularUser.id, channel.id)
+    ).rejects.toThrow('Everyone can already see public channels');
+    await expect(chat.runCommand('/leave', otherUser.id, channel.id)).rejects.toThrow(
+      'You can only leave private channels'
+    );
+  });
+
+  it('should post /me and /shrug messages with escaped HTML', async () => {
+    const me = await chat.runCommand('/me is back <b>now</b>', regularUser.id, channel.id);
+    const shrug = await chat.runCommand('/shrug Who knows', regularUser.id, channel.id);
+
+    expect(me.response).toBeUndefined();
+    expect(me.message?.content).toBe('_is back &lt;b&gt;now&lt;/b&gt;_');
+    expect(shrug.message?.content).toBe('Who knows ¯\\\\\\_(ツ)\\_/¯');
+    expect(events.filter((event) => event.type === 'NEW_MESSAGE')).toHaveLength(2);
+    expect(events.some((event) => event.type === 'COMMAND_RESPONSE')).toBe(false);
+  });
+
+  it('should mute and unmute a channel', async () => {
+    await chat.runCommand('/mute', otherUser.id, channel.id);
+
+    expect(lastResponse()?.text).toBe(
+      'Muted #project. You are still notified when someone mentions you.'
+    );
+    expect((await chat.getPreferences(otherUser.id)).mutedChannels).toEqual([channel.id]);
+
+    await chat.runCommand('/mute', otherUser.id, channel.id);
+
+    expect(lastResponse()?.text).toBe('Unmuted #project');
+    expect((await chat.getPreferences(otherUser.id)).mutedChannels).toEqual([]);
+  });
+
+  it('should list the people in a channel', async () => {
+    const secret = await chat.createChannel('secret', regularUser.id, {
+      isPrivate: true,
+      members: [otherUser.id]
+    });
+
+    await chat.runCommand('/who', regularUser.id, secret.id);
+
+    expect(lastResponse()?.text).toBe(
+      `2 people in #secret: ${[regularUser, otherUser]
+        .map((user) => `@${user.userName}`)
+        .sort()
+        .join(', ')}`
+    );
+  });
+
+  it('should register custom commands', async () => {
+    chat.registerCommand({
+      name: 'Ping',
+      description: 'Check that the server is there',
+      arguments: 'none',
+      handler: async ({ user }) => ({ text: `Pong, @${user.userName}` })
+    });
+
+    const result = await chat.runCommand('/ping', regularUser.id, channel.id);
+
+    expect(result.response?.text).toBe(`Pong, @${regularUser.userName}`);
+    expect(() =>
+      chat.registerCommand({
+        name: 'ping',
+        description: 'Again',
+        arguments: 'none',
+        handler: async () => ({})
+      })
+    ).toThrow('Command already exists: /ping');
+  });
+});
@@ -446,4 +446,148 @@ describe('MikroChat Conversations', () => {
       expect(messages.length).toBe(4);
     });
   });
+
+  describe('Group Conversations', () => {
+    let thirdUser: User;
+    let fourthUser: User;
+
+    beforeEach(async () => {
+      thirdUser = await chat.addUser('third@example.com', adminUser.id);
+      fourthUser = await chat.addUser('fourth@example.com', adminUser.id);
+      events.length = 0;
+    });
+
+    it('should create a group conversation', async () => {
+      const conversation = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id,
+        regularUser.id
+      ]);
+
+      expect(conversation.id).toMatch(/^dm:/);
+      expect(conversation.isGroup).toBe(true);
+      expect(conversation.createdBy).toBe(adminUser.id);
+      expect(conversation.participants).toEqual([adminUser.id, regularUser.id, thirdUser.id]);
+      expect(events.some((event) => event.type === 'NEW_CONVERSATION')).toBe(true);
+
+      const other = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id
+      ]);
+      expect(other.id).not.toBe(conversation.id);
+    });
+
+    it('should validate the participants', async () => {
+      await expect(chat.createGroupConversation(adminUser.id, [regularUser.id])).rejects.toThrow(
+        'Group conversations need at least three participants'
+      );
+      await expect(
+        chat.createGroupConversation(adminUser.id, [regularUser.id, 'missing'])
+      ).rejects.toThrow('User not found: missing');
+
+      const userIds = [regularUser.id, thirdUser.id, fourthUser.id];
+      for (let i = 0; i < 5; i++)
+        userIds.push((await chat.addUser(`many${i}@example.com`, adminUser.id)).id);
+
+      await expect(chat.createGroupConversation(adminUser.id, userIds)).rejects.toThrow(
+        'Conversations can have at most 8 participants'
+      );
+    });
+
+    it('should let every participant send messages', async () => {
+      const conversation = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id
+      ]);
+
+      const message = await chat.createDirectMessage('Hello all', thirdUser.id, conversation.id);
+      const event = events.find(
+        (item): item is Extract<ServerSentEvent, { type: 'NEW_DM_MESSAGE' }> =>
+          item.type === 'NEW_DM_MESSAGE'
+      );
+
+      expect(message.channelId).toBe(conversation.id);
+      expect(event?.payload.participants).toEqual(conversation.participants);
+      await expect(
+        chat.createDirectMessage('Let me in', fourthUser.id, conversation.id)
+      ).rejects.toThrow('You are not a participant in this conversation');
+    });
+
+    it('should add participants', async () => {
+      const conversation = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id
+      ]);
+
+      const updated = await chat.addConversationParticipants(
+        conversation.id,
+        [fourthUser.id, thirdUser.id],
+        regularUser.id
+      );
+
+      expect(updated.participants).toEqual([...conversation.participants, fourthUser.id]);
+      expect(await chat.listConversationsForUser(fourthUser.id)).toHaveLength(1);
+
+      const event = events.find(
+        (item): item is Extract<ServerSentEvent, { type: 'UPDATE_CONVERSATION' }> =>
+          item.type === 'UPDATE_CONVERSATION'
+      );
+      expect(event?.payload.participants).toEqual(updated.participants);
+    });
+
+    it('should only add participants to group conversations', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+      await expect(
+        chat.addConversationParticipants(conversation.id, [thirdUser.id], adminUser.id)
+      ).rejects.toThrow('This is not a group conversation');
+
+      const group = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id
+      ]);
+      await expect(
+        chat.addConversationParticipants(group.id, [adminUser.id], fourthUser.id)
+      ).rejects.toThrow('You are not a participant in this conversation');
+    });
+
+    it('should leave a group conversation', async () => {
+      const conversation = await chat.createGroupConversation(adminUser.id, [
+        regularUser.id,
+        thirdUser.id
+      ]);
+      await chat.createDirectMessage('Before leaving', thirdUser.id, conversation.id);
+      events.length = 0;
+
+      await chat.leaveConversation(conversation.id, thirdUser.id);
+
+      expect(await chat.listConversationsForUser(thirdUser.id)).toEqual([]);
+      expect((await chat.getConversationById(conversation.id))?.participants).toEqual([
+        adminUser.id,
+        regularUser.id
+      ]);
+      expect(await chat.getMessagesByConversation(conversation.id)).toHaveLength(1);
+
+      // The user who left is told too
+      const event = events[0] as Extract<ServerSentEvent, { type: 'UPDATE_CONVERSATION' }>;
+      expect(event.payload.participants).toContain(thirdUser.id);
+
+      await expect(
+        chat.createDirectMessage('Back again', thirdUser.id, conversation.id)
+      ).rejects.toThrow('You are not a participant in this conversation');
+
+      await expect(chat.leaveConversation(conversation.id, regularUser.id)).rejects.toThrow(
+        'Group conversations need at least two participants'
+      );
+      expect((await chat.getConversationById(conversation.id))?.participants).toHaveLength(2);
+    });
+
+    it('should not leave a conversation between two people', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+      await expect(chat.leaveConversation(conversation.id, adminUser.id)).rejects.toThrow(
+        'This is not a group conversation'
+      );
+    });
+  });
 });
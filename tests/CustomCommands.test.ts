@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Channel, CustomCommand, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Custom Commands', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let channel: Channel;
+  let command: CustomCommand;
+  const events: ServerSentEvent[] = [];
+
+  const reply = (body: string, init: ResponseInit = {}) =>
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(body, init)));
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    channel = await chat.createChannel('ops', adminUser.id);
+
+    command = await chat.createCustomCommand(
+      {
+        name: '/Deploy',
+        description: 'Deploy a service',
+        usage: '[service]',
+        callbackUrl: 'https://example.com/commands'
+      },
+      adminUser.id
+    );
+    events.length = 0;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should add a command and list it with the built-in commands', async () => {
+    expect(command).toMatchObject({
+      name: 'deploy',
+      description: 'Deploy a service',
+      usage: '[service]',
+      callbackUrl: 'https://example.com/commands',
+      createdBy: adminUser.id
+    });
+    expect(command.secret).toHaveLength(64);
+
+    expect(await chat.listCustomCommands(adminUser.id)).toEqual([command]);
+    expect((await chat.listCommands()).pop()).toEqual({
+      name: 'deploy',
+      description: 'Deploy a service',
+      usage: '[service]'
+    });
+  });
+
+  it('should validate new commands', async () => {
+    const create = (name: string, callbackUrl = 'https://example.com/commands') =>
+      chat.createCustomCommand({ name, callbackUrl }, adminUser.id);
+
+    await expect(create('who')).rejects.toThrow('Command already exists: /who');
+    await expect(create('deploy')).rejects.toThrow('Command already exists: /deploy');
+    await expect(create('build', 'ftp://example.com')).rejects.toThrow(
+      'Callback URL must use HTTP or HTTPS'
+    );
+    await expect(create('build', 'not a url')).rejects.toThrow('Callback URL must be a valid URL');
+    await expect(
+      chat.createCustomCommand(
+        { name: 'build', callbackUrl: 'https://example.com' },
+        regularUser.id
+      )
+    ).rejects.toThrow('Only administrators can create commands');
+  });
+
+  it('should send a signed request to the callback URL', async () => {
+    reply('Deploying api');
+
+    const result = await chat.runCommand('/deploy api', regularUser.id, channel.id);
+
+    const [url, init] = vi.mocked(fetch).mock.calls[0] as [string, RequestInit];
+    const headers = init.headers as Record<string, string>;
+    const body = JSON.parse(init.body as string);
+
+    expect(url).toBe('https://example.com/commands');
+    expect(body).toEqual({
+      command: 'deploy',
+      args: 'api',
+      user: { id: regularUser.id, userName: regularUser.userName },
+      channel: { id: channel.id, name: 'ops' },
+      timestamp: Number(headers['X-MikroChat-Timestamp'])
+    });
+    expect(headers['X-MikroChat-Signature']).toBe(
+      MikroChat.signRequest(command.secret, body.timestamp, init.body as string)
+    );
+
+    expect(result.response?.text).toBe('Deploying api');
+    expect(result.message).toBeUndefined();
+    expect(events.find((event) => event.type === 'COMMAND_RESPONSE')?.payload).toMatchObject({
+      userId: regularUser.id,
+      command: 'deploy',
+      text: 'Deploying api'
+    });
+  });
+
+  it('should post replies in the channel when asked to', async () => {
+    reply(JSON.stringify({ text: 'Deployed <b>api</b>', responseType: 'in_channel' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const result = await chat.runCommand('/deploy', regularUser.id, channel.id);
+
+    expect(result.response).toBeUndefined();
+    expect(result.message).toMatchObject({
+      channelId: channel.id,
+      content: 'Deployed &lt;b&gt;api&lt;/b&gt;',
+      author: { id: `command:${command.id}`, userName: 'deploy', isBot: true }
+    });
+  });
+
+  it('should report callback errors to the user', async () => {
+    reply('Oops', { status: 500 });
+    await expect(chat.runCommand('/deploy', regularUser.id, channel.id)).rejects.toThrow(
+      '/deploy failed with status 500'
+    );
+
+    reply('{', { headers: { 'Content-Type': 'application/json' } });
+    await expect(chat.runCommand('/deploy', regularUser.id, channel.id)).rejects.toThrow(
+      '/deploy sent a reply that could not be read'
+    );
+
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(async () => {
+        throw new Error('timeout');
+      })
+    );
+    await expect(chat.runCommand('/deploy', regularUser.id, channel.id)).rejects.toThrow(
+      '/deploy did not respond'
+    );
+  });
+
+  it('should not run commands in archived channels', async () => {
+    reply('Deploying api');
+    await chat.archiveChannel(channel.id, adminUser.id);
+
+    await expect(chat.runCommand('/deploy api', regularUser.id, channel.id)).rejects.toThrow(
+      'This channel is archived'
+    );
+    await expect(chat.runCommand('/topic', regularUser.id, channel.id)).rejects.toThrow(
+      'This channel is archived'
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should delete a command', async () => {
+    await expect(chat.deleteCustomCommand(command.id, regularUser.id)).rejects.toThrow(
+      'Only administrators can delete commands'
+    );
+
+    await chat.deleteCustomCommand(command.id, adminUser.id);
+
+    expect(await chat.listCustomCommands(adminUser.id)).toEqual([]);
+    expect(events.find((event) => event.type === 'DELETE_COMMAND')?.payload).toEqual({
+      id: command.id,
+      name: 'deploy'
+    });
+    await expect(chat.runCommand('/deploy', regularUser.id, channel.id)).rejects.toThrow(
+      'Unknown command: /deploy'
+    );
+    await expect(chat.deleteCustomCommand(command.id, adminUser.id)).rejects.toThrow(
+      'Command not found'
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Custom Status', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  const events: ServerSentEvent[] = [];
+
+  const inMinutes = (minutes: number) => Date.now() + minutes * 60 * 1000;
+
+  const presenceEvents = () =>
+    events.filter(
+      (event): event is Extract<ServerSentEvent, { type: 'PRESENCE_UPDATE' }> =>
+        event.type === 'PRESENCE_UPDATE'
+    );
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    events.length = 0;
+  });
+
+  it('should set a status and broadcast it with the presence', async () => {
+    await chat.setUserPresence(regularUser.id, 'online');
+
+    const presence = await chat.setCustomStatus(regularUser.id, {
+      emoji: '📅',
+      text: '  In a meeting  '
+    });
+
+    expect(presence).toMatchObject({
+      userId: regularUser.id,
+      status: 'online',
+      customStatus: { emoji: '📅', text: 'In a meeting' }
+    });
+    expect(presenceEvents().at(-1)?.payload).toEqual(presence);
+    expect(chat.getPresence()).toContainEqual(presence);
+  });
+
+  it('should keep the status on the user', async () => {
+    await chat.setCustomStatus(regularUser.id, { text: 'Vacation until Friday' });
+
+    const user = await chat.getUserById(regularUser.id);
+    expect(user?.customStatus).toEqual({ text: 'Vacation until Friday' });
+  });
+
+  it('should include the status when presence changes', async () => {
+    await chat.setCustomStatus(regularUser.id, { emoji: '🌴' });
+
+    const presence = await chat.setUserPresence(regularUser.id, 'away');
+
+    expect(presence.customStatus).toEqual({ emoji: '🌴' });
+  });
+
+  it('should clear a status', async () => {
+    await chat.setCustomStatus(regularUser.id, { text: 'Busy' });
+
+    const presence = await chat.clearCustomStatus(regularUser.id);
+
+    expect(presence.customStatus).toBeUndefined();
+    expect((await chat.getUserById(regularUser.id))?.customStatus).toBeUndefined();
+  });
+
+  it('should clear expired statuses and tell clients', async () => {
+    await chat.setCustomStatus(regularUser.id, { text: 'Lunch', expiresAt: inMinutes(30) });
+    await chat.setCustomStatus(adminUser.id, { text: 'Focusing' });
+    events.length = 0;
+
+    expect(await chat.clearExpiredStatuses(inMinutes(20))).toBe(0);
+    expect(await chat.clearExpiredStatuses(inMinutes(40))).toBe(1);
+
+    expect(presenceEvents()).toHaveLength(1);
+    expect(presenceEvents()[0].payload).toMatchObject({ userId: regularUser.id });
+    expect(presenceEvents()[0].payload.customStatus).toBeUndefined();
+    expect((await chat.getUserById(adminUser.id))?.customStatus).toEqual({ text: 'Focusing' });
+  });
+
+  it('should not include an expired status before it is cleared', async () => {
+    await chat.setCustomStatus(regularUser.id, { text: 'Soon gone', expiresAt: Date.now() + 20 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    const presence = await chat.setUserPresence(regularUser.id, 'online');
+
+    expect(presence.customStatus).toBeUndefined();
+  });
+
+  it('should validate the status', async () => {
+    await expect(chat.setCustomStatus(regularUser.id, { text: '  ' })).rejects.toThrow(
+      'A status needs text or an emoji'
+    );
+    await expect(chat.setCustomStatus(regularUser.id, { text: 'a'.repeat(101) })).rejects.toThrow(
+      'Status text cannot be longer than 100 characters'
+    );
+    await expect(
+      chat.setCustomStatus(regularUser.id, { emoji: '🙂'.repeat(10) })
+    ).rejects.toThrow('Status emoji is too long');
+    await expect(
+      chat.setCustomStatus(regularUser.id, { text: 'Past', expiresAt: Date.now() - 1000 })
+    ).rejects.toThrow('Status expiry must be in the future');
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { DoNotDisturbSchedule, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Do Not Disturb', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  const events: ServerSentEvent[] = [];
+
+  // Monday 5 January 2026, at the given UTC time
+  const monday = (hours: number) => Date.UTC(2026, 0, 5, hours);
+  const hoursLater = (time: number, hours: number) => time + hours * 60 * 60 * 1000;
+
+  const weeknights: DoNotDisturbSchedule = {
+    days: [1],
+    start: '22:00',
+    end: '07:00',
+    timeZone: 'UTC'
+  };
+
+  const presenceEvents = () =>
+    events.filter(
+      (event): event is Extract<ServerSentEvent, { type: 'PRESENCE_UPDATE' }> =>
+        event.type === 'PRESENCE_UPDATE'
+    );
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    events.length = 0;
+  });
+
+  it('should pause notifications and advertise it in presence', async () => {
+    const pausedUntil = Date.now() + 60 * 60 * 1000;
+
+    const doNotDisturb = await chat.updateDoNotDisturb(regularUser.id, { pausedUntil });
+
+    expect(doNotDisturb).toEqual({ pausedUntil, isActive: true });
+    expect(presenceEvents()[0].payload).toMatchObject({
+      userId: regularUser.id,
+      doNotDisturb: true
+    });
+    expect(chat.getPresence().find((item) => item.userId === regularUser.id)?.doNotDisturb).toBe(
+      true
+    );
+  });
+
+  it('should resume notifications', async () => {
+    await chat.updateDoNotDisturb(regularUser.id, { pausedUntil: Date.now() + 60 * 1000 });
+
+    const doNotDisturb = await chat.updateDoNotDisturb(regularUser.id, { pausedUntil: null });
+
+    expect(doNotDisturb).toEqual({ isActive: false });
+    expect(presenceEvents().at(-1)?.payload.doNotDisturb).toBeUndefined();
+  });
+
+  it('should keep settings that are left out', async () => {
+    await chat.updateDoNotDisturb(regularUser.id, { schedule: weeknights });
+    await chat.updateDoNotDisturb(regularUser.id, { pausedUntil: Date.now() + 60 * 1000 });
+
+    const doNotDisturb = await chat.getDoNotDisturb(regularUser.id);
+    expect(doNotDisturb.schedule).toEqual(weeknights);
+    expect(doNotDisturb.pausedUntil).toBeDefined();
+
+    await chat.updateDoNotDisturb(regularUser.id, { schedule: null });
+    expect((await chat.getDoNotDisturb(regularUser.id)).schedule).toBeUndefined();
+  });
+
+  it('should sort and deduplicate the days of the schedule', async () => {
+    const doNotDisturb = await chat.updateDoNotDisturb(regularUser.id, {
+      schedule: { ...weeknights, days: [5, 1, 3, 1] }
+    });
+
+    expect(doNotDisturb.schedule?.days).toEqual([1, 3, 5]);
+  });
+
+  it('should validate the settings', async () => {
+    const update = (schedule: Partial<DoNotDisturbSchedule>) =>
+      chat.updateDoNotDisturb(regularUser.id, { schedule: { ...weeknights, ...schedule } });
+
+    await expect(update({ days: [] })).rejects.toThrow('Pick at least one day for the schedule');
+    await expect(update({ days: [7] })).rejects.toThrow(
+      'Days must be between 0 (Sunday) and 6 (Saturday)'
+    );
+    await expect(update({ start: '25:00' })).rejects.toThrow('Times must be in HH:MM format');
+    await expect(update({ end: '22:00' })).rejects.toThrow(
+      'The schedule must start and end at different times'
+    );
+    await expect(update({ timeZone: undefined })).rejects.toThrow('The schedule needs a time zone');
+    await expect(update({ timeZone: ' ' })).rejects.toThrow('The schedule needs a time zone');
+    await expect(update({ timeZone: 'Mars/Olympus_Mons' })).rejects.toThrow('Invalid time zone');
+    await expect(
+      chat.updateDoNotDisturb(regularUser.id, { pausedUntil: Date.now() - 1000 })
+    ).rejects.toThrow('Pause must end in the future');
+  });
+
+  it('should follow an overnight schedule in the time zone of the user', async () => {
+    await chat.updateDoNotDisturb(regularUser.id, { schedule: weeknights });
+
+    const isActive = async (now: number) => {
+      await chat.refreshDoNotDisturb(now);
+      return chat.getPresence().find((item) => item.userId === regularUser.id)?.doNotDisturb;
+    };
+
+    expect(await isActive(monday(21))).toBeUndefined();
+    expect(await isActive(monday(23))).toBe(true);
+    // Tuesday morning still belongs to the Monday night window
+    expect(await isActive(hoursLater(monday(23), 5))).toBe(true);
+    expect(await isActive(hoursLater(monday(23), 9))).toBeUndefined();
+    // Tuesday night is not in the schedule
+    expect(await isActive(hoursLater(monday(23), 24))).toBeUndefined();
+  });
+
+  it('should only tell clients when do not disturb starts or ends', async () => {
+    await chat.updateDoNotDisturb(regularUser.id, { schedule: weeknights });
+    await chat.refreshDoNotDisturb(monday(12));
+    events.length = 0;
+
+    expect(await chat.refreshDoNotDisturb(monday(23))).toBe(1);
+    expect(await chat.refreshDoNotDisturb(hoursLater(monday(23), 1))).toBe(0);
+    expect(await chat.refreshDoNotDisturb(hoursLater(monday(23), 9))).toBe(1);
+
+    expect(presenceEvents().map((event) => event.payload.doNotDisturb)).toEqual([
+      true,
+      undefined
+    ]);
+  });
+});
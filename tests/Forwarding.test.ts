@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { FileAttachment, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Forwarding', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let sourceChannelId: string;
+  let targetChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const attachment: FileAttachment = {
+    filename: 'notes.pdf',
+    originalName: 'Notes.pdf',
+    contentType: 'application/pdf',
+    size: 1024
+  };
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    sourceChannelId = (await chat.createChannel('source', adminUser.id)).id;
+    targetChannelId = (await chat.createChannel('target', adminUser.id)).id;
+    events.length = 0;
+  });
+
+  it('should post a copy with attribution in the target channel', async () => {
+    const original = await chat.createMessage(
+      'Release notes are up',
+      adminUser.id,
+      sourceChannelId
+    );
+
+    const forwarded = await chat.forwardMessage(
+      original.id,
+      regularUser.id,
+      targetChannelId,
+      'Worth a read'
+    );
+
+    expect(forwarded.channelId).toBe(targetChannelId);
+    expect(forwarded.content).toBe('Worth a read');
+    expect(forwarded.author.id).toBe(regularUser.id);
+    expect(forwarded.forwardedFrom).toEqual({
+      messageId: original.id,
+      channelId: sourceChannelId,
+      threadId: undefined,
+      author: { id: adminUser.id, userName: adminUser.userName },
+      content: 'Release notes are up',
+      createdAt: original.createdAt
+    });
+    expect(events.some((e) => e.type === 'NEW_MESSAGE' && e.payload.id === forwarded.id)).toBe(
+      true
+    );
+  });
+
+  it('should reuse images and attachments without copying them', async () => {
+    const original = await chat.createMessage('Files', adminUser.id, sourceChannelId, {
+      images: ['photo.webp'],
+      attachments: [attachment]
+    });
+
+    const forwarded = await chat.forwardMessage(original.id, adminUser.id, targetChannelId);
+
+    expect(forwarded.images).toEqual(['photo.webp']);
+    expect(forwarded.attachments).toEqual([attachment]);
+  });
+
+  it('should forward into a conversation', async () => {
+    const original = await chat.createMessage('Look at this', adminUser.id, sourceChannelId);
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+    const forwarded = await chat.forwardMessage(original.id, adminUser.id, conversation.id);
+
+    expect(forwarded.channelId).toBe(conversation.id);
+    expect(forwarded.forwardedFrom?.messageId).toBe(original.id);
+  });
+
+  it('should require access to the original', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const original = await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+
+    await expect(
+      chat.forwardMessage(original.id, regularUser.id, targetChannelId)
+    ).rejects.toThrow('You do not have access to this channel');
+  });
+
+  it('should require access to the target', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const original = await chat.createMessage('Public', adminUser.id, sourceChannelId);
+
+    await expect(
+      chat.forwardMessage(original.id, regularUser.id, privateChannel.id)
+    ).rejects.toThrow('You do not have access to this channel');
+  });
+
+  it('should not forward into the same channel', async () => {
+    const original = await chat.createMessage('Hello', adminUser.id, sourceChannelId);
+
+    await expect(
+      chat.forwardMessage(original.id, adminUser.id, sourceChannelId)
+    ).rejects.toThrow('Message is already in this channel');
+  });
+
+  it('should let readers of the forwarded copy download its files', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const original = await chat.createMessage('Files', adminUser.id, privateChannel.id, {
+      attachments: [attachment]
+    });
+    await chat.forwardMessage(original.id, adminUser.id, targetChannelId);
+
+    const found = await chat.getAttachmentForUser(attachment.filename, regularUser.id);
+
+    expect(found).toEqual(attachment);
+  });
+
+  it('should keep shared images when they are removed from one message', async () => {
+    const original = await chat.createMessage('Files', adminUser.id, sourceChannelId, {
+      images: ['photo.webp'],
+      attachments: [attachment]
+    });
+    await chat.forwardMessage(original.id, adminUser.id, targetChannelId);
+
+    const { removedImages, removedAttachments } = await chat.updateMessage(
+      original.id,
+      adminUser.id,
+      undefined,
+      { images: [], attachments: [] }
+    );
+
+    expect(removedImages).toEqual([]);
+    expect(removedAttachments).toEqual([]);
+  });
+});
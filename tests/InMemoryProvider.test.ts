@@ -197,6 +197,19 @@ describe('InMemoryProvider', () => {
       const deleted = await provider.getMessageById('message-1');
       expect(deleted).toBeNull();
     });
+
+    it('should delete saves of a deleted message', async () => {
+      await provider.createMessage(testMessage);
+      await provider.saveMessage({ userId: 'user-1', messageId: 'message-1', savedAt: 1000 });
+      await provider.saveMessage({ userId: 'user-2', messageId: 'message-1', savedAt: 2000 });
+
+      expect(await provider.listSavedMessagesByUser('user-2')).toHaveLength(1);
+
+      await provider.deleteMessage('message-1');
+
+      expect(await provider.listSavedMessagesByUser('user-1')).toEqual([]);
+      expect(await provider.listSavedMessagesByUser('user-2')).toEqual([]);
+    });
   });
 
   describe('Reaction Operations', () => {
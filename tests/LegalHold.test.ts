@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { User } from '../src/interfaces';
+
+describe('MikroChat Legal Hold', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const millisecondsPerDay = 24 * 60 * 60 * 1000;
+  const daysFromNow = (days: number) => Date.now() + days * millisecondsPerDay;
+
+  beforeEach(async () => {
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('legal-test', adminUser.id);
+    testChannelId = channel.id;
+  });
+
+  describe('Managing holds', () => {
+    it('should place, list and release holds', async () => {
+      const hold = await chat.placeLegalHold('channel', testChannelId, adminUser.id, 'Case 17');
+
+      expect(hold.targetType).toBe('channel');
+      expect(hold.reason).toBe('Case 17');
+      expect(await chat.listLegalHolds(adminUser.id)).toHaveLength(1);
+
+      await chat.releaseLegalHold(hold.id, adminUser.id);
+
+      expect(await chat.listLegalHolds(adminUser.id)).toHaveLength(0);
+    });
+
+    it('should only let admins manage holds', async () => {
+      await expect(chat.placeLegalHold('channel', testChannelId, regularUser.id)).rejects.toThrow(
+        'Only administrators can place legal holds'
+      );
+
+      const hold = await chat.placeLegalHold('channel', testChannelId, adminUser.id);
+
+      await expect(chat.releaseLegalHold(hold.id, regularUser.id)).rejects.toThrow(
+        'Only administrators can release legal holds'
+      );
+      await expect(chat.listLegalHolds(regularUser.id)).rejects.toThrow(
+        'Only administrators can view legal holds'
+      );
+    });
+
+    it('should validate the target', async () => {
+      await expect(chat.placeLegalHold('channel', 'missing', adminUser.id)).rejects.toThrow(
+        'Channel not found'
+      );
+      await expect(chat.placeLegalHold('user', 'missing', adminUser.id)).rejects.toThrow(
+        'User not found'
+      );
+
+      await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+      await expect(chat.placeLegalHold('user', regularUser.id, adminUser.id)).rejects.toThrow(
+        'This target is already under legal hold'
+      );
+    });
+
+    it('should record hold changes in the audit log', async () => {
+      const hold = await chat.placeLegalHold('user', regularUser.id, adminUser.id, 'Case 17');
+      await chat.releaseLegalHold(hold.id, adminUser.id);
+
+      const { entries } = await chat.queryAuditLog(adminUser.id);
+      const actions = entries.map((entry) => entry.action);
+
+      expect(actions).toContain('legal-hold.place');
+      expect(actions).toContain('legal-hold.release');
+      expect(entries.find((entry) => entry.action === 'legal-hold.place')?.targetId).toBe(
+        regularUser.id
+      );
+    });
+  });
+
+  describe('Blocking deletes', () => {
+    it('should block deleting messages in a held channel', async () => {
+      const message = await chat.createMessage('Evidence', regularUser.id, testChannelId);
+      await chat.placeLegalHold('channel', testChannelId, adminUser.id);
+
+      await expect(chat.deleteMessage(message.id, adminUser.id)).rejects.toThrow(
+        'This message is under legal hold and cannot be deleted'
+      );
+      await expect(chat.deleteChannel(testChannelId, adminUser.id)).rejects.toThrow(
+        'This channel has messages under legal hold and cannot be deleted'
+      );
+    });
+
+    it('should block deleting a parent whose thread has held replies', async () => {
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      const { reply } = await chat.createThreadReply('Reply', regularUser.id, parent.id);
+      await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+
+      await expect(chat.deleteMessage(parent.id, adminUser.id)).rejects.toThrow(
+        'This message is under legal hold and cannot be deleted'
+      );
+      await expect(chat.deleteThreadReply(reply.id, regularUser.id)).rejects.toThrow(
+        'This message is under legal hold and cannot be deleted'
+      );
+    });
+
+    it('should block deleting direct messages in a held conversation', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      const message = await chat.createDirectMessage('Private', regularUser.id, conversation.id);
+      await chat.placeLegalHold('conversation', conversation.id, adminUser.id);
+
+      await expect(chat.deleteDirectMessage(message.id, regularUser.id)).rejects.toThrow(
+        'This message is under legal hold and cannot be deleted'
+      );
+    });
+
+    it('should allow deletes again once the hold is released', async () => {
+      const message = await chat.createMessage('Evidence', regularUser.id, testChannelId);
+      const hold = await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+      await chat.releaseLegalHold(hold.id, adminUser.id);
+
+      await chat.deleteMessage(message.id, regularUser.id);
+
+      expect(await chat.getMessageById(message.id)).toBeNull();
+    });
+
+    it('should let a held user be removed and keep their messages held', async () => {
+      const message = await chat.createMessage('Evidence', regularUser.id, testChannelId);
+      await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+
+      await chat.removeUser(regularUser.id, adminUser.id);
+
+      expect(await chat.getUserById(regularUser.id)).toBeNull();
+      await expect(chat.deleteMessage(message.id, adminUser.id)).rejects.toThrow(
+        'This message is under legal hold and cannot be deleted'
+      );
+      expect(await chat.getMessageById(message.id)).not.toBeNull();
+    });
+  });
+
+  describe('Retention', () => {
+    it('should not expire messages in a held channel', async () => {
+      await chat.createMessage('Keep', regularUser.id, testChannelId);
+      await chat.placeLegalHold('channel', testChannelId, adminUser.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(60));
+
+      expect(await chat.getMessagesByChannel(testChannelId)).toHaveLength(1);
+    });
+
+    it('should only keep the held user messages in other channels', async () => {
+      await chat.createMessage('Keep', regularUser.id, testChannelId);
+      await chat.createMessage('Expire', adminUser.id, testChannelId);
+      await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(60));
+
+      const messages = await chat.getMessagesByChannel(testChannelId);
+      expect(messages.map((message) => message.content)).toEqual(['Keep']);
+    });
+
+    it('should not expire direct messages in a held conversation', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      await chat.createDirectMessage('Keep', adminUser.id, conversation.id);
+      await chat.placeLegalHold('conversation', conversation.id, adminUser.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(60));
+
+      expect(await chat.getMessagesByConversation(conversation.id)).toHaveLength(1);
+    });
+
+    it('should not purge held messages from the trash', async () => {
+      const message = await chat.createMessage('Deleted', regularUser.id, testChannelId);
+      await chat.deleteMessage(message.id, regularUser.id);
+      await chat.placeLegalHold('user', regularUser.id, adminUser.id);
+
+      expect(await chat.purgeExpiredTrash(daysFromNow(60))).toBe(0);
+      expect(await chat.listTrashedMessages(adminUser.id)).toHaveLength(1);
+    });
+  });
+});
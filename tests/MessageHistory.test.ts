@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { User } from '../src/interfaces';
+
+describe('MikroChat Message History', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+
+  beforeEach(async () => {
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('history-test', adminUser.id);
+    testChannelId = channel.id;
+  });
+
+  it('should start without revisions', async () => {
+    const message = await chat.createMessage('Original', adminUser.id, testChannelId);
+
+    const history = await chat.getMessageHistory(message.id, adminUser.id);
+
+    expect(history.message.editedAt).toBeUndefined();
+    expect(history.revisions).toHaveLength(0);
+  });
+
+  it('should keep each edit of a channel message as a revision', async () => {
+    const message = await chat.createMessage('First', adminUser.id, testChannelId);
+
+    await chat.updateMessage(message.id, adminUser.id, 'Second');
+    const { message: updated } = await chat.updateMessage(message.id, adminUser.id, 'Third');
+
+    expect(updated.content).toBe('Third');
+    expect(updated.editedAt).toBeDefined();
+
+    const { revisions } = await chat.getMessageHistory(message.id, regularUser.id);
+
+    expect(revisions.map((revision) => revision.content)).toEqual(['First', 'Second']);
+    expect(revisions[0].createdAt).toBe(message.createdAt);
+    expect(revisions[1].createdAt).toBe(revisions[0].replacedAt);
+  });
+
+  it('should not record a revision when the content is unchanged', async () => {
+    const message = await chat.createMessage('Same', adminUser.id, testChannelId);
+
+    const { message: updated } = await chat.updateMessage(message.id, adminUser.id, 'Same');
+
+    expect(updated.editedAt).toBeUndefined();
+    expect((await chat.getMessageHistory(message.id, adminUser.id)).revisions).toHaveLength(0);
+  });
+
+  it('should keep revisions for direct messages', async () => {
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+    const message = await chat.createDirectMessage('Hi', adminUser.id, conversation.id);
+
+    await chat.updateDirectMessage(message.id, adminUser.id, 'Hello');
+
+    const { revisions } = await chat.getMessageHistory(message.id, regularUser.id);
+    expect(revisions.map((revision) => revision.content)).toEqual(['Hi']);
+  });
+
+  it('should keep revisions for thread replies', async () => {
+    const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+    const { reply } = await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+    await chat.updateThreadReply(reply.id, regularUser.id, 'Edited reply');
+
+    const { revisions } = await chat.getMessageHistory(reply.id, adminUser.id);
+    expect(revisions.map((revision) => revision.content)).toEqual(['Reply']);
+  });
+
+  it('should hide the history of conversations the user is not part of', async () => {
+    const thirdUser = await chat.addUser('third@example.com', adminUser.id);
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+    const message = await chat.createDirectMessage('Private', adminUser.id, conversation.id);
+
+    await expect(chat.getMessageHistory(message.id, thirdUser.id)).rejects.toThrow(
+      'You do not have access to this conversation'
+    );
+  });
+
+  it('should include revisions in the data export', async () => {
+    const message = await chat.createMessage('Before', adminUser.id, testChannelId);
+    await chat.updateMessage(message.id, adminUser.id, 'After');
+
+    const data = await chat.exportData(adminUser.id);
+
+    expect(data.messageRevisions).toHaveLength(1);
+    expect(data.messageRevisions[0].content).toBe('Before');
+  });
+});
@@ -926,6 +926,21 @@ describe('MikroChat', () => {
         expect(sanitized.email).toBe('test@test.com');
       });
 
+      it('should strip do not disturb settings from user object', () => {
+        const user = {
+          id: 'test-id',
+          userName: 'test',
+          email: 'test@test.com',
+          isAdmin: false,
+          createdAt: Date.now(),
+          doNotDisturb: { pausedUntil: Date.now() + 60 * 60 * 1000 }
+        };
+
+        const sanitized = MikroChat.sanitizeUser(user);
+        expect(sanitized).not.toHaveProperty('doNotDisturb');
+        expect(sanitized.id).toBe('test-id');
+      });
+
       it('should work on users without passwordHash', () => {
         const user = {
           id: 'test-id',
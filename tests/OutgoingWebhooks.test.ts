@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Channel, User } from '../src/interfaces';
+
+describe('MikroChat Outgoing Webhooks', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let channel: Channel;
+
+  const respond = (...statuses: number[]) => {
+    const fetch = vi.fn(async () => new Response(null, { status: statuses.shift() ?? 200 }));
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+  };
+
+  const sentContents = (fetch: ReturnType<typeof respond>) =>
+    fetch.mock.calls.map((call) => {
+      const [, init] = call as unknown as [string, RequestInit];
+      return JSON.parse(init.body as string).payload.content;
+    });
+
+  beforeEach(async () => {
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    channel = await chat.createChannel('support', adminUser.id);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should create and list outgoing webhooks', async () => {
+    const webhook = await chat.createOutgoingWebhook(
+      {
+        name: ' Tracker ',
+        url: 'https://example.com/events',
+        events: ['NEW_MESSAGE', 'NEW_MESSAGE'],
+        channelId: channel.id,
+        keyword: ' urgent '
+      },
+      adminUser.id
+    );
+
+    expect(webhook).toMatchObject({
+      name: 'Tracker',
+      url: 'https://example.com/events',
+      events: ['NEW_MESSAGE'],
+      channelId: channel.id,
+      keyword: 'urgent',
+      createdBy: adminUser.id
+    });
+    expect(webhook.secret).toHaveLength(64);
+    expect(await chat.listOutgoingWebhooks(adminUser.id)).toEqual([webhook]);
+    expect(chat.listWebhookEvents()).toContain('NEW_USER');
+  });
+
+  it('should validate outgoing webhooks', async () => {
+    const create = (options: Record<string, unknown>, userId = adminUser.id) =>
+      chat.createOutgoingWebhook(
+        { name: 'Tracker', url: 'https://example.com', events: ['NEW_MESSAGE'], ...options },
+        userId
+      );
+    const secret = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const role = await chat.createRole('Integrations', ['webhooks.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    await expect(create({ name: ' ' })).rejects.toThrow('Webhook name is required');
+    await expect(create({ url: 'ftp://example.com' })).rejects.toThrow(
+      'Webhook URL must use HTTP or HTTPS'
+    );
+    await expect(create({ events: [] })).rejects.toThrow('Choose at least one event');
+    await expect(create({ events: ['NEW_DM_MESSAGE'] })).rejects.toThrow(
+      'Unknown event: NEW_DM_MESSAGE'
+    );
+    await expect(create({ channelId: 'missing' })).rejects.toThrow('Channel not found');
+    await expect(create({ channelId: secret.id }, regularUser.id)).rejects.toThrow(
+      'You do not have access to this channel'
+    );
+
+    await chat.updateUserRole(regularUser.id, adminUser.id, 'user');
+    await expect(create({}, regularUser.id)).rejects.toThrow(
+      'Only administrators can create webhooks'
+    );
+  });
+
+  it('should send signed events and log the delivery', async () => {
+    const fetch = respond(200);
+    const webhook = await chat.createOutgoingWebhook(
+      { name: 'Tracker', url: 'https://example.com/events', events: ['NEW_MESSAGE'] },
+      adminUser.id
+    );
+
+    const message = await chat.createMessage('Hello', regularUser.id, channel.id);
+
+    await vi.waitFor(async () => {
+      const [delivery] = await chat.listWebhookDeliveries(webhook.id, adminUser.id);
+      expect(delivery).toMatchObject({
+        eventType: 'NEW_MESSAGE',
+        status: 'delivered',
+        attempts: 1,
+        statusCode: 200
+      });
+    });
+
+    const [url, init] = fetch.mock.calls[0] as unknown as [string, RequestInit];
+    const headers = init.headers as Record<string, string>;
+    const body = JSON.parse(init.body as string);
+
+    expect(url).toBe('https://example.com/events');
+    expect(body).toMatchObject({
+      webhookId: webhook.id,
+      type: 'NEW_MESSAGE',
+      payload: JSON.parse(JSON.stringify(message))
+    });
+    expect(headers['X-MikroChat-Event']).toBe('NEW_MESSAGE');
+    expect(headers['X-MikroChat-Delivery']).toBe(body.id);
+    expect(headers['X-MikroChat-Signature']).toBe(
+      MikroChat.signRequest(webhook.secret, body.timestamp, init.body as string)
+    );
+  });
+
+  it('should only send events that match the channel and keyword', async () => {
+    const fetch = respond();
+    const other = await chat.createChannel('random', adminUser.id);
+    await chat.createOutgoingWebhook(
+      {
+        name: 'Tracker',
+        url: 'https://example.com/events',
+        events: ['NEW_MESSAGE'],
+        channelId: channel.id,
+        keyword: 'urgent'
+      },
+      adminUser.id
+    );
+
+    await chat.createMessage('Hello', regularUser.id, channel.id);
+    await chat.createMessage('Urgent in the wrong channel', regularUser.id, other.id);
+    await chat.createMessage('This is URGENT', regularUser.id, channel.id);
+
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    expect(sentContents(fetch)).toEqual(['This is URGENT']);
+  });
+
+  it('should not send events in private channels to webhooks for all channels', async () => {
+    const fetch = respond();
+    const secret = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    await chat.createOutgoingWebhook(
+      { name: 'Tracker', url: 'https://example.com/events', events: ['NEW_MESSAGE'] },
+      adminUser.id
+    );
+
+    await chat.createMessage('Hidden', adminUser.id, secret.id);
+    await chat.createMessage('Visible', adminUser.id, channel.id);
+
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalled());
+    expect(sentContents(fetch)).toEqual(['Visible']);
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    const fetch = respond(503, 503, 503, 503, 200, 200);
+    const webhook = await chat.createOutgoingWebhook(
+      { name: 'Tracker', url: 'https://example.com/events', events: ['NEW_MESSAGE'] },
+      adminUser.id
+    );
+    vi.useFakeTimers({ toFake: ['setTimeout'] });
+
+    await chat.createMessage('Hello', regularUser.id, channel.id);
+    await vi.advanceTimersByTimeAsync(6999);
+    expect(fetch).toHaveBeenCalledTimes(3);
+
+    await vi.advanceTimersByTimeAsync(1);
+    const [failed] = await chat.listWebhookDeliveries(webhook.id, adminUser.id);
+    expect(failed).toMatchObject({
+      status: 'failed',
+      attempts: 4,
+      statusCode: 503,
+      error: 'Responded with status 503'
+    });
+
+    await chat.createMessage('Hello again', regularUser.id, channel.id);
+    await vi.advanceTimersByTimeAsync(0);
+    const [delivered] = await chat.listWebhookDeliveries(webhook.id, adminUser.id);
+    expect(delivered).toMatchObject({ status: 'delivered', attempts: 1, statusCode: 200 });
+  });
+
+  it('should delete a webhook with its deliveries, and with its channel', async () => {
+    respond();
+    const webhook = await chat.createOutgoingWebhook(
+      { name: 'Tracker', url: 'https://example.com/events', events: ['NEW_CHANNEL'] },
+      adminUser.id
+    );
+    const scoped = await chat.createOutgoingWebhook(
+      {
+        name: 'Support',
+        url: 'https://example.com/events',
+        events: ['NEW_MESSAGE'],
+        channelId: channel.id
+      },
+      adminUser.id
+    );
+
+    await chat.createChannel('random', adminUser.id);
+    await vi.waitFor(async () => {
+      expect(await chat.listWebhookDeliveries(webhook.id, adminUser.id)).toHaveLength(1);
+    });
+
+    await chat.deleteOutgoingWebhook(webhook.id, adminUser.id);
+    await chat.deleteChannel(channel.id, adminUser.id);
+
+    expect(await chat.listOutgoingWebhooks(adminUser.id)).toEqual([]);
+    await expect(chat.listWebhookDeliveries(webhook.id, adminUser.id)).rejects.toThrow(
+      'Webhook not found'
+    );
+    await expect(chat.deleteOutgoingWebhook(scoped.id, adminUser.id)).rejects.toThrow(
+      'Webhook not found'
+    );
+  });
+});
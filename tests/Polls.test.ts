@@ -0,0 +1,222 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Polls', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const createPoll = (authorId: string, poll: Record<string, unknown> = {}) =>
+    chat.createMessage('Lunch?', authorId, testChannelId, {
+      poll: { options: ['Pizza', 'Sushi', 'Tacos'], ...poll }
+    });
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('polls', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  describe('Creating', () => {
+    it('should create a poll message with empty results', async () => {
+      const message = await createPoll(adminUser.id);
+
+      expect(message.content).toBe('Lunch?');
+      expect(message.poll?.options.map((option) => option.text)).toEqual([
+        'Pizza',
+        'Sushi',
+        'Tacos'
+      ]);
+      expect(message.poll?.options.every((option) => option.voteCount === 0)).toBe(true);
+      expect(message.poll?.allowMultiple).toBe(false);
+    });
+
+    it('should require a question', async () => {
+      await expect(
+        chat.createMessage('', adminUser.id, testChannelId, { poll: { options: ['A', 'B'] } })
+      ).rejects.toThrow('A poll needs a question');
+    });
+
+    it('should require at least two unique options', async () => {
+      await expect(createPoll(adminUser.id, { options: ['Only'] })).rejects.toThrow(
+        'A poll needs between 2 and 10 options'
+      );
+      await expect(createPoll(adminUser.id, { options: ['Same', 'same'] })).rejects.toThrow(
+        'Poll options must be unique'
+      );
+    });
+
+    it('should require the options to be a list', async () => {
+      const options = 'A, B' as unknown as string[];
+      await expect(createPoll(adminUser.id, { options })).rejects.toThrow(
+        'Poll options must be a list'
+      );
+    });
+
+    it('should reject a closing time in the past', async () => {
+      await expect(createPoll(adminUser.id, { closesAt: Date.now() - 1000 })).rejects.toThrow(
+        'Poll closing time must be in the future'
+      );
+    });
+
+    it('should create polls in direct messages', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+      const message = await chat.createDirectMessage('Coffee?', adminUser.id, conversation.id, {
+        poll: { options: ['Yes', 'No'] }
+      });
+
+      expect(message.poll?.options).toHaveLength(2);
+    });
+  });
+
+  describe('Voting', () => {
+    it('should count votes and list voters', async () => {
+      const message = await createPoll(adminUser.id);
+
+      await chat.votePoll(message.id, adminUser.id, ['1']);
+      const { poll, votedOptionIds } = await chat.votePoll(message.id, regularUser.id, ['1']);
+
+      expect(votedOptionIds).toEqual(['1']);
+      expect(poll.options[0].voteCount).toBe(2);
+      expect(poll.options[0].voters).toEqual([adminUser.id, regularUser.id]);
+    });
+
+    it('should replace an earlier vote and allow retracting it', async () => {
+      const message = await createPoll(adminUser.id);
+
+      await chat.votePoll(message.id, regularUser.id, ['1']);
+      const { poll } = await chat.votePoll(message.id, regularUser.id, ['2']);
+
+      expect(poll.options[0].voteCount).toBe(0);
+      expect(poll.options[1].voteCount).toBe(1);
+
+      const { poll: retracted } = await chat.votePoll(message.id, regularUser.id, []);
+      expect(retracted.options.every((option) => option.voteCount === 0)).toBe(true);
+    });
+
+    it('should only allow one choice unless the poll allows more', async () => {
+      const single = await createPoll(adminUser.id);
+      await expect(chat.votePoll(single.id, regularUser.id, ['1', '2'])).rejects.toThrow(
+        'This poll only allows one choice'
+      );
+
+      const multiple = await createPoll(adminUser.id, { allowMultiple: true });
+      const { poll } = await chat.votePoll(multiple.id, regularUser.id, ['1', '2']);
+      expect(poll.options.map((option) => option.voteCount)).toEqual([1, 1, 0]);
+    });
+
+    it('should reject unknown options and messages that are not polls', async () => {
+      const message = await createPoll(adminUser.id);
+      await expect(chat.votePoll(message.id, regularUser.id, ['9'])).rejects.toThrow(
+        'Poll option not found'
+      );
+
+      const plain = await chat.createMessage('Hello', adminUser.id, testChannelId);
+      await expect(chat.votePoll(plain.id, regularUser.id, ['1'])).rejects.toThrow(
+        'Message is not a poll'
+      );
+    });
+
+    it('should keep voters hidden in anonymous polls', async () => {
+      const message = await createPoll(adminUser.id, { anonymous: true });
+
+      const { poll } = await chat.votePoll(message.id, regularUser.id, ['3']);
+
+      expect(poll.options[2].voteCount).toBe(1);
+      expect(poll.options.some((option) => option.voters)).toBe(false);
+
+      const stored = await chat.getMessageById(message.id);
+      expect(JSON.stringify(stored)).not.toContain(regularUser.id);
+
+      const { votedOptionIds } = await chat.getPollVote(message.id, regularUser.id);
+      expect(votedOptionIds).toEqual(['3']);
+    });
+
+    it('should not let users vote in polls they cannot see', async () => {
+      const thirdUser = await chat.addUser('third@example.com', adminUser.id);
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      const message = await chat.createDirectMessage('Secret?', adminUser.id, conversation.id, {
+        poll: { options: ['Yes', 'No'] }
+      });
+
+      await expect(chat.votePoll(message.id, thirdUser.id, ['1'])).rejects.toThrow(
+        'You do not have access to this conversation'
+      );
+    });
+
+    it('should emit POLL_UPDATE with participants for direct messages', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      const message = await chat.createDirectMessage('Coffee?', adminUser.id, conversation.id, {
+        poll: { options: ['Yes', 'No'] }
+      });
+      events.length = 0;
+
+      await chat.votePoll(message.id, regularUser.id, ['1']);
+
+      const pollEvent = events.find((event) => event.type === 'POLL_UPDATE');
+      expect(pollEvent).toBeDefined();
+      if (pollEvent?.type === 'POLL_UPDATE') {
+        expect(pollEvent.payload.messageId).toBe(message.id);
+        expect(pollEvent.payload.participants).toContain(regularUser.id);
+      }
+    });
+  });
+
+  describe('Closing', () => {
+    it('should let the author close a poll and reject further votes', async () => {
+      const message = await createPoll(regularUser.id);
+
+      const poll = await chat.closePoll(message.id, regularUser.id);
+
+      expect(poll.closedAt).toBeDefined();
+      expect(events.some((event) => event.type === 'POLL_UPDATE')).toBe(true);
+      await expect(chat.votePoll(message.id, adminUser.id, ['1'])).rejects.toThrow(
+        'This poll is closed'
+      );
+    });
+
+    it('should let admins close any poll but not other users', async () => {
+      const message = await createPoll(adminUser.id);
+      await expect(chat.closePoll(message.id, regularUser.id)).rejects.toThrow(
+        'Only the author or an administrator can close this poll'
+      );
+
+      const other = await createPoll(regularUser.id);
+      const poll = await chat.closePoll(other.id, adminUser.id);
+      expect(poll.closedAt).toBeDefined();
+    });
+
+    it('should reject votes after the closing time', async () => {
+      const message = await createPoll(adminUser.id, { closesAt: Date.now() + 20 });
+
+      await new Promise((resolve) => setTimeout(resolve, 30));
+
+      await expect(chat.votePoll(message.id, regularUser.id, ['1'])).rejects.toThrow(
+        'This poll is closed'
+      );
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Channel, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Preferences', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let design: Channel;
+  let backend: Channel;
+  let random: Channel;
+  const events: ServerSentEvent[] = [];
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    design = await chat.createChannel('design', adminUser.id);
+    backend = await chat.createChannel('backend', adminUser.id);
+    random = await chat.createChannel('random', adminUser.id);
+    events.length = 0;
+  });
+
+  it('should return an empty sidebar by default', async () => {
+    expect(await chat.getPreferences(regularUser.id)).toEqual({
+      userId: regularUser.id,
+      sidebar: { favorites: [], sections: [], channelOrder: [], collapsed: [] },
+      mutedChannels: []
+    });
+  });
+
+  it('should save sections, favorites and the channel order', async () => {
+    const preferences = await chat.updatePreferences(regularUser.id, {
+      sidebar: {
+        favorites: [random.id, random.id],
+        sections: [{ name: '  Projects  ', channelIds: [design.id, backend.id] } as never],
+        channelOrder: [backend.id]
+      }
+    });
+
+    expect(preferences.sidebar.favorites).toEqual([random.id]);
+    expect(preferences.sidebar.sections).toEqual([
+      { id: expect.any(String), name: 'Projects', channelIds: [design.id, backend.id] }
+    ]);
+    expect(preferences.sidebar.channelOrder).toEqual([backend.id]);
+    expect(preferences.updatedAt).toBeDefined();
+    expect(await chat.getPreferences(regularUser.id)).toEqual(preferences);
+    expect(events.find((event) => event.type === 'PREFERENCES_UPDATE')?.payload).toEqual(
+      preferences
+    );
+  });
+
+  it('should keep the IDs of existing sections and the parts that are left out', async () => {
+    const { sidebar } = await chat.updatePreferences(regularUser.id, {
+      sidebar: {
+        favorites: [random.id],
+        sections: [{ name: 'Projects', channelIds: [design.id] } as never]
+      }
+    });
+    const [section] = sidebar.sections;
+
+    const updated = await chat.updatePreferences(regularUser.id, {
+      sidebar: {
+        sections: [
+          { ...section, name: 'Work' },
+          { id: 'unknown', name: 'Later', channelIds: [] }
+        ],
+        collapsed: [section.id, 'channels', 'missing']
+      }
+    });
+
+    expect(updated.sidebar.favorites).toEqual([random.id]);
+    expect(updated.sidebar.sections[0]).toEqual({ ...section, name: 'Work' });
+    expect(updated.sidebar.sections[1].id).not.toBe('unknown');
+    expect(updated.sidebar.collapsed).toEqual([section.id, 'channels']);
+  });
+
+  it('should take favorite channels out of their section', async () => {
+    await chat.updatePreferences(regularUser.id, {
+      sidebar: { sections: [{ name: 'Projects', channelIds: [design.id, backend.id] } as never] }
+    });
+
+    const { sidebar } = await chat.updatePreferences(regularUser.id, {
+      sidebar: { favorites: [design.id] }
+    });
+
+    expect(sidebar.favorites).toEqual([design.id]);
+    expect(sidebar.sections[0].channelIds).toEqual([backend.id]);
+  });
+
+  it('should validate the sidebar', async () => {
+    const update = (sidebar: Record<string, unknown>) =>
+      chat.updatePreferences(regularUser.id, { sidebar });
+
+    await expect(update({ favorites: 'all' })).rejects.toThrow(
+      'Channel lists must be arrays of channel IDs'
+    );
+    await expect(update({ favorites: ['missing'] })).rejects.toThrow('Channel not found: missing');
+    await expect(update({ sections: {} })).rejects.toThrow('Sections must be an array');
+    await expect(update({ sections: [{ name: ' ' }] })).rejects.toThrow(
+      'Section name is required'
+    );
+    await expect(update({ sections: [{ name: 'x'.repeat(51) }] })).rejects.toThrow(
+      'Section names can be at most 50 characters'
+    );
+    await expect(update({ sections: [{ name: 'Work' }, { name: 'work' }] })).rejects.toThrow(
+      'A section with this name already exists'
+    );
+    await expect(
+      update({
+        sections: [
+          { name: 'Work', channelIds: [design.id] },
+          { name: 'Fun', channelIds: [design.id] }
+        ]
+      })
+    ).rejects.toThrow('A channel can only be in one section');
+    await expect(
+      update({ sections: Array.from({ length: 51 }, (_, index) => ({ name: `${index}` })) })
+    ).rejects.toThrow('You can have at most 50 sections');
+    await expect(update({ collapsed: 'channels' })).rejects.toThrow('Collapsed must be an array');
+  });
+
+  it('should leave out channels the user can no longer see', async () => {
+    const secret = await chat.createChannel('secret', adminUser.id, {
+      isPrivate: true,
+      members: [regularUser.id]
+    });
+
+    await chat.updatePreferences(regularUser.id, {
+      sidebar: {
+        favorites: [secret.id, design.id],
+        sections: [{ name: 'Projects', channelIds: [backend.id] } as never]
+      }
+    });
+
+    await chat.updateChannel(secret.id, { members: [] }, adminUser.id);
+    await chat.deleteChannel(backend.id, adminUser.id);
+
+    const { sidebar } = await chat.getPreferences(regularUser.id);
+    expect(sidebar.favorites).toEqual([design.id]);
+    expect(sidebar.sections[0].channelIds).toEqual([]);
+  });
+});
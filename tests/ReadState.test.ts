@@ -0,0 +1,216 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ReadTargetType, ServerSentEvent, User } from '../src/interfaces';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+describe('MikroChat Read State', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const post = async (content: string, authorId = adminUser.id) => {
+    await tick();
+    return await chat.createMessage(content, authorId, testChannelId);
+  };
+
+  const getCount = async (userId: string, targetId: string) => {
+    const counts = await chat.getUnreadCounts(userId);
+    return counts.find((count) => count.targetId === targetId);
+  };
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('reading', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  describe('Unread counts', () => {
+    it('should count messages posted since the user joined', async () => {
+      await post('First');
+      await post('Second');
+
+      const count = await getCount(regularUser.id, testChannelId);
+
+      expect(count?.targetType).toBe('channel');
+      expect(count?.unreadCount).toBe(2);
+      expect(count?.mentionCount).toBe(0);
+    });
+
+    it('should not count messages the user wrote', async () => {
+      await post('Mine', regularUser.id);
+
+      expect(await getCount(regularUser.id, testChannelId)).toBeUndefined();
+    });
+
+    it('should count mentions separately', async () => {
+      await post('Hello @user');
+      await post('Heads up @channel');
+      await post('Just chatting');
+
+      const count = await getCount(regularUser.id, testChannelId);
+
+      expect(count?.unreadCount).toBe(3);
+      expect(count?.mentionCount).toBe(2);
+    });
+
+    it('should not count private channels the user cannot see', async () => {
+      const privateChannel = await chat.createChannel('secret', adminUser.id, {
+        isPrivate: true
+      });
+      await tick();
+      await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+
+      expect(await getCount(regularUser.id, privateChannel.id)).toBeUndefined();
+    });
+
+    it('should count direct messages per conversation', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      await tick();
+      await chat.createDirectMessage('Hi there', adminUser.id, conversation.id);
+
+      const count = await getCount(regularUser.id, conversation.id);
+
+      expect(count?.targetType).toBe('conversation');
+      expect(count?.unreadCount).toBe(1);
+    });
+
+    it('should only count threads the user takes part in', async () => {
+      const parent = await post('Parent', regularUser.id);
+      const otherParent = await post('Other parent');
+      await tick();
+      await chat.createThreadReply('Reply', adminUser.id, parent.id);
+      await chat.createThreadReply('Other reply', adminUser.id, otherParent.id);
+
+      const counts = await chat.getUnreadCounts(regularUser.id);
+      const threadCounts = counts.filter((count) => count.targetType === 'thread');
+
+      expect(threadCounts).toHaveLength(1);
+      expect(threadCounts[0].targetId).toBe(parent.id);
+      expect(threadCounts[0].channelId).toBe(testChannelId);
+      expect(threadCounts[0].unreadCount).toBe(1);
+    });
+  });
+
+  describe('Marking as read', () => {
+    it('should clear the unread count up to the latest message', async () => {
+      await post('First');
+      const latest = await post('Second');
+
+      const readState = await chat.markAsRead(regularUser.id, 'channel', testChannelId);
+
+      expect(readState.lastReadMessageId).toBe(latest.id);
+      expect(await getCount(regularUser.id, testChannelId)).toBeUndefined();
+    });
+
+    it('should only count messages after the read marker', async () => {
+      const first = await post('First');
+      await post('Second');
+      await post('Third');
+
+      await chat.markAsRead(regularUser.id, 'channel', testChannelId, first.id);
+
+      expect((await getCount(regularUser.id, testChannelId))?.unreadCount).toBe(2);
+    });
+
+    it('should count new messages after reading', async () => {
+      await post('First');
+      await chat.markAsRead(regularUser.id, 'channel', testChannelId);
+      await post('Second');
+
+      expect((await getCount(regularUser.id, testChannelId))?.unreadCount).toBe(1);
+    });
+
+    it('should emit a read state event for the user', async () => {
+      await post('First');
+      events.length = 0;
+
+      await chat.markAsRead(regularUser.id, 'channel', testChannelId);
+
+      const event = events.find((e) => e.type === 'READ_STATE_UPDATE');
+      expect(event?.payload).toMatchObject({
+        userId: regularUser.id,
+        targetType: 'channel',
+        targetId: testChannelId
+      });
+    });
+
+    it('should not allow marking a channel the user cannot see', async () => {
+      const privateChannel = await chat.createChannel('secret', adminUser.id, {
+        isPrivate: true
+      });
+
+      await expect(chat.markAsRead(regularUser.id, 'channel', privateChannel.id)).rejects.toThrow();
+    });
+
+    it('should not allow marking a conversation the user is not part of', async () => {
+      const outsider = await chat.addUser('outsider@example.com', adminUser.id);
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+      await expect(chat.markAsRead(outsider.id, 'conversation', conversation.id)).rejects.toThrow(
+        'You are not a participant in this conversation'
+      );
+    });
+
+    it('should reject unknown messages and target types', async () => {
+      await expect(
+        chat.markAsRead(regularUser.id, 'channel', testChannelId, 'missing')
+      ).rejects.toThrow('Message not found');
+      await expect(
+        chat.markAsRead(regularUser.id, 'unknown' as ReadTargetType, testChannelId)
+      ).rejects.toThrow('Invalid read target type');
+    });
+  });
+
+  describe('Marking as unread', () => {
+    it('should mark a message and everything after it as unread', async () => {
+      const first = await post('First');
+      const second = await post('Second');
+      await post('Third');
+      await chat.markAsRead(regularUser.id, 'channel', testChannelId);
+
+      const readState = await chat.markAsUnread(
+        regularUser.id,
+        'channel',
+        testChannelId,
+        second.id
+      );
+
+      expect(readState.lastReadMessageId).toBe(first.id);
+      expect((await getCount(regularUser.id, testChannelId))?.unreadCount).toBe(2);
+    });
+
+    it('should mark a whole thread as unread from its first reply', async () => {
+      const parent = await post('Parent', regularUser.id);
+      await tick();
+      const { reply } = await chat.createThreadReply('Reply', adminUser.id, parent.id);
+      await chat.markAsRead(regularUser.id, 'thread', parent.id);
+
+      const readState = await chat.markAsUnread(regularUser.id, 'thread', parent.id, reply.id);
+
+      expect(readState.lastReadMessageId).toBeUndefined();
+      expect((await getCount(regularUser.id, parent.id))?.unreadCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Reminders', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const inMinutes = (minutes: number) => Date.now() + minutes * 60 * 1000;
+
+  const reminderEvents = () =>
+    events.filter(
+      (event): event is Extract<ServerSentEvent, { type: 'REMINDER' }> =>
+        event.type === 'REMINDER'
+    );
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('reminders', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  it('should create a reminder about a message', async () => {
+    const message = await chat.createMessage('Review the release', adminUser.id, testChannelId);
+    const remindAt = inMinutes(20);
+
+    const reminder = await chat.createReminder(regularUser.id, remindAt, {
+      messageId: message.id
+    });
+
+    expect(reminder).toMatchObject({
+      userId: regularUser.id,
+      messageId: message.id,
+      channelId: testChannelId,
+      remindAt
+    });
+    expect(reminder.deliveredAt).toBeUndefined();
+  });
+
+  it('should create a reminder with only a note', async () => {
+    const reminder = await chat.createReminder(regularUser.id, inMinutes(20), {
+      note: '  Water the plants  '
+    });
+
+    expect(reminder.note).toBe('Water the plants');
+    expect(reminder.messageId).toBeUndefined();
+  });
+
+  it('should validate the reminder', async () => {
+    await expect(chat.createReminder(regularUser.id, inMinutes(20))).rejects.toThrow(
+      'A reminder needs a message or a note'
+    );
+    await expect(
+      chat.createReminder(regularUser.id, Date.now() - 1000, { note: 'Too late' })
+    ).rejects.toThrow('Reminder time must be in the future');
+    await expect(
+      chat.createReminder(regularUser.id, Number.NaN, { note: 'Never' })
+    ).rejects.toThrow('A valid reminder time is required');
+    await expect(
+      chat.createReminder(regularUser.id, inMinutes(20), { messageId: 'missing' })
+    ).rejects.toThrow('Message not found');
+  });
+
+  it('should require access to the message', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const message = await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+
+    await expect(
+      chat.createReminder(regularUser.id, inMinutes(20), { messageId: message.id })
+    ).rejects.toThrow('You do not have access to this channel');
+  });
+
+  it('should list only the reminders of the user, soonest first', async () => {
+    const later = await chat.createReminder(regularUser.id, inMinutes(60), { note: 'Later' });
+    const sooner = await chat.createReminder(regularUser.id, inMinutes(10), { note: 'Sooner' });
+    await chat.createReminder(adminUser.id, inMinutes(5), { note: 'Not mine' });
+
+    const reminders = await chat.listReminders(regularUser.id);
+
+    expect(reminders.map((reminder) => reminder.id)).toEqual([sooner.id, later.id]);
+  });
+
+  it('should snooze and complete reminders', async () => {
+    const reminder = await chat.createReminder(regularUser.id, inMinutes(20), { note: 'Call' });
+    const newTime = inMinutes(80);
+
+    const snoozed = await chat.snoozeReminder(reminder.id, regularUser.id, newTime);
+    expect(snoozed.remindAt).toBe(newTime);
+
+    await chat.completeReminder(reminder.id, regularUser.id);
+    expect(await chat.listReminders(regularUser.id)).toEqual([]);
+  });
+
+  it('should only let users manage their own reminders', async () => {
+    const reminder = await chat.createReminder(regularUser.id, inMinutes(20), { note: 'Mine' });
+
+    await expect(
+      chat.snoozeReminder(reminder.id, adminUser.id, inMinutes(60))
+    ).rejects.toThrow('You can only manage your own reminders');
+    await expect(chat.completeReminder(reminder.id, adminUser.id)).rejects.toThrow(
+      'You can only manage your own reminders'
+    );
+    await expect(chat.completeReminder('missing', regularUser.id)).rejects.toThrow(
+      'Reminder not found'
+    );
+  });
+
+  it('should deliver due reminders once, with the message', async () => {
+    const message = await chat.createMessage('Review the release', adminUser.id, testChannelId);
+    const reminder = await chat.createReminder(regularUser.id, inMinutes(20), {
+      messageId: message.id
+    });
+    await chat.createReminder(regularUser.id, inMinutes(120), { note: 'Not yet' });
+
+    const delivered = await chat.deliverDueReminders(inMinutes(30));
+    await chat.deliverDueReminders(inMinutes(31));
+
+    expect(delivered.map((item) => item.id)).toEqual([reminder.id]);
+    expect(reminderEvents()).toHaveLength(1);
+    expect(reminderEvents()[0].payload.reminder.id).toBe(reminder.id);
+    expect(reminderEvents()[0].payload.message?.id).toBe(message.id);
+
+    const [listed] = await chat.listReminders(regularUser.id);
+    expect(listed.deliveredAt).toBeDefined();
+  });
+
+  it('should deliver a snoozed reminder again', async () => {
+    const reminder = await chat.createReminder(regularUser.id, inMinutes(20), { note: 'Again' });
+    await chat.deliverDueReminders(inMinutes(30));
+
+    await chat.snoozeReminder(reminder.id, regularUser.id, inMinutes(60));
+    await chat.deliverDueReminders(inMinutes(70));
+
+    expect(reminderEvents()).toHaveLength(2);
+  });
+
+  it('should leave out messages the user can no longer read', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, {
+      isPrivate: true,
+      members: [regularUser.id]
+    });
+    const message = await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+    await chat.createReminder(regularUser.id, inMinutes(20), { messageId: message.id });
+
+    await chat.updateChannel(privateChannel.id, { members: [] }, adminUser.id);
+    await chat.deliverDueReminders(inMinutes(30));
+
+    expect(reminderEvents()).toHaveLength(1);
+    expect(reminderEvents()[0].payload.message).toBeUndefined();
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { Conversation, ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat DM and Thread Retention', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let conversation: Conversation;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+  const millisecondsPerDay = 24 * 60 * 60 * 1000;
+  const daysFromNow = (days: number) => Date.now() + days * millisecondsPerDay;
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100,
+      directMessageRetentionDays: 7,
+      threadReplyRetentionDays: 14
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    ({ conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id));
+
+    const channel = await chat.createChannel('retention-test', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  describe('Direct messages', () => {
+    it('should keep direct messages within the retention period', async () => {
+      await chat.createDirectMessage('Recent', adminUser.id, conversation.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(6));
+
+      expect(await chat.getMessagesByConversation(conversation.id)).toHaveLength(1);
+      expect(events.some((e) => e.type === 'DELETE_DM_MESSAGE')).toBe(false);
+    });
+
+    it('should remove expired direct messages and emit DELETE_DM_MESSAGE', async () => {
+      const message = await chat.createDirectMessage('Old', adminUser.id, conversation.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(8));
+
+      expect(await chat.getMessagesByConversation(conversation.id)).toHaveLength(0);
+
+      const deleteEvent = events.find((e) => e.type === 'DELETE_DM_MESSAGE');
+      expect(deleteEvent).toBeDefined();
+      if (deleteEvent?.type === 'DELETE_DM_MESSAGE') {
+        expect(deleteEvent.payload.id).toBe(message.id);
+        expect(deleteEvent.payload.conversationId).toBe(conversation.id);
+        expect(deleteEvent.payload.participants).toContain(regularUser.id);
+      }
+    });
+
+    it('should emit DELETE_THREAD_REPLY for the replies of expired direct messages', async () => {
+      const message = await chat.createDirectMessage('Old', adminUser.id, conversation.id);
+      const { reply } = await chat.createThreadReply('Reply', regularUser.id, message.id);
+      events.length = 0;
+
+      await chat.cleanupExpiredMessages(daysFromNow(8));
+
+      const deleteEvent = events.find((e) => e.type === 'DELETE_THREAD_REPLY');
+      expect(deleteEvent?.payload).toEqual({
+        id: reply.id,
+        threadId: message.id,
+        channelId: conversation.id,
+        threadMeta: null
+      });
+    });
+
+    it('should fall back to messageRetentionDays when not configured', async () => {
+      const defaultChat = new MikroChat({
+        initialUser: {
+          id: 'admin-id-2',
+          userName: 'admin2',
+          email: 'admin2@example.com'
+        },
+        messageRetentionDays: 30,
+        maxMessagesPerChannel: 100
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const admin = (await defaultChat.getUserByEmail('admin2@example.com')) as User;
+      const user = await defaultChat.addUser('user2@example.com', admin.id);
+      const { conversation: dm } = await defaultChat.getOrCreateConversation(admin.id, user.id);
+      await defaultChat.createDirectMessage('Hello', admin.id, dm.id);
+
+      await defaultChat.cleanupExpiredMessages(daysFromNow(8));
+      expect(await defaultChat.getMessagesByConversation(dm.id)).toHaveLength(1);
+
+      await defaultChat.cleanupExpiredMessages(daysFromNow(31));
+      expect(await defaultChat.getMessagesByConversation(dm.id)).toHaveLength(0);
+    });
+  });
+
+  describe('Thread replies', () => {
+    it('should remove expired replies and update the thread metadata', async () => {
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      const { reply } = await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(15));
+
+      expect(await chat.getMessageById(parent.id)).not.toBeNull();
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(0);
+      expect((await chat.getMessageById(parent.id))?.threadMeta).toBeUndefined();
+
+      const deleteEvent = events.find((e) => e.type === 'DELETE_THREAD_REPLY');
+      expect(deleteEvent).toBeDefined();
+      if (deleteEvent?.type === 'DELETE_THREAD_REPLY') {
+        expect(deleteEvent.payload.id).toBe(reply.id);
+        expect(deleteEvent.payload.threadId).toBe(parent.id);
+        expect(deleteEvent.payload.threadMeta).toBeNull();
+      }
+    });
+
+    it('should remove orphaned replies whose parent is gone', async () => {
+      const limitedChat = new MikroChat({
+        initialUser: {
+          id: 'admin-id-3',
+          userName: 'admin3',
+          email: 'admin3@example.com'
+        },
+        messageRetentionDays: 30,
+        maxMessagesPerChannel: 1
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const admin = (await limitedChat.getUserByEmail('admin3@example.com')) as User;
+      const channel = await limitedChat.createChannel('busy', admin.id);
+      const parent = await limitedChat.createMessage('Parent', admin.id, channel.id);
+      const { reply } = await limitedChat.createThreadReply('Reply', admin.id, parent.id);
+      await limitedChat.createMessage('Newer', admin.id, channel.id);
+
+      await limitedChat.cleanupExpiredMessages();
+
+      expect(await limitedChat.getMessageById(parent.id)).toBeNull();
+      expect(await limitedChat.getMessageById(reply.id)).toBeNull();
+    });
+
+    it('should keep replies in channels that keep messages forever', async () => {
+      await chat.updateChannel(
+        testChannelId,
+        { retention: { messageRetentionDays: null, maxMessages: null } },
+        adminUser.id
+      );
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(365));
+
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(1);
+    });
+
+    it('should keep replies as long as messages in channels with longer retention', async () => {
+      await chat.updateChannel(
+        testChannelId,
+        { retention: { messageRetentionDays: 365 } },
+        adminUser.id
+      );
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+      await chat.cleanupExpiredMessages(daysFromNow(40));
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(1);
+
+      await chat.cleanupExpiredMessages(daysFromNow(366));
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(0);
+    });
+
+    it('should remove expired replies in direct message threads', async () => {
+      const dmChat = new MikroChat({
+        initialUser: {
+          id: 'admin-id-4',
+          userName: 'admin4',
+          email: 'admin4@example.com'
+        },
+        messageRetentionDays: 30,
+        maxMessagesPerChannel: 100,
+        directMessageRetentionDays: 60,
+        threadReplyRetentionDays: 1
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const admin = (await dmChat.getUserByEmail('admin4@example.com')) as User;
+      const user = await dmChat.addUser('user4@example.com', admin.id);
+      const { conversation: dm } = await dmChat.getOrCreateConversation(admin.id, user.id);
+      const parent = await dmChat.createDirectMessage('Parent', admin.id, dm.id);
+      await dmChat.createThreadReply('Reply', user.id, parent.id);
+
+      await dmChat.cleanupExpiredMessages(daysFromNow(2));
+
+      expect(await dmChat.getMessagesByConversation(dm.id)).toHaveLength(1);
+      expect(await dmChat.getThreadReplies(parent.id)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Roles', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let otherUser: User;
+  const events: ServerSentEvent[] = [];
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    otherUser = await chat.addUser('other@example.com', adminUser.id);
+    events.length = 0;
+  });
+
+  it('should create a role', async () => {
+    const role = await chat.createRole(
+      '  Moderator  ',
+      ['channels.manage', 'trash.manage', 'channels.manage'],
+      adminUser.id,
+      'Keeps channels tidy'
+    );
+
+    expect(role).toMatchObject({
+      name: 'Moderator',
+      description: 'Keeps channels tidy',
+      permissions: ['channels.manage', 'trash.manage'],
+      createdBy: adminUser.id
+    });
+    expect(await chat.listRoles()).toEqual([role]);
+    expect(events.some((event) => event.type === 'NEW_ROLE')).toBe(true);
+  });
+
+  it('should validate the role name and permissions', async () => {
+    await chat.createRole('Moderator', [], adminUser.id);
+
+    await expect(chat.createRole(' ', [], adminUser.id)).rejects.toThrow('Role name is required');
+    await expect(chat.createRole('Admin', [], adminUser.id)).rejects.toThrow(
+      'Admin and User are built-in roles'
+    );
+    await expect(chat.createRole('moderator', [], adminUser.id)).rejects.toThrow(
+      'A role with this name already exists'
+    );
+    await expect(
+      chat.createRole('Owner', ['everything' as never], adminUser.id)
+    ).rejects.toThrow('Unknown permission: everything');
+    await expect(chat.createRole('Helper', [], regularUser.id)).rejects.toThrow(
+      'Only administrators can create roles'
+    );
+  });
+
+  it('should assign a role and grant its permissions', async () => {
+    const role = await chat.createRole('Auditor', ['audit-log.view'], adminUser.id);
+
+    const updated = await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    expect(updated).toMatchObject({ isAdmin: false, roleId: role.id });
+    expect(await chat.getUserPermissions(regularUser.id)).toEqual(['audit-log.view']);
+    expect(events.find((event) => event.type === 'UPDATE_USER')?.payload).toMatchObject({
+      id: regularUser.id,
+      roleId: role.id
+    });
+
+    await expect(chat.queryAuditLog(regularUser.id)).resolves.toBeDefined();
+    await expect(chat.exportData(regularUser.id)).rejects.toThrow(
+      'Only administrators can export data'
+    );
+    await expect(chat.updateUserRole(otherUser.id, adminUser.id, 'missing')).rejects.toThrow(
+      'Role not found'
+    );
+
+    const reverted = await chat.updateUserRole(regularUser.id, adminUser.id, 'user');
+    expect(reverted.roleId).toBeUndefined();
+    expect(await chat.getUserPermissions(regularUser.id)).toEqual([]);
+  });
+
+  it('should let a user manager add and remove users but nothing else', async () => {
+    const role = await chat.createRole('User Manager', ['users.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    const newUser = await chat.addUser('new@example.com', regularUser.id);
+    await chat.removeUser(newUser.id, regularUser.id);
+
+    await expect(chat.addUser('boss@example.com', regularUser.id, true)).rejects.toThrow(
+      'Only administrators can add admin users'
+    );
+    await expect(chat.removeUser(adminUser.id, regularUser.id)).rejects.toThrow(
+      'Only administrators can remove administrators'
+    );
+    await expect(
+      chat.resetUserPassword(adminUser.id, 'takeover123', regularUser.id)
+    ).rejects.toThrow('Only administrators can reset the passwords of administrators');
+    await chat.resetUserPassword(otherUser.id, 'newpassword123', regularUser.id);
+    expect(await chat.verifyUserPassword(otherUser.email, 'newpassword123')).toMatchObject({
+      id: otherUser.id
+    });
+
+    const channel = await chat.createChannel('alerts', adminUser.id);
+    await expect(chat.createWebhook('Bot', channel.id, regularUser.id)).rejects.toThrow(
+      'Only administrators can create webhooks'
+    );
+    await expect(chat.updateUserRole(otherUser.id, regularUser.id, 'user')).rejects.toThrow(
+      'Only administrators can update user roles'
+    );
+  });
+
+  it('should let users who can manage channels access private channels', async () => {
+    const role = await chat.createRole('Channel Manager', ['channels.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    const channel = await chat.createChannel('secret', otherUser.id, {
+      isPrivate: true,
+      members: [otherUser.id]
+    });
+
+    await chat.createMessage('Hidden', otherUser.id, channel.id);
+
+    expect(await chat.getMessagesByChannel(channel.id, undefined, regularUser.id)).toHaveLength(1);
+    await chat.updateChannel(channel.id, { topic: 'Managed' }, regularUser.id);
+  });
+
+  it('should only let administrators grant or revoke administrator access', async () => {
+    const role = await chat.createRole('Role Manager', ['roles.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    await chat.updateUserRole(otherUser.id, regularUser.id, role.id);
+
+    await expect(chat.updateUserRole(otherUser.id, regularUser.id, 'admin')).rejects.toThrow(
+      'Only administrators can grant or revoke administrator access'
+    );
+    await expect(chat.updateUserRole(adminUser.id, regularUser.id, 'user')).rejects.toThrow(
+      'Only administrators can grant or revoke administrator access'
+    );
+  });
+
+  it('should only let administrators change their own role', async () => {
+    const role = await chat.createRole('Role Manager', ['roles.manage'], adminUser.id);
+    const other = await chat.createRole('Reader', [], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    await expect(chat.updateUserRole(regularUser.id, regularUser.id, other.id)).rejects.toThrow(
+      'Only administrators can change their own role'
+    );
+    expect((await chat.getUserById(regularUser.id))?.roleId).toBe(role.id);
+  });
+
+  it('should not let users grant permissions they do not have', async () => {
+    const role = await chat.createRole('Role Manager', ['roles.manage'], adminUser.id);
+    const trash = await chat.createRole('Trash', ['trash.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    const message = 'You cannot grant a permission you do not have: users.manage';
+    await expect(chat.createRole('Users', ['users.manage'], regularUser.id)).rejects.toThrow(
+      message
+    );
+    await expect(
+      chat.updateRole(role.id, { permissions: ['roles.manage', 'users.manage'] }, regularUser.id)
+    ).rejects.toThrow(message);
+    await expect(chat.updateUserRole(otherUser.id, regularUser.id, trash.id)).rejects.toThrow(
+      'You cannot grant a permission you do not have: trash.manage'
+    );
+
+    // Permissions that a role already has can be kept or removed
+    const updated = await chat.updateRole(trash.id, { name: 'Bin' }, regularUser.id);
+    expect(updated.permissions).toEqual(['trash.manage']);
+    await chat.updateRole(trash.id, { permissions: [] }, regularUser.id);
+    expect(await chat.hasPermission(regularUser.id, 'users.manage')).toBe(false);
+  });
+
+  it('should update a role and unassign it when it is deleted', async () => {
+    const role = await chat.createRole('Helper', ['trash.manage'], adminUser.id);
+    await chat.updateUserRole(regularUser.id, adminUser.id, role.id);
+
+    const updated = await chat.updateRole(
+      role.id,
+      { name: 'Archivist', permissions: ['trash.manage', 'legal-holds.manage'] },
+      adminUser.id
+    );
+    expect(updated).toMatchObject({ name: 'Archivist' });
+    expect(updated.updatedAt).toBeDefined();
+    expect(await chat.hasPermission(regularUser.id, 'legal-holds.manage')).toBe(true);
+
+    await chat.deleteRole(role.id, adminUser.id);
+
+    expect(await chat.listRoles()).toEqual([]);
+    expect((await chat.getUserById(regularUser.id))?.roleId).toBeUndefined();
+    expect(await chat.hasPermission(regularUser.id, 'trash.manage')).toBe(false);
+    expect(events.some((event) => event.type === 'DELETE_ROLE')).toBe(true);
+    await expect(chat.deleteRole(role.id, adminUser.id)).rejects.toThrow('Role not found');
+  });
+});
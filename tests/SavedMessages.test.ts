@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { User } from '../src/interfaces';
+
+describe('MikroChat Saved Messages', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+
+  const tick = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+  beforeEach(async () => {
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('saved', adminUser.id);
+    testChannelId = channel.id;
+  });
+
+  it('should save messages across channels, conversations and threads', async () => {
+    const message = await chat.createMessage('Channel message', adminUser.id, testChannelId);
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+    const directMessage = await chat.createDirectMessage('Direct', adminUser.id, conversation.id);
+    const { reply } = await chat.createThreadReply('Reply', adminUser.id, message.id);
+
+    await chat.saveMessage(message.id, regularUser.id);
+    await tick();
+    await chat.saveMessage(directMessage.id, regularUser.id);
+    await tick();
+    await chat.saveMessage(reply.id, regularUser.id);
+
+    const saved = await chat.listSavedMessages(regularUser.id);
+
+    expect(saved.map((item) => item.message.id)).toEqual([reply.id, directMessage.id, message.id]);
+  });
+
+  it('should keep saves private to each user', async () => {
+    const message = await chat.createMessage('Hello', adminUser.id, testChannelId);
+
+    await chat.saveMessage(message.id, regularUser.id);
+
+    expect(await chat.listSavedMessages(adminUser.id)).toEqual([]);
+    expect(await chat.listSavedMessages(regularUser.id)).toHaveLength(1);
+  });
+
+  it('should save a message only once', async () => {
+    const message = await chat.createMessage('Hello', adminUser.id, testChannelId);
+
+    await chat.saveMessage(message.id, regularUser.id);
+    await chat.saveMessage(message.id, regularUser.id);
+
+    expect(await chat.listSavedMessages(regularUser.id)).toHaveLength(1);
+  });
+
+  it('should unsave a message', async () => {
+    const message = await chat.createMessage('Hello', adminUser.id, testChannelId);
+    await chat.saveMessage(message.id, regularUser.id);
+    await chat.saveMessage(message.id, adminUser.id);
+
+    await chat.unsaveMessage(message.id, regularUser.id);
+
+    expect(await chat.listSavedMessages(regularUser.id)).toEqual([]);
+    expect(await chat.listSavedMessages(adminUser.id)).toHaveLength(1);
+  });
+
+  it('should require access to the message', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, { isPrivate: true });
+    const message = await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+
+    await expect(chat.saveMessage(message.id, regularUser.id)).rejects.toThrow(
+      'You do not have access to this channel'
+    );
+    await expect(chat.saveMessage('missing', regularUser.id)).rejects.toThrow(
+      'Message not found'
+    );
+  });
+
+  it('should leave out messages the user can no longer read', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, {
+      isPrivate: true,
+      members: [regularUser.id]
+    });
+    const message = await chat.createMessage('Hidden', adminUser.id, privateChannel.id);
+    await chat.saveMessage(message.id, regularUser.id);
+
+    await chat.updateChannel(privateChannel.id, { members: [] }, adminUser.id);
+
+    expect(await chat.listSavedMessages(regularUser.id)).toEqual([]);
+  });
+
+  it('should hide trashed messages and bring them back on restore', async () => {
+    const message = await chat.createMessage('Oops', adminUser.id, testChannelId);
+    await chat.saveMessage(message.id, regularUser.id);
+
+    await chat.deleteMessage(message.id, adminUser.id);
+    expect(await chat.listSavedMessages(regularUser.id)).toEqual([]);
+
+    await chat.restoreTrashedMessage(message.id, adminUser.id);
+    expect(await chat.listSavedMessages(regularUser.id)).toHaveLength(1);
+  });
+});
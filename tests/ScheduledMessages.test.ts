@@ -0,0 +1,273 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Scheduled Messages', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+  const inOneHour = () => Date.now() + 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('announcements', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('Scheduling', () => {
+    it('should schedule a channel message without posting it', async () => {
+      const scheduledFor = inOneHour();
+      const scheduled = await chat.scheduleMessage(
+        'Release at noon',
+        adminUser.id,
+        testChannelId,
+        scheduledFor
+      );
+
+      expect(scheduled.id).toBeDefined();
+      expect(scheduled.scheduledFor).toBe(scheduledFor);
+      expect(scheduled.channelId).toBe(testChannelId);
+
+      const messages = await chat.getMessagesByChannel(testChannelId);
+      expect(messages).toHaveLength(0);
+      expect(events.some((e) => e.type === 'NEW_MESSAGE')).toBe(false);
+    });
+
+    it('should reject a time in the past', async () => {
+      await expect(
+        chat.scheduleMessage('Too late', adminUser.id, testChannelId, Date.now() - 1000)
+      ).rejects.toThrow('Scheduled time must be in the future');
+    });
+
+    it('should reject an invalid time', async () => {
+      await expect(
+        chat.scheduleMessage('Never', adminUser.id, testChannelId, Number.NaN)
+      ).rejects.toThrow('A valid scheduled time is required');
+    });
+
+    it('should reject empty messages', async () => {
+      await expect(
+        chat.scheduleMessage('', adminUser.id, testChannelId, inOneHour())
+      ).rejects.toThrow('Message content is required');
+    });
+
+    it('should reject private channels the author cannot access', async () => {
+      const privateChannel = await chat.createChannel('secret', adminUser.id, {
+        isPrivate: true
+      });
+
+      await expect(
+        chat.scheduleMessage('Hello', regularUser.id, privateChannel.id, inOneHour())
+      ).rejects.toThrow('You do not have access to this channel');
+    });
+
+    it('should reject conversations the author is not part of', async () => {
+      const thirdUser = await chat.addUser('third@example.com', adminUser.id);
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, thirdUser.id);
+
+      await expect(
+        chat.scheduleMessage('Hello', regularUser.id, conversation.id, inOneHour())
+      ).rejects.toThrow('You are not a participant in this conversation');
+    });
+  });
+
+  describe('Managing', () => {
+    it('should list only own scheduled messages, soonest first', async () => {
+      const later = await chat.scheduleMessage(
+        'Later',
+        adminUser.id,
+        testChannelId,
+        inOneHour() + 1000
+      );
+      const sooner = await chat.scheduleMessage('Sooner', adminUser.id, testChannelId, inOneHour());
+      await chat.scheduleMessage('Other', regularUser.id, testChannelId, inOneHour());
+
+      const scheduled = await chat.listScheduledMessages(adminUser.id);
+
+      expect(scheduled.map((item) => item.id)).toEqual([sooner.id, later.id]);
+    });
+
+    it('should update content and time', async () => {
+      const scheduled = await chat.scheduleMessage(
+        'Draft',
+        adminUser.id,
+        testChannelId,
+        inOneHour()
+      );
+      const newTime = inOneHour() + 5000;
+
+      const { scheduledMessage } = await chat.updateScheduledMessage(scheduled.id, adminUser.id, {
+        content: 'Final',
+        scheduledFor: newTime
+      });
+
+      expect(scheduledMessage.content).toBe('Final');
+      expect(scheduledMessage.scheduledFor).toBe(newTime);
+      expect(scheduledMessage.updatedAt).toBeDefined();
+    });
+
+    it('should report removed images on update', async () => {
+      const scheduled = await chat.scheduleMessage(
+        'Pics',
+        adminUser.id,
+        testChannelId,
+        inOneHour(),
+        { images: ['a.png', 'b.png'] }
+      );
+
+      const { removedImages } = await chat.updateScheduledMessage(scheduled.id, adminUser.id, {
+        images: ['b.png']
+      });
+
+      expect(removedImages).toEqual(['a.png']);
+    });
+
+    it('should not let other users edit or cancel', async () => {
+      const scheduled = await chat.scheduleMessage(
+        'Mine',
+        adminUser.id,
+        testChannelId,
+        inOneHour()
+      );
+
+      await expect(
+        chat.updateScheduledMessage(scheduled.id, regularUser.id, { content: 'Theirs' })
+      ).rejects.toThrow('You can only manage your own scheduled messages');
+      await expect(chat.cancelScheduledMessage(scheduled.id, regularUser.id)).rejects.toThrow(
+        'You can only manage your own scheduled messages'
+      );
+    });
+
+    it('should cancel a scheduled message', async () => {
+      const scheduled = await chat.scheduleMessage(
+        'Cancel me',
+        adminUser.id,
+        testChannelId,
+        inOneHour()
+      );
+
+      await chat.cancelScheduledMessage(scheduled.id, adminUser.id);
+
+      expect(await chat.listScheduledMessages(adminUser.id)).toHaveLength(0);
+      await expect(chat.cancelScheduledMessage(scheduled.id, adminUser.id)).rejects.toThrow(
+        'Scheduled message not found'
+      );
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should post due channel messages and emit NEW_MESSAGE', async () => {
+      const scheduledFor = inOneHour();
+      await chat.scheduleMessage('It is time', adminUser.id, testChannelId, scheduledFor);
+
+      const notYet = await chat.deliverScheduledMessages(scheduledFor - 1);
+      expect(notYet).toHaveLength(0);
+
+      const delivered = await chat.deliverScheduledMessages(scheduledFor);
+
+      expect(delivered).toHaveLength(1);
+      expect(delivered[0].content).toBe('It is time');
+      expect(delivered[0].channelId).toBe(testChannelId);
+
+      const messages = await chat.getMessagesByChannel(testChannelId);
+      expect(messages).toHaveLength(1);
+      expect(events.some((e) => e.type === 'NEW_MESSAGE')).toBe(true);
+      expect(await chat.listScheduledMessages(adminUser.id)).toHaveLength(0);
+    });
+
+    it('should post due direct messages and emit NEW_DM_MESSAGE', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      const scheduledFor = inOneHour();
+      await chat.scheduleMessage('Psst', adminUser.id, conversation.id, scheduledFor);
+
+      await chat.deliverScheduledMessages(scheduledFor);
+
+      const messages = await chat.getMessagesByConversation(conversation.id);
+      expect(messages).toHaveLength(1);
+
+      const dmEvent = events.find((e) => e.type === 'NEW_DM_MESSAGE');
+      expect(dmEvent).toBeDefined();
+      if (dmEvent?.type === 'NEW_DM_MESSAGE')
+        expect(dmEvent.payload.participants).toContain(regularUser.id);
+    });
+
+    it('should not post messages that are cancelled during delivery', async () => {
+      const scheduledFor = inOneHour();
+      const schedule = (content: string) =>
+        chat.scheduleMessage(content, adminUser.id, testChannelId, scheduledFor);
+      const first = await schedule('First');
+      const second = await schedule('Second');
+
+      const createMessage = chat.createMessage.bind(chat);
+      vi.spyOn(chat, 'createMessage').mockImplementationOnce(async (content, ...args) => {
+        const other = content === 'First' ? second : first;
+        await chat.cancelScheduledMessage(other.id, adminUser.id);
+        return createMessage(content, ...args);
+      });
+
+      const delivered = await chat.deliverScheduledMessages(scheduledFor);
+
+      expect(delivered).toHaveLength(1);
+      expect(await chat.getMessagesByChannel(testChannelId)).toHaveLength(1);
+      expect(await chat.listScheduledMessages(adminUser.id)).toHaveLength(0);
+    });
+
+    it('should post each message once when deliveries overlap', async () => {
+      const scheduledFor = inOneHour();
+      await chat.scheduleMessage('Once', adminUser.id, testChannelId, scheduledFor);
+
+      await Promise.all([
+        chat.deliverScheduledMessages(scheduledFor),
+        chat.deliverScheduledMessages(scheduledFor)
+      ]);
+
+      expect(await chat.getMessagesByChannel(testChannelId)).toHaveLength(1);
+    });
+
+    it('should keep items that can no longer be delivered, with the error', async () => {
+      const channel = await chat.createChannel('temporary', adminUser.id);
+      const scheduledFor = inOneHour();
+      const item = await chat.scheduleMessage('Gone', adminUser.id, channel.id, scheduledFor);
+      await chat.deleteChannel(channel.id, adminUser.id);
+
+      const delivered = await chat.deliverScheduledMessages(scheduledFor);
+
+      expect(delivered).toHaveLength(0);
+      const [failed] = await chat.listScheduledMessages(adminUser.id);
+      expect(failed).toMatchObject({ id: item.id, error: 'Channel not found' });
+
+      // Failed items are not tried again until they are edited
+      expect(await chat.deliverScheduledMessages(scheduledFor + 1)).toHaveLength(0);
+
+      const { scheduledMessage } = await chat.updateScheduledMessage(item.id, adminUser.id, {
+        content: 'Still gone'
+      });
+      expect(scheduledMessage.error).toBeUndefined();
+    });
+  });
+});
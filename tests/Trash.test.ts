@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Trash', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+  const millisecondsPerDay = 24 * 60 * 60 * 1000;
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100,
+      trashRetentionDays: 7
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('trash-test', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  describe('Deleting', () => {
+    it('should hide deleted messages and still emit DELETE_MESSAGE', async () => {
+      const message = await chat.createMessage('Oops', regularUser.id, testChannelId);
+
+      await chat.deleteMessage(message.id, regularUser.id);
+
+      expect(await chat.getMessageById(message.id)).toBeNull();
+      expect(await chat.getMessagesByChannel(testChannelId)).toHaveLength(0);
+      expect(events.some((e) => e.type === 'DELETE_MESSAGE')).toBe(true);
+
+      const trash = await chat.listTrashedMessages(adminUser.id);
+      expect(trash).toHaveLength(1);
+      expect(trash[0].message.content).toBe('Oops');
+      expect(trash[0].deletedBy).toBe(regularUser.id);
+    });
+
+    it('should keep thread replies with a deleted parent', async () => {
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      await chat.createThreadReply('Reply 1', regularUser.id, parent.id);
+      await chat.createThreadReply('Reply 2', adminUser.id, parent.id);
+
+      await chat.deleteMessage(parent.id, adminUser.id);
+
+      const [entry] = await chat.listTrashedMessages(adminUser.id);
+      expect(entry.replies.map((reply) => reply.content)).toEqual(['Reply 1', 'Reply 2']);
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(0);
+    });
+
+    it('should only let admins view the trash', async () => {
+      await expect(chat.listTrashedMessages(regularUser.id)).rejects.toThrow(
+        'Only administrators can view deleted messages'
+      );
+    });
+  });
+
+  describe('Restoring', () => {
+    it('should restore a channel message in its original position', async () => {
+      const first = await chat.createMessage('First', adminUser.id, testChannelId);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      await chat.createMessage('Second', adminUser.id, testChannelId);
+
+      await chat.deleteMessage(first.id, adminUser.id);
+      events.length = 0;
+
+      const restored = await chat.restoreTrashedMessage(first.id, adminUser.id);
+
+      expect(restored.id).toBe(first.id);
+      const messages = await chat.getMessagesByChannel(testChannelId);
+      expect(messages.map((message) => message.content)).toEqual(['First', 'Second']);
+      expect(events.some((e) => e.type === 'NEW_MESSAGE')).toBe(true);
+      expect(await chat.listTrashedMessages(adminUser.id)).toHaveLength(0);
+    });
+
+    it('should bring back thread replies and metadata with the parent', async () => {
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+      await chat.deleteMessage(parent.id, adminUser.id);
+      await chat.restoreTrashedMessage(parent.id, adminUser.id);
+
+      const restoredParent = await chat.getMessageById(parent.id);
+      expect(restoredParent?.threadMeta?.replyCount).toBe(1);
+      expect(await chat.getThreadReplies(parent.id)).toHaveLength(1);
+    });
+
+    it('should restore a thread reply and emit NEW_THREAD_REPLY with metadata', async () => {
+      const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+      const { reply } = await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+      await chat.deleteThreadReply(reply.id, regularUser.id);
+      expect((await chat.getMessageById(parent.id))?.threadMeta).toBeUndefined();
+      events.length = 0;
+
+      await chat.restoreTrashedMessage(reply.id, adminUser.id);
+
+      const replyEvent = events.find((e) => e.type === 'NEW_THREAD_REPLY');
+      expect(replyEvent).toBeDefined();
+      if (replyEvent?.type === 'NEW_THREAD_REPLY') {
+        expect(replyEvent.payload.reply.id).toBe(reply.id);
+        expect(replyEvent.payload.threadMeta.replyCount).toBe(1);
+      }
+      expect((await chat.getMessageById(parent.id))?.threadMeta?.replyCount).toBe(1);
+    });
+
+    it('should restore a direct message and emit NEW_DM_MESSAGE', async () => {
+      const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+      const message = await chat.createDirectMessage('Hi', regularUser.id, conversation.id);
+
+      await chat.deleteDirectMessage(message.id, regularUser.id);
+      expect(events.some((e) => e.type === 'DELETE_DM_MESSAGE')).toBe(true);
+      events.length = 0;
+
+      await chat.restoreTrashedMessage(message.id, adminUser.id);
+
+      expect(await chat.getMessagesByConversation(conversation.id)).toHaveLength(1);
+      const dmEvent = events.find((e) => e.type === 'NEW_DM_MESSAGE');
+      expect(dmEvent).toBeDefined();
+      if (dmEvent?.type === 'NEW_DM_MESSAGE')
+        expect(dmEvent.payload.participants).toContain(regularUser.id);
+    });
+
+    it('should refuse to restore into a channel that no longer exists', async () => {
+      const channel = await chat.createChannel('temporary', adminUser.id);
+      const message = await chat.createMessage('Gone', adminUser.id, channel.id);
+
+      await chat.deleteMessage(message.id, adminUser.id);
+      await chat.deleteChannel(channel.id, adminUser.id);
+
+      await expect(chat.restoreTrashedMessage(message.id, adminUser.id)).rejects.toThrow(
+        'Channel not found'
+      );
+    });
+
+    it('should only let admins restore and record it in the audit log', async () => {
+      const message = await chat.createMessage('Back', regularUser.id, testChannelId);
+      await chat.deleteMessage(message.id, regularUser.id);
+
+      await expect(chat.restoreTrashedMessage(message.id, regularUser.id)).rejects.toThrow(
+        'Only administrators can restore deleted messages'
+      );
+
+      await chat.restoreTrashedMessage(message.id, adminUser.id);
+
+      const { entries } = await chat.queryAuditLog(adminUser.id, { action: 'message.restore' });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].targetId).toBe(message.id);
+    });
+  });
+
+  describe('Purging', () => {
+    it('should purge only entries older than the retention period', async () => {
+      const message = await chat.createMessage('Old', adminUser.id, testChannelId);
+      await chat.deleteMessage(message.id, adminUser.id);
+
+      expect(await chat.purgeExpiredTrash(Date.now() + 6 * millisecondsPerDay)).toBe(0);
+      expect(await chat.purgeExpiredTrash(Date.now() + 7 * millisecondsPerDay)).toBe(1);
+
+      expect(await chat.listTrashedMessages(adminUser.id)).toHaveLength(0);
+      await expect(chat.restoreTrashedMessage(message.id, adminUser.id)).rejects.toThrow(
+        'Deleted message not found'
+      );
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat Typing Indicators', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  const typingEvents = () =>
+    events.filter(
+      (event): event is Extract<ServerSentEvent, { type: 'TYPING' }> => event.type === 'TYPING'
+    );
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('typing', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  it('should emit a typing event that expires', async () => {
+    const before = Date.now();
+
+    await chat.setTyping(regularUser.id, testChannelId);
+
+    const [event] = typingEvents();
+    expect(event.payload).toMatchObject({
+      userId: regularUser.id,
+      userName: regularUser.userName,
+      channelId: testChannelId,
+      isTyping: true
+    });
+    expect(event.payload.expiresAt).toBeGreaterThan(before);
+  });
+
+  it('should throttle repeated typing updates', async () => {
+    await chat.setTyping(regularUser.id, testChannelId);
+    await chat.setTyping(regularUser.id, testChannelId);
+    await chat.setTyping(regularUser.id, testChannelId);
+
+    expect(typingEvents()).toHaveLength(1);
+  });
+
+  it('should stop typing when the user posts a message', async () => {
+    await chat.setTyping(regularUser.id, testChannelId);
+    await chat.createMessage('Done', regularUser.id, testChannelId);
+
+    const [, stopEvent] = typingEvents();
+    expect(stopEvent.payload).toMatchObject({ userId: regularUser.id, isTyping: false });
+  });
+
+  it('should stop typing on request, and only when typing', async () => {
+    await chat.setTyping(regularUser.id, testChannelId, undefined, false);
+    expect(typingEvents()).toHaveLength(0);
+
+    await chat.setTyping(regularUser.id, testChannelId);
+    await chat.setTyping(regularUser.id, testChannelId, undefined, false);
+
+    expect(typingEvents().map((event) => event.payload.isTyping)).toEqual([true, false]);
+  });
+
+  it('should track threads separately from their channel', async () => {
+    const parent = await chat.createMessage('Parent', adminUser.id, testChannelId);
+    events.length = 0;
+
+    await chat.setTyping(regularUser.id, testChannelId);
+    await chat.setTyping(regularUser.id, testChannelId, parent.id);
+
+    expect(typingEvents()).toHaveLength(2);
+    expect(typingEvents()[1].payload).toMatchObject({ threadId: parent.id });
+  });
+
+  it('should include participants for conversations', async () => {
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+    await chat.setTyping(regularUser.id, conversation.id);
+
+    expect(typingEvents()[0].payload).toMatchObject({
+      participants: conversation.participants
+    });
+  });
+
+  it('should stop typing in conversation threads with participants', async () => {
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+    const parent = await chat.createDirectMessage('Parent', adminUser.id, conversation.id);
+
+    await chat.setTyping(regularUser.id, conversation.id, parent.id);
+    await chat.createThreadReply('Reply', regularUser.id, parent.id);
+
+    const [, stopEvent] = typingEvents();
+    expect(stopEvent.payload).toMatchObject({
+      threadId: parent.id,
+      isTyping: false,
+      participants: conversation.participants
+    });
+  });
+
+  it('should not allow typing where the user has no access', async () => {
+    const privateChannel = await chat.createChannel('secret', adminUser.id, {
+      isPrivate: true
+    });
+    const outsider = await chat.addUser('outsider@example.com', adminUser.id);
+    const { conversation } = await chat.getOrCreateConversation(adminUser.id, regularUser.id);
+
+    await expect(chat.setTyping(regularUser.id, privateChannel.id)).rejects.toThrow(
+      'You do not have access to this channel'
+    );
+    await expect(chat.setTyping(outsider.id, conversation.id)).rejects.toThrow(
+      'You are not a participant in this conversation'
+    );
+    expect(typingEvents()).toHaveLength(0);
+  });
+
+  it('should reject threads outside the channel', async () => {
+    const otherChannel = await chat.createChannel('other', adminUser.id);
+    const parent = await chat.createMessage('Parent', adminUser.id, otherChannel.id);
+
+    await expect(chat.setTyping(regularUser.id, testChannelId, parent.id)).rejects.toThrow(
+      'Parent message not found'
+    );
+  });
+});
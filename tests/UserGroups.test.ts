@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { MikroChat } from '../src/MikroChat';
+import type { ServerSentEvent, User } from '../src/interfaces';
+
+describe('MikroChat User Groups', () => {
+  let chat: MikroChat;
+  let adminUser: User;
+  let regularUser: User;
+  let otherUser: User;
+  let testChannelId: string;
+  const events: ServerSentEvent[] = [];
+
+  beforeEach(async () => {
+    events.length = 0;
+    chat = new MikroChat({
+      initialUser: {
+        id: 'admin-id',
+        userName: 'admin',
+        email: 'admin@example.com'
+      },
+      messageRetentionDays: 30,
+      maxMessagesPerChannel: 100
+    });
+
+    chat.subscribeToEvents((event) => events.push(event));
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    adminUser = (await chat.getUserByEmail('admin@example.com')) as User;
+    regularUser = await chat.addUser('user@example.com', adminUser.id);
+    otherUser = await chat.addUser('other@example.com', adminUser.id);
+
+    const channel = await chat.createChannel('groups', adminUser.id);
+    testChannelId = channel.id;
+    events.length = 0;
+  });
+
+  it('should create a user group', async () => {
+    const userGroup = await chat.createUserGroup(
+      '@Backend',
+      [regularUser.id, otherUser.id, regularUser.id],
+      adminUser.id,
+      '  Backend team  '
+    );
+
+    expect(userGroup).toMatchObject({
+      name: 'backend',
+      description: 'Backend team',
+      members: [regularUser.id, otherUser.id],
+      createdBy: adminUser.id
+    });
+    expect(await chat.listUserGroups()).toEqual([userGroup]);
+    expect(events.some((event) => event.type === 'NEW_USER_GROUP')).toBe(true);
+  });
+
+  it('should only let administrators manage user groups', async () => {
+    await expect(
+      chat.createUserGroup('backend', [regularUser.id], regularUser.id)
+    ).rejects.toThrow('Only administrators can create user groups');
+
+    const userGroup = await chat.createUserGroup('backend', [regularUser.id], adminUser.id);
+
+    await expect(
+      chat.updateUserGroup(userGroup.id, { members: [] }, regularUser.id)
+    ).rejects.toThrow('Only administrators can update user groups');
+    await expect(chat.deleteUserGroup(userGroup.id, regularUser.id)).rejects.toThrow(
+      'Only administrators can delete user groups'
+    );
+  });
+
+  it('should validate the group name and members', async () => {
+    await chat.createUserGroup('backend', [], adminUser.id);
+
+    await expect(chat.createUserGroup(' ', [], adminUser.id)).rejects.toThrow(
+      'Group name is required'
+    );
+    await expect(chat.createUserGroup('back end', [], adminUser.id)).rejects.toThrow(
+      'Group names can only contain letters, numbers, dots, dashes and underscores'
+    );
+    await expect(chat.createUserGroup('here', [], adminUser.id)).rejects.toThrow(
+      '@here is reserved'
+    );
+    await expect(chat.createUserGroup('BACKEND', [], adminUser.id)).rejects.toThrow(
+      'A group with this name already exists'
+    );
+    await expect(chat.createUserGroup(regularUser.userName, [], adminUser.id)).rejects.toThrow(
+      'A user already has this name'
+    );
+    await expect(chat.createUserGroup('oncall', ['missing'], adminUser.id)).rejects.toThrow(
+      'User not found: missing'
+    );
+  });
+
+  it('should update and delete a user group', async () => {
+    const userGroup = await chat.createUserGroup('backend', [regularUser.id], adminUser.id);
+
+    const updated = await chat.updateUserGroup(
+      userGroup.id,
+      { name: 'platform', members: [otherUser.id] },
+      adminUser.id
+    );
+    expect(updated).toMatchObject({ name: 'platform', members: [otherUser.id] });
+    expect(updated.updatedAt).toBeDefined();
+
+    await chat.deleteUserGroup(userGroup.id, adminUser.id);
+    expect(await chat.listUserGroups()).toEqual([]);
+    await expect(chat.deleteUserGroup(userGroup.id, adminUser.id)).rejects.toThrow(
+      'User group not found'
+    );
+  });
+
+  it('should mention every member of a mentioned group', async () => {
+    await chat.createUserGroup('backend', [regularUser.id, otherUser.id], adminUser.id);
+
+    const message = await chat.createMessage(
+      'Deploy is done, @Backend please verify',
+      adminUser.id,
+      testChannelId
+    );
+
+    expect(message.mentions).toEqual(expect.arrayContaining([regularUser.id, otherUser.id]));
+    expect(message.mentions).toHaveLength(2);
+  });
+
+  it('should not let users take the name of a group', async () => {
+    await chat.createUserGroup('oncall', [otherUser.id], adminUser.id);
+    await expect(chat.updateUserName(regularUser.id, 'OnCall')).rejects.toThrow(
+      'User name is already taken'
+    );
+  });
+
+  it('should remove deleted users from their groups', async () => {
+    const userGroup = await chat.createUserGroup(
+      'backend',
+      [regularUser.id, otherUser.id],
+      adminUser.id
+    );
+
+    await chat.removeUser(regularUser.id, adminUser.id);
+
+    const [listed] = await chat.listUserGroups();
+    expect(listed.id).toBe(userGroup.id);
+    expect(listed.members).toEqual([otherUser.id]);
+  });
+});
@@ -279,6 +279,17 @@ describe('configDefaults', () => {
       const config = configDefaults();
       expect(config.chat.maxMessagesPerChannel).toBe(100);
     });
+
+    it('should set trashRetentionDays to 30', () => {
+      const config = configDefaults();
+      expect(config.chat.trashRetentionDays).toBe(30);
+    });
+
+    it('should leave direct message and thread reply retention unset', () => {
+      const config = configDefaults();
+      expect(config.chat).not.toHaveProperty('directMessageRetentionDays');
+      expect(config.chat).not.toHaveProperty('threadReplyRetentionDays');
+    });
   });
 
   describe('oauth', () => {